@@ -0,0 +1,79 @@
+-- ============================================================
+-- 004_list_sync.sql
+-- Offline-first delta sync for shopping lists
+-- ============================================================
+
+-- ── Sync Cursor ─────────────────────────────────────────────
+-- Global, monotonically increasing change counter. Every item
+-- insert/update and every delete takes the next value, so a client
+-- can ask for "everything after N" across all of its lists.
+CREATE SEQUENCE IF NOT EXISTS list_sync_seq;
+
+-- ── Item Versions & Field Clocks ────────────────────────────
+-- version:     bumped on every update (optimistic concurrency)
+-- sync_seq:    position in list_sync_seq of the latest change
+-- field_clock: per-field last-write timestamps for LWW merging
+ALTER TABLE list_items ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE list_items ADD COLUMN IF NOT EXISTS sync_seq BIGINT NOT NULL DEFAULT nextval('list_sync_seq');
+ALTER TABLE list_items ADD COLUMN IF NOT EXISTS field_clock JSONB NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_list_items_sync ON list_items(list_id, sync_seq);
+
+-- ── Item Tombstones ─────────────────────────────────────────
+-- Deleted items are remembered so offline clients learn about them.
+-- list_id is deliberately not a foreign key: rows are written while
+-- a list delete cascades through list_items.
+CREATE TABLE IF NOT EXISTS list_item_tombstones (
+    item_id UUID PRIMARY KEY,
+    list_id UUID NOT NULL,
+    deleted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    sync_seq BIGINT NOT NULL DEFAULT nextval('list_sync_seq')
+);
+
+CREATE INDEX IF NOT EXISTS idx_list_item_tombstones_sync ON list_item_tombstones(list_id, sync_seq);
+
+-- ── Triggers ────────────────────────────────────────────────
+-- Runs alongside trigger_update_list_items (update_updated_at).
+-- Routes other than /sync don't manage field_clock, so any field
+-- they change is stamped with server time here.
+CREATE OR REPLACE FUNCTION bump_list_item_sync()
+RETURNS TRIGGER AS $$
+DECLARE
+  col TEXT;
+BEGIN
+  NEW.sync_seq = nextval('list_sync_seq');
+  IF TG_OP = 'UPDATE' THEN
+    NEW.version = OLD.version + 1;
+    IF NEW.field_clock IS NOT DISTINCT FROM OLD.field_clock THEN
+      FOREACH col IN ARRAY ARRAY['name', 'quantity', 'unit', 'price', 'department', 'notes', 'checked', 'brand'] LOOP
+        IF to_jsonb(NEW) -> col IS DISTINCT FROM to_jsonb(OLD) -> col THEN
+          NEW.field_clock = jsonb_set(NEW.field_clock, ARRAY[col], to_jsonb(NOW()));
+        END IF;
+      END LOOP;
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_list_items_sync ON list_items;
+CREATE TRIGGER trigger_list_items_sync
+    BEFORE INSERT OR UPDATE ON list_items
+    FOR EACH ROW EXECUTE FUNCTION bump_list_item_sync();
+
+CREATE OR REPLACE FUNCTION record_list_item_tombstone()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO list_item_tombstones (item_id, list_id)
+  VALUES (OLD.id, OLD.list_id)
+  ON CONFLICT (item_id) DO UPDATE SET
+    deleted_at = NOW(),
+    sync_seq = nextval('list_sync_seq');
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_list_items_tombstone ON list_items;
+CREATE TRIGGER trigger_list_items_tombstone
+    AFTER DELETE ON list_items
+    FOR EACH ROW EXECUTE FUNCTION record_list_item_tombstone();
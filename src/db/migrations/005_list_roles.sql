@@ -0,0 +1,18 @@
+-- ============================================================
+-- 005_list_roles.sql
+-- Collaborator roles on shared shopping lists
+-- ============================================================
+-- The owner is shopping_lists.user_id; collaborators are either
+-- 'editor' (can change items) or 'viewer' (read-only).
+
+-- /join used to write 'member', which always meant full edit access
+UPDATE list_collaborators SET role = 'editor' WHERE role = 'member' OR role IS NULL;
+
+ALTER TABLE list_collaborators ALTER COLUMN role SET DEFAULT 'editor';
+ALTER TABLE list_collaborators ALTER COLUMN role SET NOT NULL;
+
+ALTER TABLE list_collaborators DROP CONSTRAINT IF EXISTS list_collaborators_role_check;
+ALTER TABLE list_collaborators ADD CONSTRAINT list_collaborators_role_check
+    CHECK (role IN ('editor', 'viewer'));
+
+CREATE INDEX IF NOT EXISTS idx_list_collaborators_user ON list_collaborators(user_id);
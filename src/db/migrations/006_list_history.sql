@@ -0,0 +1,26 @@
+-- ============================================================
+-- 006_list_history.sql
+-- Append-only audit trail for shopping list changes
+-- ============================================================
+-- One row per mutation made through routes/lists.js. before_data /
+-- after_data hold row snapshots so edits can be reverted and deleted
+-- items restored. list_id is not a foreign key so the trail survives
+-- the list itself being deleted.
+
+CREATE TABLE IF NOT EXISTS list_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    list_id UUID NOT NULL,
+    item_id UUID,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    action VARCHAR(50) NOT NULL,
+    before_data JSONB,
+    after_data JSONB,
+    source VARCHAR(30) DEFAULT 'api',
+    undoes_event_id UUID REFERENCES list_history(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_list_history_list ON list_history(list_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_list_history_item ON list_history(item_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_list_history_undoes ON list_history(undoes_event_id)
+    WHERE undoes_event_id IS NOT NULL;
@@ -0,0 +1,13 @@
+-- ============================================================
+-- 007_item_merging.sql
+-- Duplicate list lines are merged instead of inserted twice
+-- ============================================================
+
+-- Merged quantities are fractional once units are converted
+-- (8 oz + 1 lb = 1.5 lb)
+ALTER TABLE list_items ALTER COLUMN quantity TYPE NUMERIC(10,3) USING quantity::NUMERIC(10,3);
+
+-- Provenance: one entry per contribution to the line, e.g.
+--   { "type": "recipe", "recipeId": "...", "recipeName": "Greek Salad",
+--     "userId": "...", "quantity": 0.5, "unit": null, "addedAt": "..." }
+ALTER TABLE list_items ADD COLUMN IF NOT EXISTS sources JSONB NOT NULL DEFAULT '[]';
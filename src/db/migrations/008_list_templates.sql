@@ -0,0 +1,40 @@
+-- ============================================================
+-- 008_list_templates.sql
+-- Reusable list templates and recurring list schedules
+-- ============================================================
+
+-- ── Templates ───────────────────────────────────────────────
+-- items is a snapshot of the source list's lines:
+--   [{ "name", "quantity", "unit", "department", "notes", "brand", "barcode", "price" }]
+CREATE TABLE IF NOT EXISTS list_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    source_list_id UUID REFERENCES shopping_lists(id) ON DELETE SET NULL,
+    items JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_list_templates_user ON list_templates(user_id);
+
+-- ── Schedules ───────────────────────────────────────────────
+-- Each run creates a list from the template and carries over the
+-- unchecked items of last_list_id (the previous instance).
+CREATE TABLE IF NOT EXISTS list_schedules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    template_id UUID NOT NULL REFERENCES list_templates(id) ON DELETE CASCADE,
+    list_name VARCHAR(255),
+    frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('weekly', 'biweekly', 'monthly')),
+    next_run_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_list_id UUID REFERENCES shopping_lists(id) ON DELETE SET NULL,
+    carry_over BOOLEAN DEFAULT true,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_list_schedules_user ON list_schedules(user_id);
+CREATE INDEX IF NOT EXISTS idx_list_schedules_due ON list_schedules(next_run_at) WHERE is_active = true;
@@ -0,0 +1,62 @@
+-- ============================================================
+-- 009_tax_rules.sql
+-- Sales tax and container deposit rules for list cost totals
+-- ============================================================
+-- A rule applies either to one store (store_id) or to a region
+-- (region_code). Region codes, most specific first:
+--   'US-CA-94110'  ZIP code
+--   'US-CA'        state
+--   'US'           country
+--   '*'            everywhere (fallback)
+-- The most specific scope that has a matching rule wins.
+--
+-- rule_type:
+--   rate          base sales tax rate (department NULL) or a
+--                 department-specific rate
+--   reduced_rate  lower rate for one department (e.g. groceries)
+--   exempt        department is not taxed
+--   deposit       per-container fee (bottle deposit / CRV) on a
+--                 department and/or items whose name matches one
+--                 of match_keywords; not itself taxed
+
+CREATE TABLE IF NOT EXISTS tax_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    store_id UUID REFERENCES stores(id) ON DELETE CASCADE,
+    region_code VARCHAR(20),
+    rule_type VARCHAR(20) NOT NULL CHECK (rule_type IN ('rate', 'reduced_rate', 'exempt', 'deposit')),
+    department VARCHAR(100),
+    rate NUMERIC(6,5),
+    amount NUMERIC(10,2),
+    match_keywords TEXT[] DEFAULT '{}',
+    description TEXT,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (store_id IS NOT NULL OR region_code IS NOT NULL),
+    CHECK (rule_type NOT IN ('rate', 'reduced_rate') OR rate IS NOT NULL),
+    CHECK (rule_type <> 'reduced_rate' OR department IS NOT NULL),
+    CHECK (rule_type <> 'exempt' OR department IS NOT NULL),
+    CHECK (rule_type <> 'deposit' OR amount IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tax_rules_store ON tax_rules(store_id) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_tax_rules_region ON tax_rules(region_code) WHERE is_active = true;
+
+-- ── Store Regions ───────────────────────────────────────────
+-- Normally derived from the store address; set this to override.
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS tax_region VARCHAR(20);
+
+-- Stores with no address are placed by coordinates. The smallest
+-- box containing the store wins.
+CREATE TABLE IF NOT EXISTS tax_regions (
+    code VARCHAR(20) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    min_lat NUMERIC(10,7) NOT NULL,
+    max_lat NUMERIC(10,7) NOT NULL,
+    min_lng NUMERIC(10,7) NOT NULL,
+    max_lng NUMERIC(10,7) NOT NULL
+);
+
+-- The flat rate /cost always used, kept as the fallback
+INSERT INTO tax_rules (region_code, rule_type, rate, description)
+SELECT '*', 'rate', 0.08750, 'Default sales tax rate'
+WHERE NOT EXISTS (SELECT 1 FROM tax_rules WHERE region_code = '*' AND rule_type = 'rate');
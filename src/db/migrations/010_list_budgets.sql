@@ -0,0 +1,14 @@
+-- ============================================================
+-- 010_list_budgets.sql
+-- Optional spending budget per shopping list
+-- ============================================================
+
+ALTER TABLE shopping_lists ADD COLUMN IF NOT EXISTS budget NUMERIC(10,2);
+
+ALTER TABLE shopping_lists DROP CONSTRAINT IF EXISTS shopping_lists_budget_check;
+ALTER TABLE shopping_lists ADD CONSTRAINT shopping_lists_budget_check
+    CHECK (budget IS NULL OR budget > 0);
+
+-- Set when the over-budget notification was sent; cleared once the
+-- list is back under budget so the next overspend alerts again.
+ALTER TABLE shopping_lists ADD COLUMN IF NOT EXISTS budget_alerted_at TIMESTAMP WITH TIME ZONE;
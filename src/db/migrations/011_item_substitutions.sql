@@ -0,0 +1,38 @@
+-- ============================================================
+-- 011_item_substitutions.sql
+-- Shopper-proposed replacements for out-of-stock list items
+-- ============================================================
+-- A collaborator in the store proposes a substitute for a line;
+-- the list owner approves or rejects it. Approving rewrites the
+-- line and keeps the original in original_item (and list_history).
+-- At most one proposal per item is pending at a time.
+
+CREATE TABLE IF NOT EXISTS list_item_substitutions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    list_id UUID NOT NULL REFERENCES shopping_lists(id) ON DELETE CASCADE,
+    item_id UUID NOT NULL REFERENCES list_items(id) ON DELETE CASCADE,
+    proposed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+    barcode VARCHAR(50),
+    name VARCHAR(255) NOT NULL,
+    brand VARCHAR(255),
+    price NUMERIC(10,2),
+    quantity NUMERIC(10,3),
+    note TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'rejected', 'superseded')),
+    auto_approved BOOLEAN DEFAULT false,
+    original_item JSONB,
+    decided_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    decided_at TIMESTAMP WITH TIME ZONE,
+    decision_note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_item_substitutions_list ON list_item_substitutions(list_id, status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_item_substitutions_pending
+    ON list_item_substitutions(item_id) WHERE status = 'pending';
+
+-- Per-list rule: approve a proposal immediately when it is cheaper
+-- than the line it replaces
+ALTER TABLE shopping_lists ADD COLUMN IF NOT EXISTS auto_approve_cheaper_substitutions BOOLEAN DEFAULT false;
@@ -0,0 +1,38 @@
+-- ============================================================
+-- 012_shopping_trip_items.sql
+-- Detailed shopping trips created by completing a list
+-- ============================================================
+-- POST /api/lists/:id/complete turns the checked items of a list
+-- into a shopping_trips row plus one shopping_trip_items line each,
+-- with what was expected to be paid and what was actually paid.
+
+ALTER TABLE shopping_trips ADD COLUMN IF NOT EXISTS list_id UUID
+    REFERENCES shopping_lists(id) ON DELETE SET NULL;
+ALTER TABLE shopping_trips ADD COLUMN IF NOT EXISTS estimated_total NUMERIC(10,2);
+-- The list unchecked items were rolled into, if any
+ALTER TABLE shopping_trips ADD COLUMN IF NOT EXISTS rollover_list_id UUID
+    REFERENCES shopping_lists(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_shopping_trips_list ON shopping_trips(list_id);
+
+-- ── Trip lines ──────────────────────────────────────────────
+-- list_item_id has no foreign key: the trip outlives the list.
+-- estimated_price is the list's price at checkout; actual_price is
+-- what the shopper paid (falls back to the estimate).
+CREATE TABLE IF NOT EXISTS shopping_trip_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    trip_id UUID NOT NULL REFERENCES shopping_trips(id) ON DELETE CASCADE,
+    list_item_id UUID,
+    name VARCHAR(255) NOT NULL,
+    brand VARCHAR(255),
+    barcode VARCHAR(50),
+    department VARCHAR(100),
+    unit VARCHAR(50),
+    quantity NUMERIC(10,3) NOT NULL DEFAULT 1,
+    estimated_price NUMERIC(10,2) NOT NULL DEFAULT 0,
+    actual_price NUMERIC(10,2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_shopping_trip_items_trip ON shopping_trip_items(trip_id);
+CREATE INDEX IF NOT EXISTS idx_shopping_trip_items_barcode ON shopping_trip_items(barcode);
@@ -0,0 +1,11 @@
+-- ============================================================
+-- 013_item_positions.sql
+-- Manual item order (set by batch "reorder" operations)
+-- ============================================================
+-- Lists are shown grouped by department; position orders items
+-- within a department. Items never reordered (NULL) follow in the
+-- order they were added.
+
+ALTER TABLE list_items ADD COLUMN IF NOT EXISTS position INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_list_items_position ON list_items(list_id, department, position);
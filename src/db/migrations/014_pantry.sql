@@ -0,0 +1,46 @@
+-- ============================================================
+-- 014_pantry.sql
+-- Pantry inventory with purchase dates and expiry tracking
+-- ============================================================
+-- A user's pantry is shared with their accepted family links, so
+-- a household sees (and uses up) one combined pantry.
+--
+-- Rows are added manually, by barcode scan, when a list item is
+-- checked off (list_item_id) and when a trip is completed (trip_id).
+-- Checking the same list item twice never stocks it twice.
+
+CREATE TABLE IF NOT EXISTS pantry_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    -- normalizeItemName(name) from utils/ingredientMerge.js
+    normalized_name VARCHAR(255) NOT NULL,
+    brand VARCHAR(255),
+    barcode VARCHAR(50),
+    product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+    department VARCHAR(100),
+    quantity NUMERIC(10,3) NOT NULL DEFAULT 1 CHECK (quantity >= 0),
+    unit VARCHAR(50),
+    purchased_at DATE NOT NULL DEFAULT CURRENT_DATE,
+    expires_at DATE,
+    -- true when expires_at came from shelf-life defaults, not the label
+    expiry_estimated BOOLEAN NOT NULL DEFAULT false,
+    status VARCHAR(20) NOT NULL DEFAULT 'available'
+        CHECK (status IN ('available', 'consumed', 'discarded')),
+    source VARCHAR(20) NOT NULL DEFAULT 'manual'
+        CHECK (source IN ('manual', 'scan', 'list', 'trip')),
+    list_item_id UUID,
+    trip_id UUID REFERENCES shopping_trips(id) ON DELETE SET NULL,
+    notes TEXT,
+    discard_reason VARCHAR(255),
+    finished_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pantry_items_user ON pantry_items(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_pantry_items_name ON pantry_items(user_id, normalized_name);
+CREATE INDEX IF NOT EXISTS idx_pantry_items_barcode ON pantry_items(barcode);
+CREATE INDEX IF NOT EXISTS idx_pantry_items_expiry ON pantry_items(expires_at) WHERE status = 'available';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pantry_items_list_item
+    ON pantry_items(list_item_id) WHERE list_item_id IS NOT NULL;
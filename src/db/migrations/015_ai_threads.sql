@@ -0,0 +1,41 @@
+-- ============================================================
+-- 015_ai_threads.sql
+-- Persisted AI conversation threads
+-- ============================================================
+-- A thread is one conversation with the assistant, either through
+-- /api/ai/chat (kind 'chat') or /api/ai/generate-list (kind 'list').
+-- List threads store the model's JSON answer as the assistant
+-- message, so "make it vegetarian instead" can revise it.
+--
+-- Long threads are compacted: messages up to summarized_seq are
+-- folded into `summary`, and only later messages are sent to the
+-- model verbatim. The messages themselves are kept for display.
+
+CREATE TABLE IF NOT EXISTS ai_threads (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    kind VARCHAR(10) NOT NULL DEFAULT 'chat' CHECK (kind IN ('chat', 'list')),
+    title VARCHAR(120) NOT NULL,
+    summary TEXT,
+    summarized_seq BIGINT NOT NULL DEFAULT 0,
+    message_count INTEGER NOT NULL DEFAULT 0,
+    last_message_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_threads_user ON ai_threads(user_id, last_message_at DESC);
+
+CREATE TABLE IF NOT EXISTS ai_thread_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    thread_id UUID NOT NULL REFERENCES ai_threads(id) ON DELETE CASCADE,
+    -- Global insertion order; messages in one transaction share NOW()
+    seq BIGSERIAL NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant')),
+    content TEXT NOT NULL,
+    -- e.g. { "format": "json", "mode": "recipe" } for list answers
+    metadata JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_thread_messages_thread ON ai_thread_messages(thread_id, seq);
@@ -0,0 +1,32 @@
+-- ============================================================
+-- 016_ai_actions.sql
+-- Action log for the tool-calling assistant
+-- ============================================================
+-- Every tool call the assistant makes on a user's behalf (creating
+-- a list, adding items, saving a recipe, ...) is recorded here with
+-- its outcome.
+--
+-- Destructive tools are not run straight away: the call is stored
+-- as 'pending' with the exact changes it would make, and runs only
+-- when the user confirms it (POST /api/ai/actions/:id/confirm)
+-- before expires_at. 'confirmed' marks a confirmation in progress.
+
+CREATE TABLE IF NOT EXISTS ai_actions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    thread_id UUID REFERENCES ai_threads(id) ON DELETE SET NULL,
+    tool VARCHAR(50) NOT NULL,
+    arguments JSONB NOT NULL DEFAULT '{}',
+    summary TEXT,
+    status VARCHAR(20) NOT NULL CHECK (status IN (
+        'pending', 'confirmed', 'completed', 'failed', 'cancelled', 'expired'
+    )),
+    result JSONB,
+    error TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    resolved_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_actions_user ON ai_actions(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ai_actions_pending ON ai_actions(user_id) WHERE status = 'pending';
@@ -0,0 +1,49 @@
+-- ============================================================
+-- 017_ai_usage.sql
+-- AI response cache, usage / cost log, plan tiers and admins
+-- ============================================================
+-- Every model call is logged to ai_usage with its token counts and
+-- estimated cost; cache hits are logged with cached = TRUE and no
+-- cost. Daily quotas count today's uncached calls per user, with
+-- limits set per plan tier (see utils/aiUsage.js).
+--
+-- ai_cache holds responses keyed on a hash of the provider, task,
+-- normalized prompt and the user's dietary context, so two users
+-- with the same request and restrictions share one answer.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS plan_tier VARCHAR(20) NOT NULL DEFAULT 'free';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_admin BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS ai_usage (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    -- NULL for calls made outside a user's request
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    task VARCHAR(50) NOT NULL,
+    -- chatJSON, chatText, streamChat, chatWithTools, vision, transcribe, generateImage
+    capability VARCHAR(20) NOT NULL,
+    provider VARCHAR(30) NOT NULL,
+    model VARCHAR(100),
+    cached BOOLEAN NOT NULL DEFAULT FALSE,
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    images INTEGER NOT NULL DEFAULT 0,
+    cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+    succeeded BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_user ON ai_usage(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_created ON ai_usage(created_at);
+
+CREATE TABLE IF NOT EXISTS ai_cache (
+    cache_key CHAR(64) PRIMARY KEY,
+    task VARCHAR(50) NOT NULL,
+    provider VARCHAR(30) NOT NULL,
+    response JSONB NOT NULL,
+    hits INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_hit_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_cache_expires ON ai_cache(expires_at);
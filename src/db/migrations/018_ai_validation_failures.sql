@@ -0,0 +1,25 @@
+-- ============================================================
+-- 018_ai_validation_failures.sql
+-- AI answers that didn't match their response schema
+-- ============================================================
+-- One row per invalid answer from chatJSON / vision / streamed
+-- JSON (see utils/aiValidation.js): the schema errors, the errors
+-- left after the single re-prompt, and how the call ended.
+
+CREATE TABLE IF NOT EXISTS ai_validation_failures (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    -- NULL for calls made outside a user's request
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    task VARCHAR(50) NOT NULL,
+    provider VARCHAR(30) NOT NULL,
+    errors JSONB NOT NULL,
+    -- NULL when the retry was valid
+    retry_errors JSONB,
+    outcome VARCHAR(20) NOT NULL CHECK (outcome IN ('repaired', 'pruned', 'fallback', 'failed')),
+    -- The first answer, truncated; NULL when it wasn't JSON
+    response TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_validation_failures_task ON ai_validation_failures(task, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ai_validation_failures_created ON ai_validation_failures(created_at);
@@ -0,0 +1,60 @@
+-- ============================================================
+-- 019_pantry_photo_scans.sql
+-- "Scan my fridge": photo inventory with user confirmation
+-- ============================================================
+-- A photo of the fridge or pantry is run through image recognition
+-- and stored as a pending scan: each detection with its confidence,
+-- the canonical products row it matched, and the user's staples
+-- (utils/restock.js) that weren't seen. Nothing is written to the
+-- pantry until the user confirms which detections are right
+-- (POST /api/pantry/photo-scans/:id/confirm) before expires_at.
+--
+-- Confirmed items go into the pantry with source 'photo'; matching
+-- items on the scan's list are marked have_at_home.
+
+ALTER TABLE pantry_items DROP CONSTRAINT IF EXISTS pantry_items_source_check;
+ALTER TABLE pantry_items ADD CONSTRAINT pantry_items_source_check
+    CHECK (source IN ('manual', 'scan', 'list', 'trip', 'photo'));
+
+-- "Already have it at home" — stays on the list, unchecked
+ALTER TABLE list_items ADD COLUMN IF NOT EXISTS have_at_home BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS pantry_photo_scans (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    -- Optional list to mark items on
+    list_id UUID REFERENCES shopping_lists(id) ON DELETE SET NULL,
+    min_confidence NUMERIC(3,2) NOT NULL,
+    detections JSONB NOT NULL DEFAULT '[]',
+    missing_staples JSONB NOT NULL DEFAULT '[]',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN (
+        'pending', 'confirmed', 'completed', 'dismissed'
+    )),
+    result JSONB,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    resolved_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_pantry_photo_scans_user ON pantry_photo_scans(user_id, created_at DESC);
+
+-- Offline clients sync have_at_home like the other item fields
+CREATE OR REPLACE FUNCTION bump_list_item_sync()
+RETURNS TRIGGER AS $$
+DECLARE
+  col TEXT;
+BEGIN
+  NEW.sync_seq = nextval('list_sync_seq');
+  IF TG_OP = 'UPDATE' THEN
+    NEW.version = OLD.version + 1;
+    IF NEW.field_clock IS NOT DISTINCT FROM OLD.field_clock THEN
+      FOREACH col IN ARRAY ARRAY['name', 'quantity', 'unit', 'price', 'department', 'notes', 'checked', 'brand', 'have_at_home'] LOOP
+        IF to_jsonb(NEW) -> col IS DISTINCT FROM to_jsonb(OLD) -> col THEN
+          NEW.field_clock = jsonb_set(NEW.field_clock, ARRAY[col], to_jsonb(NOW()));
+        END IF;
+      END LOOP;
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,55 @@
+-- ============================================================
+-- 020_list_sync_xids.sql
+-- Commit-order-safe cursors for list sync
+-- ============================================================
+-- sync_seq is taken when a row is written, not when it commits, so
+-- a slow transaction can commit a change numbered below a cursor
+-- the client already holds, and that change is never sent.
+--
+-- Every change now also records the transaction that made it.
+-- /sync hands out the oldest transaction still running when it
+-- read (pg_snapshot_xmin) as the cursor and next time returns all
+-- changes from that transaction on. Anything that hadn't committed
+-- yet is at or after the cursor; some committed changes are sent
+-- twice, which clients already tolerate. sync_seq stays for
+-- ordering within a response.
+
+ALTER TABLE list_items ADD COLUMN IF NOT EXISTS sync_xid xid8 NOT NULL DEFAULT pg_current_xact_id();
+ALTER TABLE list_item_tombstones ADD COLUMN IF NOT EXISTS sync_xid xid8 NOT NULL DEFAULT pg_current_xact_id();
+
+CREATE INDEX IF NOT EXISTS idx_list_items_sync_xid ON list_items(list_id, sync_xid);
+CREATE INDEX IF NOT EXISTS idx_list_item_tombstones_sync_xid ON list_item_tombstones(list_id, sync_xid);
+
+CREATE OR REPLACE FUNCTION bump_list_item_sync()
+RETURNS TRIGGER AS $$
+DECLARE
+  col TEXT;
+BEGIN
+  NEW.sync_seq = nextval('list_sync_seq');
+  NEW.sync_xid = pg_current_xact_id();
+  IF TG_OP = 'UPDATE' THEN
+    NEW.version = OLD.version + 1;
+    IF NEW.field_clock IS NOT DISTINCT FROM OLD.field_clock THEN
+      FOREACH col IN ARRAY ARRAY['name', 'quantity', 'unit', 'price', 'department', 'notes', 'checked', 'brand', 'have_at_home'] LOOP
+        IF to_jsonb(NEW) -> col IS DISTINCT FROM to_jsonb(OLD) -> col THEN
+          NEW.field_clock = jsonb_set(NEW.field_clock, ARRAY[col], to_jsonb(NOW()));
+        END IF;
+      END LOOP;
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION record_list_item_tombstone()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO list_item_tombstones (item_id, list_id)
+  VALUES (OLD.id, OLD.list_id)
+  ON CONFLICT (item_id) DO UPDATE SET
+    deleted_at = NOW(),
+    sync_seq = nextval('list_sync_seq'),
+    sync_xid = pg_current_xact_id();
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
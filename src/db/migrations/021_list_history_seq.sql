@@ -0,0 +1,15 @@
+-- ============================================================
+-- 021_list_history_seq.sql
+-- Stable paging order for the list audit trail
+-- ============================================================
+-- /history paged on created_at, but every event written in one
+-- transaction shares NOW(), so a page boundary inside such a batch
+-- skipped the rest of it. seq gives each event its own position;
+-- pages now continue from the last seq seen.
+--
+-- Events recorded before this migration are numbered in no
+-- particular order among themselves.
+
+ALTER TABLE list_history ADD COLUMN IF NOT EXISTS seq BIGSERIAL;
+
+CREATE INDEX IF NOT EXISTS idx_list_history_list_seq ON list_history(list_id, seq DESC);
@@ -0,0 +1,49 @@
+// src/middleware/aiQuota.js
+// ============================================================
+// AI Quota — per-user daily limits on model calls
+// ============================================================
+//
+//   calls  — chat, JSON, vision and audio calls
+//   images — image generations
+//
+// Limits depend on the user's plan tier (utils/aiUsage.js). Over
+// the limit answers 429 with the quota and when it resets; cached
+// answers don't count.
+// ─────────────────────────────────────────────────────────────
+
+const { successResponse, errorResponse } = require('../models/db');
+const { getQuotaStatus, isOverQuota } = require('../utils/aiUsage');
+
+const QUOTA_MESSAGES = {
+  calls: 'Daily AI limit reached',
+  images: 'Daily image generation limit reached',
+};
+
+// ── Route guard ─────────────────────────────────────────────
+// Sets req.aiQuota for the handler.
+
+const requireAIQuota = (kind = 'calls') => async (req, res, next) => {
+  try {
+    const status = await getQuotaStatus(req.user.id);
+
+    if (isOverQuota(status, kind)) {
+      const retryAfter = Math.max(Math.ceil((new Date(status.resetAt) - Date.now()) / 1000), 1);
+      res.set('Retry-After', String(retryAfter));
+      return successResponse(res, {
+        error: `${QUOTA_MESSAGES[kind]} on the ${status.tier} plan. Try again after ${status.resetAt}.`,
+        code: 'AI_QUOTA_EXCEEDED',
+        quota: { kind, ...status[kind], tier: status.tier, resetAt: status.resetAt },
+      }, 429);
+    }
+
+    req.aiQuota = status;
+    next();
+  } catch (error) {
+    console.error('AI quota error:', error);
+    errorResponse(res, 500, 'Failed to check AI usage');
+  }
+};
+
+module.exports = {
+  requireAIQuota,
+};
@@ -78,6 +78,23 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// ── Require Admin (after authenticate) ──────────────────────
+
+const requireAdmin = async (req, res, next) => {
+  try {
+    const result = await query('SELECT is_admin FROM users WHERE id = $1', [req.user.id]);
+
+    if (!result.rows[0] || !result.rows[0].is_admin) {
+      return errorResponse(res, 403, 'Admin access required');
+    }
+
+    next();
+  } catch (error) {
+    console.error('Admin check error:', error);
+    return errorResponse(res, 500, 'Authentication error');
+  }
+};
+
 // ── Generate Tokens ─────────────────────────────────────────
 
 const generateAccessToken = (userId) => {
@@ -103,6 +120,7 @@ const verifyRefreshToken = (token) => {
 module.exports = {
   authenticate,
   optionalAuth,
+  requireAdmin,
   generateAccessToken,
   generateRefreshToken,
   verifyRefreshToken,
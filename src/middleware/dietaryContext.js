@@ -0,0 +1,40 @@
+// src/middleware/dietaryContext.js
+// ============================================================
+// Dietary Context — the household profile for an AI request
+// ============================================================
+//
+// Resolves who is eating — the whole household, or `eaters` from
+// the body or query, e.g. ["me", "Emma"] or "me,Emma" — and sets
+// req.dietaryContext = { dietaryRestrictions, allergens, profile }
+// with the merged lists (utils/householdProfile.js). An eater
+// outside the household answers 400.
+// ─────────────────────────────────────────────────────────────
+
+const { errorResponse } = require('../models/db');
+const { resolveHouseholdProfile } = require('../utils/householdProfile');
+
+const loadDietaryContext = async (req, res, next) => {
+  try {
+    const profile = await resolveHouseholdProfile(req.user.id, {
+      eaters: req.body?.eaters ?? req.query?.eaters,
+    });
+
+    if (profile.unknownEaters.length > 0) {
+      return errorResponse(res, 400, `Not in your household: ${profile.unknownEaters.join(', ')}`);
+    }
+
+    req.dietaryContext = {
+      dietaryRestrictions: profile.dietaryRestrictions,
+      allergens: profile.allergens,
+      profile,
+    };
+    next();
+  } catch (error) {
+    console.error('Dietary context error:', error);
+    errorResponse(res, 500, 'Failed to load household dietary profile');
+  }
+};
+
+module.exports = {
+  loadDietaryContext,
+};
@@ -0,0 +1,79 @@
+// src/middleware/listAccess.js
+// ============================================================
+// Shopping List Access — owner / editor / viewer roles
+// ============================================================
+//
+//   owner  — created the list; can edit, share, manage collaborators
+//   editor — can add, edit, check off and delete items
+//   viewer — read-only (can still watch live updates)
+// ─────────────────────────────────────────────────────────────
+
+const { query, errorResponse } = require('../models/db');
+
+const LIST_ROLES = ['owner', 'editor', 'viewer'];
+const COLLABORATOR_ROLES = ['editor', 'viewer'];
+
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+// Rows written before 005_list_roles.sql used 'member' for /join
+const normalizeRole = (role) => (role === 'member' || !role ? 'editor' : role);
+
+// ── Look up a user's access to a list ───────────────────────
+// Returns { list, role } or null when the user has no access.
+// Pass a transaction client to run inside a transaction.
+
+const getListAccess = async (listId, userId, client = null) => {
+  const runner = client || { query };
+  const result = await runner.query(
+    `SELECT sl.*,
+       CASE WHEN sl.user_id = $2 THEN 'owner' ELSE lc.role END AS access_role
+     FROM shopping_lists sl
+     LEFT JOIN list_collaborators lc ON sl.id = lc.list_id AND lc.user_id = $2
+     WHERE sl.id = $1 AND (sl.user_id = $2 OR lc.user_id = $2)`,
+    [listId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const { access_role: accessRole, ...list } = result.rows[0];
+  return { list, role: normalizeRole(accessRole) };
+};
+
+const hasListRole = (access, minimumRole) =>
+  Boolean(access) && ROLE_RANK[access.role] >= ROLE_RANK[minimumRole];
+
+// ── Route guard: require at least `minimumRole` on :id ──────
+// Sets req.listAccess for the handler.
+
+const requireListRole = (minimumRole, param = 'id') => async (req, res, next) => {
+  try {
+    const access = await getListAccess(req.params[param], req.user.id);
+
+    if (!access) {
+      return errorResponse(res, 404, 'List not found');
+    }
+
+    if (!hasListRole(access, minimumRole)) {
+      return errorResponse(res, 403, minimumRole === 'owner'
+        ? 'Only the list owner can do this'
+        : 'You have view-only access to this list');
+    }
+
+    req.listAccess = access;
+    next();
+  } catch (error) {
+    console.error('List access error:', error);
+    errorResponse(res, 500, 'Failed to verify list access');
+  }
+};
+
+module.exports = {
+  LIST_ROLES,
+  COLLABORATOR_ROLES,
+  normalizeRole,
+  getListAccess,
+  hasListRole,
+  requireListRole,
+};
@@ -1,33 +1,62 @@
 // src/routes/ai.js
 // ============================================================
-// AI Routes (OpenAI Integration) — GPT-Driven Mode Detection
+// AI Routes — GPT-Driven Mode Detection
 // ============================================================
+// Model calls go through utils/aiService.js, so every route works
+// with the OpenAI, OpenAI-compatible and fixture providers.
 
 const express = require('express');
-const { query, successResponse, errorResponse } = require('../models/db');
-const { authenticate } = require('../middleware/auth');
+const { query, transaction, successResponse, errorResponse } = require('../models/db');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { requireAIQuota } = require('../middleware/aiQuota');
+const { getListAccess, hasListRole } = require('../middleware/listAccess');
+const { loadDietaryContext } = require('../middleware/dietaryContext');
+const ai = require('../utils/aiService');
+const { PLAN_TIERS, quotaLimits, getQuotaStatus, isOverQuota } = require('../utils/aiUsage');
+const { openEventStream, writeEvent } = require('../utils/sse');
+const { createJSONStreamParser } = require('../utils/jsonStream');
+const {
+  DEFAULT_RECIPE_IMAGE,
+  buildListSystemPrompt,
+  buildListResponse,
+} = require('../utils/listGeneration');
+const {
+  THREAD_KINDS,
+  cleanTitle,
+  formatThread,
+  findThread,
+  loadThreadHistory,
+  saveThreadTurn,
+} = require('../utils/aiThreads');
+const {
+  formatAction,
+  attachActionsToThread,
+  confirmAction,
+  cancelAction,
+  runAssistant,
+} = require('../utils/assistantTools');
+const { screenEntries, screenListResult, screenListItem } = require('../utils/allergenSafety');
+const { resolveHouseholdProfile, describeProfile } = require('../utils/householdProfile');
+const { formatMealPlan, createMealPlan, addMealToPlan } = require('../utils/mealPlans');
+const { createRecipe } = require('../utils/recipes');
+const { RESTOCK_DUE_URGENCY, loadRestockPattern, restockReason } = require('../utils/restock');
 
 const router = express.Router();
 
 router.use(authenticate);
 
-let openai = null;
-try {
-  const OpenAI = require('openai');
-  openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-  });
-} catch (error) {
-  console.warn('OpenAI not configured. AI features will return mock data.');
-}
-
-const DEFAULT_RECIPE_IMAGE = 'https://images.unsplash.com/photo-1495521821757-a1efb6729352?w=600&h=400&fit=crop';
+// ── Helper: Generate recipe image ───────────────────────────
+// Falls back to the placeholder when the user is out of images for
+// today. Image URLs from the provider expire after about an hour,
+// so cached ones are only reused for IMAGE_CACHE_TTL_SECONDS.
 
-// ── Helper: Generate recipe image with DALL-E ───────────────
+const IMAGE_CACHE_TTL_SECONDS = 50 * 60;
 
-const generateRecipeImage = async (recipeTitle, recipeDescription, keyIngredients) => {
-  if (!openai || !recipeTitle) return DEFAULT_RECIPE_IMAGE;
+const generateRecipeImage = async (userId, recipeTitle, recipeDescription, keyIngredients) => {
+  if (!recipeTitle) return DEFAULT_RECIPE_IMAGE;
   try {
+    if (isOverQuota(await getQuotaStatus(userId), 'images')) return DEFAULT_RECIPE_IMAGE;
+
     // Build ingredient context for accuracy
     const ingredientText = keyIngredients && keyIngredients.length > 0
       ? `Key visible ingredients: ${keyIngredients.slice(0, 8).join(', ')}.`
@@ -42,148 +71,352 @@ const generateRecipeImage = async (recipeTitle, recipeDescription, keyIngredient
       `Do NOT add any text, labels, watermarks, or words to the image.`,
     ].filter(Boolean).join(' ');
 
-    const response = await openai.images.generate({
-      model: 'dall-e-3',
+    const imageUrl = await ai.generateImage({
+      task: 'recipe-image',
+      userId,
       prompt,
-      n: 1,
       size: '1024x1024',
-      quality: 'standard',
+      cacheKey: { title: recipeTitle, description: recipeDescription, ingredients: (keyIngredients || []).slice(0, 8) },
+      cacheTtl: IMAGE_CACHE_TTL_SECONDS,
     });
-    return response.data[0]?.url || DEFAULT_RECIPE_IMAGE;
+    return imageUrl || DEFAULT_RECIPE_IMAGE;
   } catch (error) {
-    console.error('DALL-E image generation error:', error.message);
+    console.error('Recipe image generation error:', error.message);
     return DEFAULT_RECIPE_IMAGE;
   }
 };
 
-// ── Helper: Get user context for AI ─────────────────────────
+// ── Helper: Cache key for a generation ──────────────────────
+// Answers depend on the request and the household's dietary
+// context, so requests with the same restrictions share one.
 
-const getUserContext = async (userId) => {
-  try {
-    const settingsResult = await query(
-      'SELECT dietary_restrictions, allergens FROM user_settings WHERE user_id = $1',
-      [userId]
-    );
+const generationCacheKey = (context, request) => ({
+  ...request,
+  dietaryContext: describeProfile(context.profile),
+});
 
-    const settings = settingsResult.rows[0] || {};
+// ── Helper: Build chat messages ─────────────────────────────
 
-    return {
-      dietaryRestrictions: settings.dietary_restrictions || [],
-      allergens: settings.allergens || [],
-    };
+const buildChatMessages = (context, message, conversationHistory = []) => {
+  const systemPrompt = `You are Smart Cart, a helpful AI shopping assistant.
+You help users with grocery shopping, meal planning, and recipe suggestions.
+
+${describeProfile(context.profile)}
+
+Be concise, friendly, and helpful. Always consider the dietary needs of everyone eating.
+When suggesting products, be specific with quantities.`;
+
+  return [
+    { role: 'system', content: systemPrompt },
+    ...conversationHistory.map(h => ({
+      role: h.role,
+      content: h.content,
+    })),
+    { role: 'user', content: message },
+  ];
+};
+
+// ── Helper: Resolve the conversation thread for a turn ──────
+// With a threadId the turn continues that thread, with history
+// from the database. Without one a new thread is started — unless
+// the client sent its own conversationHistory (older app versions),
+// in which case the turn is answered but not saved.
+// Returns { thread, history, persist } or { status, error }.
+
+const THREAD_ROUTES = { chat: '/api/ai/chat', list: '/api/ai/generate-list' };
+
+const resolveThreadTurn = async (userId, kind, { threadId, conversationHistory = [] }) => {
+  if (threadId) {
+    const thread = await findThread(threadId, userId);
+    if (!thread) return { status: 404, error: 'Conversation not found' };
+    if (thread.kind !== kind) {
+      return { status: 400, error: `This conversation continues with ${THREAD_ROUTES[thread.kind]}` };
+    }
+    return { thread, history: await loadThreadHistory(thread), persist: true };
+  }
+
+  if (Array.isArray(conversationHistory) && conversationHistory.length > 0) {
+    return { thread: null, history: conversationHistory, persist: false };
+  }
+  return { thread: null, history: [], persist: true };
+};
+
+// Best-effort: a failed save shouldn't cost the user the answer
+const recordThreadTurn = async (userId, kind, turn, userMessage, assistant, metadata = {}) => {
+  if (!turn.persist) return null;
+  try {
+    return await saveThreadTurn(userId, turn.thread, { kind, userMessage, assistant, metadata });
   } catch (error) {
-    return { dietaryRestrictions: [], allergens: [] };
+    console.error('Save AI thread error:', error.message);
+    return null;
   }
 };
 
+// ── Helper: Abort an AI stream when the client goes away ────
+
+const abortOnDisconnect = (res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  return controller.signal;
+};
+
 // ── POST /api/ai/chat ───────────────────────────────────────
+// Body: { message, threadId?, eaters? } — omit threadId to start a
+// thread. eaters: who the answer is for (middleware/dietaryContext.js).
+// Returns { response, suggestions, threadId }.
 
-router.post('/chat', async (req, res) => {
+const chat = async (req, res) => {
   try {
-    const { message, conversationHistory = [] } = req.body;
+    const { message } = req.body;
 
     if (!message) {
       return errorResponse(res, 400, 'Message is required');
     }
 
-    const context = await getUserContext(req.user.id);
-
-    if (!openai) {
-      return successResponse(res, {
-        response: `I'd be happy to help you with "${message}". As your shopping assistant, I can help you create lists, find recipes, and plan your meals. What would you like to do?`,
-        suggestions: ['Create a shopping list', 'Find a recipe', 'Plan my meals'],
-      });
+    const turn = await resolveThreadTurn(req.user.id, 'chat', req.body);
+    if (turn.error) {
+      return errorResponse(res, turn.status, turn.error);
     }
 
-    const systemPrompt = `You are Smart Cart, a helpful AI shopping assistant.
-You help users with grocery shopping, meal planning, and recipe suggestions.
+    const context = req.dietaryContext;
 
-User's dietary restrictions: ${context.dietaryRestrictions.join(', ') || 'None'}
-User's allergens: ${context.allergens.join(', ') || 'None'}
+    const response = await ai.chatText({
+      task: 'chat',
+      userId: req.user.id,
+      messages: buildChatMessages(context, message, turn.history),
+      input: { message },
+      maxTokens: 500,
+      temperature: 0.7,
+    });
 
-Be concise, friendly, and helpful. Always consider the user's dietary needs.
-When suggesting products, be specific with quantities.`;
+    const thread = await recordThreadTurn(req.user.id, 'chat', turn, message, response);
 
-    const messages = [
-      { role: 'system', content: systemPrompt },
-      ...conversationHistory.map(h => ({
-        role: h.role,
-        content: h.content,
-      })),
-      { role: 'user', content: message },
-    ];
+    successResponse(res, {
+      response,
+      suggestions: [],
+      threadId: thread ? thread.id : null,
+    });
+  } catch (error) {
+    console.error('AI chat error:', error);
+    errorResponse(res, 500, 'Failed to process message');
+  }
+};
+
+router.post('/chat', requireAIQuota('calls'), loadDietaryContext, chat);
+
+// ── POST /api/ai/chat/stream ────────────────────────────────
+// Same body as /chat, answered as Server-Sent Events:
+//   token { text }                             — each piece of the reply
+//   done  { response, suggestions, threadId }  — the whole reply, as /chat
+//   error { message }
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages,
-      max_tokens: 500,
+router.post('/chat/stream', requireAIQuota('calls'), loadDietaryContext, async (req, res) => {
+  const signal = abortOnDisconnect(res);
+  try {
+    const { message } = req.body;
+
+    if (!message) {
+      return errorResponse(res, 400, 'Message is required');
+    }
+
+    const turn = await resolveThreadTurn(req.user.id, 'chat', req.body);
+    if (turn.error) {
+      return errorResponse(res, turn.status, turn.error);
+    }
+
+    const context = req.dietaryContext;
+
+    openEventStream(res);
+
+    let response = '';
+    const stream = ai.streamChat({
+      task: 'chat',
+      userId: req.user.id,
+      messages: buildChatMessages(context, message, turn.history),
+      input: { message },
+      maxTokens: 500,
       temperature: 0.7,
+      signal,
     });
+    for await (const text of stream) {
+      response += text;
+      writeEvent(res, 'token', { text });
+    }
+
+    const thread = await recordThreadTurn(req.user.id, 'chat', turn, message, response);
+    writeEvent(res, 'done', { response, suggestions: [], threadId: thread ? thread.id : null });
+    res.end();
+  } catch (error) {
+    if (signal.aborted) return;
+    console.error('AI chat stream error:', error);
+    if (!res.headersSent) {
+      return errorResponse(res, 500, 'Failed to process message');
+    }
+    writeEvent(res, 'error', { message: 'Failed to process message' });
+    res.end();
+  }
+});
+
+// ── POST /api/ai/assistant ──────────────────────────────────
+// Body: { message, threadId? } — like /chat, but the assistant can
+// act for the user through the tools in utils/assistantTools.js
+// (lists, pantry, recipes, meal plans), with the same access checks
+// as those routes. Shares chat threads with /chat.
+// Returns { response, actions, pendingActions, threadId }:
+//   actions        — everything it did or tried, in order
+//   pendingActions — destructive changes waiting for
+//                    POST /api/ai/actions/:id/confirm
+
+const buildAssistantMessages = (context, message, history) => {
+  const [system, ...rest] = buildChatMessages(context, message, history);
+  return [
+    {
+      role: 'system',
+      content: `${system.content}
+
+You can act on the user's behalf with the tools provided: manage shopping lists, check the pantry, save recipes and add meals to meal plans.
+Only use a tool when the user asks for that change. When a tool reports confirmation_required, nothing has changed yet: tell the user what will happen and ask them to confirm.
+If a tool fails, explain why in one sentence. Never claim a change you did not make.`,
+    },
+    ...rest,
+  ];
+};
+
+router.post('/assistant', requireAIQuota('calls'), loadDietaryContext, async (req, res) => {
+  try {
+    const { message } = req.body;
+
+    if (!message) {
+      return errorResponse(res, 400, 'Message is required');
+    }
 
-    const response = completion.choices[0].message.content;
+    const turn = await resolveThreadTurn(req.user.id, 'chat', req.body);
+    if (turn.error) {
+      return errorResponse(res, turn.status, turn.error);
+    }
+
+    const context = req.dietaryContext;
+
+    const { response, actions } = await runAssistant(req.user.id, {
+      messages: buildAssistantMessages(context, message, turn.history),
+      message,
+      threadId: turn.thread ? turn.thread.id : null,
+    });
+
+    const actionIds = actions.map(action => action.id);
+    const thread = await recordThreadTurn(req.user.id, 'chat', turn, message, response, { actionIds });
+    if (thread && !turn.thread) {
+      await attachActionsToThread(actionIds, thread.id);
+    }
 
     successResponse(res, {
       response,
-      suggestions: [],
+      actions,
+      pendingActions: actions.filter(action => action.status === 'pending'),
+      threadId: thread ? thread.id : null,
     });
   } catch (error) {
-    console.error('AI chat error:', error);
+    console.error('AI assistant error:', error);
     errorResponse(res, 500, 'Failed to process message');
   }
 });
 
-// ── POST /api/ai/generate-recipe ────────────────────────────
+// ── GET /api/ai/actions ─────────────────────────────────────
+// The assistant's action log, newest first.
+// ?status=pending|completed|failed|cancelled|expired  ?threadId=
+// ?limit= (default 50, max 100)  ?offset=
 
-router.post('/generate-recipe', async (req, res) => {
+const ACTION_STATUSES = ['pending', 'confirmed', 'completed', 'failed', 'cancelled', 'expired'];
+
+router.get('/actions', async (req, res) => {
   try {
-    const { ingredients, cuisine, servings = 4, mealType } = req.body;
+    const { status, threadId } = req.query;
+    if (status && !ACTION_STATUSES.includes(status)) {
+      return errorResponse(res, 400, `Status must be one of: ${ACTION_STATUSES.join(', ')}`);
+    }
 
-    const context = await getUserContext(req.user.id);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
 
-    if (!openai) {
-      return successResponse(res, {
-        recipe: {
-          title: 'Quick Pasta Primavera',
-          description: 'A colorful and nutritious pasta dish loaded with fresh vegetables.',
-          category: mealType || 'Dinner',
-          difficulty: 'Easy',
-          time: '25 min',
-          servings,
-          ingredients: [
-            { name: 'Pasta', quantity: '1', unit: 'lb' },
-            { name: 'Bell peppers', quantity: '2', unit: 'medium' },
-            { name: 'Zucchini', quantity: '1', unit: 'medium' },
-            { name: 'Cherry tomatoes', quantity: '1', unit: 'cup' },
-            { name: 'Olive oil', quantity: '3', unit: 'tbsp' },
-            { name: 'Garlic', quantity: '3', unit: 'cloves' },
-            { name: 'Parmesan cheese', quantity: '1/2', unit: 'cup' },
-          ],
-          instructions: [
-            { step: 1, text: 'Cook pasta according to package directions.' },
-            { step: 2, text: 'Sauté garlic and vegetables in olive oil for 5 minutes.' },
-            { step: 3, text: 'Toss pasta with vegetables and top with parmesan.' },
-          ],
-          nutrition: { calories: 450, protein: 15, carbs: 65, fat: 14 },
-          imageUrl: DEFAULT_RECIPE_IMAGE,
-          isAIGenerated: true,
-        },
-      });
+    const result = await query(
+      `SELECT * FROM ai_actions
+       WHERE user_id = $1
+         AND ($2::text IS NULL OR status = $2)
+         AND ($3::uuid IS NULL OR thread_id = $3)
+       ORDER BY created_at DESC
+       LIMIT $4 OFFSET $5`,
+      [req.user.id, status || null, threadId || null, limit, offset]
+    );
+
+    successResponse(res, { actions: result.rows.map(formatAction), limit, offset });
+  } catch (error) {
+    console.error('Get AI actions error:', error);
+    errorResponse(res, 500, 'Failed to fetch actions');
+  }
+});
+
+// ── POST /api/ai/actions/:id/confirm ────────────────────────
+// Runs a pending action. Access is checked again at this point.
+// 404 unknown, 409 already resolved, 410 expired.
+
+router.post('/actions/:id/confirm', async (req, res) => {
+  try {
+    const outcome = await confirmAction(req.params.id, req.user.id);
+    if (outcome.error) {
+      return errorResponse(res, outcome.status, outcome.error);
     }
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [
-        {
-          role: 'system',
-          content: `You are an expert chef. Generate detailed recipes with precise ingredients and clear instructions. Always consider dietary restrictions and allergens. Respond in JSON format only.`
-        },
-        {
-          role: 'user',
-          content: `Generate a recipe with the following requirements:
+    successResponse(res, { action: outcome.action });
+  } catch (error) {
+    console.error('Confirm AI action error:', error);
+    errorResponse(res, 500, 'Failed to confirm action');
+  }
+});
+
+// ── POST /api/ai/actions/:id/cancel ─────────────────────────
+
+router.post('/actions/:id/cancel', async (req, res) => {
+  try {
+    const outcome = await cancelAction(req.params.id, req.user.id);
+    if (outcome.error) {
+      return errorResponse(res, outcome.status, outcome.error);
+    }
+
+    successResponse(res, { action: outcome.action });
+  } catch (error) {
+    console.error('Cancel AI action error:', error);
+    errorResponse(res, 500, 'Failed to cancel action');
+  }
+});
+
+// ── Helper: Request a recipe ────────────────────────────────
+// request: { title, ingredients, cuisine, servings, mealType }
+// Returns { recipe, allergenWarnings } with the ingredients checked
+// against the household's allergens. Used by /generate-recipe and
+// for the dishes of a saved meal plan.
+
+const requestRecipe = async (userId, context, { title, ingredients, cuisine, servings = 4, mealType }) => {
+  const recipe = await ai.chatJSON({
+    task: 'generate-recipe',
+    userId,
+    input: { title, ingredients, cuisine, servings, mealType },
+    cacheKey: generationCacheKey(context, { title, ingredients: ingredients || [], cuisine, servings, mealType }),
+    messages: [
+      {
+        role: 'system',
+        content: `You are an expert chef. Generate detailed recipes with precise ingredients and clear instructions. Always consider dietary restrictions and allergens. Respond in JSON format only.`
+      },
+      {
+        role: 'user',
+        content: `Generate a recipe with the following requirements:
+${title ? `- Dish: ${title}` : ''}
 ${ingredients ? `- Include these ingredients: ${ingredients.join(', ')}` : ''}
 ${cuisine ? `- Cuisine style: ${cuisine}` : ''}
 - Servings: ${servings}
 ${mealType ? `- Meal type: ${mealType}` : ''}
+${context.profile.eatingFor.length > 1 ? `- Cooking for: ${context.profile.eatingFor.map(({ name }) => name).join(', ')}` : ''}
 ${context.dietaryRestrictions.length ? `- Dietary restrictions: ${context.dietaryRestrictions.join(', ')}` : ''}
 ${context.allergens.length ? `- Avoid allergens: ${context.allergens.join(', ')}` : ''}
 
@@ -199,19 +432,32 @@ Respond in JSON:
   "instructions": [{"step": 1, "text": "instruction"}],
   "nutrition": {"calories": 350, "protein": 20, "carbs": 45, "fat": 12}
 }`
-        }
-      ],
-      response_format: { type: 'json_object' },
-      max_tokens: 1000,
-    });
+      }
+    ],
+    maxTokens: 1000,
+  });
+  recipe.isAIGenerated = true;
+
+  const screened = await screenEntries(recipe.ingredients, context.profile.allergenDetails, { path: 'recipe.ingredients' });
+  recipe.ingredients = screened.entries;
+
+  return { recipe, allergenWarnings: screened.warnings };
+};
 
-    const recipe = JSON.parse(completion.choices[0].message.content);
-    recipe.isAIGenerated = true;
+// ── POST /api/ai/generate-recipe ────────────────────────────
+
+router.post('/generate-recipe', requireAIQuota('calls'), loadDietaryContext, async (req, res) => {
+  try {
+    const { ingredients, cuisine, servings = 4, mealType } = req.body;
+
+    const context = req.dietaryContext;
+
+    const { recipe, allergenWarnings } = await requestRecipe(req.user.id, context, { ingredients, cuisine, servings, mealType });
 
-    const imageUrl = await generateRecipeImage(recipe.title, recipe.description);
+    const imageUrl = await generateRecipeImage(req.user.id, recipe.title, recipe.description);
     recipe.imageUrl = imageUrl;
 
-    successResponse(res, { recipe });
+    successResponse(res, { recipe, eatingFor: context.profile.eatingFor, allergenWarnings });
   } catch (error) {
     console.error('Generate recipe error:', error);
     errorResponse(res, 500, 'Failed to generate recipe');
@@ -219,43 +465,72 @@ Respond in JSON:
 });
 
 // ── POST /api/ai/generate-meal-plan ─────────────────────────
+// Body: { goal, dailyCalories, dietType, days (1–MAX_PLAN_DAYS,
+// default 7), eaters }. To save the plan instead of only returning
+// it:
+//   persist         true — creates the meal plan (is_ai_generated)
+//                   and all its meals in one transaction; answers
+//                   201 with `plan`
+//   name            plan name (default "7-Day Meal Plan")
+//   startDate       YYYY-MM-DD; endDate follows from days
+//   includeRecipes  true — also generates and saves a full recipe for
+//                   each distinct dish (up to MAX_PLAN_RECIPES), so
+//                   /api/meal-plans/:id/nutrition has real data.
+//                   Dishes are skipped once the daily AI limit is hit.
+
+const MAX_PLAN_DAYS = 14;
+const MAX_PLAN_RECIPES = 14;
+
+const dishKey = (name) => String(name).trim().toLowerCase();
+
+const planEndDate = (startDate, days) => {
+  const end = new Date(`${startDate}T00:00:00Z`);
+  end.setUTCDate(end.getUTCDate() + days - 1);
+  return end.toISOString().slice(0, 10);
+};
+
+// Returns { recipes: Map(dishKey → recipe), skipped, allergenWarnings }
+const requestPlanRecipes = async (userId, context, meals, servings) => {
+  const dishes = new Map();
+  for (const meal of meals) {
+    if (!dishes.has(dishKey(meal.recipeName))) dishes.set(dishKey(meal.recipeName), meal);
+  }
+
+  const recipes = new Map();
+  const skipped = [];
+  const allergenWarnings = [];
+  for (const [key, meal] of dishes) {
+    if (recipes.size >= MAX_PLAN_RECIPES || isOverQuota(await getQuotaStatus(userId), 'calls')) {
+      skipped.push(meal.recipeName);
+      continue;
+    }
+    try {
+      const generated = await requestRecipe(userId, context, { title: meal.recipeName, servings, mealType: meal.mealType });
+      recipes.set(key, generated.recipe);
+      allergenWarnings.push(...generated.allergenWarnings);
+    } catch (error) {
+      console.error(`Meal plan recipe error (${meal.recipeName}):`, error.message);
+      skipped.push(meal.recipeName);
+    }
+  }
+  return { recipes, skipped, allergenWarnings };
+};
 
-router.post('/generate-meal-plan', async (req, res) => {
+router.post('/generate-meal-plan', requireAIQuota('calls'), loadDietaryContext, async (req, res) => {
   try {
-    const { goal, dailyCalories = 2000, dietType, days = 7 } = req.body;
-
-    const context = await getUserContext(req.user.id);
-
-    if (!openai) {
-      const mockMeals = [];
-      const mealTypes = ['breakfast', 'lunch', 'dinner', 'snack'];
-      const sampleMeals = {
-        breakfast: ['Oatmeal with Berries', 'Greek Yogurt Parfait', 'Avocado Toast', 'Smoothie Bowl'],
-        lunch: ['Grilled Chicken Salad', 'Quinoa Bowl', 'Turkey Wrap', 'Vegetable Soup'],
-        dinner: ['Baked Salmon', 'Pasta Primavera', 'Grilled Chicken', 'Stir-Fry'],
-        snack: ['Apple with Almond Butter', 'Trail Mix', 'Hummus with Veggies', 'Protein Bar'],
-      };
-
-      for (let day = 1; day <= days; day++) {
-        mealTypes.forEach(type => {
-          const options = sampleMeals[type];
-          mockMeals.push({
-            dayNumber: day,
-            mealType: type,
-            recipeName: options[Math.floor(Math.random() * options.length)],
-            calories: type === 'snack' ? 150 : Math.floor(dailyCalories / 3.5),
-          });
-        });
-      }
+    const { goal, dailyCalories = 2000, dietType, persist = false, includeRecipes = false, name, startDate, servings = 4 } = req.body;
+    const days = Math.min(Math.max(parseInt(req.body.days) || 7, 1), MAX_PLAN_DAYS);
 
-      return successResponse(res, {
-        meals: mockMeals,
-        summary: { goal, dailyCalories, dietType, days },
-      });
+    if (persist && startDate && (!/^\d{4}-\d{2}-\d{2}$/.test(startDate) || Number.isNaN(Date.parse(startDate)))) {
+      return errorResponse(res, 400, 'startDate must be a date (YYYY-MM-DD)');
     }
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o',
+    const context = req.dietaryContext;
+
+    const result = await ai.chatJSON({
+      task: 'generate-meal-plan',
+      userId: req.user.id,
+      input: { goal, dailyCalories, dietType, days },
       messages: [
         {
           role: 'system',
@@ -267,6 +542,7 @@ router.post('/generate-meal-plan', async (req, res) => {
 - Goal: ${goal || 'General health'}
 - Daily calories: ${dailyCalories}
 - Diet type: ${dietType || 'Balanced'}
+${context.profile.eatingFor.length > 1 ? `- Cooking for: ${context.profile.eatingFor.map(({ name }) => name).join(', ')}` : ''}
 ${context.dietaryRestrictions.length ? `- Dietary restrictions: ${context.dietaryRestrictions.join(', ')}` : ''}
 ${context.allergens.length ? `- Avoid allergens: ${context.allergens.join(', ')}` : ''}
 
@@ -281,16 +557,66 @@ Respond in JSON:
 }`
         }
       ],
-      response_format: { type: 'json_object' },
-      max_tokens: 2000,
+      maxTokens: 2000,
     });
 
-    const result = JSON.parse(completion.choices[0].message.content);
+    // Meals the model put on days outside the plan are dropped
+    const planMeals = result.meals.filter(meal => Number.isInteger(meal.dayNumber)
+      && meal.dayNumber >= 1 && meal.dayNumber <= days);
+    const summary = { goal, dailyCalories, dietType, days };
 
-    successResponse(res, {
-      meals: result.meals,
-      summary: { goal, dailyCalories, dietType, days },
+    if (!persist) {
+      return successResponse(res, {
+        meals: planMeals,
+        summary,
+        eatingFor: context.profile.eatingFor,
+      });
+    }
+
+    // Recipes are generated before the transaction, so no connection
+    // is held open while the model writes them
+    const { recipes, skipped, allergenWarnings } = includeRecipes
+      ? await requestPlanRecipes(req.user.id, context, planMeals, servings)
+      : { recipes: new Map(), skipped: [], allergenWarnings: [] };
+
+    const saved = await transaction(async (client) => {
+      const plan = await createMealPlan(req.user.id, {
+        name: name || `${days}-Day Meal Plan`,
+        startDate: startDate || null,
+        endDate: startDate ? planEndDate(startDate, days) : null,
+        goal,
+        dailyCalories,
+        isAIGenerated: true,
+      }, client);
+
+      const recipeIds = new Map();
+      for (const [key, recipe] of recipes) {
+        const row = await createRecipe(req.user.id, { ...recipe, imageUrl: DEFAULT_RECIPE_IMAGE }, client);
+        recipeIds.set(key, row.id);
+      }
+
+      const meals = [];
+      for (const meal of planMeals) {
+        meals.push(await addMealToPlan(plan.id, {
+          dayNumber: meal.dayNumber,
+          mealType: meal.mealType,
+          recipeId: recipeIds.get(dishKey(meal.recipeName)) || null,
+          recipeName: meal.recipeName,
+          calories: meal.calories === undefined ? null : Math.round(meal.calories),
+        }, client));
+      }
+      return { plan, meals, recipesCreated: recipeIds.size };
     });
+
+    successResponse(res, {
+      plan: formatMealPlan(saved.plan, saved.meals),
+      meals: planMeals,
+      summary,
+      eatingFor: context.profile.eatingFor,
+      recipesCreated: saved.recipesCreated,
+      recipesSkipped: skipped,
+      allergenWarnings,
+    }, 201);
   } catch (error) {
     console.error('Generate meal plan error:', error);
     errorResponse(res, 500, 'Failed to generate meal plan');
@@ -299,14 +625,19 @@ Respond in JSON:
 
 // ── POST /api/ai/recommendations ────────────────────────────
 
-router.post('/recommendations', async (req, res) => {
+router.post('/recommendations', requireAIQuota('calls'), loadDietaryContext, async (req, res) => {
   try {
     const { listId } = req.body;
 
-    const context = await getUserContext(req.user.id);
+    const context = req.dietaryContext;
 
     let currentItems = [];
     if (listId) {
+      const access = await getListAccess(listId, req.user.id);
+      if (!hasListRole(access, 'viewer')) {
+        return errorResponse(res, 404, 'List not found');
+      }
+
       const itemsResult = await query(
         'SELECT name FROM list_items WHERE list_id = $1',
         [listId]
@@ -314,20 +645,10 @@ router.post('/recommendations', async (req, res) => {
       currentItems = itemsResult.rows.map(r => r.name);
     }
 
-    if (!openai) {
-      return successResponse(res, {
-        recommendations: [
-          { name: 'Milk', reason: 'Essential dairy staple', department: 'Dairy' },
-          { name: 'Eggs', reason: 'Versatile protein source', department: 'Dairy' },
-          { name: 'Bread', reason: 'Breakfast essential', department: 'Bakery' },
-          { name: 'Bananas', reason: 'Healthy snack option', department: 'Produce' },
-          { name: 'Chicken breast', reason: 'Lean protein', department: 'Meat' },
-        ],
-      });
-    }
-
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o',
+    const result = await ai.chatJSON({
+      task: 'recommendations',
+      userId: req.user.id,
+      input: { currentItems },
       messages: [
         {
           role: 'system',
@@ -349,13 +670,16 @@ Respond in JSON:
 }`
         }
       ],
-      response_format: { type: 'json_object' },
-      max_tokens: 500,
+      maxTokens: 500,
     });
 
-    const result = JSON.parse(completion.choices[0].message.content);
+    const screened = await screenEntries(result.recommendations, context.profile.allergenDetails, { path: 'recommendations' });
 
-    successResponse(res, { recommendations: result.recommendations });
+    successResponse(res, {
+      recommendations: screened.entries,
+      eatingFor: context.profile.eatingFor,
+      allergenWarnings: screened.warnings,
+    });
   } catch (error) {
     console.error('Get recommendations error:', error);
     errorResponse(res, 500, 'Failed to get recommendations');
@@ -364,39 +688,19 @@ Respond in JSON:
 
 // ── POST /api/ai/complementary-items ────────────────────────
 
-router.post('/complementary-items', async (req, res) => {
+router.post('/complementary-items', requireAIQuota('calls'), loadDietaryContext, async (req, res) => {
   try {
     const { items } = req.body;
+    const context = req.dietaryContext;
 
     if (!items || items.length === 0) {
-      return successResponse(res, { suggestions: [] });
-    }
-
-    if (!openai) {
-      const mockSuggestions = {
-        'pasta': ['marinara sauce', 'parmesan cheese', 'garlic bread'],
-        'bread': ['butter', 'jam', 'peanut butter'],
-        'chicken': ['rice', 'vegetables', 'olive oil'],
-        'eggs': ['bacon', 'cheese', 'bread'],
-      };
-
-      let suggestions = [];
-      items.forEach(item => {
-        const key = Object.keys(mockSuggestions).find(k =>
-          item.toLowerCase().includes(k)
-        );
-        if (key) {
-          suggestions.push(...mockSuggestions[key]);
-        }
-      });
-
-      return successResponse(res, {
-        suggestions: [...new Set(suggestions)].slice(0, 5),
-      });
+      return successResponse(res, { suggestions: [], eatingFor: context.profile.eatingFor, allergenWarnings: [] });
     }
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o',
+    const result = await ai.chatJSON({
+      task: 'complementary-items',
+      userId: req.user.id,
+      input: { items },
       messages: [
         {
           role: 'system',
@@ -407,17 +711,21 @@ router.post('/complementary-items', async (req, res) => {
           content: `Given these grocery items: ${items.join(', ')}
 
 Suggest 5 complementary items that would pair well or complete a meal.
+${describeProfile(context.profile)}
 
 Respond in JSON: {"suggestions": ["item1", "item2", "item3", "item4", "item5"]}`
         }
       ],
-      response_format: { type: 'json_object' },
-      max_tokens: 200,
+      maxTokens: 200,
     });
 
-    const result = JSON.parse(completion.choices[0].message.content);
+    const screened = await screenEntries(result.suggestions, context.profile.allergenDetails, { path: 'suggestions' });
 
-    successResponse(res, { suggestions: result.suggestions });
+    successResponse(res, {
+      suggestions: screened.entries,
+      eatingFor: context.profile.eatingFor,
+      allergenWarnings: screened.warnings,
+    });
   } catch (error) {
     console.error('Complementary items error:', error);
     errorResponse(res, 500, 'Failed to get suggestions');
@@ -468,8 +776,10 @@ router.post('/optimize-route', async (req, res) => {
 });
 
 // ── POST /api/ai/recognize-image ────────────────────────────
+// Names what's in the photo. To stock the pantry from a photo of
+// the fridge, use POST /api/pantry/photo-scans.
 
-router.post('/recognize-image', async (req, res) => {
+router.post('/recognize-image', requireAIQuota('calls'), async (req, res) => {
   try {
     const { imageBase64 } = req.body;
 
@@ -477,42 +787,15 @@ router.post('/recognize-image', async (req, res) => {
       return errorResponse(res, 400, 'Image data is required');
     }
 
-    if (!openai) {
-      return successResponse(res, {
-        products: [
-          { name: 'Apple', confidence: 0.95, department: 'Produce' },
-          { name: 'Banana', confidence: 0.88, department: 'Produce' },
-        ],
-      });
-    }
-
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [
-        {
-          role: 'system',
-          content: `You are a grocery product identification expert. Analyze images to identify food items, brands, and products with high accuracy. Respond in JSON format only.`
-        },
-        {
-          role: 'user',
-          content: [
-            {
-              type: 'text',
-              text: 'Identify the grocery products in this image. Respond in JSON: {"products": [{"name": "Product", "confidence": 0.95, "department": "Store department"}]}'
-            },
-            {
-              type: 'image_url',
-              image_url: { url: `data:image/jpeg;base64,${imageBase64}` }
-            }
-          ],
-        },
-      ],
-      response_format: { type: 'json_object' },
-      max_tokens: 500,
+    const result = await ai.vision({
+      task: 'recognize-image',
+      userId: req.user.id,
+      system: 'You are a grocery product identification expert. Analyze images to identify food items, brands, and products with high accuracy. Respond in JSON format only.',
+      prompt: 'Identify the grocery products in this image. Respond in JSON: {"products": [{"name": "Product", "confidence": 0.95, "department": "Store department"}]}',
+      images: [{ base64: imageBase64 }],
+      maxTokens: 500,
     });
 
-    const result = JSON.parse(response.choices[0].message.content);
-
     successResponse(res, { products: result.products });
   } catch (error) {
     console.error('Image recognition error:', error);
@@ -542,9 +825,21 @@ router.post('/recognize-image', async (req, res) => {
 //   "Teach me to make pasta"          → recipe
 //   "What's a good substitute for butter?" → chat
 //   "How long does chicken last in the fridge?" → chat
+//
+// Body: { prompt, threadId?, eaters?, latitude?, longitude? }.
+// Every answer is saved to a thread (threadId in the response);
+// send it back to revise the answer, e.g. "make it vegetarian
+// instead".
+//
+// The restrictions and allergens of whoever is eating apply: the
+// whole household, or just `eaters`
+// (middleware/dietaryContext.js), returned as `eatingFor`. Items
+// and ingredients are checked against their allergens
+// (utils/allergenSafety.js): unsafe ones are swapped or flagged,
+// and listed in `allergenWarnings`.
 // ─────────────────────────────────────────────────────────────
 
-router.post('/generate-list', async (req, res) => {
+const generateList = async (req, res) => {
   try {
     const { prompt } = req.body;
 
@@ -552,234 +847,298 @@ router.post('/generate-list', async (req, res) => {
       return errorResponse(res, 400, 'Prompt is required');
     }
 
-    if (!openai) {
-      return errorResponse(res, 503, 'AI service is temporarily unavailable. Please try again later.');
+    const turn = await resolveThreadTurn(req.user.id, 'list', req.body);
+    if (turn.error) {
+      return errorResponse(res, turn.status, turn.error);
+    }
+
+    const context = req.dietaryContext;
+
+    let result;
+    try {
+      result = await ai.chatJSON({
+        task: 'generate-list',
+        userId: req.user.id,
+        input: { prompt },
+        // Follow-ups depend on the conversation, so only first turns are cached
+        ...(turn.history.length === 0 ? { cacheKey: generationCacheKey(context, { prompt }) } : {}),
+        messages: [
+          { role: 'system', content: buildListSystemPrompt(context) },
+          ...turn.history,
+          { role: 'user', content: prompt },
+        ],
+        maxTokens: 2000,
+        temperature: 0.7,
+      });
+    } catch (parseError) {
+      console.error('Failed to parse AI response:', parseError);
+      return errorResponse(res, 500, 'Failed to process AI response. Please try again.');
     }
 
-    const context = await getUserContext(req.user.id);
+    const screened = await screenListResult(result, context.profile.allergenDetails);
+    const response = await buildListResponse(screened.result, req.body);
+    const thread = await recordThreadTurn(req.user.id, 'list', turn, prompt, screened.result, { mode: response.mode });
+
+    successResponse(res, {
+      ...response,
+      eatingFor: context.profile.eatingFor,
+      allergenWarnings: screened.warnings,
+      threadId: thread ? thread.id : null,
+    });
+  } catch (error) {
+    console.error('Generate list error:', error);
+    errorResponse(res, 500, 'AI service error. Please try again.');
+  }
+};
 
-    const systemPrompt = `You are Smart Cart, an expert AI shopping assistant, chef, and meal planner.
+router.post('/generate-list', requireAIQuota('calls'), loadDietaryContext, generateList);
+
+// ── POST /api/ai/generate-list/stream ───────────────────────
+// Same body as /generate-list, answered as Server-Sent Events
+// while the model is still writing its JSON:
+//   mode       { mode }
+//   list_name  { listName }
+//   suggestion { index, suggestion }  — shopping items, or chat follow-ups
+//   recipe     { index, recipe }
+//   course     { index, course }
+//   done       { ...the /generate-list response, with database prices and threadId }
+//   error      { message }
+// Streamed items are allergen-checked but carry the model's
+// estimated prices and haven't been schema-checked; `done` has the
+// cross-referenced, validated ones (a repaired answer may differ
+// from what streamed).
+
+const LIST_STREAM_ITEMS = {
+  suggestions: 'suggestion',
+  recipes: 'recipe',
+  courses: 'course',
+};
 
-User's dietary restrictions: ${context.dietaryRestrictions.join(', ') || 'None'}
-User's allergens: ${context.allergens.join(', ') || 'None'}
+router.post('/generate-list/stream', requireAIQuota('calls'), loadDietaryContext, async (req, res) => {
+  const signal = abortOnDisconnect(res);
+  try {
+    const { prompt } = req.body;
 
-Analyze the user's message and determine the best response mode:
+    if (!prompt) {
+      return errorResponse(res, 400, 'Prompt is required');
+    }
 
-MODE 1 — "shopping_list": User wants items to buy (groceries, supplies, ingredients for a quick meal).
-MODE 2 — "recipe": User wants a recipe, cooking instructions, or asks how to make/cook/prepare something.
-MODE 3 — "full_course": User wants a multi-course meal, dinner party menu, or complete dining experience.
-MODE 4 — "chat": User is asking a general food/cooking question, seeking advice, or making conversation that doesn't need a list or recipe. Examples: substitution questions, food storage tips, cooking techniques, nutrition questions.
+    const turn = await resolveThreadTurn(req.user.id, 'list', req.body);
+    if (turn.error) {
+      return errorResponse(res, turn.status, turn.error);
+    }
 
-You MUST include a "mode" field in your response so the app knows how to display the results.
+    const context = req.dietaryContext;
 
-Respond in JSON with ONE of these structures based on your chosen mode:
+    openEventStream(res);
 
-If mode is "shopping_list":
-{
-  "mode": "shopping_list",
-  "listName": "IMPORTANT: Create a clean, short title (2-4 words). NEVER repeat the user's words. Extract ONLY the dish or purpose. Examples: user says 'show me how to make spaghetti bolognese' → 'Spaghetti Bolognese Ingredients'. User says 'tell me how to prepare ethiopian shiro' → 'Ethiopian Shiro Ingredients'. User says 'give me a recipe for chicken curry' → 'Chicken Curry Ingredients'. User says 'I need stuff for a BBQ' → 'BBQ Essentials'.",
-  "suggestions": [{"item": "milk", "category": "dairy", "reason": "essential staple", "price": 3.49}],
-  "message": "friendly summary"
-}
+    // Product lookups made screening streamed items, reused when the
+    // final answer is screened
+    const productCache = new Map();
 
-If mode is "recipe":
-{
-  "mode": "recipe",
-  "listName": "Short clean title — dish name + 'Ingredients' (e.g. 'Spaghetti Bolognese Ingredients'). NEVER repeat user's command.",
-  "suggestions": [{"item": "ground beef", "category": "meat", "reason": "main protein", "price": 6.99}],
-  "recipes": [{
-    "title": "Recipe Name",
-    "description": "Brief description",
-    "category": "Breakfast|Lunch|Dinner|Desserts",
-    "ingredients": [{"item": "ground beef", "quantity": "2", "unit": "lbs", "category": "meat", "price": 6.99}],
-    "instructions": ["Step 1...", "Step 2..."],
-    "prepTime": 25,
-    "servings": 4,
-    "difficulty": "Easy|Medium|Hard",
-    "tags": ["Must include one or more of: 'breakfast','lunch','dinner','snack','dessert'. Also include if applicable: 'quick_easy','healthy','vegetarian','vegan','gluten_free'"]
-  }],
-  "message": "friendly summary"
-}
-
-If mode is "full_course":
-{
-  "mode": "full_course",
-  "listName": "Short clean title — meal theme + serving (e.g. 'Steak Dinner for Two'). NEVER repeat user's command.",
-  "courses": [{
-    "courseType": "appetizer|main|side|dessert|beverage",
-    "dishName": "Dish Name",
-    "description": "Brief description",
-    "ingredients": [{"item": "name", "quantity": "1", "unit": "lb", "category": "meat", "price": 5.99}],
-    "prepTime": 30,
-    "difficulty": "Easy|Medium|Hard"
-  }],
-  "mealTheme": "Theme name",
-  "servings": 4,
-  "message": "friendly summary"
-}
-
-If mode is "chat":
-{
-  "mode": "chat",
-  "response": "Your helpful, conversational answer here.",
-  "suggestions": ["Follow-up suggestion 1", "Follow-up suggestion 2", "Follow-up suggestion 3"],
-  "message": "friendly summary"
-}
-
-Important rules:
-- If the user has dietary restrictions, mention them but don't force them. Give classic recipes unless the user explicitly asks for alternatives.
-- Be specific with ingredient quantities
-- For recipes, include both the shopping list items AND the recipe details
-- For full course, include all courses (appetizer, main, side, dessert)
-- For chat, be concise, friendly, and actionable — suggest next steps the user might want to take
-- Choose the mode that BEST matches the user's true intent, not just keywords
-- For all suggestions, estimate realistic US grocery store prices in USD for each item. Never use 0.00 as a price.`;
-
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o',
+    // Screening is async; events are chained so they keep the
+    // model's order, and a failure surfaces at `await streamed`
+    let mode = null;
+    let streamed = Promise.resolve();
+    const enqueue = (step) => {
+      streamed = streamed.then(step);
+      streamed.catch(() => {});
+    };
+    const parser = createJSONStreamParser({
+      onField: (key, value) => {
+        if (key === 'mode') mode = value;
+        enqueue(() => {
+          if (key === 'mode') writeEvent(res, 'mode', { mode: value });
+          if (key === 'listName') writeEvent(res, 'list_name', { listName: value });
+        });
+      },
+      onArrayItem: (key, index, value) => {
+        const event = LIST_STREAM_ITEMS[key];
+        if (!event) return;
+        const itemMode = mode;
+        enqueue(async () => {
+          const screened = await screenListItem(key, index, value, context.profile.allergenDetails, itemMode, { productCache });
+          const item = event === 'recipe' ? { ...screened, imageUrl: DEFAULT_RECIPE_IMAGE } : screened;
+          writeEvent(res, event, { index, [event]: item });
+        });
+      },
+    });
+
+    const request = {
+      task: 'generate-list',
+      userId: req.user.id,
+      input: { prompt },
+      json: true,
+      ...(turn.history.length === 0 ? { cacheKey: generationCacheKey(context, { prompt }) } : {}),
       messages: [
-        { role: 'system', content: systemPrompt },
+        { role: 'system', content: buildListSystemPrompt(context) },
+        ...turn.history,
         { role: 'user', content: prompt },
       ],
-      response_format: { type: 'json_object' },
-      max_tokens: 2000,
+      maxTokens: 2000,
       temperature: 0.7,
+      signal,
+    };
+    for await (const text of ai.streamChat(request)) {
+      parser.write(text);
+    }
+    await streamed;
+
+    // Re-prompted (without streaming) or replaced when invalid
+    const result = await ai.validateJSONText(request, parser.text());
+
+    const screened = await screenListResult(result, context.profile.allergenDetails, { productCache });
+    const response = await buildListResponse(screened.result, req.body);
+    const thread = await recordThreadTurn(req.user.id, 'list', turn, prompt, screened.result, { mode: response.mode });
+
+    writeEvent(res, 'done', {
+      ...response,
+      eatingFor: context.profile.eatingFor,
+      allergenWarnings: screened.warnings,
+      threadId: thread ? thread.id : null,
     });
+    res.end();
+  } catch (error) {
+    if (signal.aborted) return;
+    console.error('Generate list stream error:', error);
+    if (!res.headersSent) {
+      return errorResponse(res, 500, 'AI service error. Please try again.');
+    }
+    writeEvent(res, 'error', { message: 'AI service error. Please try again.' });
+    res.end();
+  }
+});
 
-    let result;
-    try {
-      result = JSON.parse(completion.choices[0].message.content);
-    } catch (parseError) {
-      console.error('Failed to parse AI response:', parseError);
-      return errorResponse(res, 500, 'Failed to process AI response. Please try again.');
+// ── GET /api/ai/threads ─────────────────────────────────────
+// ?kind=chat|list  ?limit= (default 50, max 100)  ?offset=
+
+router.get('/threads', async (req, res) => {
+  try {
+    const { kind } = req.query;
+    if (kind && !THREAD_KINDS.includes(kind)) {
+      return errorResponse(res, 400, `Kind must be one of: ${THREAD_KINDS.join(', ')}`);
     }
 
-    const mode = result.mode || 'shopping_list';
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
 
-    // ── Image generation logic ──────────────────────────────
-    // recipe mode:      one image per recipe (usually just 1 recipe)
-    // full_course mode: one hero image for the meal theme (not per course)
-    // chat/shopping:    no images needed
+    const result = await query(
+      `SELECT t.*,
+         (SELECT LEFT(m.content, 120) FROM ai_thread_messages m
+          WHERE m.thread_id = t.id AND m.role = 'user'
+          ORDER BY m.seq DESC LIMIT 1) AS preview
+       FROM ai_threads t
+       WHERE t.user_id = $1 AND ($2::text IS NULL OR t.kind = $2)
+       ORDER BY t.last_message_at DESC
+       LIMIT $3 OFFSET $4`,
+      [req.user.id, kind || null, limit, offset]
+    );
 
-    // Assign placeholder images — real images load async via /api/ai/generate-image
-    if (mode === 'recipe' && result.recipes && result.recipes.length > 0) {
-      result.recipes = result.recipes.map(recipe => ({
-        ...recipe,
-        imageUrl: DEFAULT_RECIPE_IMAGE,
-      }));
+    successResponse(res, { threads: result.rows.map(row => formatThread(row)), limit, offset });
+  } catch (error) {
+    console.error('Get AI threads error:', error);
+    errorResponse(res, 500, 'Failed to fetch conversations');
+  }
+});
+
+// ── GET /api/ai/threads/:id ─────────────────────────────────
+// The whole conversation, oldest message first
+
+router.get('/threads/:id', async (req, res) => {
+  try {
+    const thread = await findThread(req.params.id, req.user.id);
+    if (!thread) {
+      return errorResponse(res, 404, 'Conversation not found');
     }
-    let heroImageUrl = DEFAULT_RECIPE_IMAGE;
 
-    // ── Build response based on mode ────────────────────────
+    const messages = await query(
+      'SELECT * FROM ai_thread_messages WHERE thread_id = $1 ORDER BY seq',
+      [thread.id]
+    );
 
-    const response = {
-      mode,
-      message: result.message || 'Here are your results!',
-    };
+    successResponse(res, { thread: formatThread(thread, messages.rows) });
+  } catch (error) {
+    console.error('Get AI thread error:', error);
+    errorResponse(res, 500, 'Failed to fetch conversation');
+  }
+});
 
-    // ── Cross-reference AI prices with real product data ──
-    const { latitude: userLat, longitude: userLng } = req.body;
-    const crossRefPrices = async (items) => {
-      if (!items || items.length === 0) return items;
-      try {
-        for (let i = 0; i < items.length; i++) {
-          const itemName = items[i].item || items[i].name || '';
-          if (!itemName) continue;
+// ── POST /api/ai/threads/:id/messages ───────────────────────
+// Continue a thread: { message } — answered by /chat or
+// /generate-list depending on the thread's kind.
 
-          // Search products table for a match
-          const match = await query(
-            `SELECT p.barcode, p.name, p.brand, p.price, p.image_url
-             FROM products p
-             WHERE LOWER(p.name) LIKE $1
-             ORDER BY p.price DESC
-             LIMIT 1`,
-            [`%${itemName.toLowerCase()}%`]
-          );
+router.post('/threads/:id/messages', requireAIQuota('calls'), loadDietaryContext, async (req, res) => {
+  try {
+    const thread = await findThread(req.params.id, req.user.id);
+    if (!thread) {
+      return errorResponse(res, 404, 'Conversation not found');
+    }
 
-          if (match.rows.length > 0) {
-            const prod = match.rows[0];
-            let bestPrice = parseFloat(prod.price) || 0;
-
-            // Check market price if location available
-            if (userLat && userLng && prod.barcode) {
-              try {
-                const mp = await query(
-                  `SELECT price FROM market_prices
-                   WHERE barcode = $1
-                     AND (6371 * acos(
-                       cos(radians($2)) * cos(radians(latitude)) *
-                       cos(radians(longitude) - radians($3)) +
-                       sin(radians($2)) * sin(radians(latitude))
-                     )) < 80.5
-                   ORDER BY (6371 * acos(
-                       cos(radians($2)) * cos(radians(latitude)) *
-                       cos(radians(longitude) - radians($3)) +
-                       sin(radians($2)) * sin(radians(latitude))
-                     ))
-                   LIMIT 1`,
-                  [prod.barcode, userLat, userLng]
-                );
-                if (mp.rows.length > 0) {
-                  bestPrice = parseFloat(mp.rows[0].price);
-                }
-              } catch (e) {}
-            }
+    const { message } = req.body;
+    req.body = { ...req.body, threadId: thread.id, message, prompt: req.body.prompt || message };
 
-            if (bestPrice > 0) {
-              items[i].price = bestPrice;
-              items[i].priceSource = 'database';
-            }
-            if (prod.brand) items[i].brand = prod.brand;
-          }
-        }
-      } catch (err) {
-        console.error('Price cross-reference error:', err.message);
-      }
-      return items;
-    };
+    return thread.kind === 'list' ? generateList(req, res) : chat(req, res);
+  } catch (error) {
+    console.error('Continue AI thread error:', error);
+    errorResponse(res, 500, 'Failed to continue conversation');
+  }
+});
 
-    if (mode === 'shopping_list') {
-      response.suggestions = await crossRefPrices(result.suggestions || []);
-    } else if (mode === 'recipe') {
-      response.suggestions = await crossRefPrices(result.suggestions || []);
-      response.recipes = result.recipes || [];
-      // Also cross-ref recipe ingredients
-      for (let r = 0; r < response.recipes.length; r++) {
-        if (response.recipes[r].ingredients) {
-          response.recipes[r].ingredients = await crossRefPrices(response.recipes[r].ingredients);
-        }
-      }
-    } else if (mode === 'full_course') {
-      response.courses = result.courses || [];
-      for (let c = 0; c < response.courses.length; c++) {
-        if (response.courses[c].ingredients) {
-          response.courses[c].ingredients = await crossRefPrices(response.courses[c].ingredients);
-        }
-      }
-      response.mealTheme = result.mealTheme || '';
-      response.servings = result.servings || 4;
-      response.heroImageUrl = heroImageUrl || DEFAULT_RECIPE_IMAGE;
-    } else if (mode === 'chat') {
-      response.response = result.response || result.message || '';
-      response.suggestions = result.suggestions || [];
+// ── PUT /api/ai/threads/:id ─────────────────────────────────
+// Body: { title }
+
+router.put('/threads/:id', async (req, res) => {
+  try {
+    const title = cleanTitle(req.body.title);
+    if (!title) {
+      return errorResponse(res, 400, 'Title is required');
     }
 
-    successResponse(res, response);
+    const result = await query(
+      `UPDATE ai_threads SET title = $1, updated_at = NOW()
+       WHERE id = $2 AND user_id = $3
+       RETURNING *`,
+      [title, req.params.id, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      return errorResponse(res, 404, 'Conversation not found');
+    }
+
+    successResponse(res, { thread: formatThread(result.rows[0]) });
   } catch (error) {
-    console.error('Generate list error:', error);
-    errorResponse(res, 500, 'AI service error. Please try again.');
+    console.error('Rename AI thread error:', error);
+    errorResponse(res, 500, 'Failed to rename conversation');
+  }
+});
+
+// ── DELETE /api/ai/threads/:id ──────────────────────────────
+
+router.delete('/threads/:id', async (req, res) => {
+  try {
+    const result = await query(
+      'DELETE FROM ai_threads WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      return errorResponse(res, 404, 'Conversation not found');
+    }
+
+    successResponse(res, { message: 'Conversation deleted' });
+  } catch (error) {
+    console.error('Delete AI thread error:', error);
+    errorResponse(res, 500, 'Failed to delete conversation');
   }
 });
 
 // ── POST /api/ai/transcribe ─────────────────────────────────
 //
-// Speech-to-text via OpenAI Whisper.
-// Receives base64-encoded audio from the mobile app,
-// writes to a temp file, sends to Whisper, returns text.
-// The frontend then feeds the text into /generate-list.
+// Speech-to-text (Whisper on OpenAI).
+// Receives base64-encoded audio from the mobile app and
+// returns the text. The frontend then feeds the text into
+// /generate-list.
 // ─────────────────────────────────────────────────────────────
 
-router.post('/transcribe', async (req, res) => {
+router.post('/transcribe', requireAIQuota('calls'), async (req, res) => {
   try {
     const { audio } = req.body;
 
@@ -787,29 +1146,15 @@ router.post('/transcribe', async (req, res) => {
       return errorResponse(res, 400, 'Audio data is required');
     }
 
-    if (!openai) {
-      return errorResponse(res, 503, 'AI service is temporarily unavailable.');
-    }
-
-    const fs = require('fs');
-    const path = require('path');
-    const os = require('os');
-
-    const tempPath = path.join(os.tmpdir(), `recording-${Date.now()}.m4a`);
-    const audioBuffer = Buffer.from(audio, 'base64');
-    fs.writeFileSync(tempPath, audioBuffer);
-
-    try {
-      const transcription = await openai.audio.transcriptions.create({
-        model: 'whisper-1',
-        file: fs.createReadStream(tempPath),
-        language: 'en',
-      });
+    const text = await ai.transcribe({
+      task: 'transcribe',
+      userId: req.user.id,
+      audio: Buffer.from(audio, 'base64'),
+      filename: 'recording.m4a',
+      language: 'en',
+    });
 
-      successResponse(res, { text: transcription.text });
-    } finally {
-      try { fs.unlinkSync(tempPath); } catch (e) { /* cleanup best-effort */ }
-    }
+    successResponse(res, { text });
   } catch (error) {
     console.error('Transcription error:', error);
     errorResponse(res, 500, 'Failed to transcribe audio. Please try again.');
@@ -818,13 +1163,13 @@ router.post('/transcribe', async (req, res) => {
 
 // ── POST /api/ai/generate-image ─────────────────────────────
 // Async image generation — called AFTER results are rendered
-router.post('/generate-image', async (req, res) => {
+router.post('/generate-image', requireAIQuota('images'), async (req, res) => {
   try {
     const { title, description, ingredients } = req.body;
     if (!title) {
       return errorResponse(res, 400, 'Title is required');
     }
-    const imageUrl = await generateRecipeImage(title, description || '', ingredients || []);
+    const imageUrl = await generateRecipeImage(req.user.id, title, description || '', ingredients || []);
     successResponse(res, { imageUrl });
   } catch (error) {
     console.error('Generate image error:', error);
@@ -841,39 +1186,41 @@ router.post('/price-items', async (req, res) => {
       return errorResponse(res, 400, 'Items array is required');
     }
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages: [
-        {
-          role: 'system',
-         content: `You are a grocery pricing and nutrition assistant. Given a list of item names, return a JSON array with a specific product name (include brand, size/weight), estimated US grocery store price in USD, department category, key ingredients, allergens present, and dietary tags.
+    let result;
+    try {
+      // Over the daily limit, list editing keeps working on default prices
+      if (isOverQuota(await getQuotaStatus(req.user.id), 'calls')) {
+        throw new Error('Daily AI limit reached');
+      }
+
+      const parsed = await ai.chatJSON({
+        task: 'price-items',
+        userId: req.user.id,
+        input: { items },
+        cacheKey: { items },
+        messages: [
+          {
+            role: 'system',
+            content: `You are a grocery pricing and nutrition assistant. Given a list of item names, return a JSON object whose "items" array has a specific product name (include brand, size/weight), estimated US grocery store price in USD, department category, key ingredients, allergens present, and dietary tags.
   Make names specific: "milk" becomes "Great Value Whole Milk 1 Gallon", "eggs" becomes "Great Value Large Eggs 12 ct".
   IMPORTANT: For items in weight-based departments (produce, deli, meat, seafood, bulk), return "price_per_lb" instead of a flat price. Set "price" to 0 for these items. Examples: bananas $0.68/lb, chicken breast $3.99/lb, sliced turkey $8.99/lb, salmon $9.99/lb.
   For all other departments, return a flat "price" as usual and omit "price_per_lb".
   Respond ONLY with JSON, no markdown or explanation:
-  [{"name": "Great Value Whole Milk 1 Gallon", "price": 3.36, "department": "dairy", "ingredients": "whole milk, vitamin D3", "allergens": ["dairy"], "dietary": ["gluten-free", "vegetarian"]},
-   {"name": "Bananas", "price": 0, "price_per_lb": 0.68, "department": "produce", "ingredients": "banana", "allergens": [], "dietary": ["vegan", "gluten-free"]}]
+  {"items": [{"name": "Great Value Whole Milk 1 Gallon", "price": 3.36, "department": "dairy", "ingredients": "whole milk, vitamin D3", "allergens": ["dairy"], "dietary": ["gluten-free", "vegetarian"]},
+   {"name": "Bananas", "price": 0, "price_per_lb": 0.68, "department": "produce", "ingredients": "banana", "allergens": [], "dietary": ["vegan", "gluten-free"]}]}
   Valid departments: dairy, bakery, produce, meat, seafood, frozen, beverages, snacks, pantry, household, other, deli, bulk
   Valid allergens: dairy, eggs, peanuts, tree nuts, wheat, soy, fish, shellfish, sesame
   Valid dietary: vegetarian, vegan, gluten-free, keto, paleo, kosher, halal, organic, sugar-free, low-sodium, dairy-free, lactose-free`
-        },
-        { role: 'user', content: items.join(', ') },
-      ],
-      response_format: { type: 'json_object' },
-      max_tokens: 500,
-      temperature: 0.3,
-    });
-
-    let result;
-    try {
-      const raw = completion.choices[0].message.content;
-      console.log('price-items GPT raw response:', raw);
-      const parsed = JSON.parse(raw);
-      result = Array.isArray(parsed) ? parsed
-        : parsed.items || parsed.data || parsed.results || Object.values(parsed).find(v => Array.isArray(v))
-        || [parsed];
+          },
+          { role: 'user', content: items.join(', ') },
+        ],
+        maxTokens: 500,
+        temperature: 0.3,
+      });
+      result = parsed.items;
       console.log('price-items parsed result:', JSON.stringify(result));
     } catch (e) {
+      console.error('Price items AI error (using defaults):', e.message);
       result = items.map(name => ({ name, price: 2.99, department: 'grocery' }));
     }
 
@@ -907,7 +1254,18 @@ router.post('/price-items', async (req, res) => {
       console.error('Barcode matching error (non-fatal):', matchErr.message);
     }
 
-    successResponse(res, { items: result });
+    // Flag household allergens — items the user typed are never swapped
+    let allergenWarnings = [];
+    try {
+      const profile = await resolveHouseholdProfile(req.user.id);
+      const screened = await screenEntries(result, profile.allergenDetails, { path: 'items', replace: false });
+      result = screened.entries;
+      allergenWarnings = screened.warnings;
+    } catch (allergenErr) {
+      console.error('Allergen check error (non-fatal):', allergenErr.message);
+    }
+
+    successResponse(res, { items: result, allergenWarnings });
   } catch (error) {
     console.error('Price items error:', error);
     // Fallback — return items with default prices
@@ -921,52 +1279,22 @@ router.post('/price-items', async (req, res) => {
 // Analyze purchase frequency and predict what the user needs to restock
 router.get('/smart-suggestions', authenticate, async (req, res) => {
   try {
-    // Get items the user has added 2+ times with their frequency pattern
-    const result = await query(
-      `SELECT 
-         li.name,
-         li.department,
-         li.barcode,
-         COUNT(*) as times_added,
-         MAX(li.created_at) as last_added,
-         MIN(li.created_at) as first_added,
-         ROUND(EXTRACT(EPOCH FROM (MAX(li.created_at) - MIN(li.created_at))) / 
-           NULLIF(COUNT(*) - 1, 0) / 86400) as avg_days_between,
-         ROUND(EXTRACT(EPOCH FROM (NOW() - MAX(li.created_at))) / 86400) as days_since_last
-       FROM list_items li
-       JOIN shopping_lists sl ON li.list_id = sl.id
-       WHERE sl.user_id = $1
-         AND li.name IS NOT NULL
-         AND li.name != ''
-       GROUP BY LOWER(li.name), li.name, li.department, li.barcode
-       HAVING COUNT(*) >= 2
-       ORDER BY 
-         ROUND(EXTRACT(EPOCH FROM (NOW() - MAX(li.created_at))) / 86400) / 
-           NULLIF(ROUND(EXTRACT(EPOCH FROM (MAX(li.created_at) - MIN(li.created_at))) / 
-           NULLIF(COUNT(*) - 1, 0) / 86400), 0) DESC NULLS LAST,
-         COUNT(*) DESC
-       LIMIT 8`,
-      [req.user.id]
-    );
+    const pattern = await loadRestockPattern(req.user.id, { limit: 8 });
 
-    if (result.rows.length === 0) {
+    if (pattern.length === 0) {
       return successResponse(res, { suggestions: [], message: 'Keep shopping to build your pattern!' });
     }
 
     // Filter to items that are due or overdue for restock
     const suggestions = [];
-    for (const row of result.rows) {
-      const avgDays = parseInt(row.avg_days_between) || 14;
-      const daysSince = parseInt(row.days_since_last) || 0;
-      const urgency = daysSince / avgDays; // >1 = overdue, 0.7-1 = due soon
-
-      if (urgency >= 0.6) {
+    for (const staple of pattern) {
+      if (staple.urgency >= RESTOCK_DUE_URGENCY) {
         // Get price from store_prices or products table
         let price = 0;
-        if (row.barcode) {
+        if (staple.barcode) {
           const priceResult = await query(
             `SELECT MIN(price) as best_price FROM store_prices WHERE barcode = $1 AND price > 0`,
-            [row.barcode]
+            [staple.barcode]
           );
           if (priceResult.rows[0]?.best_price) {
             price = parseFloat(priceResult.rows[0].best_price);
@@ -975,7 +1303,7 @@ router.get('/smart-suggestions', authenticate, async (req, res) => {
         if (price === 0) {
           const productResult = await query(
             `SELECT price FROM products WHERE LOWER(name) LIKE $1 AND price > 0 ORDER BY updated_at DESC LIMIT 1`,
-            [`%${row.name.toLowerCase()}%`]
+            [`%${staple.name.toLowerCase()}%`]
           );
           if (productResult.rows[0]?.price) {
             price = parseFloat(productResult.rows[0].price);
@@ -983,17 +1311,15 @@ router.get('/smart-suggestions', authenticate, async (req, res) => {
         }
 
         suggestions.push({
-          name: row.name,
-          department: row.department || 'grocery',
-          barcode: row.barcode || null,
+          name: staple.name,
+          department: staple.department || 'grocery',
+          barcode: staple.barcode,
           price: price,
-          timesAdded: parseInt(row.times_added),
-          avgDaysBetween: avgDays,
-          daysSinceLast: daysSince,
-          urgency: Math.round(urgency * 100) / 100,
-          reason: daysSince > avgDays
-            ? `You buy this every ~${avgDays} days — last added ${daysSince} days ago`
-            : `Usually every ~${avgDays} days — due soon`,
+          timesAdded: staple.timesAdded,
+          avgDaysBetween: staple.avgDaysBetween,
+          daysSinceLast: staple.daysSinceLast,
+          urgency: Math.round(staple.urgency * 100) / 100,
+          reason: restockReason(staple),
         });
       }
     }
@@ -1002,36 +1328,32 @@ router.get('/smart-suggestions', authenticate, async (req, res) => {
     const needPricing = suggestions.filter(s => s.price === 0);
     if (needPricing.length > 0) {
       try {
-        const openaiRes = await fetch('https://api.openai.com/v1/chat/completions', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            model: 'gpt-4o-mini',
-            messages: [{
-              role: 'system',
-              content: 'Return ONLY a JSON array of prices for these grocery items. Format: [{"name":"item","price":X.XX}]',
-            }, {
-              role: 'user',
-              content: `Estimate current US grocery prices: ${needPricing.map(s => s.name).join(', ')}`,
-            }],
-            max_tokens: 200,
-          }),
+        if (isOverQuota(await getQuotaStatus(req.user.id), 'calls')) {
+          throw new Error('Daily AI limit reached');
+        }
+        const estimates = await ai.chatJSON({
+          task: 'price-estimates',
+          userId: req.user.id,
+          input: { items: needPricing.map(s => s.name) },
+          cacheKey: { items: needPricing.map(s => s.name) },
+          tier: 'fast',
+          messages: [{
+            role: 'system',
+            content: 'Return ONLY a JSON object with prices for these grocery items. Format: {"prices":[{"name":"item","price":X.XX}]}',
+          }, {
+            role: 'user',
+            content: `Estimate current US grocery prices: ${needPricing.map(s => s.name).join(', ')}`,
+          }],
+          maxTokens: 200,
         });
-        const gptData = await openaiRes.json();
-        const priceText = gptData.choices?.[0]?.message?.content || '';
-        const cleaned = priceText.replace(/```json|```/g, '').trim();
-        const gptPrices = JSON.parse(cleaned);
-        for (const gp of gptPrices) {
+        for (const gp of estimates.prices) {
           const match = suggestions.find(s => s.name.toLowerCase().includes(gp.name.toLowerCase()) || gp.name.toLowerCase().includes(s.name.toLowerCase()));
           if (match && match.price === 0) {
             match.price = gp.price;
           }
         }
       } catch (gptErr) {
-        // GPT pricing failed — items will show $0
+        // AI pricing failed — items will show $0
       }
     }
 
@@ -1045,6 +1367,259 @@ router.get('/smart-suggestions', authenticate, async (req, res) => {
   }
 });
 
-module.exports = router;
+// ── GET /api/ai/usage ───────────────────────────────────────
+// The caller's quota for today and their usage over ?days= (default
+// 30, max 90): per day and per task, with estimated cost in USD.
+
+const USAGE_COLUMNS = `
+  COUNT(*) FILTER (WHERE NOT u.cached) AS calls,
+  COUNT(*) FILTER (WHERE u.cached) AS cached_calls,
+  COALESCE(SUM(u.images), 0) AS images,
+  COALESCE(SUM(u.prompt_tokens), 0) AS prompt_tokens,
+  COALESCE(SUM(u.completion_tokens), 0) AS completion_tokens,
+  COALESCE(SUM(u.cost_usd), 0) AS cost_usd`;
+
+const usageTotals = (row) => ({
+  calls: parseInt(row.calls) || 0,
+  cachedCalls: parseInt(row.cached_calls) || 0,
+  images: parseInt(row.images) || 0,
+  promptTokens: parseInt(row.prompt_tokens) || 0,
+  completionTokens: parseInt(row.completion_tokens) || 0,
+  costUsd: parseFloat(row.cost_usd) || 0,
+});
+
+router.get('/usage', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 90);
+
+    const [quota, daily, byTask] = await Promise.all([
+      getQuotaStatus(req.user.id),
+      query(
+        `SELECT (u.created_at AT TIME ZONE 'UTC')::date AS day, ${USAGE_COLUMNS}
+         FROM ai_usage u
+         WHERE u.user_id = $1 AND u.created_at >= NOW() - make_interval(days => $2)
+         GROUP BY day
+         ORDER BY day DESC`,
+        [req.user.id, days]
+      ),
+      query(
+        `SELECT u.task, ${USAGE_COLUMNS}
+         FROM ai_usage u
+         WHERE u.user_id = $1 AND u.created_at >= NOW() - make_interval(days => $2)
+         GROUP BY u.task
+         ORDER BY calls DESC`,
+        [req.user.id, days]
+      ),
+    ]);
+
+    successResponse(res, {
+      quota,
+      days,
+      daily: daily.rows.map(row => ({ date: row.day, ...usageTotals(row) })),
+      byTask: byTask.rows.map(row => ({ task: row.task, ...usageTotals(row) })),
+    });
+  } catch (error) {
+    console.error('Get AI usage error:', error);
+    errorResponse(res, 500, 'Failed to fetch AI usage');
+  }
+});
+
+// ── GET /api/ai/admin/usage ─────────────────────────────────
+// Admins only. Usage across all users between ?from= and ?to=
+// (default the last 30 days), grouped by ?groupBy=
+// day (default) | user | task | model | provider.
+
+const USAGE_GROUPS = {
+  day: {
+    select: "(u.created_at AT TIME ZONE 'UTC')::date AS day",
+    groupBy: 'day',
+    orderBy: 'day DESC',
+    format: (row) => ({ date: row.day }),
+  },
+  user: {
+    select: 'u.user_id, usr.email, usr.plan_tier',
+    groupBy: 'u.user_id, usr.email, usr.plan_tier',
+    orderBy: 'cost_usd DESC',
+    format: (row) => ({ userId: row.user_id, email: row.email, planTier: row.plan_tier }),
+  },
+  task: {
+    select: 'u.task',
+    groupBy: 'u.task',
+    orderBy: 'cost_usd DESC',
+    format: (row) => ({ task: row.task }),
+  },
+  model: {
+    select: 'u.provider, u.model',
+    groupBy: 'u.provider, u.model',
+    orderBy: 'cost_usd DESC',
+    format: (row) => ({ provider: row.provider, model: row.model }),
+  },
+  provider: {
+    select: 'u.provider',
+    groupBy: 'u.provider',
+    orderBy: 'cost_usd DESC',
+    format: (row) => ({ provider: row.provider }),
+  },
+};
 
+const REPORT_COLUMNS = `${USAGE_COLUMNS},
+  COUNT(DISTINCT u.user_id) AS users,
+  COUNT(*) FILTER (WHERE NOT u.succeeded) AS failed_calls`;
 
+const reportTotals = (row) => ({
+  ...usageTotals(row),
+  users: parseInt(row.users) || 0,
+  failedCalls: parseInt(row.failed_calls) || 0,
+});
+
+const parseDateParam = (value, fallback) => {
+  if (!value) return fallback;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+router.get('/admin/usage', requireAdmin, async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || 'day';
+    const group = USAGE_GROUPS[groupBy];
+    if (!group) {
+      return errorResponse(res, 400, `groupBy must be one of: ${Object.keys(USAGE_GROUPS).join(', ')}`);
+    }
+
+    const to = parseDateParam(req.query.to, new Date());
+    const from = parseDateParam(req.query.from, new Date(Date.now() - 30 * 24 * 60 * 60 * 1000));
+    if (!from || !to || from > to) {
+      return errorResponse(res, 400, 'from and to must be dates, with from before to');
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+
+    const [rows, totals] = await Promise.all([
+      query(
+        `SELECT ${group.select}, ${REPORT_COLUMNS}
+         FROM ai_usage u
+         LEFT JOIN users usr ON u.user_id = usr.id
+         WHERE u.created_at >= $1 AND u.created_at <= $2
+         GROUP BY ${group.groupBy}
+         ORDER BY ${group.orderBy}
+         LIMIT $3`,
+        [from, to, limit]
+      ),
+      query(
+        `SELECT ${REPORT_COLUMNS}
+         FROM ai_usage u
+         WHERE u.created_at >= $1 AND u.created_at <= $2`,
+        [from, to]
+      ),
+    ]);
+
+    successResponse(res, {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      groupBy,
+      totals: reportTotals(totals.rows[0]),
+      rows: rows.rows.map(row => ({ ...group.format(row), ...reportTotals(row) })),
+    });
+  } catch (error) {
+    console.error('AI usage report error:', error);
+    errorResponse(res, 500, 'Failed to build AI usage report');
+  }
+});
+
+// ── GET /api/ai/admin/validation-failures ───────────────────
+// Admins only. Answers that didn't match their schema between
+// ?from= and ?to= (default the last 7 days): counts by task and
+// outcome, and the ?limit= (default 50, max 200) most recent.
+
+router.get('/admin/validation-failures', requireAdmin, async (req, res) => {
+  try {
+    const to = parseDateParam(req.query.to, new Date());
+    const from = parseDateParam(req.query.from, new Date(Date.now() - 7 * 24 * 60 * 60 * 1000));
+    if (!from || !to || from > to) {
+      return errorResponse(res, 400, 'from and to must be dates, with from before to');
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const params = [from, to];
+    let filter = '';
+    if (req.query.task) {
+      params.push(req.query.task);
+      filter = ` AND task = $${params.length}`;
+    }
+
+    const [counts, recent] = await Promise.all([
+      query(
+        `SELECT task, provider, outcome, COUNT(*) AS failures
+         FROM ai_validation_failures
+         WHERE created_at >= $1 AND created_at <= $2${filter}
+         GROUP BY task, provider, outcome
+         ORDER BY failures DESC`,
+        params
+      ),
+      query(
+        `SELECT id, user_id, task, provider, errors, retry_errors, outcome, response, created_at
+         FROM ai_validation_failures
+         WHERE created_at >= $1 AND created_at <= $2${filter}
+         ORDER BY created_at DESC
+         LIMIT $${params.length + 1}`,
+        [...params, limit]
+      ),
+    ]);
+
+    successResponse(res, {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      counts: counts.rows.map(row => ({
+        task: row.task,
+        provider: row.provider,
+        outcome: row.outcome,
+        failures: parseInt(row.failures) || 0,
+      })),
+      failures: recent.rows.map(row => ({
+        id: row.id,
+        userId: row.user_id,
+        task: row.task,
+        provider: row.provider,
+        errors: row.errors,
+        retryErrors: row.retry_errors,
+        outcome: row.outcome,
+        response: row.response,
+        createdAt: row.created_at,
+      })),
+    });
+  } catch (error) {
+    console.error('AI validation failures report error:', error);
+    errorResponse(res, 500, 'Failed to load AI validation failures');
+  }
+});
+
+// ── PUT /api/ai/admin/users/:id/plan ────────────────────────
+// Admins only. Body: { tier } — sets which daily quotas apply.
+
+router.put('/admin/users/:id/plan', requireAdmin, async (req, res) => {
+  try {
+    const { tier } = req.body;
+    if (!PLAN_TIERS.includes(tier)) {
+      return errorResponse(res, 400, `Tier must be one of: ${PLAN_TIERS.join(', ')}`);
+    }
+
+    const result = await query(
+      'UPDATE users SET plan_tier = $1, updated_at = NOW() WHERE id = $2 RETURNING id, email, plan_tier',
+      [tier, req.params.id]
+    );
+    if (result.rows.length === 0) {
+      return errorResponse(res, 404, 'User not found');
+    }
+
+    const user = result.rows[0];
+    successResponse(res, {
+      user: { id: user.id, email: user.email, planTier: user.plan_tier },
+      quotas: quotaLimits(tier),
+    });
+  } catch (error) {
+    console.error('Set plan tier error:', error);
+    errorResponse(res, 500, 'Failed to update plan');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,405 @@
+// src/routes/listTemplates.js
+// ============================================================
+// List Templates & Recurring List Schedules
+// ============================================================
+
+const express = require('express');
+const { query, transaction, successResponse, errorResponse } = require('../models/db');
+const { authenticate } = require('../middleware/auth');
+const { getListAccess } = require('../middleware/listAccess');
+const {
+  FREQUENCIES,
+  normalizeTemplateItems,
+  advanceRunDate,
+  instantiateTemplate,
+  runSchedule,
+} = require('../utils/listTemplates');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// ── Helpers: Format responses ───────────────────────────────
+
+const formatTemplate = (row) => ({
+  id: row.id,
+  name: row.name,
+  sourceListId: row.source_list_id,
+  items: row.items || [],
+  itemCount: (row.items || []).length,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const formatSchedule = (row) => ({
+  id: row.id,
+  templateId: row.template_id,
+  templateName: row.template_name,
+  listName: row.list_name,
+  frequency: row.frequency,
+  nextRunAt: row.next_run_at,
+  lastRunAt: row.last_run_at,
+  lastListId: row.last_list_id,
+  carryOver: row.carry_over,
+  isActive: row.is_active,
+  createdAt: row.created_at,
+});
+
+const formatCreatedList = (list, items, carriedOver) => ({
+  id: list.id,
+  name: list.name,
+  shareCode: list.share_code,
+  isActive: list.is_active,
+  role: 'owner',
+  itemCount: items.length,
+  checkedCount: 0,
+  carriedOver,
+  createdAt: list.created_at,
+  updatedAt: list.updated_at,
+  items: items.map(item => ({
+    id: item.id,
+    name: item.name,
+    price: parseFloat(item.price) || 0,
+    quantity: parseFloat(item.quantity) || 1,
+    unit: item.unit || null,
+    department: item.department,
+    checked: item.checked,
+    notes: item.notes || '',
+    sources: item.sources || [],
+  })),
+});
+
+// Start date → first run. Defaults to one period from now.
+const resolveFirstRun = (startDate, frequency) => {
+  if (!startDate) return advanceRunDate(new Date(), frequency);
+  const parsed = new Date(startDate);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+};
+
+// ── GET /api/list-templates/schedules ───────────────────────
+
+router.get('/schedules', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT ls.*, lt.name AS template_name
+       FROM list_schedules ls
+       JOIN list_templates lt ON ls.template_id = lt.id
+       WHERE ls.user_id = $1
+       ORDER BY ls.next_run_at`,
+      [req.user.id]
+    );
+
+    successResponse(res, { schedules: result.rows.map(formatSchedule) });
+  } catch (error) {
+    console.error('Get list schedules error:', error);
+    errorResponse(res, 500, 'Failed to fetch schedules');
+  }
+});
+
+// ── POST /api/list-templates/schedules ──────────────────────
+// Body: { templateId, frequency, startDate?, listName?, carryOver? }
+
+router.post('/schedules', async (req, res) => {
+  try {
+    const { templateId, frequency, startDate, listName, carryOver = true } = req.body;
+
+    if (!FREQUENCIES.includes(frequency)) {
+      return errorResponse(res, 400, `Frequency must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+
+    const nextRunAt = resolveFirstRun(startDate, frequency);
+    if (!nextRunAt) {
+      return errorResponse(res, 400, 'Invalid start date');
+    }
+
+    const template = await query(
+      'SELECT id, name FROM list_templates WHERE id = $1 AND user_id = $2',
+      [templateId, req.user.id]
+    );
+
+    if (template.rows.length === 0) {
+      return errorResponse(res, 404, 'Template not found');
+    }
+
+    const result = await query(
+      `INSERT INTO list_schedules (user_id, template_id, list_name, frequency, next_run_at, carry_over)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [req.user.id, templateId, listName || null, frequency, nextRunAt, carryOver !== false]
+    );
+
+    successResponse(res, {
+      schedule: formatSchedule({ ...result.rows[0], template_name: template.rows[0].name }),
+    }, 201);
+  } catch (error) {
+    console.error('Create list schedule error:', error);
+    errorResponse(res, 500, 'Failed to create schedule');
+  }
+});
+
+// ── PUT /api/list-templates/schedules/:id ───────────────────
+
+router.put('/schedules/:id', async (req, res) => {
+  try {
+    const { frequency, nextRunAt, listName, carryOver, isActive } = req.body;
+
+    if (frequency !== undefined && !FREQUENCIES.includes(frequency)) {
+      return errorResponse(res, 400, `Frequency must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+
+    if (nextRunAt !== undefined && Number.isNaN(new Date(nextRunAt).getTime())) {
+      return errorResponse(res, 400, 'Invalid next run date');
+    }
+
+    const result = await query(
+      `UPDATE list_schedules SET
+         frequency = COALESCE($1, frequency),
+         next_run_at = COALESCE($2, next_run_at),
+         list_name = COALESCE($3, list_name),
+         carry_over = COALESCE($4, carry_over),
+         is_active = COALESCE($5, is_active),
+         updated_at = NOW()
+       WHERE id = $6 AND user_id = $7
+       RETURNING *,
+         (SELECT name FROM list_templates WHERE id = template_id) AS template_name`,
+      [frequency, nextRunAt, listName, carryOver, isActive, req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return errorResponse(res, 404, 'Schedule not found');
+    }
+
+    successResponse(res, { schedule: formatSchedule(result.rows[0]) });
+  } catch (error) {
+    console.error('Update list schedule error:', error);
+    errorResponse(res, 500, 'Failed to update schedule');
+  }
+});
+
+// ── DELETE /api/list-templates/schedules/:id ────────────────
+
+router.delete('/schedules/:id', async (req, res) => {
+  try {
+    const result = await query(
+      'DELETE FROM list_schedules WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return errorResponse(res, 404, 'Schedule not found');
+    }
+
+    successResponse(res, { message: 'Schedule deleted' });
+  } catch (error) {
+    console.error('Delete list schedule error:', error);
+    errorResponse(res, 500, 'Failed to delete schedule');
+  }
+});
+
+// ── POST /api/list-templates/schedules/:id/run ──────────────
+// Create this period's list now. The next scheduled run is unchanged.
+
+router.post('/schedules/:id/run', async (req, res) => {
+  try {
+    const owned = await query(
+      'SELECT id FROM list_schedules WHERE id = $1 AND user_id = $2 AND is_active = true',
+      [req.params.id, req.user.id]
+    );
+
+    if (owned.rows.length === 0) {
+      return errorResponse(res, 404, 'Schedule not found');
+    }
+
+    const created = await runSchedule(req.params.id, { force: true });
+
+    if (!created) {
+      return errorResponse(res, 409, 'Schedule is already running');
+    }
+
+    successResponse(res, {
+      list: formatCreatedList(created.list, created.items, created.carriedOver),
+    }, 201);
+  } catch (error) {
+    console.error('Run list schedule error:', error);
+    errorResponse(res, 500, 'Failed to run schedule');
+  }
+});
+
+// ── GET /api/list-templates ─────────────────────────────────
+
+router.get('/', async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT * FROM list_templates WHERE user_id = $1 ORDER BY updated_at DESC',
+      [req.user.id]
+    );
+
+    successResponse(res, { templates: result.rows.map(formatTemplate) });
+  } catch (error) {
+    console.error('Get list templates error:', error);
+    errorResponse(res, 500, 'Failed to fetch templates');
+  }
+});
+
+// ── POST /api/list-templates ────────────────────────────────
+// Save a template from an existing list ({ listId, name? }) or
+// from an explicit item array ({ name, items }).
+
+router.post('/', async (req, res) => {
+  try {
+    const { listId } = req.body;
+    let { name } = req.body;
+    let items;
+
+    if (listId) {
+      const access = await getListAccess(listId, req.user.id);
+
+      if (!access) {
+        return errorResponse(res, 404, 'List not found');
+      }
+
+      const itemsResult = await query(
+        'SELECT * FROM list_items WHERE list_id = $1 ORDER BY department, created_at',
+        [listId]
+      );
+
+      items = normalizeTemplateItems(itemsResult.rows);
+      name = name || access.list.name;
+    } else {
+      if (!Array.isArray(req.body.items)) {
+        return errorResponse(res, 400, 'Either listId or items is required');
+      }
+      items = normalizeTemplateItems(req.body.items);
+    }
+
+    if (!name || !name.trim()) {
+      return errorResponse(res, 400, 'Template name is required');
+    }
+
+    const result = await query(
+      `INSERT INTO list_templates (user_id, name, source_list_id, items)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [req.user.id, name.trim(), listId || null, JSON.stringify(items)]
+    );
+
+    successResponse(res, { template: formatTemplate(result.rows[0]) }, 201);
+  } catch (error) {
+    console.error('Create list template error:', error);
+    errorResponse(res, 500, 'Failed to create template');
+  }
+});
+
+// ── GET /api/list-templates/:id ─────────────────────────────
+
+router.get('/:id', async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT * FROM list_templates WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return errorResponse(res, 404, 'Template not found');
+    }
+
+    successResponse(res, { template: formatTemplate(result.rows[0]) });
+  } catch (error) {
+    console.error('Get list template error:', error);
+    errorResponse(res, 500, 'Failed to fetch template');
+  }
+});
+
+// ── PUT /api/list-templates/:id ─────────────────────────────
+
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, items } = req.body;
+
+    if (items !== undefined && !Array.isArray(items)) {
+      return errorResponse(res, 400, 'Items must be an array');
+    }
+
+    const result = await query(
+      `UPDATE list_templates SET
+         name = COALESCE($1, name),
+         items = COALESCE($2, items),
+         updated_at = NOW()
+       WHERE id = $3 AND user_id = $4
+       RETURNING *`,
+      [
+        name ? name.trim() : null,
+        items ? JSON.stringify(normalizeTemplateItems(items)) : null,
+        req.params.id, req.user.id,
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return errorResponse(res, 404, 'Template not found');
+    }
+
+    successResponse(res, { template: formatTemplate(result.rows[0]) });
+  } catch (error) {
+    console.error('Update list template error:', error);
+    errorResponse(res, 500, 'Failed to update template');
+  }
+});
+
+// ── DELETE /api/list-templates/:id ──────────────────────────
+// Also removes any schedules built on the template.
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const result = await query(
+      'DELETE FROM list_templates WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return errorResponse(res, 404, 'Template not found');
+    }
+
+    successResponse(res, { message: 'Template deleted' });
+  } catch (error) {
+    console.error('Delete list template error:', error);
+    errorResponse(res, 500, 'Failed to delete template');
+  }
+});
+
+// ── POST /api/list-templates/:id/instantiate ────────────────
+// Body: { name?, carryOverFromListId? }
+
+router.post('/:id/instantiate', async (req, res) => {
+  try {
+    const { name, carryOverFromListId } = req.body;
+
+    const templateResult = await query(
+      'SELECT * FROM list_templates WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+
+    if (templateResult.rows.length === 0) {
+      return errorResponse(res, 404, 'Template not found');
+    }
+
+    if (carryOverFromListId && !(await getListAccess(carryOverFromListId, req.user.id))) {
+      return errorResponse(res, 404, 'List not found');
+    }
+
+    const { list, items, carriedOver } = await transaction(client =>
+      instantiateTemplate(client, templateResult.rows[0], {
+        userId: req.user.id,
+        name: name && name.trim() ? name.trim() : null,
+        carryOverFromListId: carryOverFromListId || null,
+      })
+    );
+
+    successResponse(res, { list: formatCreatedList(list, items, carriedOver) }, 201);
+  } catch (error) {
+    console.error('Instantiate list template error:', error);
+    errorResponse(res, 500, 'Failed to create list from template');
+  }
+});
+
+module.exports = router;
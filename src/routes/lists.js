@@ -4,9 +4,38 @@
 // ============================================================
 
 const express = require('express');
-const { query, successResponse, errorResponse } = require('../models/db');
+const { query, transaction, successResponse, errorResponse } = require('../models/db');
 const { authenticate } = require('../middleware/auth');
-const { generateShareCode } = require('../utils/helpers');
+const {
+  COLLABORATOR_ROLES,
+  normalizeRole,
+  hasListRole,
+  requireListRole,
+} = require('../middleware/listAccess');
+const { generateShareCode, parseQuantity, detectDepartment } = require('../utils/helpers');
+const { publishListEvent, subscribeToList } = require('../utils/listEvents');
+const { UNDOABLE_ACTIONS, diffSnapshots, recordListEvent } = require('../utils/listHistory');
+const { buildSource, findMergeTarget, mergeIntoItem } = require('../utils/ingredientMerge');
+const { EXPORT_FORMATS, exportList, parseImportText } = require('../utils/listTransfer');
+const { loadTaxRules, calculateListTax } = require('../utils/taxRules');
+const { parseBudget, budgetSummary, checkBudgetAlert, findBudgetSwaps } = require('../utils/listBudget');
+const { MAX_STORES, optimizeBasket } = require('../utils/basketOptimizer');
+const { formatSubstitution, isCheaperSubstitution, applySubstitution } = require('../utils/substitutions');
+const { parseActualPrices, formatTrip, completeList } = require('../utils/shoppingTrips');
+const { orderItemsByAisle } = require('../utils/aisleOrder');
+const { syncPantryForItem, checkPantryStock } = require('../utils/pantry');
+const { MAX_BATCH_OPERATIONS, runBatch, publishBatchResults } = require('../utils/listBatch');
+const { openEventStream, writeEvent, startHeartbeat } = require('../utils/sse');
+const {
+  normalizeSyncFields,
+  resolveClientTime,
+  resolveItemUpdate,
+  shouldApplyDelete,
+  initialFieldClock,
+  parseSyncCursor,
+  formatSyncCursor,
+  formatSyncItem,
+} = require('../utils/listSync');
 
 const router = express.Router();
 
@@ -24,7 +53,8 @@ router.get('/', async (req, res) => {
   try {
     // 1. Fetch all lists for this user
     const listsResult = await query(
-      `SELECT sl.*
+      `SELECT sl.*,
+         CASE WHEN sl.user_id = $1 THEN 'owner' ELSE lc.role END AS access_role
        FROM shopping_lists sl
        LEFT JOIN list_collaborators lc ON sl.id = lc.list_id AND lc.user_id = $1
        WHERE sl.user_id = $1 OR lc.user_id = $1
@@ -45,7 +75,7 @@ router.get('/', async (req, res) => {
        FROM list_items li
        LEFT JOIN users u ON li.added_by = u.id
        WHERE li.list_id = ANY($1)
-       ORDER BY li.department, li.created_at`,
+       ORDER BY li.department, li.position NULLS LAST, li.created_at`,
       [listIds]
     );
 
@@ -65,8 +95,10 @@ router.get('/', async (req, res) => {
         category: item.department,
         checked: item.checked || false,
         notes: item.notes || '',
+        position: item.position,
         addedBy: item.added_by,
         addedByName: item.added_by_name,
+        version: item.version,
         createdAt: item.created_at,
       });
     }
@@ -82,9 +114,11 @@ router.get('/', async (req, res) => {
         name: row.name,
         shareCode: row.share_code,
         isActive: row.is_active,
+        role: normalizeRole(row.access_role),
         itemCount: items.length,
         checkedCount,
         totalCost: Math.round(totalCost * 100) / 100,
+        ...budgetSummary(row.budget, totalCost),
         createdAt: row.created_at,
         updatedAt: row.updated_at,
         items,
@@ -108,24 +142,33 @@ router.post('/', async (req, res) => {
       return errorResponse(res, 400, 'List name is required');
     }
 
+    const budget = req.body.budget !== undefined ? parseBudget(req.body.budget) : { value: null };
+    if (budget.error) {
+      return errorResponse(res, 400, budget.error);
+    }
+
     const result = await query(
-      `INSERT INTO shopping_lists (user_id, name)
-       VALUES ($1, $2)
+      `INSERT INTO shopping_lists (user_id, name, budget)
+       VALUES ($1, $2, $3)
        RETURNING *`,
-      [req.user.id, name.trim()]
+      [req.user.id, name.trim(), budget.value]
     );
 
     const list = result.rows[0];
 
+    await recordListEvent({ listId: list.id, actorId: req.user.id, action: 'list_created', after: list });
+
     successResponse(res, {
       list: {
         id: list.id,
         name: list.name,
         shareCode: list.share_code,
         isActive: list.is_active,
+        role: 'owner',
         itemCount: 0,
         checkedCount: 0,
         totalCost: 0,
+        ...budgetSummary(list.budget, 0),
         createdAt: list.created_at,
         updatedAt: list.updated_at,
         items: [],
@@ -138,12 +181,18 @@ router.post('/', async (req, res) => {
 });
 
 // ── GET /api/lists/:id ──────────────────────────────────────
+// ?storeId= orders the items the way that store is laid out and
+// annotates each with its aisle (see utils/aisleOrder.js).
 
 router.get('/:id', async (req, res) => {
   try {
+    const { storeId } = req.query;
+
     // Get list
     const listResult = await query(
-      `SELECT sl.* FROM shopping_lists sl
+      `SELECT sl.*,
+         CASE WHEN sl.user_id = $2 THEN 'owner' ELSE lc.role END AS access_role
+       FROM shopping_lists sl
        LEFT JOIN list_collaborators lc ON sl.id = lc.list_id AND lc.user_id = $2
        WHERE sl.id = $1 AND (sl.user_id = $2 OR lc.user_id = $2)`,
       [req.params.id, req.user.id]
@@ -161,11 +210,23 @@ router.get('/:id', async (req, res) => {
        FROM list_items li
        LEFT JOIN users u ON li.added_by = u.id
        WHERE li.list_id = $1
-       ORDER BY li.department, li.created_at`,
+       ORDER BY li.department, li.position NULLS LAST, li.created_at`,
+      [req.params.id]
+    );
+
+    const pendingResult = await query(
+      `SELECT s.*, u.name AS proposed_by_name
+       FROM list_item_substitutions s
+       LEFT JOIN users u ON s.proposed_by = u.id
+       WHERE s.list_id = $1 AND s.status = 'pending'`,
       [req.params.id]
     );
+    const pendingByItem = {};
+    for (const row of pendingResult.rows) {
+      pendingByItem[row.item_id] = formatSubstitution(row);
+    }
 
-    const items = itemsResult.rows.map(item => ({
+    let items = itemsResult.rows.map(item => ({
       id: item.id,
       name: item.name,
       brand: item.brand || null,
@@ -175,16 +236,32 @@ router.get('/:id', async (req, res) => {
       department: item.department,
       category: item.department,
       checked: item.checked,
+      haveAtHome: item.have_at_home || false,
       notes: item.notes || '',
       barcode: item.barcode || null,
       weightValue: item.weight_value ? parseFloat(item.weight_value) : null,
       weightUnit: item.weight_unit || null,
       pricePerUnit: item.price_per_unit ? parseFloat(item.price_per_unit) : null,
+      sources: item.sources || [],
+      substitution: pendingByItem[item.id] || null,
+      position: item.position,
       addedBy: item.added_by,
       addedByName: item.added_by_name,
+      version: item.version,
       createdAt: item.created_at,
     }));
 
+    let store = null;
+    let aisleGroups;
+    if (storeId) {
+      const storeResult = await query('SELECT id, name, address FROM stores WHERE id = $1', [storeId]);
+      if (storeResult.rows.length === 0) {
+        return errorResponse(res, 404, 'Store not found');
+      }
+      store = storeResult.rows[0];
+      ({ items, groups: aisleGroups } = await orderItemsByAisle(store.id, items));
+    }
+
     // Calculate totals
     const totalCost = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
     const checkedCount = items.filter(item => item.checked).length;
@@ -195,11 +272,18 @@ router.get('/:id', async (req, res) => {
         name: list.name,
         shareCode: list.share_code,
         isActive: list.is_active,
+        role: normalizeRole(list.access_role),
+        autoApproveCheaperSubstitutions: list.auto_approve_cheaper_substitutions || false,
         itemCount: items.length,
         checkedCount,
         totalCost,
+        ...budgetSummary(list.budget, totalCost),
         createdAt: list.created_at,
         updatedAt: list.updated_at,
+        ...(store ? {
+          store: { id: store.id, name: store.name, address: store.address },
+          aisleGroups,
+        } : {}),
         items,
       },
     });
@@ -209,20 +293,70 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// ── GET /api/lists/:id/events ───────────────────────────────
+// Server-Sent Events stream of live changes for shared shopping.
+// Only the owner and collaborators may subscribe. Each event carries
+// an actorId so clients can skip echoes of their own edits.
+
+router.get('/:id/events', requireListRole('viewer'), async (req, res) => {
+  try {
+    openEventStream(res);
+    writeEvent(res, 'connected', { listId: req.params.id, role: req.listAccess.role });
+
+    const unsubscribe = subscribeToList(req.params.id, (event) => {
+      writeEvent(res, event.type, event);
+      // Close the stream once this user can no longer see the list
+      const lostAccess = event.type === 'collaborator_removed' && event.userId === req.user.id;
+      if (event.type === 'list_deleted' || lostAccess) {
+        res.end();
+      }
+    });
+    const stopHeartbeat = startHeartbeat(res);
+
+    req.on('close', () => {
+      stopHeartbeat();
+      unsubscribe();
+    });
+  } catch (error) {
+    console.error('List events error:', error);
+    if (!res.headersSent) {
+      errorResponse(res, 500, 'Failed to open list event stream');
+    }
+  }
+});
+
 // ── PUT /api/lists/:id ──────────────────────────────────────
 
 router.put('/:id', async (req, res) => {
   try {
     const { name, isActive } = req.body;
 
+    // budget: omit to keep, null to clear
+    const budgetProvided = req.body.budget !== undefined;
+    const budget = budgetProvided ? parseBudget(req.body.budget) : { value: null };
+    if (budget.error) {
+      return errorResponse(res, 400, budget.error);
+    }
+
+    const previous = await query(
+      'SELECT * FROM shopping_lists WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+
+    if (previous.rows.length === 0) {
+      return errorResponse(res, 404, 'List not found');
+    }
+
     const result = await query(
       `UPDATE shopping_lists
        SET name = COALESCE($1, name),
            is_active = COALESCE($2, is_active),
+           budget = CASE WHEN $5 THEN $6 ELSE budget END,
+           auto_approve_cheaper_substitutions = COALESCE($7, auto_approve_cheaper_substitutions),
            updated_at = NOW()
        WHERE id = $3 AND user_id = $4
        RETURNING *`,
-      [name, isActive, req.params.id, req.user.id]
+      [name, isActive, req.params.id, req.user.id, budgetProvided, budget.value, req.body.autoApproveCheaperSubstitutions]
     );
 
     if (result.rows.length === 0) {
@@ -231,16 +365,32 @@ router.put('/:id', async (req, res) => {
 
     const list = result.rows[0];
 
-    successResponse(res, {
-      list: {
-        id: list.id,
-        name: list.name,
-        shareCode: list.share_code,
-        isActive: list.is_active,
-        createdAt: list.created_at,
-        updatedAt: list.updated_at,
-      },
+    await recordListEvent({
+      listId: list.id,
+      actorId: req.user.id,
+      action: 'list_updated',
+      before: previous.rows[0],
+      after: list,
     });
+
+    const formatted = {
+      id: list.id,
+      name: list.name,
+      shareCode: list.share_code,
+      isActive: list.is_active,
+      budget: list.budget !== null ? parseFloat(list.budget) : null,
+      autoApproveCheaperSubstitutions: list.auto_approve_cheaper_substitutions || false,
+      createdAt: list.created_at,
+      updatedAt: list.updated_at,
+    };
+
+    publishListEvent(list.id, 'list_updated', { actorId: req.user.id, list: formatted });
+
+    if (budgetProvided) {
+      await checkBudgetAlert(list.id);
+    }
+
+    successResponse(res, { list: formatted });
   } catch (error) {
     console.error('Update list error:', error);
     errorResponse(res, 500, 'Failed to update list');
@@ -252,7 +402,7 @@ router.put('/:id', async (req, res) => {
 router.delete('/:id', async (req, res) => {
   try {
     const result = await query(
-      'DELETE FROM shopping_lists WHERE id = $1 AND user_id = $2 RETURNING id',
+      'DELETE FROM shopping_lists WHERE id = $1 AND user_id = $2 RETURNING *',
       [req.params.id, req.user.id]
     );
 
@@ -260,6 +410,10 @@ router.delete('/:id', async (req, res) => {
       return errorResponse(res, 404, 'List not found');
     }
 
+    await recordListEvent({ listId: req.params.id, actorId: req.user.id, action: 'list_deleted', before: result.rows[0] });
+
+    publishListEvent(req.params.id, 'list_deleted', { actorId: req.user.id });
+
     successResponse(res, { message: 'List deleted' });
   } catch (error) {
     console.error('Delete list error:', error);
@@ -269,39 +423,17 @@ router.delete('/:id', async (req, res) => {
 
 // ── POST /api/lists/:id/items ───────────────────────────────
 
-router.post('/:id/items', async (req, res) => {
+router.post('/:id/items', requireListRole('editor'), async (req, res) => {
   try {
-    const { name, price, unit, department, notes, barcode } = req.body;
+    const { name, price, unit, notes, barcode } = req.body;
     // Parse fractional quantities: "1/2" → 0.5, "1 1/2" → 1.5, "3" → 3
-    let quantity = req.body.quantity;
-    if (typeof quantity === 'string') {
-      const fracMatch = quantity.match(/^(\d+)?\s*(\d+)\/(\d+)$/);
-      if (fracMatch) {
-        const whole = parseInt(fracMatch[1] || '0');
-        const num = parseInt(fracMatch[2]);
-        const den = parseInt(fracMatch[3]);
-        quantity = den > 0 ? whole + (num / den) : 1;
-      } else {
-        quantity = parseFloat(quantity) || 1;
-      }
-    }
-    quantity = quantity || 1;
+    const quantity = parseQuantity(req.body.quantity);
 
     if (!name || !name.trim()) {
       return errorResponse(res, 400, 'Item name is required');
     }
 
-    // Verify list access
-    const listCheck = await query(
-      `SELECT sl.id FROM shopping_lists sl
-       LEFT JOIN list_collaborators lc ON sl.id = lc.list_id AND lc.user_id = $2
-       WHERE sl.id = $1 AND (sl.user_id = $2 OR lc.user_id = $2)`,
-      [req.params.id, req.user.id]
-    );
-
-    if (listCheck.rows.length === 0) {
-      return errorResponse(res, 404, 'List not found');
-    }
+    const department = req.body.department || detectDepartment(name);
 
     // Weight-based pricing for produce, deli, meat, seafood, bulk
       const WEIGHT_DEPARTMENTS = ['produce', 'deli', 'meat', 'seafood', 'bulk'];
@@ -326,41 +458,84 @@ router.post('/:id/items', async (req, res) => {
         finalPrice = Math.round(pricePerUnit * weightInLbs * 100) / 100;
       }
 
+    const source = buildSource({ userId: req.user.id, quantity, unit });
+    let item = null;
+    let merged = false;
+
+    // Top up an existing unchecked line instead of adding a duplicate.
+    // Weight-priced lines are never merged. Pass merge: false to opt out.
+    if (req.body.merge !== false && !isWeightBased && !weightValue) {
+      item = await transaction(async (client) => {
+        const target = await findMergeTarget(client, req.params.id, { name, unit, barcode });
+        if (!target) return null;
+
+        const updated = await mergeIntoItem(client, target, { quantity, unit, price, barcode }, source);
+        await recordListEvent({
+          listId: req.params.id,
+          itemId: updated.id,
+          actorId: req.user.id,
+          action: 'item_updated',
+          before: target,
+          after: updated,
+          source: 'merge',
+        }, client);
+        return updated;
+      });
+      merged = Boolean(item);
+    }
+
+    if (!item) {
       const result = await query(
-        `INSERT INTO list_items (list_id, name, price, quantity, unit, department, notes, barcode, added_by, weight_value, weight_unit, price_per_unit, brand)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        `INSERT INTO list_items (list_id, name, price, quantity, unit, department, notes, barcode, added_by, weight_value, weight_unit, price_per_unit, brand, sources)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
          RETURNING *`,
-        [req.params.id, name.trim(), finalPrice, quantity || 1, unit || null, department, notes || null, barcode || null, req.user.id, weightValue, weightUnit, pricePerUnit, req.body.brand || null]
+        [req.params.id, name.trim(), finalPrice, quantity || 1, unit || null, department, notes || null, barcode || null, req.user.id, weightValue, weightUnit, pricePerUnit, req.body.brand || null, JSON.stringify([source])]
       );
 
+      item = result.rows[0];
+
+      await recordListEvent({ listId: req.params.id, itemId: item.id, actorId: req.user.id, action: 'item_added', after: item });
+    }
+
     // Update list timestamp
     await query(
       'UPDATE shopping_lists SET updated_at = NOW() WHERE id = $1',
       [req.params.id]
     );
 
-    const item = result.rows[0];
+    await checkBudgetAlert(req.params.id);
 
-    successResponse(res, {
-      item: {
-        id: item.id,
-        name: item.name,
-        brand: item.brand || null,
-        price: parseFloat(item.price) || 0,
-        quantity: parseFloat(item.quantity) || 1,
-        unit: item.unit || null,
-        department: item.department,
-        category: item.department,
-        checked: item.checked,
-        notes: item.notes || '',
-        barcode: item.barcode || null,
-        weightValue: item.weight_value ? parseFloat(item.weight_value) : null,
-        weightUnit: item.weight_unit || null,
-        pricePerUnit: item.price_per_unit ? parseFloat(item.price_per_unit) : null,
-        addedBy: item.added_by,
-        createdAt: item.created_at,
-      },
-    }, 201);
+    const formatted = {
+      id: item.id,
+      name: item.name,
+      brand: item.brand || null,
+      price: parseFloat(item.price) || 0,
+      quantity: parseFloat(item.quantity) || 1,
+      unit: item.unit || null,
+      department: item.department,
+      category: item.department,
+      checked: item.checked,
+      notes: item.notes || '',
+      barcode: item.barcode || null,
+      weightValue: item.weight_value ? parseFloat(item.weight_value) : null,
+      weightUnit: item.weight_unit || null,
+      pricePerUnit: item.price_per_unit ? parseFloat(item.price_per_unit) : null,
+      sources: item.sources || [],
+      addedBy: item.added_by,
+      createdAt: item.created_at,
+    };
+
+    publishListEvent(req.params.id, merged ? 'item_updated' : 'item_added', { actorId: req.user.id, item: formatted });
+
+    // Not blocking — the client decides whether to keep the line
+    const pantryWarning = await checkPantryStock(req.listAccess.list.user_id, {
+      name: item.name,
+      barcode: item.barcode,
+      quantity: item.quantity,
+      unit: item.unit,
+    });
+
+    successResponse(res, { item: formatted, merged, pantryWarning }, merged ? 200 : 201);
   } catch (error) {
     console.error('Add item error:', error);
     errorResponse(res, 500, 'Failed to add item');
@@ -369,20 +544,17 @@ router.post('/:id/items', async (req, res) => {
 
 // ── PUT /api/lists/:id/items/:itemId ────────────────────────
 
-router.put('/:id/items/:itemId', async (req, res) => {
+router.put('/:id/items/:itemId', requireListRole('editor'), async (req, res) => {
   try {
-    const { name, price, quantity, department, checked } = req.body;
+    const { name, price, quantity, department, checked, haveAtHome } = req.body;
 
-    // Verify list access
-    const listCheck = await query(
-      `SELECT sl.id FROM shopping_lists sl
-       LEFT JOIN list_collaborators lc ON sl.id = lc.list_id AND lc.user_id = $2
-       WHERE sl.id = $1 AND (sl.user_id = $2 OR lc.user_id = $2)`,
-      [req.params.id, req.user.id]
+    const previous = await query(
+      'SELECT * FROM list_items WHERE id = $1 AND list_id = $2',
+      [req.params.itemId, req.params.id]
     );
 
-    if (listCheck.rows.length === 0) {
-      return errorResponse(res, 404, 'List not found');
+    if (previous.rows.length === 0) {
+      return errorResponse(res, 404, 'Item not found');
     }
 
     // Recalculate weight-based pricing if weight fields provided
@@ -411,10 +583,11 @@ router.put('/:id/items/:itemId', async (req, res) => {
           weight_unit = COALESCE($7, weight_unit),
           price_per_unit = COALESCE($8, price_per_unit),
           brand = COALESCE($9, brand),
+          have_at_home = COALESCE($10, have_at_home),
           updated_at = NOW()
-         WHERE id = $10 AND list_id = $11
+         WHERE id = $11 AND list_id = $12
          RETURNING *`,
-        [name, finalPrice, quantity, department, checked, weightValue, weightUnit, pricePerUnit, req.body.brand, req.params.itemId, req.params.id]
+        [name, finalPrice, quantity, department, checked, weightValue, weightUnit, pricePerUnit, req.body.brand, haveAtHome, req.params.itemId, req.params.id]
       );
 
     if (result.rows.length === 0) {
@@ -427,27 +600,45 @@ router.put('/:id/items/:itemId', async (req, res) => {
       [req.params.id]
     );
 
+    await checkBudgetAlert(req.params.id);
+
     const item = result.rows[0];
 
-    successResponse(res, {
-      item: {
-        id: item.id,
-        name: item.name,
-        brand: item.brand || null,
-        price: parseFloat(item.price) || 0,
-        quantity: parseFloat(item.quantity) || 1,
-        unit: item.unit || null,
-        department: item.department,
-        checked: item.checked,
-        notes: item.notes || '',
-        barcode: item.barcode || null,
-        weightValue: item.weight_value ? parseFloat(item.weight_value) : null,
-        weightUnit: item.weight_unit || null,
-        pricePerUnit: item.price_per_unit ? parseFloat(item.price_per_unit) : null,
-        addedBy: item.added_by,
-        createdAt: item.created_at,
-      },
+    await recordListEvent({
+      listId: req.params.id,
+      itemId: item.id,
+      actorId: req.user.id,
+      action: 'item_updated',
+      before: previous.rows[0],
+      after: item,
     });
+
+    if (item.checked !== previous.rows[0].checked) {
+      await syncPantryForItem(req.listAccess.list.user_id, item);
+    }
+
+    const formatted = {
+      id: item.id,
+      name: item.name,
+      brand: item.brand || null,
+      price: parseFloat(item.price) || 0,
+      quantity: parseFloat(item.quantity) || 1,
+      unit: item.unit || null,
+      department: item.department,
+      checked: item.checked,
+      haveAtHome: item.have_at_home || false,
+      notes: item.notes || '',
+      barcode: item.barcode || null,
+      weightValue: item.weight_value ? parseFloat(item.weight_value) : null,
+      weightUnit: item.weight_unit || null,
+      pricePerUnit: item.price_per_unit ? parseFloat(item.price_per_unit) : null,
+      addedBy: item.added_by,
+      createdAt: item.created_at,
+    };
+
+    publishListEvent(req.params.id, 'item_updated', { actorId: req.user.id, item: formatted });
+
+    successResponse(res, { item: formatted });
   } catch (error) {
     console.error('Update item error:', error);
     errorResponse(res, 500, 'Failed to update item');
@@ -456,22 +647,10 @@ router.put('/:id/items/:itemId', async (req, res) => {
 
 // ── DELETE /api/lists/:id/items/:itemId ─────────────────────
 
-router.delete('/:id/items/:itemId', async (req, res) => {
+router.delete('/:id/items/:itemId', requireListRole('editor'), async (req, res) => {
   try {
-    // Verify list access
-    const listCheck = await query(
-      `SELECT sl.id FROM shopping_lists sl
-       LEFT JOIN list_collaborators lc ON sl.id = lc.list_id AND lc.user_id = $2
-       WHERE sl.id = $1 AND (sl.user_id = $2 OR lc.user_id = $2)`,
-      [req.params.id, req.user.id]
-    );
-
-    if (listCheck.rows.length === 0) {
-      return errorResponse(res, 404, 'List not found');
-    }
-
     const result = await query(
-      'DELETE FROM list_items WHERE id = $1 AND list_id = $2 RETURNING id',
+      'DELETE FROM list_items WHERE id = $1 AND list_id = $2 RETURNING *',
       [req.params.itemId, req.params.id]
     );
 
@@ -479,12 +658,24 @@ router.delete('/:id/items/:itemId', async (req, res) => {
       return errorResponse(res, 404, 'Item not found');
     }
 
+    await recordListEvent({
+      listId: req.params.id,
+      itemId: req.params.itemId,
+      actorId: req.user.id,
+      action: 'item_deleted',
+      before: result.rows[0],
+    });
+
     // Update list timestamp
     await query(
       'UPDATE shopping_lists SET updated_at = NOW() WHERE id = $1',
       [req.params.id]
     );
 
+    await checkBudgetAlert(req.params.id);
+
+    publishListEvent(req.params.id, 'item_deleted', { actorId: req.user.id, itemId: req.params.itemId });
+
     successResponse(res, { message: 'Item deleted' });
   } catch (error) {
     console.error('Delete item error:', error);
@@ -494,20 +685,8 @@ router.delete('/:id/items/:itemId', async (req, res) => {
 
 // ── PATCH /api/lists/:id/items/:itemId/toggle ───────────────
 
-router.patch('/:id/items/:itemId/toggle', async (req, res) => {
+router.patch('/:id/items/:itemId/toggle', requireListRole('editor'), async (req, res) => {
   try {
-    // Verify list access
-    const listCheck = await query(
-      `SELECT sl.id FROM shopping_lists sl
-       LEFT JOIN list_collaborators lc ON sl.id = lc.list_id AND lc.user_id = $2
-       WHERE sl.id = $1 AND (sl.user_id = $2 OR lc.user_id = $2)`,
-      [req.params.id, req.user.id]
-    );
-
-    if (listCheck.rows.length === 0) {
-      return errorResponse(res, 404, 'List not found');
-    }
-
     const result = await query(
       `UPDATE list_items
        SET checked = NOT checked, updated_at = NOW()
@@ -522,101 +701,1143 @@ router.patch('/:id/items/:itemId/toggle', async (req, res) => {
 
     const item = result.rows[0];
 
-    successResponse(res, {
-      item: {
-        id: item.id,
-        name: item.name,
-        price: parseFloat(item.price) || 0,
-        quantity: item.quantity,
-        department: item.department,
-        checked: item.checked,
-      },
+    await recordListEvent({
+      listId: req.params.id,
+      itemId: item.id,
+      actorId: req.user.id,
+      action: 'item_toggled',
+      before: { ...item, checked: !item.checked },
+      after: item,
     });
+
+    await syncPantryForItem(req.listAccess.list.user_id, item);
+
+    const formatted = {
+      id: item.id,
+      name: item.name,
+      price: parseFloat(item.price) || 0,
+      quantity: item.quantity,
+      department: item.department,
+      checked: item.checked,
+    };
+
+    publishListEvent(req.params.id, 'item_toggled', { actorId: req.user.id, item: formatted });
+
+    successResponse(res, { item: formatted });
   } catch (error) {
     console.error('Toggle item error:', error);
     errorResponse(res, 500, 'Failed to toggle item');
   }
 });
 
-// ── POST /api/lists/:id/share ───────────────────────────────
-
-router.post('/:id/share', async (req, res) => {
+// ── POST /api/lists/:id/items/batch ─────────────────────────
+// Applies many item changes with one access check, in one transaction.
+//
+// Body:
+//   operations    — [{ opId?, type, ... }] applied in order:
+//     add      { fields: { name, quantity, unit, price, department, notes, brand },
+//                barcode?, merge? }
+//     update   { itemId, fields }
+//     delete   { itemId }
+//     toggle   { itemId, checked? }   — flips when checked is omitted
+//     reorder  { itemIds }            — order within each department
+//   allOrNothing  — true (default): any failure rolls back the whole
+//                   batch; false: failed operations are skipped and
+//                   the rest are kept.
+// A rolled-back batch answers 422 with committed: false, the failing
+// operation's result, and the others marked rolled_back / skipped.
+// The operations themselves live in utils/listBatch.js.
+
+router.post('/:id/items/batch', requireListRole('editor'), async (req, res) => {
   try {
-    // Verify ownership
-    const listCheck = await query(
-      'SELECT id, share_code FROM shopping_lists WHERE id = $1 AND user_id = $2',
-      [req.params.id, req.user.id]
-    );
+    const { operations, allOrNothing = true } = req.body;
 
-    if (listCheck.rows.length === 0) {
-      return errorResponse(res, 404, 'List not found');
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return errorResponse(res, 400, 'Operations must be a non-empty array');
     }
 
-    let shareCode = listCheck.rows[0].share_code;
+    if (operations.length > MAX_BATCH_OPERATIONS) {
+      return errorResponse(res, 400, `At most ${MAX_BATCH_OPERATIONS} operations per batch`);
+    }
 
-    if (!shareCode) {
-      // Generate new share code
-      shareCode = generateShareCode();
-      await query(
-        'UPDATE shopping_lists SET share_code = $1 WHERE id = $2',
-        [shareCode, req.params.id]
-      );
+    const { results, committed } = await runBatch(req.listAccess.list, req.user.id, operations, { allOrNothing });
+
+    if (!committed) {
+      // Report what would have happened to the rest of the batch
+      const failedIndex = results.length - 1;
+      const reported = operations.map((op, index) => (index === failedIndex ? results[index] : {
+        opId: op?.opId || null,
+        type: op?.type,
+        itemId: index < failedIndex ? results[index].itemId : op?.itemId || null,
+        status: index < failedIndex ? 'rolled_back' : 'skipped',
+      }));
+
+      return successResponse(res, {
+        committed: false,
+        failedIndex,
+        applied: 0,
+        failed: 1,
+        results: reported,
+      }, 422);
     }
 
-    successResponse(res, { shareCode });
+    const applied = await publishBatchResults(req.listAccess.list, req.user.id, results);
+
+    successResponse(res, {
+      committed: true,
+      applied,
+      failed: results.length - applied,
+      results,
+    });
   } catch (error) {
-    console.error('Share list error:', error);
-    errorResponse(res, 500, 'Failed to share list');
+    console.error('Batch items error:', error);
+    errorResponse(res, 500, 'Failed to apply batch');
   }
 });
 
-// ── POST /api/lists/join ────────────────────────────────────
+// ── Substitutions ───────────────────────────────────────────
+// A shopper proposes a replacement for an out-of-stock line; the
+// owner approves (the line is rewritten, the original kept in
+// history) or rejects it. Lists can auto-approve cheaper proposals.
+
+const formatSubstitutedItem = (item) => ({
+  id: item.id,
+  name: item.name,
+  brand: item.brand || null,
+  price: parseFloat(item.price) || 0,
+  quantity: parseFloat(item.quantity) || 1,
+  unit: item.unit || null,
+  department: item.department,
+  checked: item.checked,
+  notes: item.notes || '',
+  barcode: item.barcode || null,
+  addedBy: item.added_by,
+  createdAt: item.created_at,
+});
 
-router.post('/join', async (req, res) => {
+const notifyUser = (userId, title, message, type) => query(
+  `INSERT INTO notifications (user_id, title, message, type)
+   VALUES ($1, $2, $3, $4)`,
+  [userId, title, message, type]
+).catch(error => console.error('Notification error:', error.message));
+
+// ── POST /api/lists/:id/items/:itemId/substitutions ─────────
+// Body: { productId? | barcode?, name?, brand?, price?, quantity?, note? }
+
+router.post('/:id/items/:itemId/substitutions', requireListRole('editor'), async (req, res) => {
   try {
-    const { shareCode } = req.body;
+    const { productId, barcode, note } = req.body;
+    const { list } = req.listAccess;
+
+    let product = null;
+    if (productId || barcode) {
+      const productResult = await query(
+        productId
+          ? 'SELECT id, name, brand, barcode, price FROM products WHERE id = $1'
+          : 'SELECT id, name, brand, barcode, price FROM products WHERE barcode = $1',
+        [productId || barcode]
+      );
+      product = productResult.rows[0] || null;
+      if (productId && !product) {
+        return errorResponse(res, 404, 'Product not found');
+      }
+    }
 
-    if (!shareCode || shareCode.length !== 6) {
-      return errorResponse(res, 400, 'Valid 6-character share code required');
+    const name = (req.body.name || product?.name || '').trim();
+    if (!name) {
+      return errorResponse(res, 400, 'A product, barcode or name for the substitute is required');
     }
 
-    // Find list by share code
-    const listResult = await query(
-      'SELECT * FROM shopping_lists WHERE share_code = $1',
-      [shareCode.toUpperCase()]
-    );
+    const price = req.body.price !== undefined && req.body.price !== null
+      ? parseFloat(req.body.price)
+      : (product && parseFloat(product.price) > 0 ? parseFloat(product.price) : null);
+    if (price !== null && (Number.isNaN(price) || price < 0)) {
+      return errorResponse(res, 400, 'Price must be a non-negative number');
+    }
 
-    if (listResult.rows.length === 0) {
-      return errorResponse(res, 404, 'Invalid share code');
+    const quantity = req.body.quantity !== undefined ? parseQuantity(req.body.quantity) : null;
+
+    const outcome = await transaction(async (client) => {
+      const itemResult = await client.query(
+        'SELECT * FROM list_items WHERE id = $1 AND list_id = $2 FOR UPDATE',
+        [req.params.itemId, list.id]
+      );
+      const item = itemResult.rows[0];
+      if (!item) return null;
+
+      // A new proposal replaces any still-pending one for the line
+      await client.query(
+        `UPDATE list_item_substitutions SET status = 'superseded'
+         WHERE item_id = $1 AND status = 'pending'`,
+        [item.id]
+      );
+
+      const inserted = await client.query(
+        `INSERT INTO list_item_substitutions
+           (list_id, item_id, proposed_by, product_id, barcode, name, brand, price, quantity, note)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING *`,
+        [
+          list.id, item.id, req.user.id, product?.id || null, product?.barcode || barcode || null,
+          name, req.body.brand || product?.brand || null, price, quantity, note || null,
+        ]
+      );
+      const substitution = inserted.rows[0];
+
+      await recordListEvent({
+        listId: list.id,
+        itemId: item.id,
+        actorId: req.user.id,
+        action: 'substitution_proposed',
+        before: item,
+        after: substitution,
+      }, client);
+
+      if (list.auto_approve_cheaper_substitutions && isCheaperSubstitution(substitution, item)) {
+        return { ...(await applySubstitution(client, substitution, item, req.user.id, { auto: true })), applied: true };
+      }
+
+      return { substitution, item, applied: false };
+    });
+
+    if (!outcome) {
+      return errorResponse(res, 404, 'Item not found');
     }
 
-    const list = listResult.rows[0];
+    const formatted = formatSubstitution(outcome.substitution);
 
-    // Check if already a collaborator or owner
-    if (list.user_id === req.user.id) {
-      return errorResponse(res, 400, 'You own this list');
+    if (outcome.applied) {
+      const item = formatSubstitutedItem(outcome.item);
+      publishListEvent(list.id, 'substitution_approved', { actorId: req.user.id, substitution: formatted });
+      publishListEvent(list.id, 'item_updated', { actorId: req.user.id, item });
+      await checkBudgetAlert(list.id);
+      return successResponse(res, { substitution: formatted, item, autoApproved: true }, 201);
     }
 
-    const existingCollab = await query(
-      'SELECT id FROM list_collaborators WHERE list_id = $1 AND user_id = $2',
-      [list.id, req.user.id]
-    );
+    publishListEvent(list.id, 'substitution_proposed', { actorId: req.user.id, substitution: formatted });
 
-    if (existingCollab.rows.length > 0) {
-      return errorResponse(res, 400, 'You already have access to this list');
+    if (list.user_id !== req.user.id) {
+      await notifyUser(
+        list.user_id,
+        `Substitute proposed on ${list.name}`,
+        `${outcome.item.name} → ${formatted.name}${formatted.price !== null ? ` ($${formatted.price.toFixed(2)})` : ''}${note ? `: ${note}` : ''}`,
+        'substitution_proposed'
+      );
     }
 
-    // Add as collaborator
-    await query(
-      'INSERT INTO list_collaborators (list_id, user_id, role) VALUES ($1, $2, $3)',
-      [list.id, req.user.id, 'member']
-    );
+    successResponse(res, { substitution: formatted, autoApproved: false }, 201);
+  } catch (error) {
+    console.error('Propose substitution error:', error);
+    errorResponse(res, 500, 'Failed to propose substitution');
+  }
+});
 
-    successResponse(res, {
+// ── GET /api/lists/:id/substitutions ────────────────────────
+// ?status=pending|approved|rejected|superseded (default: all)
+
+router.get('/:id/substitutions', requireListRole('viewer'), async (req, res) => {
+  try {
+    const params = [req.params.id];
+    let queryText = `
+      SELECT s.*, u.name AS proposed_by_name
+      FROM list_item_substitutions s
+      LEFT JOIN users u ON s.proposed_by = u.id
+      WHERE s.list_id = $1
+    `;
+
+    if (req.query.status) {
+      params.push(req.query.status);
+      queryText += ` AND s.status = $${params.length}`;
+    }
+
+    queryText += ' ORDER BY s.created_at DESC LIMIT 100';
+
+    const result = await query(queryText, params);
+
+    successResponse(res, { substitutions: result.rows.map(formatSubstitution) });
+  } catch (error) {
+    console.error('Get substitutions error:', error);
+    errorResponse(res, 500, 'Failed to fetch substitutions');
+  }
+});
+
+// ── POST /api/lists/:id/substitutions/:substitutionId/approve ─
+
+router.post('/:id/substitutions/:substitutionId/approve', requireListRole('owner'), async (req, res) => {
+  try {
+    const outcome = await transaction(async (client) => {
+      const subResult = await client.query(
+        'SELECT * FROM list_item_substitutions WHERE id = $1 AND list_id = $2 FOR UPDATE',
+        [req.params.substitutionId, req.params.id]
+      );
+      const substitution = subResult.rows[0];
+      if (!substitution) return { status: 404, message: 'Substitution not found' };
+      if (substitution.status !== 'pending') {
+        return { status: 409, message: `Substitution is already ${substitution.status}` };
+      }
+
+      const itemResult = await client.query(
+        'SELECT * FROM list_items WHERE id = $1 FOR UPDATE',
+        [substitution.item_id]
+      );
+
+      return applySubstitution(client, substitution, itemResult.rows[0], req.user.id, { note: req.body.note || null });
+    });
+
+    if (outcome.status) {
+      return errorResponse(res, outcome.status, outcome.message);
+    }
+
+    await query(
+      'UPDATE shopping_lists SET updated_at = NOW() WHERE id = $1',
+      [req.params.id]
+    );
+
+    await checkBudgetAlert(req.params.id);
+
+    const substitution = formatSubstitution(outcome.substitution);
+    const item = formatSubstitutedItem(outcome.item);
+
+    publishListEvent(req.params.id, 'substitution_approved', { actorId: req.user.id, substitution });
+    publishListEvent(req.params.id, 'item_updated', { actorId: req.user.id, item });
+
+    if (substitution.proposedBy && substitution.proposedBy !== req.user.id) {
+      await notifyUser(
+        substitution.proposedBy,
+        'Substitute approved',
+        `${substitution.originalItem?.name || 'The item'} → ${substitution.name} on ${req.listAccess.list.name}`,
+        'substitution_approved'
+      );
+    }
+
+    successResponse(res, { substitution, item });
+  } catch (error) {
+    console.error('Approve substitution error:', error);
+    errorResponse(res, 500, 'Failed to approve substitution');
+  }
+});
+
+// ── POST /api/lists/:id/substitutions/:substitutionId/reject ──
+
+router.post('/:id/substitutions/:substitutionId/reject', requireListRole('owner'), async (req, res) => {
+  try {
+    const result = await query(
+      `UPDATE list_item_substitutions SET
+         status = 'rejected', decided_by = $1, decided_at = NOW(), decision_note = $2
+       WHERE id = $3 AND list_id = $4 AND status = 'pending'
+       RETURNING *`,
+      [req.user.id, req.body.note || null, req.params.substitutionId, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      const existing = await query(
+        'SELECT status FROM list_item_substitutions WHERE id = $1 AND list_id = $2',
+        [req.params.substitutionId, req.params.id]
+      );
+      return existing.rows.length === 0
+        ? errorResponse(res, 404, 'Substitution not found')
+        : errorResponse(res, 409, `Substitution is already ${existing.rows[0].status}`);
+    }
+
+    const substitution = formatSubstitution(result.rows[0]);
+
+    await recordListEvent({
+      listId: req.params.id,
+      itemId: substitution.itemId,
+      actorId: req.user.id,
+      action: 'substitution_rejected',
+      after: result.rows[0],
+    });
+
+    publishListEvent(req.params.id, 'substitution_rejected', { actorId: req.user.id, substitution });
+
+    if (substitution.proposedBy && substitution.proposedBy !== req.user.id) {
+      await notifyUser(
+        substitution.proposedBy,
+        'Substitute rejected',
+        `${substitution.name} was not approved on ${req.listAccess.list.name}${substitution.decisionNote ? `: ${substitution.decisionNote}` : ''}`,
+        'substitution_rejected'
+      );
+    }
+
+    successResponse(res, { substitution });
+  } catch (error) {
+    console.error('Reject substitution error:', error);
+    errorResponse(res, 500, 'Failed to reject substitution');
+  }
+});
+
+// ── POST /api/lists/:id/complete ────────────────────────────
+// Body: { storeId? | storeName?, items?: [{ itemId, actualPrice, quantity? }],
+//         total?, note?, archive?, rollOver?, rollOverName? }
+// Records the checked items as a shopping trip. Items without an
+// actualPrice are recorded at their list price. Archiving the list
+// needs the owner; the roll-over list belongs to the owner too.
+
+router.post('/:id/complete', requireListRole('editor'), async (req, res) => {
+  try {
+    const { storeId, note, archive = false, rollOver = false, rollOverName } = req.body;
+    const { list } = req.listAccess;
+
+    if (archive && !hasListRole(req.listAccess, 'owner')) {
+      return errorResponse(res, 403, 'Only the list owner can archive the list');
+    }
+
+    const { prices, error } = parseActualPrices(req.body.items);
+    if (error) {
+      return errorResponse(res, 400, error);
+    }
+
+    let total = null;
+    if (req.body.total !== undefined && req.body.total !== null) {
+      total = parseFloat(req.body.total);
+      if (Number.isNaN(total) || total < 0) {
+        return errorResponse(res, 400, 'Total must be a non-negative number');
+      }
+    }
+
+    let store = { id: null, name: req.body.storeName || null };
+    if (storeId) {
+      const storeResult = await query('SELECT id, name FROM stores WHERE id = $1', [storeId]);
+      if (storeResult.rows.length === 0) {
+        return errorResponse(res, 404, 'Store not found');
+      }
+      store = { id: storeResult.rows[0].id, name: req.body.storeName || storeResult.rows[0].name };
+    }
+
+    if (!store.name) {
+      return errorResponse(res, 400, 'Store ID or store name is required');
+    }
+
+    const outcome = await transaction(client => completeList(client, list, {
+      userId: req.user.id,
+      store,
+      note: note || null,
+      total,
+      prices,
+      archive,
+      rollOver,
+      rollOverName,
+    }));
+
+    if (!outcome) {
+      return errorResponse(res, 400, 'Check off at least one item before completing the list');
+    }
+
+    const trip = formatTrip(outcome.trip, outcome.lines);
+
+    publishListEvent(list.id, 'list_completed', {
+      actorId: req.user.id,
+      tripId: trip.id,
+      archived: outcome.archived,
+      rolloverListId: outcome.rolloverList ? outcome.rolloverList.id : null,
+    });
+
+    successResponse(res, {
+      trip,
+      archived: outcome.archived,
+      rolloverList: outcome.rolloverList ? {
+        id: outcome.rolloverList.id,
+        name: outcome.rolloverList.name,
+        itemCount: outcome.carriedOver,
+      } : null,
+      pricesRecorded: outcome.pricesRecorded,
+    }, 201);
+  } catch (error) {
+    console.error('Complete list error:', error);
+    errorResponse(res, 500, 'Failed to complete list');
+  }
+});
+
+// ── GET /api/lists/:id/export ───────────────────────────────
+// ?format=csv|txt|json|md — items grouped by department.
+
+router.get('/:id/export', requireListRole('viewer'), async (req, res) => {
+  try {
+    const format = (req.query.format || 'json').toLowerCase();
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return errorResponse(res, 400, `Format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const { list } = req.listAccess;
+    const itemsResult = await query(
+      'SELECT * FROM list_items WHERE list_id = $1 ORDER BY department, created_at',
+      [list.id]
+    );
+
+    const { body, contentType, extension } = exportList(list, itemsResult.rows, format);
+    const filename = list.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'list';
+
+    res.setHeader('Content-Type', `${contentType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+    res.send(body);
+  } catch (error) {
+    console.error('Export list error:', error);
+    errorResponse(res, 500, 'Failed to export list');
+  }
+});
+
+// ── POST /api/lists/:id/import ──────────────────────────────
+// Body: { text, merge? } — pasted free text, one item per line,
+// or a CSV in the export layout. Matching unchecked lines are
+// topped up rather than duplicated unless merge is false.
+
+const MAX_IMPORT_LINES = 500;
+
+router.post('/:id/import', requireListRole('editor'), async (req, res) => {
+  try {
+    const { text, merge = true } = req.body;
+
+    if (typeof text !== 'string' || !text.trim()) {
+      return errorResponse(res, 400, 'Text to import is required');
+    }
+
+    const { items: parsed, skipped } = parseImportText(text);
+
+    if (parsed.length === 0) {
+      return errorResponse(res, 400, 'No items found in the imported text');
+    }
+
+    if (parsed.length > MAX_IMPORT_LINES) {
+      return errorResponse(res, 400, `At most ${MAX_IMPORT_LINES} items can be imported at once`);
+    }
+
+    const changes = await transaction(async (client) => {
+      const applied = [];
+
+      for (const entry of parsed) {
+        const source = buildSource({ type: 'import', userId: req.user.id, quantity: entry.quantity, unit: entry.unit });
+        const target = merge !== false && !entry.checked
+          ? await findMergeTarget(client, req.params.id, entry)
+          : null;
+
+        if (target) {
+          const item = await mergeIntoItem(client, target, entry, source);
+          await recordListEvent({
+            listId: req.params.id,
+            itemId: item.id,
+            actorId: req.user.id,
+            action: 'item_updated',
+            before: target,
+            after: item,
+            source: 'import',
+          }, client);
+          applied.push({ item, event: 'item_updated' });
+          continue;
+        }
+
+        const inserted = await client.query(
+          `INSERT INTO list_items (list_id, name, price, quantity, unit, department, notes, checked, added_by, sources)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+           RETURNING *`,
+          [
+            req.params.id, entry.name, entry.price, entry.quantity, entry.unit, entry.department,
+            entry.notes, entry.checked, req.user.id, JSON.stringify([source]),
+          ]
+        );
+        await recordListEvent({
+          listId: req.params.id,
+          itemId: inserted.rows[0].id,
+          actorId: req.user.id,
+          action: 'item_added',
+          after: inserted.rows[0],
+          source: 'import',
+        }, client);
+        applied.push({ item: inserted.rows[0], event: 'item_added' });
+      }
+
+      return applied;
+    });
+
+    // Update list timestamp
+    await query(
+      'UPDATE shopping_lists SET updated_at = NOW() WHERE id = $1',
+      [req.params.id]
+    );
+
+    await checkBudgetAlert(req.params.id);
+
+    const items = changes.map(({ item, event }) => {
+      const formatted = {
+        id: item.id,
+        name: item.name,
+        price: parseFloat(item.price) || 0,
+        quantity: parseFloat(item.quantity) || 1,
+        unit: item.unit || null,
+        department: item.department,
+        category: item.department,
+        checked: item.checked,
+        notes: item.notes || '',
+        sources: item.sources || [],
+        addedBy: item.added_by,
+        createdAt: item.created_at,
+      };
+      publishListEvent(req.params.id, event, { actorId: req.user.id, item: formatted });
+      return { ...formatted, merged: event === 'item_updated' };
+    });
+
+    const addedCount = items.filter(item => !item.merged).length;
+
+    successResponse(res, {
+      addedCount,
+      mergedCount: items.length - addedCount,
+      skipped,
+      items,
+    }, 201);
+  } catch (error) {
+    console.error('Import list error:', error);
+    errorResponse(res, 500, 'Failed to import items');
+  }
+});
+
+// ── GET /api/lists/:id/history ──────────────────────────────
+// Audit trail, newest first. Page with ?before=<nextBefore> — the
+// seq of the last event seen, since events from one transaction
+// share created_at.
+
+router.get('/:id/history', requireListRole('viewer'), async (req, res) => {
+  try {
+    const { before, itemId } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    if (before !== undefined && !/^\d+$/.test(before)) {
+      return errorResponse(res, 400, 'before must be a nextBefore value from a previous page');
+    }
+
+    let queryText = `
+      SELECT lh.*, u.name AS actor_name, undo.id AS undone_by
+      FROM list_history lh
+      LEFT JOIN users u ON lh.actor_id = u.id
+      LEFT JOIN list_history undo ON undo.undoes_event_id = lh.id
+      WHERE lh.list_id = $1
+    `;
+    const params = [req.params.id];
+
+    if (before) {
+      params.push(before);
+      queryText += ` AND lh.seq < $${params.length}`;
+    }
+
+    if (itemId) {
+      params.push(itemId);
+      queryText += ` AND lh.item_id = $${params.length}`;
+    }
+
+    params.push(limit);
+    queryText += ` ORDER BY lh.seq DESC LIMIT $${params.length}`;
+
+    const result = await query(queryText, params);
+
+    const events = result.rows.map(row => ({
+      id: row.id,
+      action: row.action,
+      itemId: row.item_id,
+      actor: row.actor_id ? { id: row.actor_id, name: row.actor_name } : null,
+      before: row.before_data,
+      after: row.after_data,
+      changes: diffSnapshots(row.before_data, row.after_data),
+      source: row.source,
+      undoesEventId: row.undoes_event_id,
+      undoneBy: row.undone_by,
+      undoable: UNDOABLE_ACTIONS.includes(row.action) && !row.undone_by,
+      createdAt: row.created_at,
+    }));
+
+    successResponse(res, {
+      events,
+      // BIGINT arrives as a string; pass it back unchanged
+      nextBefore: result.rows.length === limit ? result.rows[result.rows.length - 1].seq : null,
+    });
+  } catch (error) {
+    console.error('Get list history error:', error);
+    errorResponse(res, 500, 'Failed to fetch list history');
+  }
+});
+
+// ── POST /api/lists/:id/undo/:eventId ───────────────────────
+// Reverts one history event. Edits are only reverted on fields
+// nobody has touched since; anything changed later is reported
+// back as skipped rather than silently overwritten.
+
+// Item columns an undo must never rewrite
+const UNDO_PROTECTED_FIELDS = ['id', 'list_id', 'added_by', 'created_at'];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const formatUndoItem = (item) => ({
+  id: item.id,
+  name: item.name,
+  brand: item.brand || null,
+  price: parseFloat(item.price) || 0,
+  quantity: parseFloat(item.quantity) || 1,
+  unit: item.unit || null,
+  department: item.department,
+  checked: item.checked,
+  notes: item.notes || '',
+  barcode: item.barcode || null,
+  addedBy: item.added_by,
+  createdAt: item.created_at,
+});
+
+// Restore each field whose current value still matches `after`
+const revertFields = async (client, table, row, before, after, fields) => {
+  const current = JSON.parse(JSON.stringify(row));
+  const restored = {};
+  const skipped = [];
+
+  for (const field of fields) {
+    if (!/^[a-z_]+$/.test(field) || !(field in current)) continue;
+    if (sameValue(current[field], after[field])) {
+      restored[field] = before[field] ?? null;
+    } else {
+      skipped.push(field);
+    }
+  }
+
+  const columns = Object.keys(restored);
+  if (columns.length === 0) {
+    return { row, restored: [], skipped };
+  }
+
+  const setClauses = columns.map((col, i) => `${col} = $${i + 1}`);
+  const result = await client.query(
+    `UPDATE ${table} SET ${setClauses.join(', ')}, updated_at = NOW()
+     WHERE id = $${columns.length + 1}
+     RETURNING *`,
+    [...columns.map(col => restored[col]), row.id]
+  );
+
+  return { row: result.rows[0], restored: columns, skipped };
+};
+
+router.post('/:id/undo/:eventId', requireListRole('editor'), async (req, res) => {
+  try {
+    const eventResult = await query(
+      `SELECT lh.*, EXISTS (SELECT 1 FROM list_history u WHERE u.undoes_event_id = lh.id) AS undone
+       FROM list_history lh
+       WHERE lh.id = $1 AND lh.list_id = $2`,
+      [req.params.eventId, req.params.id]
+    );
+
+    if (eventResult.rows.length === 0) {
+      return errorResponse(res, 404, 'History event not found');
+    }
+
+    const event = eventResult.rows[0];
+
+    if (!UNDOABLE_ACTIONS.includes(event.action)) {
+      return errorResponse(res, 400, `Cannot undo "${event.action}" events`);
+    }
+
+    if (event.undone) {
+      return errorResponse(res, 409, 'This change has already been undone');
+    }
+
+    if (event.action === 'list_updated' && !hasListRole(req.listAccess, 'owner')) {
+      return errorResponse(res, 403, 'Only the list owner can do this');
+    }
+
+    const before = event.before_data || {};
+    const after = event.after_data || {};
+
+    const outcome = await transaction(async (client) => {
+      if (event.action === 'list_updated') {
+        const list = await client.query('SELECT * FROM shopping_lists WHERE id = $1 FOR UPDATE', [req.params.id]);
+        const reverted = await revertFields(client, 'shopping_lists', list.rows[0], before, after, ['name', 'is_active', 'budget']);
+        if (reverted.restored.length === 0) {
+          return { conflict: 'The list has changed since this event' };
+        }
+        await recordListEvent({
+          listId: req.params.id,
+          actorId: req.user.id,
+          action: 'undo',
+          before: list.rows[0],
+          after: reverted.row,
+          undoesEventId: event.id,
+        }, client);
+        return { list: reverted.row, restored: reverted.restored, skipped: reverted.skipped };
+      }
+
+      const existing = await client.query(
+        'SELECT * FROM list_items WHERE id = $1 AND list_id = $2 FOR UPDATE',
+        [event.item_id, req.params.id]
+      );
+      const current = existing.rows[0];
+
+      if (event.action === 'item_deleted') {
+        if (current) {
+          return { conflict: 'Item already exists' };
+        }
+        const columns = Object.keys(before).filter(col => /^[a-z_]+$/.test(col));
+        const inserted = await client.query(
+          `INSERT INTO list_items (${columns.join(', ')})
+           VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+           ON CONFLICT (id) DO NOTHING
+           RETURNING *`,
+          columns.map(col => (before[col] !== null && typeof before[col] === 'object'
+            ? JSON.stringify(before[col])
+            : before[col]))
+        );
+        if (inserted.rows.length === 0) {
+          return { conflict: 'Item already exists' };
+        }
+        // Otherwise sync clients would keep treating it as deleted
+        await client.query('DELETE FROM list_item_tombstones WHERE item_id = $1', [event.item_id]);
+        await recordListEvent({
+          listId: req.params.id,
+          itemId: event.item_id,
+          actorId: req.user.id,
+          action: 'undo',
+          after: inserted.rows[0],
+          undoesEventId: event.id,
+        }, client);
+        return { item: inserted.rows[0], liveEvent: 'item_added' };
+      }
+
+      if (!current) {
+        return { conflict: 'Item no longer exists' };
+      }
+
+      if (event.action === 'item_added') {
+        await client.query('DELETE FROM list_items WHERE id = $1', [current.id]);
+        await recordListEvent({
+          listId: req.params.id,
+          itemId: current.id,
+          actorId: req.user.id,
+          action: 'undo',
+          before: current,
+          undoesEventId: event.id,
+        }, client);
+        return { itemId: current.id, liveEvent: 'item_deleted' };
+      }
+
+      // item_updated / item_toggled / item_substituted
+      const fields = diffSnapshots(before, after)
+        .map(change => change.field)
+        .filter(field => !UNDO_PROTECTED_FIELDS.includes(field));
+      const reverted = await revertFields(client, 'list_items', current, before, after, fields);
+      if (reverted.restored.length === 0) {
+        return { conflict: 'The item has changed since this event' };
+      }
+      await recordListEvent({
+        listId: req.params.id,
+        itemId: current.id,
+        actorId: req.user.id,
+        action: 'undo',
+        before: current,
+        after: reverted.row,
+        undoesEventId: event.id,
+      }, client);
+      if (reverted.restored.includes('checked')) {
+        await syncPantryForItem(req.listAccess.list.user_id, reverted.row, client);
+      }
+      return {
+        item: reverted.row,
+        restored: reverted.restored,
+        skipped: reverted.skipped,
+        liveEvent: event.action,
+      };
+    });
+
+    if (outcome.conflict) {
+      return errorResponse(res, 409, outcome.conflict);
+    }
+
+    await query(
+      'UPDATE shopping_lists SET updated_at = NOW() WHERE id = $1',
+      [req.params.id]
+    );
+
+    await checkBudgetAlert(req.params.id);
+
+    const response = {
+      undoneEventId: event.id,
+      action: event.action,
+      restoredFields: outcome.restored || [],
+      skippedFields: outcome.skipped || [],
+    };
+
+    if (outcome.list) {
+      response.list = {
+        id: outcome.list.id,
+        name: outcome.list.name,
+        isActive: outcome.list.is_active,
+        budget: outcome.list.budget !== null ? parseFloat(outcome.list.budget) : null,
+        updatedAt: outcome.list.updated_at,
+      };
+      publishListEvent(req.params.id, 'list_updated', { actorId: req.user.id, list: response.list });
+    } else if (outcome.item) {
+      response.item = formatUndoItem(outcome.item);
+      publishListEvent(req.params.id, outcome.liveEvent, { actorId: req.user.id, item: response.item });
+    } else {
+      response.itemId = outcome.itemId;
+      publishListEvent(req.params.id, 'item_deleted', { actorId: req.user.id, itemId: outcome.itemId });
+    }
+
+    successResponse(res, response);
+  } catch (error) {
+    console.error('Undo list event error:', error);
+    errorResponse(res, 500, 'Failed to undo change');
+  }
+});
+
+// ── POST /api/lists/:id/share ───────────────────────────────
+
+router.post('/:id/share', async (req, res) => {
+  try {
+    // Verify ownership
+    const listCheck = await query(
+      'SELECT id, share_code FROM shopping_lists WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+
+    if (listCheck.rows.length === 0) {
+      return errorResponse(res, 404, 'List not found');
+    }
+
+    let shareCode = listCheck.rows[0].share_code;
+
+    if (!shareCode) {
+      // Generate new share code
+      shareCode = generateShareCode();
+      await query(
+        'UPDATE shopping_lists SET share_code = $1 WHERE id = $2',
+        [shareCode, req.params.id]
+      );
+
+      await recordListEvent({
+        listId: req.params.id,
+        actorId: req.user.id,
+        action: 'list_shared',
+        after: { share_code: shareCode },
+      });
+    }
+
+    successResponse(res, { shareCode });
+  } catch (error) {
+    console.error('Share list error:', error);
+    errorResponse(res, 500, 'Failed to share list');
+  }
+});
+
+// ── GET /api/lists/:id/collaborators ────────────────────────
+// Everyone on the list can see who else is on it.
+
+router.get('/:id/collaborators', requireListRole('viewer'), async (req, res) => {
+  try {
+    const { list } = req.listAccess;
+
+    const result = await query(
+      `SELECT u.id, u.name, u.email, u.avatar_url, lc.role, lc.joined_at
+       FROM list_collaborators lc
+       JOIN users u ON lc.user_id = u.id
+       WHERE lc.list_id = $1
+       ORDER BY lc.joined_at`,
+      [list.id]
+    );
+
+    const ownerResult = await query(
+      'SELECT id, name, email, avatar_url FROM users WHERE id = $1',
+      [list.user_id]
+    );
+    const owner = ownerResult.rows[0];
+
+    successResponse(res, {
+      owner: owner ? {
+        userId: owner.id,
+        name: owner.name,
+        email: owner.email,
+        avatarUrl: owner.avatar_url,
+        role: 'owner',
+      } : null,
+      collaborators: result.rows.map(row => ({
+        userId: row.id,
+        name: row.name,
+        email: row.email,
+        avatarUrl: row.avatar_url,
+        role: normalizeRole(row.role),
+        joinedAt: row.joined_at,
+      })),
+      myRole: req.listAccess.role,
+    });
+  } catch (error) {
+    console.error('Get collaborators error:', error);
+    errorResponse(res, 500, 'Failed to fetch collaborators');
+  }
+});
+
+// ── PUT /api/lists/:id/collaborators/:userId ────────────────
+// Owner changes a collaborator's role (editor / viewer).
+
+router.put('/:id/collaborators/:userId', requireListRole('owner'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      return errorResponse(res, 400, `Role must be one of: ${COLLABORATOR_ROLES.join(', ')}`);
+    }
+
+    const result = await query(
+      `UPDATE list_collaborators SET role = $1
+       WHERE list_id = $2 AND user_id = $3
+       RETURNING *`,
+      [role, req.params.id, req.params.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return errorResponse(res, 404, 'Collaborator not found');
+    }
+
+    await recordListEvent({
+      listId: req.params.id,
+      actorId: req.user.id,
+      action: 'collaborator_updated',
+      after: result.rows[0],
+    });
+
+    publishListEvent(req.params.id, 'collaborator_updated', {
+      actorId: req.user.id,
+      userId: req.params.userId,
+      role,
+    });
+
+    successResponse(res, {
+      collaborator: {
+        userId: result.rows[0].user_id,
+        role: result.rows[0].role,
+        joinedAt: result.rows[0].joined_at,
+      },
+    });
+  } catch (error) {
+    console.error('Update collaborator error:', error);
+    errorResponse(res, 500, 'Failed to update collaborator');
+  }
+});
+
+// ── DELETE /api/lists/:id/collaborators/:userId ─────────────
+// Owner removes a collaborator from the list.
+
+router.delete('/:id/collaborators/:userId', requireListRole('owner'), async (req, res) => {
+  try {
+    const result = await query(
+      'DELETE FROM list_collaborators WHERE list_id = $1 AND user_id = $2 RETURNING *',
+      [req.params.id, req.params.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return errorResponse(res, 404, 'Collaborator not found');
+    }
+
+    await recordListEvent({
+      listId: req.params.id,
+      actorId: req.user.id,
+      action: 'collaborator_removed',
+      before: result.rows[0],
+    });
+
+    publishListEvent(req.params.id, 'collaborator_removed', {
+      actorId: req.user.id,
+      userId: req.params.userId,
+    });
+
+    successResponse(res, { message: 'Collaborator removed' });
+  } catch (error) {
+    console.error('Remove collaborator error:', error);
+    errorResponse(res, 500, 'Failed to remove collaborator');
+  }
+});
+
+// ── POST /api/lists/:id/leave ───────────────────────────────
+// A collaborator removes themselves from a shared list.
+
+router.post('/:id/leave', requireListRole('viewer'), async (req, res) => {
+  try {
+    if (req.listAccess.role === 'owner') {
+      return errorResponse(res, 400, 'Owners cannot leave their own list. Delete it instead.');
+    }
+
+    const result = await query(
+      'DELETE FROM list_collaborators WHERE list_id = $1 AND user_id = $2 RETURNING *',
+      [req.params.id, req.user.id]
+    );
+
+    await recordListEvent({
+      listId: req.params.id,
+      actorId: req.user.id,
+      action: 'collaborator_left',
+      before: result.rows[0],
+    });
+
+    publishListEvent(req.params.id, 'collaborator_removed', {
+      actorId: req.user.id,
+      userId: req.user.id,
+    });
+
+    successResponse(res, { message: 'You left the list' });
+  } catch (error) {
+    console.error('Leave list error:', error);
+    errorResponse(res, 500, 'Failed to leave list');
+  }
+});
+
+// ── POST /api/lists/join ────────────────────────────────────
+
+router.post('/join', async (req, res) => {
+  try {
+    const { shareCode } = req.body;
+
+    if (!shareCode || shareCode.length !== 6) {
+      return errorResponse(res, 400, 'Valid 6-character share code required');
+    }
+
+    // Find list by share code
+    const listResult = await query(
+      'SELECT * FROM shopping_lists WHERE share_code = $1',
+      [shareCode.toUpperCase()]
+    );
+
+    if (listResult.rows.length === 0) {
+      return errorResponse(res, 404, 'Invalid share code');
+    }
+
+    const list = listResult.rows[0];
+
+    // Check if already a collaborator or owner
+    if (list.user_id === req.user.id) {
+      return errorResponse(res, 400, 'You own this list');
+    }
+
+    const existingCollab = await query(
+      'SELECT id FROM list_collaborators WHERE list_id = $1 AND user_id = $2',
+      [list.id, req.user.id]
+    );
+
+    if (existingCollab.rows.length > 0) {
+      return errorResponse(res, 400, 'You already have access to this list');
+    }
+
+    // Add as collaborator
+    const collaborator = await query(
+      'INSERT INTO list_collaborators (list_id, user_id, role) VALUES ($1, $2, $3) RETURNING *',
+      [list.id, req.user.id, 'editor']
+    );
+
+    await recordListEvent({
+      listId: list.id,
+      actorId: req.user.id,
+      action: 'collaborator_joined',
+      after: collaborator.rows[0],
+    });
+
+    publishListEvent(list.id, 'collaborator_added', { actorId: req.user.id, userId: req.user.id, role: 'editor' });
+
+    successResponse(res, {
       message: 'Successfully joined list',
       list: {
         id: list.id,
         name: list.name,
+        role: 'editor',
       },
     });
   } catch (error) {
@@ -625,53 +1846,295 @@ router.post('/join', async (req, res) => {
   }
 });
 
-// ── GET /api/lists/:id/cost ─────────────────────────────────
+// ── POST /api/lists/sync ────────────────────────────────────
+// Offline-first delta sync. The client replays queued operations
+// and receives every server change since its last cursor.
+//
+// Body:
+//   cursor      — cursor returned by the previous call (omit or 0
+//                 for a full sync)
+//   listIds     — listIds returned by the previous call. Lists the
+//                 client didn't have then (newly shared, joined)
+//                 come back whole rather than as changes.
+//   operations  — [{ opId, type: add|update|delete, listId, itemId,
+//                    fields, baseVersion, clientTimestamp }]
+//
+// Returned changes are never older than the cursor but may repeat
+// ones the client already has. fullListIds are the lists sent
+// whole: the client should replace its copy of their items.
+//
+// New items carry a client-generated UUID as itemId, which makes
+// replaying an "add" after a dropped response idempotent.
+// See utils/listSync.js for the conflict policy.
+
+const MAX_SYNC_OPERATIONS = 500;
+
+const applySyncOperation = async (op, listRoles, userId) => {
+  const base = { opId: op.opId || null, type: op.type, itemId: op.itemId || null };
+
+  if (!op.listId || !listRoles.has(op.listId)) {
+    return { ...base, status: 'rejected', reason: 'list_not_found' };
+  }
+  if (!hasListRole({ role: listRoles.get(op.listId) }, 'editor')) {
+    return { ...base, status: 'rejected', reason: 'read_only' };
+  }
+  if (!op.itemId) {
+    return { ...base, status: 'rejected', reason: 'item_id_required' };
+  }
 
-router.get('/:id/cost', async (req, res) => {
-  try {
-    const taxRate = 0.0875; // 8.75%
+  const clientTime = resolveClientTime(op.clientTimestamp);
+  const fields = normalizeSyncFields(op.fields);
 
-    // Get items
-    const result = await query(
-      `SELECT li.* FROM list_items li
-       JOIN shopping_lists sl ON li.list_id = sl.id
-       LEFT JOIN list_collaborators lc ON sl.id = lc.list_id AND lc.user_id = $2
-       WHERE sl.id = $1 AND (sl.user_id = $2 OR lc.user_id = $2)`,
-      [req.params.id, req.user.id]
+  return transaction(async (client) => {
+    const tombstone = await client.query(
+      'SELECT deleted_at FROM list_item_tombstones WHERE item_id = $1',
+      [op.itemId]
+    );
+    const existing = await client.query(
+      'SELECT * FROM list_items WHERE id = $1 AND list_id = $2 FOR UPDATE',
+      [op.itemId, op.listId]
     );
+    const row = existing.rows[0];
 
-    if (result.rows.length === 0) {
-      // Check if list exists but is empty
-      const listCheck = await query(
-        `SELECT sl.id FROM shopping_lists sl
-         LEFT JOIN list_collaborators lc ON sl.id = lc.list_id AND lc.user_id = $2
-         WHERE sl.id = $1 AND (sl.user_id = $2 OR lc.user_id = $2)`,
-        [req.params.id, req.user.id]
+    if (op.type === 'add') {
+      if (row) {
+        // Replayed add — the item is already here
+        return { ...base, status: 'applied', item: formatSyncItem(row) };
+      }
+      if (tombstone.rows.length > 0) {
+        return { ...base, status: 'conflict', reason: 'deleted' };
+      }
+      if (!fields.name) {
+        return { ...base, status: 'rejected', reason: 'name_required' };
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO list_items (id, list_id, name, price, quantity, unit, department, notes, checked, brand, have_at_home, added_by, field_clock)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+         RETURNING *`,
+        [
+          op.itemId, op.listId, fields.name, fields.price || 0, fields.quantity || 1,
+          fields.unit || null, fields.department || null, fields.notes || null,
+          fields.checked || false, fields.brand || null, fields.haveAtHome || false, userId,
+          JSON.stringify(initialFieldClock(fields, clientTime)),
+        ]
       );
+      await recordListEvent({
+        listId: op.listId,
+        itemId: op.itemId,
+        actorId: userId,
+        action: 'item_added',
+        after: inserted.rows[0],
+        source: 'sync',
+      }, client);
+      return { ...base, status: 'applied', item: formatSyncItem(inserted.rows[0]), event: 'item_added' };
+    }
 
-      if (listCheck.rows.length === 0) {
-        return errorResponse(res, 404, 'List not found');
+    if (!row) {
+      if (tombstone.rows.length > 0) {
+        // Deleting something already deleted is a no-op; editing it is a conflict
+        return op.type === 'delete'
+          ? { ...base, status: 'applied' }
+          : { ...base, status: 'conflict', reason: 'deleted' };
       }
+      return { ...base, status: 'rejected', reason: 'item_not_found' };
+    }
 
-      return successResponse(res, {
-        subtotal: 0,
-        tax: 0,
-        total: 0,
-        itemCount: 0,
-      });
+    if (op.type === 'update') {
+      const { changes, clock, conflicts } = resolveItemUpdate(row, fields, clientTime, op.baseVersion);
+      const columns = Object.keys(changes);
+
+      if (columns.length === 0) {
+        return { ...base, status: 'conflict', conflicts, item: formatSyncItem(row) };
+      }
+
+      const setClauses = columns.map((col, i) => `${col} = $${i + 1}`);
+      const updated = await client.query(
+        `UPDATE list_items SET ${setClauses.join(', ')}, field_clock = $${columns.length + 1}
+         WHERE id = $${columns.length + 2}
+         RETURNING *`,
+        [...columns.map(col => changes[col]), JSON.stringify(clock), row.id]
+      );
+      await recordListEvent({
+        listId: op.listId,
+        itemId: row.id,
+        actorId: userId,
+        action: 'item_updated',
+        before: row,
+        after: updated.rows[0],
+        source: 'sync',
+      }, client);
+      if (updated.rows[0].checked !== row.checked) {
+        const owner = await client.query('SELECT user_id FROM shopping_lists WHERE id = $1', [op.listId]);
+        await syncPantryForItem(owner.rows[0].user_id, updated.rows[0], client);
+      }
+      return {
+        ...base,
+        status: conflicts.length > 0 ? 'merged' : 'applied',
+        conflicts,
+        item: formatSyncItem(updated.rows[0]),
+        event: 'item_updated',
+      };
+    }
+
+    if (op.type === 'delete') {
+      if (!shouldApplyDelete(row, clientTime, op.baseVersion)) {
+        return { ...base, status: 'conflict', reason: 'modified_after_delete', item: formatSyncItem(row) };
+      }
+      await client.query('DELETE FROM list_items WHERE id = $1', [row.id]);
+      await recordListEvent({
+        listId: op.listId,
+        itemId: row.id,
+        actorId: userId,
+        action: 'item_deleted',
+        before: row,
+        source: 'sync',
+      }, client);
+      return { ...base, status: 'applied', event: 'item_deleted' };
+    }
+
+    return { ...base, status: 'rejected', reason: 'unknown_operation' };
+  });
+};
+
+router.post('/sync', async (req, res) => {
+  try {
+    const { cursor = 0, listIds: previousListIds, operations = [] } = req.body;
+
+    if (!Array.isArray(operations)) {
+      return errorResponse(res, 400, 'Operations must be an array');
+    }
+
+    if (operations.length > MAX_SYNC_OPERATIONS) {
+      return errorResponse(res, 400, `At most ${MAX_SYNC_OPERATIONS} operations per sync`);
+    }
+
+    // Lists this user owns or collaborates on, with their role
+    const accessResult = await query(
+      `SELECT sl.id,
+         CASE WHEN sl.user_id = $1 THEN 'owner' ELSE lc.role END AS access_role
+       FROM shopping_lists sl
+       LEFT JOIN list_collaborators lc ON sl.id = lc.list_id AND lc.user_id = $1
+       WHERE sl.user_id = $1 OR lc.user_id = $1`,
+      [req.user.id]
+    );
+    const listIds = accessResult.rows.map(r => r.id);
+    const listRoles = new Map(accessResult.rows.map(r => [r.id, normalizeRole(r.access_role)]));
+
+    // 1. Apply queued client operations in order
+    const results = [];
+    const touchedListIds = new Set();
+    for (const op of operations) {
+      try {
+        const result = await applySyncOperation(op, listRoles, req.user.id);
+        if (result.event) {
+          touchedListIds.add(op.listId);
+          publishListEvent(op.listId, result.event, {
+            actorId: req.user.id,
+            ...(result.item ? { item: result.item } : { itemId: op.itemId }),
+          });
+          delete result.event;
+        }
+        results.push(result);
+      } catch (opError) {
+        console.error('Sync operation error:', opError.message);
+        results.push({ opId: op.opId || null, type: op.type, itemId: op.itemId || null, status: 'rejected', reason: 'invalid_operation' });
+      }
+    }
+
+    if (touchedListIds.size > 0) {
+      await query(
+        'UPDATE shopping_lists SET updated_at = NOW() WHERE id = ANY($1)',
+        [[...touchedListIds]]
+      );
+    }
+
+    // 2. Collect every server change since the client's cursor.
+    // The next cursor is read before the changes so nothing that
+    // commits in between can fall behind it.
+    const since = parseSyncCursor(cursor);
+    const knownListIds = new Set(since !== null && Array.isArray(previousListIds)
+      ? previousListIds.map(String)
+      : []);
+    const deltaListIds = listIds.filter(id => knownListIds.has(id));
+    const fullListIds = listIds.filter(id => !knownListIds.has(id));
+
+    const snapshot = await query('SELECT pg_snapshot_xmin(pg_current_snapshot()) AS xmin');
+
+    const changedResult = await query(
+      `SELECT li.* FROM list_items li
+       WHERE li.list_id = ANY($1)
+          OR (li.list_id = ANY($2) AND li.sync_xid >= $3::xid8)
+       ORDER BY li.sync_seq`,
+      [fullListIds, deltaListIds, since || '0']
+    );
+
+    // Lists sent whole are a snapshot — tombstones aren't needed
+    const deletedResult = deltaListIds.length > 0
+      ? await query(
+        `SELECT item_id, list_id, deleted_at FROM list_item_tombstones
+         WHERE list_id = ANY($1) AND sync_xid >= $2::xid8
+         ORDER BY sync_seq`,
+        [deltaListIds, since]
+      )
+      : { rows: [] };
+
+    successResponse(res, {
+      results,
+      changes: {
+        items: changedResult.rows.map(formatSyncItem),
+        deleted: deletedResult.rows.map(t => ({
+          id: t.item_id,
+          listId: t.list_id,
+          deletedAt: t.deleted_at,
+        })),
+      },
+      // Lists no longer in here were deleted or access was revoked
+      listIds,
+      roles: Object.fromEntries(listRoles),
+      cursor: formatSyncCursor(snapshot.rows[0].xmin),
+      fullListIds,
+      fullSync: deltaListIds.length === 0,
+    });
+  } catch (error) {
+    console.error('List sync error:', error);
+    errorResponse(res, 500, 'Failed to sync lists');
+  }
+});
+
+// ── GET /api/lists/:id/cost ─────────────────────────────────
+// ?storeId= applies that store's tax rules (see utils/taxRules.js);
+// without it only the default rules apply. Returns a line-by-line
+// breakdown alongside the totals.
+
+router.get('/:id/cost', requireListRole('viewer'), async (req, res) => {
+  try {
+    const { storeId } = req.query;
+
+    const ruleset = await loadTaxRules(storeId || null);
+
+    if (!ruleset) {
+      return errorResponse(res, 404, 'Store not found');
     }
 
-    const subtotal = result.rows.reduce((sum, item) =>
-      sum + (parseFloat(item.price) || 0) * (item.quantity || 1), 0
+    const result = await query(
+      'SELECT * FROM list_items WHERE list_id = $1 ORDER BY department, created_at',
+      [req.params.id]
     );
-    const tax = subtotal * taxRate;
-    const total = subtotal + tax;
+
+    const { subtotal, tax, deposits, total, taxByRate, lines } = calculateListTax(result.rows, ruleset);
 
     successResponse(res, {
-      subtotal: Math.round(subtotal * 100) / 100,
-      tax: Math.round(tax * 100) / 100,
-      total: Math.round(total * 100) / 100,
+      subtotal,
+      tax,
+      deposits,
+      total,
+      ...budgetSummary(req.listAccess.list.budget, total),
       itemCount: result.rows.length,
+      storeId: ruleset.store ? ruleset.store.id : null,
+      taxRegion: ruleset.region,
+      taxByRate,
+      lines,
     });
   } catch (error) {
     console.error('Get cost error:', error);
@@ -679,6 +2142,146 @@ router.get('/:id/cost', async (req, res) => {
   }
 });
 
+// ── GET /api/lists/:id/budget-swaps ─────────────────────────
+// Cheaper alternatives for the most expensive unchecked lines of
+// an over-budget list. Optional ?storeId= and ?lat=&lng= price the
+// alternatives the same way /api/products/brand-options does.
+
+router.get('/:id/budget-swaps', requireListRole('viewer'), async (req, res) => {
+  try {
+    const { storeId, lat, lng } = req.query;
+    const maxLines = Math.min(parseInt(req.query.limit) || 5, 20);
+    const { list } = req.listAccess;
+
+    const itemsResult = await query(
+      'SELECT * FROM list_items WHERE list_id = $1',
+      [list.id]
+    );
+
+    const totalCost = itemsResult.rows.reduce((sum, item) =>
+      sum + (parseFloat(item.price) || 0) * (parseFloat(item.quantity) || 1), 0
+    );
+    const summary = budgetSummary(list.budget, totalCost);
+
+    if (!summary.isOverBudget) {
+      return successResponse(res, {
+        totalCost: Math.round(totalCost * 100) / 100,
+        ...summary,
+        swaps: [],
+        potentialSavings: 0,
+        fitsBudgetAfterSwaps: summary.budget !== null,
+      });
+    }
+
+    const swaps = await findBudgetSwaps(itemsResult.rows, { storeId, lat, lng, maxLines });
+
+    const potentialSavings = Math.round(
+      swaps.reduce((sum, swap) => sum + swap.alternatives[0].lineSavings, 0) * 100
+    ) / 100;
+
+    successResponse(res, {
+      totalCost: Math.round(totalCost * 100) / 100,
+      ...summary,
+      swaps,
+      potentialSavings,
+      fitsBudgetAfterSwaps: potentialSavings >= summary.overBudget,
+    });
+  } catch (error) {
+    console.error('Get budget swaps error:', error);
+    errorResponse(res, 500, 'Failed to find cheaper swaps');
+  }
+});
+
+// ── GET /api/lists/:id/optimize-basket ──────────────────────
+// Splits the unchecked items across up to ?maxStores= (1–3) stores
+// for the lowest total, charging travel for each extra stop.
+// Query: maxStores, lat, lng, costPerKm, extraStopCost, maxDistanceKm
+// See utils/basketOptimizer.js for the scoring.
+
+router.get('/:id/optimize-basket', requireListRole('viewer'), async (req, res) => {
+  try {
+    const { lat, lng } = req.query;
+    const maxStores = req.query.maxStores === undefined ? 2 : Number(req.query.maxStores);
+
+    if (!Number.isInteger(maxStores) || maxStores < 1 || maxStores > MAX_STORES) {
+      return errorResponse(res, 400, `maxStores must be between 1 and ${MAX_STORES}`);
+    }
+
+    const origin = lat && lng && !Number.isNaN(parseFloat(lat)) && !Number.isNaN(parseFloat(lng))
+      ? { lat: parseFloat(lat), lng: parseFloat(lng) }
+      : null;
+
+    const optionalNumber = (value) => {
+      const parsed = parseFloat(value);
+      return Number.isNaN(parsed) || parsed < 0 ? undefined : parsed;
+    };
+
+    const items = await query(
+      `SELECT id, name, barcode, price, quantity FROM list_items
+       WHERE list_id = $1 AND checked = false`,
+      [req.params.id]
+    );
+
+    if (items.rows.length === 0) {
+      return successResponse(res, { plan: null, message: 'No items in list' });
+    }
+
+    const barcodes = [...new Set(items.rows.filter(i => i.barcode).map(i => i.barcode))];
+
+    if (barcodes.length === 0) {
+      return successResponse(res, {
+        plan: null,
+        message: 'No scanned products to compare. Scan barcodes to enable price comparison.',
+        totalItems: items.rows.length,
+        scannedItems: 0,
+      });
+    }
+
+    // Latest price per store and barcode
+    const storePrices = await query(
+      `SELECT DISTINCT ON (sp.store_id, sp.barcode)
+              sp.store_id, sp.barcode, sp.price, sp.regular_price, sp.confidence, sp.updated_at,
+              s.name as store_name, s.address as store_address,
+              s.latitude, s.longitude
+       FROM store_prices sp
+       JOIN stores s ON sp.store_id = s.id
+       WHERE sp.barcode = ANY($1) AND sp.price > 0
+       ORDER BY sp.store_id, sp.barcode, sp.updated_at DESC`,
+      [barcodes]
+    );
+
+    const result = optimizeBasket(items.rows, storePrices.rows, {
+      maxStores,
+      origin,
+      costPerKm: optionalNumber(req.query.costPerKm),
+      extraStopCost: optionalNumber(req.query.extraStopCost),
+      maxDistanceKm: optionalNumber(req.query.maxDistanceKm),
+    });
+
+    if (!result.best) {
+      return successResponse(res, {
+        plan: null,
+        message: 'No stores with prices for these items',
+        totalItems: items.rows.length,
+        scannedItems: barcodes.length,
+      });
+    }
+
+    successResponse(res, {
+      plan: result.best,
+      singleStore: result.singleStore,
+      savings: result.savings,
+      settings: result.settings,
+      candidateStores: result.candidateStores,
+      totalItems: items.rows.length,
+      scannedItems: barcodes.length,
+    });
+  } catch (error) {
+    console.error('Optimize basket error:', error);
+    errorResponse(res, 500, 'Failed to optimize basket');
+  }
+});
+
 // ── GET /api/lists/:id/compare-prices ──────────────────────
 // Compare cart total across stores using crowdsourced prices
 router.get('/:id/compare-prices', async (req, res) => {
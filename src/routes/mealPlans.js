@@ -6,27 +6,13 @@
 const express = require('express');
 const { query, successResponse, errorResponse } = require('../models/db');
 const { authenticate } = require('../middleware/auth');
+const { findOwnedMealPlan, formatMealPlan, createMealPlan, addMealToPlan } = require('../utils/mealPlans');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticate);
 
-// ── Helper: Format meal plan response ───────────────────────
-
-const formatMealPlan = (row, meals = []) => ({
-  id: row.id,
-  name: row.name,
-  startDate: row.start_date,
-  endDate: row.end_date,
-  goal: row.goal,
-  dailyCalories: row.daily_calories,
-  isAIGenerated: row.is_ai_generated,
-  createdAt: row.created_at,
-  updatedAt: row.updated_at,
-  meals: meals,
-});
-
 // ── GET /api/meal-plans ─────────────────────────────────────
 
 router.get('/', async (req, res) => {
@@ -62,14 +48,9 @@ router.post('/', async (req, res) => {
       return errorResponse(res, 400, 'Plan name is required');
     }
 
-    const result = await query(
-      `INSERT INTO meal_plans (user_id, name, start_date, end_date, goal, daily_calories, is_ai_generated)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       RETURNING *`,
-      [req.user.id, name, startDate, endDate, goal, dailyCalories || 2000, isAIGenerated]
-    );
+    const plan = await createMealPlan(req.user.id, { name, startDate, endDate, goal, dailyCalories, isAIGenerated });
 
-    successResponse(res, { plan: formatMealPlan(result.rows[0]) }, 201);
+    successResponse(res, { plan: formatMealPlan(plan) }, 201);
   } catch (error) {
     console.error('Create meal plan error:', error);
     errorResponse(res, 500, 'Failed to create meal plan');
@@ -183,12 +164,9 @@ router.post('/:id/meals', async (req, res) => {
     const { dayNumber, mealType, recipeId, recipeName, calories } = req.body;
 
     // Verify plan ownership
-    const planCheck = await query(
-      'SELECT id FROM meal_plans WHERE id = $1 AND user_id = $2',
-      [req.params.id, req.user.id]
-    );
+    const plan = await findOwnedMealPlan(req.params.id, req.user.id);
 
-    if (planCheck.rows.length === 0) {
+    if (!plan) {
       return errorResponse(res, 404, 'Meal plan not found');
     }
 
@@ -196,43 +174,9 @@ router.post('/:id/meals', async (req, res) => {
       return errorResponse(res, 400, 'Day number and meal type are required');
     }
 
-    // Get recipe name if recipeId provided
-    let finalRecipeName = recipeName;
-    if (recipeId && !recipeName) {
-      const recipeResult = await query(
-        'SELECT title FROM recipes WHERE id = $1',
-        [recipeId]
-      );
-      if (recipeResult.rows.length > 0) {
-        finalRecipeName = recipeResult.rows[0].title;
-      }
-    }
-
-    const result = await query(
-      `INSERT INTO meal_plan_meals (plan_id, day_number, meal_type, recipe_id, recipe_name, calories)
-       VALUES ($1, $2, $3, $4, $5, $6)
-       RETURNING *`,
-      [req.params.id, dayNumber, mealType, recipeId, finalRecipeName, calories]
-    );
-
-    // Update plan timestamp
-    await query(
-      'UPDATE meal_plans SET updated_at = NOW() WHERE id = $1',
-      [req.params.id]
-    );
-
-    const meal = result.rows[0];
+    const meal = await addMealToPlan(req.params.id, { dayNumber, mealType, recipeId, recipeName, calories });
 
-    successResponse(res, {
-      meal: {
-        id: meal.id,
-        dayNumber: meal.day_number,
-        mealType: meal.meal_type,
-        recipeId: meal.recipe_id,
-        recipeName: meal.recipe_name,
-        calories: meal.calories,
-      },
-    }, 201);
+    successResponse(res, { meal }, 201);
   } catch (error) {
     console.error('Add meal error:', error);
     errorResponse(res, 500, 'Failed to add meal');
@@ -0,0 +1,470 @@
+// src/routes/pantry.js
+// ============================================================
+// Pantry Routes — what's already at home
+// ============================================================
+
+const express = require('express');
+const { query, successResponse, errorResponse } = require('../models/db');
+const { authenticate } = require('../middleware/auth');
+const { requireAIQuota } = require('../middleware/aiQuota');
+const { getListAccess, hasListRole } = require('../middleware/listAccess');
+const ai = require('../utils/aiService');
+const { normalizeItemName } = require('../utils/ingredientMerge');
+const {
+  householdUserIds,
+  estimateExpiry,
+  formatPantryItem,
+  parsePantryQuantity,
+  addPantryItem,
+} = require('../utils/pantry');
+const {
+  DEFAULT_MIN_CONFIDENCE,
+  PHOTO_SCAN_PROMPT,
+  createPhotoScan,
+  findPhotoScan,
+  confirmPhotoScan,
+  dismissPhotoScan,
+} = require('../utils/pantryPhotoScan');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const PANTRY_STATUSES = ['available', 'consumed', 'discarded'];
+
+// ── Helper: load an item the user's household can see ───────
+
+const findPantryItem = async (itemId, userId) => {
+  const members = await householdUserIds(userId);
+  const result = await query(
+    'SELECT * FROM pantry_items WHERE id = $1 AND user_id = ANY($2)',
+    [itemId, members]
+  );
+  return result.rows[0] || null;
+};
+
+// ── Helper: the pantry fields a client may set ──────────────
+// source, tripId, productId and the rest are the server's to fill
+
+const pantryEntryFields = ({ name, quantity, unit, brand, barcode, department, purchasedAt, expiresAt, notes }) => ({
+  name, quantity, unit, brand, barcode, department, purchasedAt, expiresAt, notes,
+});
+
+// ── Helper: quantity for a new item ─────────────────────────
+// Returns { quantity } (undefined when not sent) or { error }
+
+const newItemQuantity = (body) => {
+  if (body.quantity === undefined || body.quantity === null) return { quantity: undefined };
+  const quantity = parsePantryQuantity(body.quantity);
+  if (!(quantity > 0)) return { error: 'Quantity must be a number greater than zero' };
+  return { quantity };
+};
+
+// ── GET /api/pantry ─────────────────────────────────────────
+// ?scope=household (default) | mine
+// ?status=available (default) | consumed | discarded | all
+// ?department=  ?q=
+
+router.get('/', async (req, res) => {
+  try {
+    const { scope = 'household', status = 'available', department, q } = req.query;
+
+    if (status !== 'all' && !PANTRY_STATUSES.includes(status)) {
+      return errorResponse(res, 400, `Status must be one of: ${PANTRY_STATUSES.join(', ')}, all`);
+    }
+
+    const members = scope === 'mine' ? [req.user.id] : await householdUserIds(req.user.id);
+    const params = [members];
+    let queryText = `
+      SELECT pi.*, u.name AS owner_name
+      FROM pantry_items pi
+      JOIN users u ON pi.user_id = u.id
+      WHERE pi.user_id = ANY($1)
+    `;
+
+    if (status !== 'all') {
+      params.push(status);
+      queryText += ` AND pi.status = $${params.length}`;
+    }
+    if (department) {
+      params.push(department);
+      queryText += ` AND LOWER(pi.department) = LOWER($${params.length})`;
+    }
+    if (q && q.trim()) {
+      params.push(`%${q.trim().toLowerCase()}%`);
+      queryText += ` AND (LOWER(pi.name) LIKE $${params.length} OR LOWER(pi.brand) LIKE $${params.length})`;
+    }
+
+    queryText += ' ORDER BY pi.expires_at NULLS LAST, pi.name';
+
+    const result = await query(queryText, params);
+
+    successResponse(res, {
+      items: result.rows.map(formatPantryItem),
+      householdSize: members.length,
+    });
+  } catch (error) {
+    console.error('Get pantry error:', error);
+    errorResponse(res, 500, 'Failed to fetch pantry');
+  }
+});
+
+// ── GET /api/pantry/expiring ────────────────────────────────
+// Available items expiring within ?days= (default 3), including
+// anything already past its date.
+
+router.get('/expiring', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 3, 0), 90);
+    const members = await householdUserIds(req.user.id);
+
+    const result = await query(
+      `SELECT pi.*, u.name AS owner_name
+       FROM pantry_items pi
+       JOIN users u ON pi.user_id = u.id
+       WHERE pi.user_id = ANY($1)
+         AND pi.status = 'available'
+         AND pi.expires_at IS NOT NULL
+         AND pi.expires_at <= CURRENT_DATE + $2::int
+       ORDER BY pi.expires_at, pi.name`,
+      [members, days]
+    );
+
+    const items = result.rows.map(formatPantryItem);
+
+    successResponse(res, {
+      days,
+      expired: items.filter(item => item.isExpired),
+      expiringSoon: items.filter(item => !item.isExpired),
+    });
+  } catch (error) {
+    console.error('Get expiring pantry error:', error);
+    errorResponse(res, 500, 'Failed to fetch expiring items');
+  }
+});
+
+// ── POST /api/pantry ────────────────────────────────────────
+// Body: { name, quantity?, unit?, brand?, barcode?, department?,
+//         purchasedAt?, expiresAt?, notes? }
+
+router.post('/', async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || !name.trim()) {
+      return errorResponse(res, 400, 'Item name is required');
+    }
+
+    const { quantity, error } = newItemQuantity(req.body);
+    if (error) {
+      return errorResponse(res, 400, error);
+    }
+
+    const item = await addPantryItem(req.user.id, { ...pantryEntryFields(req.body), quantity, source: 'manual' });
+
+    successResponse(res, { item: formatPantryItem(item) }, 201);
+  } catch (error) {
+    console.error('Add pantry item error:', error);
+    errorResponse(res, 500, 'Failed to add pantry item');
+  }
+});
+
+// ── POST /api/pantry/scan ───────────────────────────────────
+// Body: { barcode, quantity?, unit?, expiresAt?, name? }
+// Uses the products catalog that POST /api/products/lookup fills;
+// an unknown barcode needs a lookup first (or a name).
+
+router.post('/scan', async (req, res) => {
+  try {
+    const { barcode } = req.body;
+
+    if (!barcode || !String(barcode).trim()) {
+      return errorResponse(res, 400, 'Barcode is required');
+    }
+
+    const { quantity, error } = newItemQuantity(req.body);
+    if (error) {
+      return errorResponse(res, 400, error);
+    }
+
+    const cleanBarcode = String(barcode).trim();
+    const productResult = await query(
+      'SELECT id, name, brand, category FROM products WHERE barcode = $1',
+      [cleanBarcode]
+    );
+    const product = productResult.rows[0] || null;
+
+    if (!product && !req.body.name) {
+      return errorResponse(res, 404, 'Product not found — look it up with POST /api/products/lookup, or send a name');
+    }
+
+    const item = await addPantryItem(req.user.id, {
+      ...pantryEntryFields(req.body),
+      quantity,
+      name: req.body.name || product.name,
+      brand: req.body.brand || product?.brand || null,
+      barcode: cleanBarcode,
+      productId: product?.id || null,
+      source: 'scan',
+    });
+
+    successResponse(res, { item: formatPantryItem(item), productFound: Boolean(product) }, 201);
+  } catch (error) {
+    console.error('Scan pantry item error:', error);
+    errorResponse(res, 500, 'Failed to add scanned item');
+  }
+});
+
+// ── POST /api/pantry/photo-scans ────────────────────────────
+// "Scan my fridge". Body: { imageBase64, listId?, minConfidence? }
+// Recognizes what's in the photo and answers 201 with a pending scan
+// (utils/pantryPhotoScan.js) — nothing is stocked until it's
+// confirmed. With listId (editor access), matching list items are
+// offered as "already have".
+
+router.post('/photo-scans', requireAIQuota('calls'), async (req, res) => {
+  try {
+    const { imageBase64, listId } = req.body;
+
+    if (!imageBase64) {
+      return errorResponse(res, 400, 'Image data is required');
+    }
+
+    const minConfidence = req.body.minConfidence === undefined
+      ? DEFAULT_MIN_CONFIDENCE
+      : parseFloat(req.body.minConfidence);
+    if (Number.isNaN(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+      return errorResponse(res, 400, 'minConfidence must be between 0 and 1');
+    }
+
+    let list = null;
+    if (listId) {
+      const access = await getListAccess(listId, req.user.id);
+      if (!access) {
+        return errorResponse(res, 404, 'List not found');
+      }
+      if (!hasListRole(access, 'editor')) {
+        return errorResponse(res, 403, 'You have view-only access to this list');
+      }
+      list = access.list;
+    }
+
+    const result = await ai.vision({
+      task: 'recognize-image',
+      userId: req.user.id,
+      system: 'You are a grocery product identification expert. Analyze images to identify food items, brands, and products with high accuracy. Respond in JSON format only.',
+      prompt: PHOTO_SCAN_PROMPT,
+      images: [{ base64: imageBase64 }],
+      maxTokens: 1000,
+    });
+
+    const scan = await createPhotoScan(req.user.id, result.products, { list, minConfidence });
+
+    successResponse(res, { scan }, 201);
+  } catch (error) {
+    console.error('Pantry photo scan error:', error);
+    errorResponse(res, 500, 'Failed to scan photo');
+  }
+});
+
+// ── GET /api/pantry/photo-scans/:id ─────────────────────────
+
+router.get('/photo-scans/:id', async (req, res) => {
+  try {
+    const scan = await findPhotoScan(req.params.id, req.user.id);
+    if (!scan) {
+      return errorResponse(res, 404, 'Scan not found');
+    }
+
+    successResponse(res, { scan });
+  } catch (error) {
+    console.error('Get pantry photo scan error:', error);
+    errorResponse(res, 500, 'Failed to fetch scan');
+  }
+});
+
+// ── POST /api/pantry/photo-scans/:id/confirm ────────────────
+// Body: { items?: [{ index, name?, quantity?, unit?, expiresAt? }],
+//         listItemIds? }
+// Without items, the preselected ('likely') detections are stocked;
+// without listItemIds, the list items they matched are marked.
+
+router.post('/photo-scans/:id/confirm', async (req, res) => {
+  try {
+    const outcome = await confirmPhotoScan(req.params.id, req.user.id, req.body);
+    if (outcome.error) {
+      return errorResponse(res, outcome.status, outcome.error);
+    }
+
+    successResponse(res, outcome);
+  } catch (error) {
+    console.error('Confirm pantry photo scan error:', error);
+    errorResponse(res, 500, 'Failed to confirm scan');
+  }
+});
+
+// ── POST /api/pantry/photo-scans/:id/dismiss ────────────────
+
+router.post('/photo-scans/:id/dismiss', async (req, res) => {
+  try {
+    const outcome = await dismissPhotoScan(req.params.id, req.user.id);
+    if (outcome.error) {
+      return errorResponse(res, outcome.status, outcome.error);
+    }
+
+    successResponse(res, { scan: outcome.scan });
+  } catch (error) {
+    console.error('Dismiss pantry photo scan error:', error);
+    errorResponse(res, 500, 'Failed to dismiss scan');
+  }
+});
+
+// ── PUT /api/pantry/:id ─────────────────────────────────────
+
+router.put('/:id', async (req, res) => {
+  try {
+    const existing = await findPantryItem(req.params.id, req.user.id);
+    if (!existing) {
+      return errorResponse(res, 404, 'Pantry item not found');
+    }
+
+    const { name, brand, department, unit, notes } = req.body;
+    const quantity = req.body.quantity !== undefined ? parsePantryQuantity(req.body.quantity) : null;
+    if (req.body.quantity !== undefined && quantity === null) {
+      return errorResponse(res, 400, 'Quantity must be a number, zero or more');
+    }
+
+    // A new purchase date moves an estimated expiry with it
+    let expiresAt = null;
+    let expiryEstimated = null;
+    if (req.body.expiresAt !== undefined) {
+      expiresAt = req.body.expiresAt;
+      expiryEstimated = false;
+    } else if (req.body.purchasedAt && existing.expiry_estimated) {
+      const expiry = estimateExpiry({
+        name: name || existing.name,
+        department: department || existing.department,
+        purchasedAt: req.body.purchasedAt,
+      });
+      expiresAt = expiry.expiresAt;
+      expiryEstimated = expiry.estimated;
+    }
+
+    const result = await query(
+      `UPDATE pantry_items SET
+         name = COALESCE($1, name),
+         normalized_name = COALESCE($2, normalized_name),
+         brand = COALESCE($3, brand),
+         department = COALESCE($4, department),
+         quantity = COALESCE($5, quantity),
+         unit = COALESCE($6, unit),
+         notes = COALESCE($7, notes),
+         purchased_at = COALESCE($8, purchased_at),
+         expires_at = CASE WHEN $9 THEN $10::date ELSE expires_at END,
+         expiry_estimated = COALESCE($11, expiry_estimated),
+         updated_at = NOW()
+       WHERE id = $12
+       RETURNING *`,
+      [
+        name || null, name ? normalizeItemName(name) : null, brand, department, quantity, unit, notes,
+        req.body.purchasedAt || null, expiryEstimated !== null, expiresAt || null, expiryEstimated, existing.id,
+      ]
+    );
+
+    successResponse(res, { item: formatPantryItem(result.rows[0]) });
+  } catch (error) {
+    console.error('Update pantry item error:', error);
+    errorResponse(res, 500, 'Failed to update pantry item');
+  }
+});
+
+// ── POST /api/pantry/:id/consume ────────────────────────────
+// Body: { quantity? } — defaults to everything that's left
+
+router.post('/:id/consume', async (req, res) => {
+  try {
+    const existing = await findPantryItem(req.params.id, req.user.id);
+    if (!existing) {
+      return errorResponse(res, 404, 'Pantry item not found');
+    }
+    if (existing.status !== 'available') {
+      return errorResponse(res, 409, `Item is already ${existing.status}`);
+    }
+
+    const remaining = parseFloat(existing.quantity);
+    const used = req.body.quantity !== undefined ? parseFloat(req.body.quantity) : remaining;
+    if (!(used > 0)) {
+      return errorResponse(res, 400, 'Quantity must be greater than zero');
+    }
+
+    const left = Math.max(Math.round((remaining - used) * 1000) / 1000, 0);
+    const result = await query(
+      `UPDATE pantry_items SET
+         quantity = $1,
+         status = CASE WHEN $1 = 0 THEN 'consumed' ELSE status END,
+         finished_at = CASE WHEN $1 = 0 THEN NOW() ELSE finished_at END,
+         updated_at = NOW()
+       WHERE id = $2
+       RETURNING *`,
+      [left, existing.id]
+    );
+
+    successResponse(res, { item: formatPantryItem(result.rows[0]) });
+  } catch (error) {
+    console.error('Consume pantry item error:', error);
+    errorResponse(res, 500, 'Failed to consume pantry item');
+  }
+});
+
+// ── POST /api/pantry/:id/discard ────────────────────────────
+// Body: { reason? } — e.g. "expired", "spoiled"
+
+router.post('/:id/discard', async (req, res) => {
+  try {
+    const existing = await findPantryItem(req.params.id, req.user.id);
+    if (!existing) {
+      return errorResponse(res, 404, 'Pantry item not found');
+    }
+    if (existing.status !== 'available') {
+      return errorResponse(res, 409, `Item is already ${existing.status}`);
+    }
+
+    const result = await query(
+      `UPDATE pantry_items SET
+         status = 'discarded',
+         discard_reason = $1,
+         finished_at = NOW(),
+         updated_at = NOW()
+       WHERE id = $2
+       RETURNING *`,
+      [req.body.reason || null, existing.id]
+    );
+
+    successResponse(res, { item: formatPantryItem(result.rows[0]) });
+  } catch (error) {
+    console.error('Discard pantry item error:', error);
+    errorResponse(res, 500, 'Failed to discard pantry item');
+  }
+});
+
+// ── DELETE /api/pantry/:id ──────────────────────────────────
+// Removes an entry added by mistake (use consume / discard otherwise)
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const existing = await findPantryItem(req.params.id, req.user.id);
+    if (!existing) {
+      return errorResponse(res, 404, 'Pantry item not found');
+    }
+
+    await query('DELETE FROM pantry_items WHERE id = $1', [existing.id]);
+
+    successResponse(res, { message: 'Pantry item deleted' });
+  } catch (error) {
+    console.error('Delete pantry item error:', error);
+    errorResponse(res, 500, 'Failed to delete pantry item');
+  }
+});
+
+module.exports = router;
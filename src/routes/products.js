@@ -5,6 +5,9 @@
 const express = require('express');
 const { query, successResponse, errorResponse } = require('../models/db');
 const { optionalAuth, authenticate } = require('../middleware/auth');
+const { searchPricedProducts, overlayMarketPrices } = require('../utils/productPricing');
+const ai = require('../utils/aiService');
+const { canonicalAllergen } = require('../utils/allergenSafety');
 const router = express.Router();
 
 // ── Cloudinary Setup ─────────────────────────────────────────
@@ -453,23 +456,12 @@ router.post('/lookup', optionalAuth, async (req, res) => {
     const ingredients = p.ingredients_text || p.ingredients_text_en || null;
 
     // Parse allergens from tags: ["en:milk", "en:gluten"] → ["dairy", "wheat"]
-    const allergenMap = {
-      'milk': 'dairy', 'lactose': 'dairy',
-      'eggs': 'eggs', 'egg': 'eggs',
-      'peanuts': 'peanuts', 'peanut': 'peanuts',
-      'nuts': 'tree nuts', 'tree-nuts': 'tree nuts', 'almonds': 'tree nuts', 'cashews': 'tree nuts', 'walnuts': 'tree nuts', 'pecans': 'tree nuts',
-      'wheat': 'wheat', 'gluten': 'wheat',
-      'soybeans': 'soy', 'soy': 'soy', 'soya': 'soy',
-      'fish': 'fish',
-      'shellfish': 'shellfish', 'crustaceans': 'shellfish', 'shrimp': 'shellfish',
-      'sesame': 'sesame', 'sesame-seeds': 'sesame',
-    };
     const rawAllergens = [
       ...(p.allergens_tags || []),
       ...(p.traces_tags || []),
     ].map(tag => tag.replace('en:', '').toLowerCase());
     const allergens = [...new Set(
-      rawAllergens.map(a => allergenMap[a] || null).filter(Boolean)
+      rawAllergens.map(canonicalAllergen).filter(Boolean)
     )];
 
     // Parse dietary tags from labels: ["en:organic", "en:vegan"] → ["organic", "vegan"]
@@ -603,142 +595,10 @@ router.get('/brand-options', optionalAuth, async (req, res) => {
       return successResponse(res, { options: [] });
     }
 
-    const words = q.trim().toLowerCase().split(/\s+/).filter(w => w.length >= 2);
-    const searchTerm = `%${q.trim().toLowerCase()}%`;
-   
-
-    // Search local products with store prices
-    let queryText, params;
-
-    if (storeId) {
-      // Prefer prices from the specified store, fall back to any store
-      queryText = `
-        SELECT DISTINCT ON (p.id)
-          p.id, p.name, p.brand, p.category, p.barcode, p.image_url,
-          COALESCE(sp_store.price, sp_any.price, p.price) AS price,
-          COALESCE(sp_store.regular_price, sp_any.regular_price) AS regular_price,
-          COALESCE(sp_store.unit_price, sp_any.unit_price) AS unit_price,
-          CASE 
-            WHEN sp_store.price IS NOT NULL THEN 'store'
-            WHEN sp_any.price IS NOT NULL THEN 'other_store'
-            ELSE 'product'
-          END AS price_source
-        FROM products p
-        LEFT JOIN store_prices sp_store 
-          ON sp_store.barcode = p.barcode AND sp_store.store_id = $2
-        SELECT price, regular_price, unit_price
-          FROM store_prices 
-          WHERE barcode = p.barcode AND store_id != $2
-          ORDER BY updated_at DESC 
-          LIMIT 1
-        WHERE LOWER(p.name) LIKE $1
-          OR LOWER(p.brand) LIKE $1
-          OR LOWER(p.category) LIKE $1
-        ORDER BY p.id, sp_store.price NULLS LAST
-        LIMIT $3
-      `;
-      params = [searchTerm, storeId, parseInt(limit)];
-    } else {
-      queryText = `
-        SELECT DISTINCT ON (p.id)
-          p.id, p.name, p.brand, p.category, p.barcode, p.image_url,
-          COALESCE(sp.price, p.price) AS price,
-          sp.regular_price,
-          sp.unit_price,
-          CASE WHEN sp.price IS NOT NULL THEN 'store' ELSE 'product' END AS price_source
-        FROM products p
-        LEFT JOIN LATERAL (
-          SELECT price, regular_price, unit_price
-          FROM store_prices
-          WHERE barcode = p.barcode
-          ORDER BY updated_at DESC
-          LIMIT 1
-        ) sp ON true
-        WHERE LOWER(p.name) LIKE $1
-          OR LOWER(p.brand) LIKE $1
-          OR LOWER(p.category) LIKE $1
-        ORDER BY p.id
-        LIMIT $2
-      `;
-      params = [searchTerm, parseInt(limit)];
-    }
-
-    let result = await query(queryText, params);
-
-    // If few results, try matching individual words
-    if (result.rows.length < 3 && words.length > 0) {
-      try {
-        const wordConditions = words.map((_, i) => `(LOWER(p.name) LIKE $${i + 1} OR LOWER(p.brand) LIKE $${i + 1} OR LOWER(p.category) LIKE $${i + 1})`).join(' OR ');
-        const wordResult = await query(
-          `SELECT DISTINCT p.id, p.name, p.brand, p.category, p.barcode, p.image_url, p.price,
-             NULL as regular_price, NULL as unit_price, 'product' as price_source
-           FROM products p
-           WHERE ${wordConditions}
-           LIMIT 20`,
-          words.map(w => `%${w}%`)
-        );
-        const existingIds = new Set(result.rows.map(r => r.id));
-        const newRows = wordResult.rows.filter(r => !existingIds.has(r.id));
-        result = { rows: [...result.rows, ...newRows] };
-      } catch (wordErr) {
-        console.error('Word search fallback error:', wordErr.message);
-      }
-    }
-
-    let options = result.rows.map(row => ({
-      id: row.id,
-      name: row.name,
-      brand: row.brand || null,
-      category: row.category,
-      barcode: row.barcode,
-      imageUrl: row.image_url,
-      price: parseFloat(row.price) || 0,
-      regularPrice: row.regular_price ? parseFloat(row.regular_price) : null,
-      unitPrice: row.unit_price ? parseFloat(row.unit_price) : null,
-      priceSource: row.price_source,
-    }));
+    const found = await searchPricedProducts({ q, storeId, limit });
 
     // Overlay market prices if location provided
-    if (lat && lng && options.length > 0) {
-      try {
-        const barcodes = options.filter(o => o.barcode).map(o => o.barcode);
-        if (barcodes.length > 0) {
-          const mpResult = await query(
-            `SELECT DISTINCT ON (barcode) barcode, price, unit_price, regular_price
-             FROM market_prices
-             WHERE barcode = ANY($1)
-               AND (6371 * acos(
-                 cos(radians($2)) * cos(radians(latitude)) *
-                 cos(radians(longitude) - radians($3)) +
-                 sin(radians($2)) * sin(radians(latitude))
-               )) < 80.5
-             ORDER BY barcode, (6371 * acos(
-                 cos(radians($2)) * cos(radians(latitude)) *
-                 cos(radians(longitude) - radians($3)) +
-                 sin(radians($2)) * sin(radians(latitude))
-               ))`,
-            [barcodes, parseFloat(lat), parseFloat(lng)]
-          );
-          const marketMap = {};
-          mpResult.rows.forEach(mp => { marketMap[mp.barcode] = mp; });
-          options = options.map(opt => {
-            const mp = opt.barcode ? marketMap[opt.barcode] : null;
-            if (mp) {
-              return {
-                ...opt,
-                price: parseFloat(mp.price) || opt.price,
-                unitPrice: mp.unit_price ? parseFloat(mp.unit_price) : opt.unitPrice,
-                regularPrice: mp.regular_price ? parseFloat(mp.regular_price) : opt.regularPrice,
-                priceSource: 'market',
-              };
-            }
-            return opt;
-          });
-        }
-      } catch (mpErr) {
-        console.error('Market price overlay error:', mpErr.message);
-      }
-    }
+    const options = await overlayMarketPrices(found, lat, lng);
 
     successResponse(res, { options });
   } catch (error) {
@@ -890,45 +750,21 @@ router.post('/upload-image', optionalAuth, async (req, res) => {
   }
 });
 
-// ─── GPT-4o Vision OCR for Walk & Scan ───
+// ─── Vision OCR for Walk & Scan ───
 router.post('/ocr-vision', authenticate, async (req, res) => {
   try {
     const { imageBase64 } = req.body;
     if (!imageBase64) return res.status(400).json({ error: 'imageBase64 required' });
 
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o',
-        max_tokens: 200,
-        messages: [{
-          role: 'user',
-          content: [
-            {
-              type: 'text',
-              text: 'Read this grocery shelf price tag AND any visible product packaging or labels in the image. Return ONLY valid JSON with no markdown:\n{"product_name": "...", "brand": null, "category": "...", "price": 0.00, "regular_price": null, "unit_price": null, "upc": null}\n\nRules:\n- price = the main shelf price customers pay (the large number)\n- regular_price = only if there is a separate higher regular/was/original price\n- unit_price = per oz/per lb/per fl oz price if shown\n- product_name = combine info from BOTH the shelf tag AND visible product packaging to give the full, human-readable product name (e.g., if tag says "CON TOM SAUCE" and package says "Contadina", return "Contadina Tomato Sauce")\n- brand = the brand name from product packaging first, shelf tag second\n- category = classify as one of: produce, dairy, meat, seafood, bakery, deli, frozen, beverages, snacks, pantry, household, wine, beer, spirits, health, baby, pets, other\n- upc = barcode number if printed as digits on the tag (not QR codes)\n- All prices as numbers, not strings\n- If you cannot read a field, use null\n- IMPORTANT: Expand abbreviations (CON = Contadina, TOM = Tomato, CKN = Chicken, etc.)',
-            },
-            {
-              type: 'image_url',
-              image_url: {
-                url: `data:image/jpeg;base64,${imageBase64}`,
-                detail: 'low',
-              },
-            },
-          ],
-        }],
-      }),
+    const parsed = await ai.vision({
+      task: 'shelf-tag-ocr',
+      userId: req.user.id,
+      prompt: 'Read this grocery shelf price tag AND any visible product packaging or labels in the image. Return ONLY valid JSON with no markdown:\n{"product_name": "...", "brand": null, "category": "...", "price": 0.00, "regular_price": null, "unit_price": null, "upc": null}\n\nRules:\n- price = the main shelf price customers pay (the large number)\n- regular_price = only if there is a separate higher regular/was/original price\n- unit_price = per oz/per lb/per fl oz price if shown\n- product_name = combine info from BOTH the shelf tag AND visible product packaging to give the full, human-readable product name (e.g., if tag says "CON TOM SAUCE" and package says "Contadina", return "Contadina Tomato Sauce")\n- brand = the brand name from product packaging first, shelf tag second\n- category = classify as one of: produce, dairy, meat, seafood, bakery, deli, frozen, beverages, snacks, pantry, household, wine, beer, spirits, health, baby, pets, other\n- upc = barcode number if printed as digits on the tag (not QR codes)\n- All prices as numbers, not strings\n- If you cannot read a field, use null\n- IMPORTANT: Expand abbreviations (CON = Contadina, TOM = Tomato, CKN = Chicken, etc.)',
+      images: [{ base64: imageBase64 }],
+      detail: 'low',
+      maxTokens: 200,
     });
 
-    const data = await response.json();
-    const text = data.choices?.[0]?.message?.content || '';
-    const cleaned = text.replace(/```json|```/g, '').trim();
-    const parsed = JSON.parse(cleaned);
-
     let finalName = parsed.product_name || null;
     let finalBrand = parsed.brand || null;
     let finalCategory = parsed.category || null;
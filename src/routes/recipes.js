@@ -4,8 +4,16 @@
 // ============================================================
 
 const express = require('express');
-const { query, successResponse, errorResponse } = require('../models/db');
+const { query, transaction, successResponse, errorResponse } = require('../models/db');
 const { authenticate, optionalAuth } = require('../middleware/auth');
+const { getListAccess, hasListRole } = require('../middleware/listAccess');
+const { parseQuantity } = require('../utils/helpers');
+const { buildSource, findMergeTarget, mergeIntoItem } = require('../utils/ingredientMerge');
+const { recordListEvent } = require('../utils/listHistory');
+const { publishListEvent } = require('../utils/listEvents');
+const { checkBudgetAlert } = require('../utils/listBudget');
+const { saveRecipeForUser, createRecipe } = require('../utils/recipes');
+const { resolveHouseholdProfile, recipeConflicts } = require('../utils/householdProfile');
 
 const router = express.Router();
 
@@ -31,12 +39,66 @@ const formatRecipe = (row) => ({
   isSaved: row.is_saved || false,
 });
 
+// ── Helper: Household filter ────────────────────────────────
+// ?forHousehold=true, or ?eaters=me,Emma for some of it, keeps only
+// recipes whose ingredients suit everyone eating (restrictions and
+// allergens, see utils/householdProfile.js). Signed-in users only.
+// Returns null when not filtering, or { profile } / { error }.
+
+const householdFilter = async (req) => {
+  const { forHousehold, eaters } = req.query;
+  if (!req.user || (forHousehold !== 'true' && !eaters)) return null;
+
+  const profile = await resolveHouseholdProfile(req.user.id, { eaters });
+  if (profile.unknownEaters.length > 0) {
+    return { error: `Not in your household: ${profile.unknownEaters.join(', ')}` };
+  }
+  return { profile };
+};
+
+const suitableRecipes = (rows, profile) => rows.filter((row) => {
+  const conflicts = recipeConflicts(row, profile);
+  return conflicts.allergens.length === 0 && conflicts.restrictions.length === 0;
+});
+
+// Conflicts are found in JS, so filtered pages are filled by reading
+// candidates a batch at a time until `wanted` suitable recipes turn
+// up. At most MAX_HOUSEHOLD_CANDIDATES rows are read per request.
+// queryText must be fully ordered and end before LIMIT.
+// Returns { recipes, exhausted } — exhausted when no candidates
+// were left unread.
+
+const CANDIDATE_BATCH = 100;
+const MAX_HOUSEHOLD_CANDIDATES = 1000;
+
+const findSuitableRecipes = async (queryText, params, profile, wanted) => {
+  const recipes = [];
+  let scanned = 0;
+
+  while (recipes.length < wanted && scanned < MAX_HOUSEHOLD_CANDIDATES) {
+    const result = await query(
+      `${queryText} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, CANDIDATE_BATCH, scanned]
+    );
+    recipes.push(...suitableRecipes(result.rows, profile));
+    scanned += result.rows.length;
+    if (result.rows.length < CANDIDATE_BATCH) return { recipes, exhausted: true };
+  }
+  return { recipes, exhausted: false };
+};
+
 // ── GET /api/recipes ────────────────────────────────────────
+// ?category= ?search= ?limit= ?offset=, plus the household filter
 
 router.get('/', optionalAuth, async (req, res) => {
   try {
     const { category, search, limit = 50, offset = 0 } = req.query;
 
+    const filter = await householdFilter(req);
+    if (filter?.error) {
+      return errorResponse(res, 400, filter.error);
+    }
+
     let queryText = `
       SELECT r.*,
         CASE WHEN sr.id IS NOT NULL THEN true ELSE false END as is_saved
@@ -59,7 +121,19 @@ router.get('/', optionalAuth, async (req, res) => {
       params.push(`%${search}%`);
     }
 
-    queryText += ` ORDER BY r.rating DESC, r.created_at DESC`;
+    queryText += ` ORDER BY r.rating DESC, r.created_at DESC, r.id`;
+
+    // Filtered pages are cut after filtering, so they stay full
+    if (filter) {
+      const end = parseInt(offset) + parseInt(limit);
+      const { recipes, exhausted } = await findSuitableRecipes(queryText, params, filter.profile, end + 1);
+      return successResponse(res, {
+        recipes: recipes.slice(parseInt(offset), end).map(formatRecipe),
+        hasMore: recipes.length > end || !exhausted,
+        eatingFor: filter.profile.eatingFor,
+      });
+    }
+
     queryText += ` LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
     params.push(parseInt(limit), parseInt(offset));
 
@@ -113,6 +187,7 @@ router.get('/featured', optionalAuth, async (req, res) => {
 });
 
 // ── GET /api/recipes/search ─────────────────────────────────
+// ?q= ?limit=, plus the household filter
 
 router.get('/search', optionalAuth, async (req, res) => {
   try {
@@ -122,8 +197,12 @@ router.get('/search', optionalAuth, async (req, res) => {
       return successResponse(res, { recipes: [] });
     }
 
-    const result = await query(
-      `SELECT r.*,
+    const filter = await householdFilter(req);
+    if (filter?.error) {
+      return errorResponse(res, 400, filter.error);
+    }
+
+    const queryText = `SELECT r.*,
         CASE WHEN sr.id IS NOT NULL THEN true ELSE false END as is_saved
        FROM recipes r
        LEFT JOIN saved_recipes sr ON r.id = sr.recipe_id AND sr.user_id = $1
@@ -132,10 +211,19 @@ router.get('/search', optionalAuth, async (req, res) => {
          OR r.ingredients::text ILIKE $2
        ORDER BY 
          CASE WHEN r.title ILIKE $3 THEN 0 ELSE 1 END,
-         r.rating DESC
-       LIMIT $4`,
-      [req.user?.id || null, `%${q}%`, `${q}%`, parseInt(limit)]
-    );
+         r.rating DESC,
+         r.id`;
+    const params = [req.user?.id || null, `%${q}%`, `${q}%`];
+
+    if (filter) {
+      const { recipes } = await findSuitableRecipes(queryText, params, filter.profile, parseInt(limit));
+      return successResponse(res, {
+        recipes: recipes.slice(0, parseInt(limit)).map(formatRecipe),
+        eatingFor: filter.profile.eatingFor,
+      });
+    }
+
+    const result = await query(`${queryText}\n       LIMIT $4`, [...params, parseInt(limit)]);
 
     successResponse(res, { recipes: result.rows.map(formatRecipe) });
   } catch (error) {
@@ -189,9 +277,15 @@ router.get('/categories', async (req, res) => {
 });
 
 // ── GET /api/recipes/category/:category ─────────────────────
+// Takes the household filter
 
 router.get('/category/:category', optionalAuth, async (req, res) => {
   try {
+    const filter = await householdFilter(req);
+    if (filter?.error) {
+      return errorResponse(res, 400, filter.error);
+    }
+
     const result = await query(
       `SELECT r.*,
         CASE WHEN sr.id IS NOT NULL THEN true ELSE false END as is_saved
@@ -202,6 +296,13 @@ router.get('/category/:category', optionalAuth, async (req, res) => {
       [req.user?.id || null, req.params.category]
     );
 
+    if (filter) {
+      return successResponse(res, {
+        recipes: suitableRecipes(result.rows, filter.profile).map(formatRecipe),
+        eatingFor: filter.profile.eatingFor,
+      });
+    }
+
     successResponse(res, { recipes: result.rows.map(formatRecipe) });
   } catch (error) {
     console.error('Get category recipes error:', error);
@@ -246,29 +347,13 @@ router.post('/', authenticate, async (req, res) => {
       return errorResponse(res, 400, 'Recipe title is required');
     }
 
-    const result = await query(
-      `INSERT INTO recipes (
-        title, description, category, difficulty, time, servings,
-        image_url, ingredients, instructions, nutrition, 
-        is_ai_generated, created_by
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-      RETURNING *`,
-      [
-        title, description, category, difficulty || 'Easy', time, 
-        servings || 4, imageUrl, JSON.stringify(ingredients || []),
-        JSON.stringify(instructions || []), JSON.stringify(nutrition),
-        isAIGenerated, req.user.id
-      ]
-    );
-
-    // Auto-save to user's recipes
-    await query(
-      'INSERT INTO saved_recipes (user_id, recipe_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
-      [req.user.id, result.rows[0].id]
-    );
+    const recipe = await createRecipe(req.user.id, {
+      title, description, category, difficulty, time, servings,
+      imageUrl, ingredients, instructions, nutrition, isAIGenerated,
+    });
 
     successResponse(res, { 
-      recipe: formatRecipe({ ...result.rows[0], is_saved: true }) 
+      recipe: formatRecipe({ ...recipe, is_saved: true }) 
     }, 201);
   } catch (error) {
     console.error('Create recipe error:', error);
@@ -280,10 +365,7 @@ router.post('/', authenticate, async (req, res) => {
 
 router.post('/:id/save', authenticate, async (req, res) => {
   try {
-    await query(
-      'INSERT INTO saved_recipes (user_id, recipe_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
-      [req.user.id, req.params.id]
-    );
+    await saveRecipeForUser(req.user.id, req.params.id);
 
     successResponse(res, { message: 'Recipe saved' });
   } catch (error) {
@@ -327,43 +409,106 @@ router.post('/:id/add-to-list', authenticate, async (req, res) => {
     const recipe = recipeResult.rows[0];
     const ingredients = recipe.ingredients || [];
 
-    // Verify list access
-    const listCheck = await query(
-      `SELECT sl.id FROM shopping_lists sl
-       LEFT JOIN list_collaborators lc ON sl.id = lc.list_id AND lc.user_id = $2
-       WHERE sl.id = $1 AND (sl.user_id = $2 OR lc.user_id = $2)`,
-      [listId, req.user.id]
-    );
+    // Verify list access (editors and owners only)
+    const access = await getListAccess(listId, req.user.id);
 
-    if (listCheck.rows.length === 0) {
+    if (!access) {
       return errorResponse(res, 404, 'List not found');
     }
 
-    // Add each ingredient to list
-    let addedCount = 0;
-    for (const ingredient of ingredients) {
-      const name = typeof ingredient === 'string' ? ingredient : ingredient.name;
-      const quantity = typeof ingredient === 'object' ? ingredient.quantity : 1;
-      
-      if (name) {
-        await query(
-          `INSERT INTO list_items (list_id, name, quantity, added_by)
-           VALUES ($1, $2, $3, $4)`,
-          [listId, name, quantity || 1, req.user.id]
-        );
-        addedCount++;
-      }
+    if (!hasListRole(access, 'editor')) {
+      return errorResponse(res, 403, 'You have view-only access to this list');
     }
 
+    // Add each ingredient to list, merging into matching unchecked lines
+    const changes = await transaction(async (client) => {
+      const applied = [];
+
+      for (const ingredient of ingredients) {
+        const name = typeof ingredient === 'string' ? ingredient : ingredient.name;
+        if (!name || !name.trim()) continue;
+
+        const quantity = parseQuantity(typeof ingredient === 'object' ? ingredient.quantity : 1);
+        const unit = typeof ingredient === 'object' && ingredient.unit ? ingredient.unit : null;
+        const source = buildSource({
+          type: 'recipe',
+          userId: req.user.id,
+          recipeId: recipe.id,
+          recipeName: recipe.title,
+          quantity,
+          unit,
+        });
+
+        const target = await findMergeTarget(client, listId, { name, unit });
+
+        if (target) {
+          const item = await mergeIntoItem(client, target, { quantity, unit }, source);
+          await recordListEvent({
+            listId,
+            itemId: item.id,
+            actorId: req.user.id,
+            action: 'item_updated',
+            before: target,
+            after: item,
+            source: 'merge',
+          }, client);
+          applied.push({ item, event: 'item_updated' });
+        } else {
+          const inserted = await client.query(
+            `INSERT INTO list_items (list_id, name, quantity, unit, added_by, sources)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING *`,
+            [listId, name.trim(), quantity, unit, req.user.id, JSON.stringify([source])]
+          );
+          await recordListEvent({
+            listId,
+            itemId: inserted.rows[0].id,
+            actorId: req.user.id,
+            action: 'item_added',
+            after: inserted.rows[0],
+            source: 'recipe',
+          }, client);
+          applied.push({ item: inserted.rows[0], event: 'item_added' });
+        }
+      }
+
+      return applied;
+    });
+
     // Update list timestamp
     await query(
       'UPDATE shopping_lists SET updated_at = NOW() WHERE id = $1',
       [listId]
     );
 
+    await checkBudgetAlert(listId);
+
+    const items = changes.map(({ item, event }) => {
+      const formatted = {
+        id: item.id,
+        name: item.name,
+        price: parseFloat(item.price) || 0,
+        quantity: parseFloat(item.quantity) || 1,
+        unit: item.unit || null,
+        department: item.department,
+        checked: item.checked,
+        sources: item.sources || [],
+        addedBy: item.added_by,
+        createdAt: item.created_at,
+      };
+      publishListEvent(listId, event, { actorId: req.user.id, item: formatted });
+      return { ...formatted, merged: event === 'item_updated' };
+    });
+
+    const addedCount = items.filter(item => !item.merged).length;
+    const mergedCount = items.length - addedCount;
+
     successResponse(res, { 
-      message: `Added ${addedCount} ingredients to list`,
+      message: `Added ${addedCount} ingredients to list` +
+        (mergedCount > 0 ? `, merged ${mergedCount} into existing items` : ''),
       addedCount,
+      mergedCount,
+      items,
     });
   } catch (error) {
     console.error('Add to list error:', error);
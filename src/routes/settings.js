@@ -6,6 +6,9 @@
 const express = require('express');
 const { query, successResponse, errorResponse } = require('../models/db');
 const { authenticate } = require('../middleware/auth');
+const { COLLABORATOR_ROLES } = require('../middleware/listAccess');
+const { formatTrip } = require('../utils/shoppingTrips');
+const { resolveHouseholdProfile } = require('../utils/householdProfile');
 
 const router = express.Router();
 
@@ -341,6 +344,32 @@ router.delete('/family/:id', async (req, res) => {
   }
 });
 
+// ── GET /api/settings/household-profile ─────────────────────
+// Everyone in the household — you, accepted family links and all
+// family members — with the restrictions and allergens the AI
+// features and recipe filters apply. ?eaters=me,Emma narrows the
+// merged lists to who is eating.
+
+router.get('/household-profile', async (req, res) => {
+  try {
+    const profile = await resolveHouseholdProfile(req.user.id, { eaters: req.query.eaters });
+
+    if (profile.unknownEaters.length > 0) {
+      return errorResponse(res, 400, `Not in your household: ${profile.unknownEaters.join(', ')}`);
+    }
+
+    successResponse(res, {
+      members: profile.members,
+      eatingFor: profile.eatingFor,
+      dietaryRestrictions: profile.restrictionDetails,
+      allergens: profile.allergenDetails,
+    });
+  } catch (error) {
+    console.error('Get household profile error:', error);
+    errorResponse(res, 500, 'Failed to fetch household profile');
+  }
+});
+
 // ── GET /api/settings/history ───────────────────────────────
 
 router.get('/history', async (req, res) => {
@@ -357,16 +386,7 @@ router.get('/history', async (req, res) => {
       [req.user.id, parseInt(limit)]
     );
 
-    const history = result.rows.map(trip => ({
-      id: trip.id,
-      storeId: trip.store_id,
-      storeName: trip.store_name,
-      storeAddress: trip.address,
-      total: parseFloat(trip.total) || 0,
-      itemCount: trip.item_count,
-      note: trip.note,
-      date: trip.trip_date,
-    }));
+    const history = result.rows.map(trip => formatTrip(trip));
 
     successResponse(res, { history });
   } catch (error) {
@@ -375,6 +395,35 @@ router.get('/history', async (req, res) => {
   }
 });
 
+// ── GET /api/settings/history/:id ───────────────────────────
+// A trip with its line items (trips from POST /api/lists/:id/complete)
+
+router.get('/history/:id', async (req, res) => {
+  try {
+    const tripResult = await query(
+      `SELECT st.*, s.address
+       FROM shopping_trips st
+       LEFT JOIN stores s ON st.store_id = s.id
+       WHERE st.id = $1 AND st.user_id = $2`,
+      [req.params.id, req.user.id]
+    );
+
+    if (tripResult.rows.length === 0) {
+      return errorResponse(res, 404, 'Shopping trip not found');
+    }
+
+    const linesResult = await query(
+      'SELECT * FROM shopping_trip_items WHERE trip_id = $1 ORDER BY department, created_at',
+      [req.params.id]
+    );
+
+    successResponse(res, { trip: formatTrip(tripResult.rows[0], linesResult.rows) });
+  } catch (error) {
+    console.error('Get trip error:', error);
+    errorResponse(res, 500, 'Failed to fetch shopping trip');
+  }
+});
+
 // ── POST /api/settings/history ──────────────────────────────
 
 router.post('/history', async (req, res) => {
@@ -621,11 +670,15 @@ router.delete('/family-links/:id', async (req, res) => {
 // Share a list with a family member (auto-add as collaborator)
 router.post('/family-links/share-list', async (req, res) => {
   try {
-    const { listId, memberId } = req.body;
+    const { listId, memberId, role = 'editor' } = req.body;
     if (!listId || !memberId) {
       return errorResponse(res, 400, 'List ID and member ID are required');
     }
 
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      return errorResponse(res, 400, `Role must be one of: ${COLLABORATOR_ROLES.join(', ')}`);
+    }
+
     // Verify family link exists and is accepted
     const linkCheck = await query(
       `SELECT id FROM family_links
@@ -652,9 +705,9 @@ router.post('/family-links/share-list', async (req, res) => {
     // Add as collaborator
     await query(
       `INSERT INTO list_collaborators (list_id, user_id, role)
-       VALUES ($1, $2, 'editor')
+       VALUES ($1, $2, $3)
        ON CONFLICT (list_id, user_id) DO NOTHING`,
-      [listId, memberId]
+      [listId, memberId, role]
     );
 
     successResponse(res, { message: 'List shared with family member' });
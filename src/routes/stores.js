@@ -5,6 +5,8 @@
 const express = require('express');
 const { query, successResponse, errorResponse } = require('../models/db');
 const { authenticate, optionalAuth } = require('../middleware/auth');
+const { DEFAULT_TAX_RATE, loadTaxRules } = require('../utils/taxRules');
+const ai = require('../utils/aiService');
 const router = express.Router();
 
 const GOOGLE_MAPS_KEY = process.env.G_MAPS;
@@ -314,6 +316,40 @@ router.get('/:id/features', async (req, res) => {
   }
 });
 
+// ── GET /api/stores/:id/tax-rules ───────────────────────────
+// The tax region the store falls in and every rule that applies
+// to it, most specific scope first.
+router.get('/:id/tax-rules', async (req, res) => {
+  try {
+    const ruleset = await loadTaxRules(req.params.id);
+
+    if (!ruleset) {
+      return errorResponse(res, 404, 'Store not found');
+    }
+
+    successResponse(res, {
+      storeId: ruleset.store.id,
+      taxRegion: ruleset.region,
+      defaultRate: DEFAULT_TAX_RATE,
+      scopes: ruleset.scopes.map(({ scope, rules }) => ({
+        scope: scope.startsWith('store:') ? 'store' : scope,
+        rules: rules.map(rule => ({
+          id: rule.id,
+          type: rule.rule_type,
+          department: rule.department,
+          rate: rule.rate !== null ? parseFloat(rule.rate) : null,
+          amount: rule.amount !== null ? parseFloat(rule.amount) : null,
+          matchKeywords: rule.match_keywords || [],
+          description: rule.description,
+        })),
+      })),
+    });
+  } catch (error) {
+    console.error('Get store tax rules error:', error);
+    errorResponse(res, 500, 'Failed to fetch tax rules');
+  }
+});
+
 // ── GET /api/stores/:id/layout ──────────────────────────────
 router.get('/:id/layout', async (req, res) => {
   try {
@@ -556,45 +592,21 @@ router.post('/register', optionalAuth, async (req, res) => {
   }
 });
 
-// ─── GPT-4o Vision OCR for Aisle Signs ───
+// ─── Vision OCR for Aisle Signs ───
 router.post('/ocr-aisle', authenticate, async (req, res) => {
   try {
     const { imageBase64 } = req.body;
     if (!imageBase64) return res.status(400).json({ error: 'imageBase64 required' });
 
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o',
-        max_tokens: 200,
-        messages: [{
-          role: 'user',
-          content: [
-            {
-              type: 'text',
-              text: 'Read this grocery store aisle sign. Return ONLY valid JSON with no markdown:\n{"aisles": ["A2", "A3"], "departments": ["Desserts", "Ice Cream"]}\n\nRules:\n- aisles = array of aisle identifiers shown on the sign (e.g. "A2", "7", "D14")\n- If the sign shows two aisles (like "A2 | A3"), return both in the array\n- departments = array of department/category names listed on the sign\n- Return exact text as shown, properly capitalized\n- If you cannot read a field, use empty array []',
-            },
-            {
-              type: 'image_url',
-              image_url: {
-                url: `data:image/jpeg;base64,${imageBase64}`,
-                detail: 'low',
-              },
-            },
-          ],
-        }],
-      }),
+    const parsed = await ai.vision({
+      task: 'aisle-sign-ocr',
+      userId: req.user.id,
+      prompt: 'Read this grocery store aisle sign. Return ONLY valid JSON with no markdown:\n{"aisles": ["A2", "A3"], "departments": ["Desserts", "Ice Cream"]}\n\nRules:\n- aisles = array of aisle identifiers shown on the sign (e.g. "A2", "7", "D14")\n- If the sign shows two aisles (like "A2 | A3"), return both in the array\n- departments = array of department/category names listed on the sign\n- Return exact text as shown, properly capitalized\n- If you cannot read a field, use empty array []',
+      images: [{ base64: imageBase64 }],
+      detail: 'low',
+      maxTokens: 200,
     });
 
-    const data = await response.json();
-    const text = data.choices?.[0]?.message?.content || '';
-    const cleaned = text.replace(/```json|```/g, '').trim();
-    const parsed = JSON.parse(cleaned);
-
     res.json({
       aisles: parsed.aisles || [],
       departments: parsed.departments || [],
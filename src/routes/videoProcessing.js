@@ -1,10 +1,9 @@
 const express = require('express');
-const db = require('../db');
+const db = require('../models/db');
+const ai = require('../utils/aiService');
 
 const router = express.Router();
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-
 router.post('/process-video', async (req, res) => {
   try {
     const { storeId, videoUrl, videoDuration, userId, userLocation } = req.body;
@@ -70,7 +69,7 @@ async function processVideoAsync(contributionId, storeId, videoUrl, userId) {
 
     const detections = [];
     for (let i = 0; i < Math.min(frames.length, 50); i++) {
-      const detection = await analyzeFrameWithOpenAI(frames[i]);
+      const detection = await analyzeFrame(frames[i], userId);
       if (detection) {
         detections.push({ ...detection, sequence: i + 1 });
       }
@@ -151,53 +150,23 @@ function extractVideoFrames(videoUrl) {
   return frames;
 }
 
-async function analyzeFrameWithOpenAI(frameUrl) {
-  if (!OPENAI_API_KEY) return mockAnalyzeFrame();
-
+async function analyzeFrame(frameUrl, userId) {
   try {
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: { 'Authorization': `Bearer ${OPENAI_API_KEY}`, 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: 'gpt-4o',
-        messages: [{
-          role: 'user',
-          content: [
-            { type: 'text', text: 'Analyze this grocery store image. If you see an aisle sign, return JSON: {"type": "aisle", "number": "X", "categories": ["cat1", "cat2"]}. If you see a special area sign (pharmacy, restroom, checkout, deli, bakery, entrance, exit), return: {"type": "area", "areaType": "type", "name": "name"}. If no sign visible: {"type": "none"}. Return ONLY valid JSON.' },
-            { type: 'image_url', image_url: { url: frameUrl } }
-          ]
-        }],
-        max_tokens: 300
-      })
+    const parsed = await ai.vision({
+      task: 'video-frame',
+      userId,
+      input: { frameUrl },
+      prompt: 'Analyze this grocery store image. If you see an aisle sign, return JSON: {"type": "aisle", "number": "X", "categories": ["cat1", "cat2"]}. If you see a special area sign (pharmacy, restroom, checkout, deli, bakery, entrance, exit), return: {"type": "area", "areaType": "type", "name": "name"}. If no sign visible: {"type": "none"}. Return ONLY valid JSON.',
+      images: [{ url: frameUrl }],
+      maxTokens: 300,
     });
-
-    const data = await response.json();
-    const content = data.choices?.[0]?.message?.content;
-    if (content) {
-      const parsed = JSON.parse(content);
-      if (parsed.type !== 'none') return parsed;
-    }
-    return null;
+    return parsed && parsed.type !== 'none' ? parsed : null;
   } catch (error) {
-    console.error('OpenAI Vision error:', error);
+    console.error('Vision frame analysis error:', error);
     return null;
   }
 }
 
-function mockAnalyzeFrame() {
-  const random = Math.random();
-  if (random < 0.3) {
-    const aisleNum = Math.floor(Math.random() * 12) + 1;
-    const cats = [['Produce'],['Dairy','Milk'],['Meat','Seafood'],['Frozen'],['Snacks','Chips'],['Beverages'],['Cereal'],['Canned Goods'],['Baby','Pet'],['Health'],['Cleaning'],['Paper Products']];
-    return { type: 'aisle', number: String(aisleNum), description: cats[aisleNum-1]?.join(', '), categories: cats[aisleNum-1] || ['General'] };
-  } else if (random < 0.4) {
-    const areas = ['pharmacy', 'restroom', 'checkout', 'deli', 'bakery', 'entrance'];
-    const t = areas[Math.floor(Math.random() * areas.length)];
-    return { type: 'area', areaType: t, name: t.charAt(0).toUpperCase() + t.slice(1) };
-  }
-  return null;
-}
-
 function organizeDetections(detections) {
   const aisleMap = new Map();
   const areaMap = new Map();
@@ -24,6 +24,10 @@ const aiRoutes = require('./routes/ai');
 const dashboardRoutes = require('./routes/dashboard');
 const storeLayoutRoutes = require('./routes/storeLayouts');
 const productsRoutes = require('./routes/products');
+const listTemplatesRoutes = require('./routes/listTemplates');
+const pantryRoutes = require('./routes/pantry');
+const { startListScheduler } = require('./utils/listTemplates');
+const { getProvider } = require('./utils/aiService');
 
 const app = express();
 app.set('trust proxy', 1);
@@ -62,6 +66,8 @@ app.use('/api/auth/register', authLimiter);
 
 app.use('/api/auth', authRoutes);
 app.use('/api/lists', listsRoutes);
+app.use('/api/list-templates', listTemplatesRoutes);
+app.use('/api/pantry', pantryRoutes);
 app.use('/api/recipes', recipesRoutes);
 app.use('/api/stores', storesRoutes);
 app.use('/api/meal-plans', mealPlansRoutes);
@@ -111,6 +117,9 @@ app.use((err, req, res, next) => {
 
 // ── Start Server ────────────────────────────────────────────
 
+// Fails fast on a missing or unknown AI provider
+getProvider();
+
 app.listen(PORT, () => {
   console.log(`
   ╔══════════════════════════════════════╗
@@ -119,6 +128,9 @@ app.listen(PORT, () => {
   ║   Environment: ${process.env.NODE_ENV || 'development'}      ║
   ╚══════════════════════════════════════╝
   `);
+
+  // Creates lists for due recurring schedules
+  startListScheduler();
 });
 
 module.exports = app;
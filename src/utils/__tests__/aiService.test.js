@@ -0,0 +1,172 @@
+jest.mock('../../models/db', () => ({
+  query: jest.fn(),
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { query } = require('../../models/db');
+const { createFixtureProvider } = require('../aiProviders/fixture');
+const aiService = require('../aiService');
+
+let fixturesDir;
+let fixture;
+
+// Replaces the built-in fixture answer for a task
+const override = (task, response) => {
+  fs.writeFileSync(path.join(fixturesDir, `${task}.json`), JSON.stringify(response));
+};
+
+const validationOutcomes = () => query.mock.calls
+  .filter(([sql]) => sql.includes('ai_validation_failures'))
+  .map(([, params]) => params[5]);
+
+const collect = async (stream) => {
+  let text = '';
+  for await (const delta of stream) text += delta;
+  return text;
+};
+
+beforeEach(() => {
+  query.mockReset();
+  query.mockResolvedValue({ rows: [] });
+  fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-fixtures-'));
+  fixture = createFixtureProvider({ fixturesDir });
+  aiService.setProvider(fixture);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  fs.rmSync(fixturesDir, { recursive: true, force: true });
+  console.error.mockRestore();
+});
+
+describe('chatJSON', () => {
+  it('returns a valid fixture answer as is', async () => {
+    const answer = await aiService.chatJSON({ task: 'price-items', input: { items: ['milk'] }, userId: 'u1' });
+
+    expect(answer.items).toHaveLength(1);
+    expect(answer.items[0]).toMatchObject({ name: 'Milk', department: 'dairy' });
+    expect(validationOutcomes()).toEqual([]);
+  });
+
+  it('re-prompts once with the errors and keeps a valid retry', async () => {
+    aiService.setProvider({
+      ...fixture,
+      chatJSON: jest.fn()
+        .mockResolvedValueOnce({ suggestions: 'butter' })
+        .mockImplementation(fixture.chatJSON),
+    });
+
+    const answer = await aiService.chatJSON({
+      task: 'complementary-items',
+      input: { items: ['bread'] },
+      messages: [{ role: 'user', content: 'What goes with bread?' }],
+    });
+
+    const current = aiService.getProvider();
+    const retry = current.chatJSON.mock.calls[1][0];
+    expect(answer).toEqual({ suggestions: ['butter', 'jam', 'peanut butter'] });
+    expect(retry.messages).toHaveLength(3);
+    expect(retry.messages[1]).toEqual({ role: 'assistant', content: '{"suggestions":"butter"}' });
+    expect(retry.messages[2].content).toContain('suggestions');
+    expect(validationOutcomes()).toEqual(['repaired']);
+  });
+
+  it('prunes invalid entries when the retry is no better', async () => {
+    override('recommendations', { recommendations: [{ name: 'Eggs' }, { reason: 'no name' }] });
+
+    const answer = await aiService.chatJSON({ task: 'recommendations', input: {} });
+
+    expect(answer).toEqual({ recommendations: [{ name: 'Eggs' }] });
+    expect(validationOutcomes()).toEqual(['pruned']);
+  });
+
+  it('uses the fallback when nothing can be salvaged', async () => {
+    override('complementary-items', { ideas: ['butter'] });
+
+    const answer = await aiService.chatJSON({ task: 'complementary-items', input: { items: ['bread'] } });
+
+    expect(answer).toEqual({ suggestions: [] });
+    expect(validationOutcomes()).toEqual(['fallback']);
+  });
+
+  it('throws when the task has no fallback', async () => {
+    override('generate-recipe', { title: 'Soup' });
+
+    await expect(aiService.chatJSON({ task: 'generate-recipe', input: {} }))
+      .rejects.toThrow('did not match the expected format');
+    expect(validationOutcomes()).toEqual(['failed']);
+  });
+
+  it('does not cache an answer that needed the fallback', async () => {
+    override('complementary-items', { ideas: ['butter'] });
+
+    await aiService.chatJSON({ task: 'complementary-items', input: { items: ['bread'] }, cacheKey: { items: ['bread'] } });
+
+    expect(query.mock.calls.some(([sql]) => sql.includes('INSERT INTO ai_cache'))).toBe(false);
+  });
+});
+
+describe('vision', () => {
+  it('returns a valid fixture answer', async () => {
+    const answer = await aiService.vision({ task: 'recognize-image', prompt: 'What is this?', images: [{ url: 'x' }] });
+
+    expect(answer.products.map(product => product.name)).toEqual(['Apple', 'Banana']);
+    expect(validationOutcomes()).toEqual([]);
+  });
+
+  it('appends the repair request to the prompt', async () => {
+    aiService.setProvider({
+      ...fixture,
+      vision: jest.fn()
+        .mockResolvedValueOnce({ aisles: '7' })
+        .mockImplementation(fixture.vision),
+    });
+
+    const answer = await aiService.vision({ task: 'aisle-sign-ocr', prompt: 'Read the sign', images: [{ url: 'x' }] });
+
+    const retry = aiService.getProvider().vision.mock.calls[1][0];
+    expect(answer).toEqual({ aisles: ['7'], departments: ['Cereal', 'Breakfast'] });
+    expect(retry.prompt).toMatch(/^Read the sign\n\n/);
+    expect(validationOutcomes()).toEqual(['repaired']);
+  });
+
+  it('falls back when the answer stays invalid', async () => {
+    override('recognize-image', { products: 'apple' });
+
+    const answer = await aiService.vision({ task: 'recognize-image', prompt: 'What is this?', images: [{ url: 'x' }] });
+
+    expect(answer).toEqual({ products: [] });
+    expect(validationOutcomes()).toEqual(['fallback']);
+  });
+});
+
+describe('streamChat', () => {
+  const options = { task: 'complementary-items', input: { items: ['pasta'] }, json: true };
+
+  it('streams the answer in chunks that validate once joined', async () => {
+    const text = await collect(aiService.streamChat(options));
+
+    expect(await aiService.validateJSONText(options, text))
+      .toEqual({ suggestions: ['marinara sauce', 'parmesan cheese', 'garlic bread'] });
+    expect(validationOutcomes()).toEqual([]);
+  });
+
+  it('repairs truncated JSON with a chatJSON retry', async () => {
+    const text = await collect(aiService.streamChat(options));
+
+    const answer = await aiService.validateJSONText(options, text.slice(0, -5));
+
+    expect(answer).toEqual({ suggestions: ['marinara sauce', 'parmesan cheese', 'garlic bread'] });
+    expect(validationOutcomes()).toEqual(['repaired']);
+  });
+
+  it('falls back when the streamed answer stays invalid', async () => {
+    override('complementary-items', { ideas: ['garlic bread'] });
+    const text = await collect(aiService.streamChat(options));
+
+    expect(await aiService.validateJSONText(options, text)).toEqual({ suggestions: [] });
+    expect(validationOutcomes()).toEqual(['fallback']);
+  });
+});
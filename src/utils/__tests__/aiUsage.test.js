@@ -0,0 +1,37 @@
+jest.mock('../../models/db', () => ({
+  query: jest.fn(),
+}));
+
+const { normalizeForCache, cacheKeyFor } = require('../aiUsage');
+
+describe('normalizeForCache', () => {
+  it('folds case and whitespace in strings', () => {
+    expect(normalizeForCache({ prompt: '  Tacos   for 4 ' })).toEqual({ prompt: 'tacos for 4' });
+  });
+
+  it('keeps array order', () => {
+    expect(normalizeForCache({ items: ['Milk', 'eggs'] })).toEqual({ items: ['milk', 'eggs'] });
+  });
+
+  it('drops undefined properties and nulls undefined entries', () => {
+    expect(normalizeForCache({ a: undefined, b: [undefined] })).toEqual({ b: [null] });
+  });
+});
+
+describe('cacheKeyFor', () => {
+  it('ignores property order and string case', () => {
+    expect(cacheKeyFor('fixture', 'chat', { a: 'Hi', b: 1 }))
+      .toBe(cacheKeyFor('fixture', 'chat', { b: 1, a: 'hi' }));
+  });
+
+  it('gives a reordered price-items request its own entry', () => {
+    expect(cacheKeyFor('fixture', 'price-items', { items: ['milk', 'eggs'] }))
+      .not.toBe(cacheKeyFor('fixture', 'price-items', { items: ['eggs', 'milk'] }));
+  });
+
+  it('separates providers and tasks', () => {
+    const key = cacheKeyFor('fixture', 'chat', { prompt: 'hi' });
+    expect(cacheKeyFor('openai', 'chat', { prompt: 'hi' })).not.toBe(key);
+    expect(cacheKeyFor('fixture', 'generate-list', { prompt: 'hi' })).not.toBe(key);
+  });
+});
@@ -0,0 +1,95 @@
+jest.mock('../../models/db', () => ({
+  query: jest.fn(),
+}));
+
+const { query } = require('../../models/db');
+const { validateSchema } = require('../jsonSchema');
+const {
+  RESPONSE_TYPES,
+  responseTypeFor,
+  repairInstructions,
+  recordValidationFailure,
+} = require('../aiValidation');
+
+beforeEach(() => {
+  query.mockReset();
+  query.mockResolvedValue({ rows: [] });
+});
+
+describe('RESPONSE_TYPES', () => {
+  const withFallback = Object.entries(RESPONSE_TYPES).filter(([, type]) => type.fallback);
+
+  it.each(withFallback)('%s fallback matches its own schema', (task, { schema, fallback }) => {
+    expect(validateSchema(schema, fallback({ items: ['milk'] }))).toEqual([]);
+  });
+
+  it('prices every requested item in the price-items fallback', () => {
+    const { schema, fallback } = RESPONSE_TYPES['price-items'];
+    const answer = fallback({ items: ['eggs', 'milk'] });
+
+    expect(answer.items.map(item => item.name)).toEqual(['eggs', 'milk']);
+    expect(validateSchema(schema, answer)).toEqual([]);
+  });
+
+  it('has no fallback where there is no honest stand-in', () => {
+    expect(RESPONSE_TYPES['generate-recipe'].fallback).toBeUndefined();
+    expect(RESPONSE_TYPES['generate-meal-plan'].fallback).toBeUndefined();
+  });
+
+  it('checks the list answer against its mode', () => {
+    const { schema } = RESPONSE_TYPES['generate-list'];
+
+    expect(validateSchema(schema, { mode: 'shopping_list', suggestions: [{ item: 'milk' }] })).toEqual([]);
+    expect(validateSchema(schema, { mode: 'recipe', suggestions: [{ item: 'milk' }] })).toEqual(['/recipes is required']);
+    expect(validateSchema(schema, { mode: 'party' })).toEqual(['/mode must be one of: shopping_list, recipe, full_course, chat']);
+  });
+});
+
+describe('responseTypeFor', () => {
+  it('returns null for tasks that answer in text', () => {
+    expect(responseTypeFor('chat')).toBeNull();
+    expect(responseTypeFor('generate-list')).toBe(RESPONSE_TYPES['generate-list']);
+  });
+});
+
+describe('repairInstructions', () => {
+  it('lists the errors', () => {
+    const prompt = repairInstructions(['/items is required']);
+    expect(prompt).toContain('- /items is required');
+    expect(prompt).toMatch(/corrected JSON only/);
+  });
+
+  it('cuts long error lists', () => {
+    const errors = Array.from({ length: 13 }, (_, index) => `/items/${index}/name is required`);
+    const prompt = repairInstructions(errors);
+
+    expect(prompt).toContain('/items/9/name is required');
+    expect(prompt).not.toContain('/items/10/name is required');
+    expect(prompt).toContain('- ...and 3 more');
+  });
+});
+
+describe('recordValidationFailure', () => {
+  it('logs the failure with a truncated response', async () => {
+    await recordValidationFailure({
+      userId: 'u1',
+      task: 'generate-list',
+      provider: 'fixture',
+      errors: ['/mode is required'],
+      outcome: 'fallback',
+      response: { text: 'x'.repeat(5000) },
+    });
+
+    const params = query.mock.calls[0][1];
+    expect(params.slice(0, 6)).toEqual(['u1', 'generate-list', 'fixture', '["/mode is required"]', null, 'fallback']);
+    expect(params[6]).toHaveLength(4000);
+  });
+
+  it('never throws', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    query.mockRejectedValueOnce(new Error('db down'));
+
+    await expect(recordValidationFailure({ provider: 'fixture', errors: [], outcome: 'failed' })).resolves.toBeUndefined();
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,129 @@
+jest.mock('../../models/db', () => ({
+  query: jest.fn(),
+}));
+
+const { query } = require('../../models/db');
+const {
+  detectAllergens,
+  screenEntries,
+  screenListResult,
+  screenListItem,
+} = require('../allergenSafety');
+
+beforeEach(() => {
+  query.mockReset();
+  query.mockResolvedValue({ rows: [] });
+});
+
+describe('detectAllergens', () => {
+  it('finds allergens by keyword, including plurals', () => {
+    expect(detectAllergens('Parmesan cheese', ['dairy', 'wheat'])).toEqual(['dairy']);
+    expect(detectAllergens('2 large eggs', ['eggs'])).toEqual(['eggs']);
+    expect(detectAllergens('Spaghetti with walnuts', ['wheat', 'tree nuts', 'fish'])).toEqual(['wheat', 'tree nuts']);
+  });
+
+  it('skips safe phrases and free-from labels', () => {
+    expect(detectAllergens('Oat milk', ['dairy'])).toEqual([]);
+    expect(detectAllergens('Peanut butter', ['dairy'])).toEqual([]);
+    expect(detectAllergens('Water chestnuts', ['tree nuts'])).toEqual([]);
+    expect(detectAllergens('Gluten-free pasta', ['wheat'])).toEqual([]);
+  });
+
+  it('matches whole words only', () => {
+    expect(detectAllergens('Codfish', ['fish'])).toEqual([]);
+    expect(detectAllergens('Buttercup squash', ['dairy'])).toEqual([]);
+  });
+
+  it('matches allergens outside the nine by name', () => {
+    expect(detectAllergens('Kiwis', ['kiwi'])).toEqual(['kiwi']);
+    expect(detectAllergens('Tomato paste', ['tomatoes'])).toEqual(['tomatoes']);
+  });
+});
+
+describe('screenEntries', () => {
+  const household = [
+    { allergen: 'dairy', people: ['You'] },
+    { allergen: 'tree nuts', people: ['Emma'] },
+  ];
+
+  it('leaves entries alone when nobody has allergens', async () => {
+    const entries = [{ name: 'Butter' }];
+    expect(await screenEntries(entries, [], { path: 'items' })).toEqual({ entries, warnings: [] });
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it('swaps an entry with one keyword allergen for a safe alternative', async () => {
+    const { entries, warnings } = await screenEntries([{ item: 'Milk', price: 3 }, 'Rice'], household, { path: 'suggestions' });
+
+    expect(entries).toEqual([
+      { item: 'oat milk', price: 3, allergenSwap: { original: 'Milk', allergens: ['dairy'] } },
+      'Rice',
+    ]);
+    expect(warnings).toEqual([{
+      path: 'suggestions[0]',
+      item: 'Milk',
+      allergens: ['dairy'],
+      people: ['You'],
+      source: 'keywords',
+      action: 'replaced',
+      replacement: 'oat milk',
+    }]);
+  });
+
+  it('flags instead of swapping when replace is off or there is no swap', async () => {
+    const { entries, warnings } = await screenEntries(
+      [{ name: 'Butter' }, { name: 'Brie' }],
+      household,
+      { path: 'items', replace: false }
+    );
+
+    expect(entries[0]).toEqual({ name: 'Butter', allergenWarning: { allergens: ['dairy'], people: ['You'] } });
+    expect(warnings.map(warning => warning.action)).toEqual(['flagged', 'flagged']);
+  });
+
+  it('trusts the products row for entries with a barcode', async () => {
+    query.mockResolvedValueOnce({ rows: [{ barcode: '0001', allergens: ['dairy'], ingredients: null }] });
+
+    const { entries, warnings } = await screenEntries([{ name: 'Chocolate bar', barcode: '0001' }], household, { path: 'items' });
+
+    expect(query.mock.calls[0][1]).toEqual([['0001']]);
+    expect(entries[0].allergenWarning).toEqual({ allergens: ['dairy'], people: ['You'] });
+    expect(warnings[0]).toMatchObject({ source: 'product', action: 'flagged' });
+  });
+
+  it('adds allergens from the product an entry name matches', async () => {
+    query.mockResolvedValueOnce({
+      rows: [{ lookup_name: 'granola', barcode: '0002', allergens: [], ingredients: 'oats, almonds, honey' }],
+    });
+
+    const { entries, warnings } = await screenEntries([{ name: 'Granola' }], household, { path: 'items' });
+
+    expect(query.mock.calls[0][1]).toEqual([['granola']]);
+    expect(entries[0].allergenWarning).toEqual({ allergens: ['tree nuts'], people: ['Emma'] });
+    expect(warnings[0]).toMatchObject({ source: 'product', action: 'flagged' });
+  });
+
+  it('keeps keyword allergens when the matched product lists none', async () => {
+    query.mockResolvedValueOnce({ rows: [{ lookup_name: 'milk', barcode: '0003', allergens: [], ingredients: 'water, oats' }] });
+
+    const { warnings } = await screenEntries([{ name: 'Milk' }], household, { path: 'items' });
+
+    expect(warnings[0]).toMatchObject({ allergens: ['dairy'], source: 'keywords', action: 'replaced' });
+  });
+
+  it('looks up all names in one query', async () => {
+    await screenEntries([{ name: 'Granola' }, 'Bread', { name: 'granola ' }, { name: 'Bar', barcode: '0004' }], household, { path: 'items' });
+
+    expect(query).toHaveBeenCalledTimes(2);
+    expect(query.mock.calls[0][1]).toEqual([['0004']]);
+    expect(query.mock.calls[1][1]).toEqual([['granola', 'bread']]);
+  });
+
+  it('reuses lookups through a shared productCache', async () => {
+    const productCache = new Map();
+    await screenListItem('suggestions', 0, { item: 'Granola' }, household, 'shopping_list', { productCache });
+    await screenListResult({ mode: 'shopping_list', suggestions: [{ item: 'Granola' }, { item: 'Bread' }] }, household, { productCache });
+
+    expect(query.mock.calls.map(([, params]) => params)).toEqual([[['granola']], [['bread']]]);
+  });
+});
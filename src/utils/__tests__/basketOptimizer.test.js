@@ -0,0 +1,91 @@
+const { priceConfidence, optimizeBasket } = require('../basketOptimizer');
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date().toISOString();
+
+const priceRow = (storeId, barcode, price, extra = {}) => ({
+  store_id: storeId,
+  store_name: `Store ${storeId}`,
+  store_address: null,
+  latitude: null,
+  longitude: null,
+  barcode,
+  price: String(price),
+  regular_price: null,
+  confidence: null,
+  updated_at: now,
+  ...extra,
+});
+
+const items = [
+  { id: 'x', name: 'Coffee', barcode: '111', price: 6, quantity: 1 },
+  { id: 'y', name: 'Pasta', barcode: '222', price: 3, quantity: 1 },
+  { id: 'z', name: 'Bananas', barcode: null, price: 1, quantity: 1 },
+];
+
+const rows = [
+  priceRow('A', '111', 5), priceRow('A', '222', 2),
+  priceRow('B', '111', 3), priceRow('B', '222', 4),
+];
+
+describe('priceConfidence', () => {
+  it('fades with age down to 30%', () => {
+    expect(priceConfidence({ confidence: '0.8', updated_at: now })).toBeCloseTo(0.8);
+    expect(priceConfidence({ confidence: null, updated_at: new Date(Date.now() - 48.5 * DAY) })).toBeCloseTo(0.65, 2);
+    expect(priceConfidence({ confidence: 1, updated_at: new Date(Date.now() - 200 * DAY) })).toBeCloseTo(0.3);
+    expect(priceConfidence({ confidence: 1, updated_at: null })).toBe(0.5);
+  });
+});
+
+describe('optimizeBasket', () => {
+  it('splits the basket when the savings beat the extra stop', () => {
+    const result = optimizeBasket(items, rows, { maxStores: 2, extraStopCost: 1.5, costPerKm: 0 });
+
+    expect(result.candidateStores).toBe(2);
+    expect(result.best).toMatchObject({ goodsTotal: 6, travelCost: 1.5, total: 7.5, estimatedItems: 1 });
+    expect(result.singleStore.total).toBe(8);
+    expect(result.savings).toBe(0.5);
+
+    // The list-priced line goes with the first stop
+    const stops = result.best.stores.map(stop => [stop.storeId, stop.items.map(item => item.itemId)]);
+    expect(stops).toEqual([['A', ['y', 'z']], ['B', ['x']]]);
+  });
+
+  it('stays at one store when the extra stop costs more than it saves', () => {
+    const result = optimizeBasket(items, rows, { maxStores: 2, extraStopCost: 3, costPerKm: 0 });
+
+    expect(result.best.stores).toHaveLength(1);
+    expect(result.best.total).toBe(8);
+    expect(result.savings).toBe(0);
+  });
+
+  it('charges travel by distance from the user', () => {
+    const located = rows.map(row => ({ ...row, latitude: '37.77', longitude: row.store_id === 'A' ? '-122.42' : '-122.30' }));
+    const result = optimizeBasket(items, located, {
+      maxStores: 2, origin: { lat: 37.77, lng: -122.42 }, extraStopCost: 0, costPerKm: 1,
+    });
+
+    // B is ~10.5 km away, so ~21 km round trip outweighs $2 of savings
+    expect(result.best.stores.map(stop => stop.storeId)).toEqual(['A']);
+    expect(result.singleStore.stores[0].distanceKm).toBeCloseTo(0, 5);
+  });
+
+  it('drops stores beyond maxDistanceKm', () => {
+    const located = rows.map(row => ({ ...row, latitude: '37.77', longitude: row.store_id === 'A' ? '-122.42' : '-121.00' }));
+    const result = optimizeBasket(items, located, { origin: { lat: 37.77, lng: -122.42 }, maxDistanceKm: 20 });
+
+    expect(result.candidateStores).toBe(1);
+  });
+
+  it('clamps maxStores and handles no prices at all', () => {
+    expect(optimizeBasket(items, rows, { maxStores: 9 }).settings.maxStores).toBe(3);
+    expect(optimizeBasket(items, [], {})).toMatchObject({ candidateStores: 0, best: null, savings: 0 });
+  });
+
+  it('rates plans by how much of the total has a store price', () => {
+    const result = optimizeBasket(items, rows, { maxStores: 1 });
+
+    expect(result.best.confidence).toBeCloseTo((7 * 1 + 1 * 0.25) / 8, 2);
+    expect(result.best.confidenceLabel).toBe('high');
+  });
+});
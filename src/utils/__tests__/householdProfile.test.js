@@ -0,0 +1,63 @@
+jest.mock('../../models/db', () => ({
+  query: jest.fn(async () => ({ rows: [] })),
+  transaction: jest.fn(),
+}));
+
+const { selectEaters, recipeConflicts } = require('../householdProfile');
+
+const members = [
+  { id: 'u1', name: 'Pat Lee', isYou: true, dietaryRestrictions: [], allergens: ['peanuts'] },
+  { id: 'f1', name: 'Sage', isYou: false, dietaryRestrictions: ['vegetarian'], allergens: [] },
+  { id: 'f2', name: 'Emma Stone', isYou: false, dietaryRestrictions: [], allergens: ['dairy'] },
+];
+
+const names = ({ eaters }) => eaters.map(member => member.name);
+
+describe('selectEaters', () => {
+  it('defaults to everyone', () => {
+    expect(names(selectEaters(members))).toEqual(['Pat Lee', 'Sage', 'Emma Stone']);
+    expect(names(selectEaters(members, { eaters: [] }))).toEqual(['Pat Lee', 'Sage', 'Emma Stone']);
+    expect(names(selectEaters(members, { eaters: ' , ' }))).toEqual(['Pat Lee', 'Sage', 'Emma Stone']);
+  });
+
+  it('ignores names that only appear in the prompt', () => {
+    const selection = selectEaters(members, { prompt: 'chicken with sage and lemon' });
+    expect(names(selection)).toEqual(['Pat Lee', 'Sage', 'Emma Stone']);
+  });
+
+  it('narrows to explicit eaters by id, full name, first name or "me"', () => {
+    expect(names(selectEaters(members, { eaters: ['me', 'f1'] }))).toEqual(['Pat Lee', 'Sage']);
+    expect(names(selectEaters(members, { eaters: 'emma, Pat Lee' }))).toEqual(['Pat Lee', 'Emma Stone']);
+  });
+
+  it('reports selections that match nobody', () => {
+    const selection = selectEaters(members, { eaters: 'Sage, Rosemary' });
+    expect(names(selection)).toEqual(['Sage']);
+    expect(selection.unknown).toEqual(['Rosemary']);
+  });
+});
+
+describe('recipeConflicts', () => {
+  const profile = { allergens: ['dairy', 'peanuts'], dietaryRestrictions: ['vegetarian', 'keto'] };
+
+  it('lists the allergens and restrictions the ingredients break', () => {
+    const recipe = {
+      ingredients: [{ name: 'Chicken thighs' }, { item: 'Parmesan cheese' }, 'Olive oil'],
+    };
+    expect(recipeConflicts(recipe, profile)).toEqual({ allergens: ['dairy'], restrictions: ['vegetarian'] });
+  });
+
+  it('counts restriction allergens as breaking the restriction', () => {
+    const recipe = { ingredients: ['Salmon fillet'] };
+    expect(recipeConflicts(recipe, profile)).toEqual({ allergens: [], restrictions: ['vegetarian'] });
+  });
+
+  it('is empty for a suitable recipe', () => {
+    const recipe = { ingredients: ['Rice', 'Oat milk', 'Peanut-free granola', 'Butter beans'] };
+    expect(recipeConflicts(recipe, profile)).toEqual({ allergens: [], restrictions: [] });
+  });
+
+  it('handles a recipe without ingredients', () => {
+    expect(recipeConflicts({}, profile)).toEqual({ allergens: [], restrictions: [] });
+  });
+});
@@ -0,0 +1,110 @@
+const {
+  normalizeUnit,
+  isKnownUnit,
+  normalizeItemName,
+  convertQuantity,
+  canMergeUnits,
+  combineQuantities,
+  findMergeTarget,
+  mergeIntoItem,
+} = require('../ingredientMerge');
+
+describe('normalizeUnit', () => {
+  it('maps aliases and treats blank as each', () => {
+    expect(normalizeUnit('Pounds')).toBe('lb');
+    expect(normalizeUnit('tbsp.')).toBe('tbsp');
+    expect(normalizeUnit('Fluid  Ounces')).toBe('fl oz');
+    expect(normalizeUnit('')).toBe('each');
+    expect(normalizeUnit(null)).toBe('each');
+    expect(normalizeUnit('Cloves')).toBe('cloves');
+  });
+
+  it('knows which units it can convert', () => {
+    expect(isKnownUnit('kilograms')).toBe(true);
+    expect(isKnownUnit('slices')).toBe(false);
+  });
+});
+
+describe('normalizeItemName', () => {
+  it('lower-cases, drops punctuation and notes, and singularizes', () => {
+    expect(normalizeItemName('Red Onions,')).toBe('red onion');
+    expect(normalizeItemName('Tomatoes (ripe)')).toBe('tomato');
+    expect(normalizeItemName('Cherries')).toBe('cherry');
+    expect(normalizeItemName('Swiss Cheese')).toBe('swiss cheese');
+    expect(normalizeItemName('Eggs')).toBe('egg');
+  });
+});
+
+describe('convertQuantity', () => {
+  it('converts within a dimension', () => {
+    expect(convertQuantity(1, 'lb', 'oz')).toBeCloseTo(16, 2);
+    expect(convertQuantity(3, 'tsp', 'tbsp')).toBeCloseTo(1, 3);
+    expect(convertQuantity(2, 'dozen', 'each')).toBe(24);
+  });
+
+  it('returns null across dimensions', () => {
+    expect(convertQuantity(1, 'cup', 'lb')).toBeNull();
+    expect(convertQuantity(1, 'slices', 'each')).toBeNull();
+  });
+
+  it('only merges unknown units with themselves', () => {
+    expect(canMergeUnits('Slices', 'slices')).toBe(true);
+    expect(canMergeUnits('slices', 'cloves')).toBe(false);
+    expect(canMergeUnits(null, 'pcs')).toBe(true);
+  });
+});
+
+describe('combineQuantities', () => {
+  it('totals in the larger unit', () => {
+    expect(combineQuantities({ quantity: '8', unit: 'oz' }, { quantity: 1, unit: 'lb' })).toEqual({ quantity: 1.5, unit: 'lb' });
+    expect(combineQuantities({ quantity: 1, unit: 'cup' }, { quantity: 2, unit: 'tbsp' })).toEqual({ quantity: 1.125, unit: 'cup' });
+  });
+
+  it('understands fractions', () => {
+    expect(combineQuantities({ quantity: '1 1/2', unit: 'cups' }, { quantity: '1/2', unit: 'cup' })).toEqual({ quantity: 2, unit: 'cups' });
+  });
+
+  it('refuses units that measure different things', () => {
+    expect(combineQuantities({ quantity: 1, unit: 'cup' }, { quantity: 1, unit: 'lb' })).toBeNull();
+  });
+});
+
+describe('findMergeTarget', () => {
+  const rows = [
+    { id: 'a', name: 'Onion', unit: 'cup', barcode: null },
+    { id: 'b', name: 'Onions', unit: 'oz', barcode: '111' },
+    { id: 'c', name: 'Onions', unit: 'lb', barcode: null },
+  ];
+  const client = { query: jest.fn(async () => ({ rows })) };
+
+  it('picks the first line with the same name and a compatible unit', async () => {
+    expect((await findMergeTarget(client, 'l1', { name: 'red onion', unit: 'lb' }))).toBeNull();
+    expect((await findMergeTarget(client, 'l1', { name: 'onion', unit: 'lb' })).id).toBe('b');
+    expect(client.query.mock.calls[0][1]).toEqual(['l1']);
+  });
+
+  it('skips lines with a different barcode', async () => {
+    expect((await findMergeTarget(client, 'l1', { name: 'onion', unit: 'g', barcode: '222' })).id).toBe('c');
+  });
+
+  it('needs a name', async () => {
+    expect(await findMergeTarget(client, 'l1', { name: '  ', unit: 'lb' })).toBeNull();
+  });
+});
+
+describe('mergeIntoItem', () => {
+  it('scales the unit price to the new unit and records the source', async () => {
+    const client = { query: jest.fn(async (sql, params) => ({ rows: [{ params }] })) };
+    const row = { id: 'i1', quantity: '8', unit: 'oz', price: '0.5', sources: [], added_by: 'u1', created_at: '2026-01-01T00:00:00Z' };
+    const source = { type: 'recipe', recipeId: 'r1', quantity: 1, unit: 'lb' };
+
+    const { params } = await mergeIntoItem(client, row, { quantity: 1, unit: 'lb' }, source);
+
+    expect(params.slice(0, 4)).toEqual([1.5, 'lb', 8, null]);
+    expect(JSON.parse(params[4])).toEqual([
+      { type: 'user', userId: 'u1', quantity: 8, unit: 'oz', addedAt: '2026-01-01T00:00:00.000Z' },
+      source,
+    ]);
+    expect(params[5]).toBe('i1');
+  });
+});
@@ -0,0 +1,119 @@
+jest.mock('../../models/db', () => ({
+  query: jest.fn(async () => ({ rows: [] })),
+}));
+
+const { validateSchema, pruneToSchema } = require('../jsonSchema');
+const { RESPONSE_TYPES } = require('../aiValidation');
+
+describe('validateSchema', () => {
+  it('checks types, with integers counting as numbers', () => {
+    expect(validateSchema({ type: 'number' }, 3)).toEqual([]);
+    expect(validateSchema({ type: 'integer' }, 3.5)).toEqual(['(root) must be integer']);
+    expect(validateSchema({ type: ['string', 'null'] }, null)).toEqual([]);
+    expect(validateSchema({ type: 'object' }, [])).toEqual(['(root) must be object']);
+  });
+
+  it('checks enum, const, minLength and number bounds', () => {
+    expect(validateSchema({ enum: ['a', 'b'] }, 'c')).toEqual(['(root) must be one of: a, b']);
+    expect(validateSchema({ const: 'a' }, 'b')).toEqual(['(root) must be "a"']);
+    expect(validateSchema({ type: 'string', minLength: 1 }, '  ')).toEqual(['(root) must not be empty']);
+    expect(validateSchema({ minimum: 0, maximum: 10 }, -1)).toEqual(['(root) must be >= 0']);
+    expect(validateSchema({ minimum: 0, maximum: 10 }, 11)).toEqual(['(root) must be <= 10']);
+  });
+
+  it('reports required properties and nested errors with their path', () => {
+    const schema = {
+      type: 'object',
+      required: ['items'],
+      properties: {
+        items: { type: 'array', minItems: 1, items: { type: 'object', required: ['name'], properties: { price: { type: 'number' } } } },
+      },
+    };
+
+    expect(validateSchema(schema, {})).toEqual(['/items is required']);
+    expect(validateSchema(schema, { items: [] })).toEqual(['/items must have at least 1 item(s)']);
+    expect(validateSchema(schema, { items: [{ name: 'milk', price: '3' }, {}] })).toEqual([
+      '/items/0/price must be number',
+      '/items/1/name is required',
+    ]);
+  });
+
+  it('applies allOf, anyOf and if / then / else', () => {
+    const schema = {
+      allOf: [{ required: ['kind'] }],
+      anyOf: [{ required: ['a'] }, { required: ['b'] }],
+      if: { properties: { kind: { const: 'x' } } },
+      then: { required: ['x'] },
+      else: { required: ['y'] },
+    };
+
+    expect(validateSchema(schema, { kind: 'x', a: 1, x: 1 })).toEqual([]);
+    expect(validateSchema(schema, { kind: 'z', b: 1 })).toEqual(['/y is required']);
+    // A missing kind passes `if`, so `then` applies
+    expect(validateSchema(schema, { x: 1 })).toEqual([
+      '/kind is required',
+      "(root) doesn't match any allowed shape",
+    ]);
+  });
+});
+
+describe('pruneToSchema', () => {
+  const schema = {
+    type: 'object',
+    required: ['items'],
+    properties: {
+      title: { type: 'string' },
+      items: { type: 'array', items: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } } },
+    },
+  };
+
+  it('drops invalid array items and invalid optional properties', () => {
+    const value = { title: 5, items: [{ name: 'milk' }, { name: 3 }, {}] };
+    const pruned = pruneToSchema(schema, value);
+
+    expect(pruned).toEqual({ items: [{ name: 'milk' }] });
+    expect(validateSchema(schema, pruned)).toEqual([]);
+    expect(value.items).toHaveLength(3);
+  });
+
+  it('keeps invalid required properties for validateSchema to report', () => {
+    expect(pruneToSchema(schema, { items: 'milk' })).toEqual({ items: 'milk' });
+  });
+
+  it('follows allOf entries into their if / then branches', () => {
+    const listSchema = RESPONSE_TYPES['generate-list'].schema;
+    const value = { mode: 'shopping_list', suggestions: [{ item: 'milk', price: 3 }, { price: 2 }] };
+
+    expect(validateSchema(listSchema, value)).not.toEqual([]);
+    const pruned = pruneToSchema(listSchema, value);
+    expect(pruned.suggestions).toEqual([{ item: 'milk', price: 3 }]);
+    expect(validateSchema(listSchema, pruned)).toEqual([]);
+  });
+
+  it('prunes inside the branch for the answer\'s mode only', () => {
+    const listSchema = RESPONSE_TYPES['generate-list'].schema;
+    const value = {
+      mode: 'recipe',
+      recipes: [
+        { title: 'Pasta', ingredients: [{ item: 'pasta' }, { quantity: 1 }], instructions: ['Boil'] },
+        { title: 'No steps', ingredients: [{ item: 'rice' }] },
+      ],
+    };
+
+    const pruned = pruneToSchema(listSchema, value);
+    expect(pruned.recipes).toEqual([{ title: 'Pasta', ingredients: [{ item: 'pasta' }], instructions: ['Boil'] }]);
+    expect(validateSchema(listSchema, pruned)).toEqual([]);
+  });
+
+  it('follows nested else branches', () => {
+    const nested = {
+      allOf: [{
+        if: { properties: { kind: { const: 'a' } } },
+        then: {},
+        else: { allOf: [{ properties: { tags: { type: 'array', items: { type: 'string' } } } }] },
+      }],
+    };
+
+    expect(pruneToSchema(nested, { kind: 'b', tags: ['x', 1] })).toEqual({ kind: 'b', tags: ['x'] });
+  });
+});
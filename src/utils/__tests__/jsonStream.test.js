@@ -0,0 +1,82 @@
+const { createJSONStreamParser } = require('../jsonStream');
+
+// Feeds text in chunks of `size` and records every callback
+const run = (text, size = text.length) => {
+  const events = [];
+  const parser = createJSONStreamParser({
+    onField: (key, value) => events.push(['field', key, value]),
+    onArrayItem: (key, index, value) => events.push(['item', key, index, value]),
+  });
+  for (let i = 0; i < text.length; i += size) parser.write(text.slice(i, i + size));
+  return { events, parser };
+};
+
+const answer = JSON.stringify({
+  mode: 'recipe',
+  servings: 4,
+  vegan: false,
+  note: null,
+  suggestions: [{ item: 'milk, 2%', price: 3.5 }, { item: 'brace } bracket ]' }],
+  tags: ['quick', 'easy'],
+  counts: [1, 2.5],
+  meta: { nested: { deep: [1] } },
+});
+
+describe('createJSONStreamParser', () => {
+  it('reports top-level fields and array items in order', () => {
+    const { events, parser } = run(answer);
+
+    expect(events).toEqual([
+      ['field', 'mode', 'recipe'],
+      ['field', 'servings', 4],
+      ['field', 'vegan', false],
+      ['field', 'note', null],
+      ['item', 'suggestions', 0, { item: 'milk, 2%', price: 3.5 }],
+      ['item', 'suggestions', 1, { item: 'brace } bracket ]' }],
+      ['field', 'suggestions', [{ item: 'milk, 2%', price: 3.5 }, { item: 'brace } bracket ]' }]],
+      ['item', 'tags', 0, 'quick'],
+      ['item', 'tags', 1, 'easy'],
+      ['field', 'tags', ['quick', 'easy']],
+      ['item', 'counts', 0, 1],
+      ['item', 'counts', 1, 2.5],
+      ['field', 'counts', [1, 2.5]],
+      ['field', 'meta', { nested: { deep: [1] } }],
+    ]);
+    expect(parser.isComplete()).toBe(true);
+  });
+
+  it('gives the same events whatever the chunk size', () => {
+    const whole = run(answer).events;
+    for (const size of [1, 2, 7, 33]) {
+      expect(run(answer, size).events).toEqual(whole);
+    }
+  });
+
+  it('handles escaped quotes and backslashes in strings', () => {
+    const { events } = run('{"message":"say \\"hi\\" \\\\","items":["a\\"b"]}', 3);
+
+    expect(events).toEqual([
+      ['field', 'message', 'say "hi" \\'],
+      ['item', 'items', 0, 'a"b'],
+      ['field', 'items', ['a"b']],
+    ]);
+  });
+
+  it('ignores text around the object', () => {
+    const { events, parser } = run('Sure! ```json\n{"mode":"chat"}\n``` {"mode":"other"}');
+
+    expect(events).toEqual([['field', 'mode', 'chat']]);
+    expect(parser.isComplete()).toBe(true);
+    expect(parser.text()).toContain('```json');
+  });
+
+  it('waits for incomplete values', () => {
+    const { events, parser } = run('{"mode":"recipe","suggestions":[{"item":"milk"},{"item":"eg');
+
+    expect(events).toEqual([
+      ['field', 'mode', 'recipe'],
+      ['item', 'suggestions', 0, { item: 'milk' }],
+    ]);
+    expect(parser.isComplete()).toBe(false);
+  });
+});
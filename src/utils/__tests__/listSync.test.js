@@ -0,0 +1,114 @@
+const {
+  normalizeSyncFields,
+  resolveClientTime,
+  resolveItemUpdate,
+  shouldApplyDelete,
+  initialFieldClock,
+  parseSyncCursor,
+  formatSyncCursor,
+  formatSyncItem,
+} = require('../listSync');
+
+const T = (minutes) => Date.parse('2026-03-01T12:00:00Z') + minutes * 60 * 1000;
+const iso = (minutes) => new Date(T(minutes)).toISOString();
+
+const row = (fields = {}) => ({
+  id: 'i1',
+  list_id: 'l1',
+  name: 'Milk',
+  quantity: '1',
+  checked: false,
+  version: 3,
+  created_at: iso(0),
+  updated_at: iso(10),
+  field_clock: { name: iso(5), checked: iso(10) },
+  ...fields,
+});
+
+describe('normalizeSyncFields', () => {
+  it('keeps known fields only and normalizes their values', () => {
+    expect(normalizeSyncFields({
+      name: '  Milk ', quantity: '1/2', price: 'abc', checked: 1, haveAtHome: 0, notes: '', bogus: 'x',
+    })).toEqual({ name: 'Milk', quantity: 0.5, price: 0, checked: true, haveAtHome: false, notes: null });
+  });
+});
+
+describe('resolveClientTime', () => {
+  it('clamps future and unreadable timestamps to now', () => {
+    const before = Date.now();
+    expect(resolveClientTime('2999-01-01T00:00:00Z')).toBeGreaterThanOrEqual(before);
+    expect(resolveClientTime('2999-01-01T00:00:00Z')).toBeLessThanOrEqual(Date.now());
+    expect(resolveClientTime('not a date')).toBeGreaterThanOrEqual(before);
+    expect(resolveClientTime(iso(0))).toBe(T(0));
+  });
+});
+
+describe('resolveItemUpdate', () => {
+  it('applies fields the client wrote after the server did', () => {
+    const { changes, clock, conflicts } = resolveItemUpdate(row(), { name: 'Oat milk', quantity: 2 }, T(20), 3);
+
+    expect(changes).toEqual({ name: 'Oat milk', quantity: 2 });
+    expect(clock).toEqual({ name: iso(20), quantity: iso(20), checked: iso(10) });
+    expect(conflicts).toEqual([]);
+  });
+
+  it('keeps the server value per field when it is newer', () => {
+    // name was written at 5; quantity never, so it dates from created_at (0)
+    const { changes, conflicts } = resolveItemUpdate(row(), { name: 'Oat milk', quantity: 2 }, T(3), 3);
+
+    expect(changes).toEqual({ quantity: 2 });
+    expect(conflicts).toEqual([{ field: 'name', reason: 'server_newer' }]);
+  });
+
+  it('lets a check beat an un-check from a stale copy', () => {
+    const uncheck = resolveItemUpdate(row({ checked: true }), { checked: false }, T(30), 2);
+    expect(uncheck.changes).toEqual({});
+    expect(uncheck.conflicts).toEqual([{ field: 'checked', reason: 'check_wins' }]);
+
+    const check = resolveItemUpdate(row(), { checked: true }, T(1), 2);
+    expect(check.changes).toEqual({ checked: true });
+    expect(check.clock.checked).toBe(iso(1));
+  });
+
+  it('treats checked like any field when the copy is current', () => {
+    const uncheck = resolveItemUpdate(row({ checked: true }), { checked: false }, T(30), 3);
+    expect(uncheck.changes).toEqual({ checked: false });
+
+    const unversioned = resolveItemUpdate(row({ checked: true }), { checked: false }, T(30));
+    expect(unversioned.changes).toEqual({ checked: false });
+  });
+});
+
+describe('shouldApplyDelete', () => {
+  it('loses only to edits the client never saw that came after it', () => {
+    expect(shouldApplyDelete(row(), T(5), 2)).toBe(false);
+    expect(shouldApplyDelete(row(), T(15), 2)).toBe(true);
+    expect(shouldApplyDelete(row(), T(5), 3)).toBe(true);
+  });
+});
+
+describe('initialFieldClock', () => {
+  it('stamps the fields the client sent', () => {
+    expect(initialFieldClock({ name: 'Milk', haveAtHome: true }, T(1))).toEqual({ name: iso(1), have_at_home: iso(1) });
+  });
+});
+
+describe('sync cursors', () => {
+  it('round-trips transaction cursors', () => {
+    expect(parseSyncCursor(formatSyncCursor('9007199254740993'))).toBe('9007199254740993');
+  });
+
+  it('treats old sequence cursors and junk as a full sync', () => {
+    expect(parseSyncCursor(57)).toBeNull();
+    expect(parseSyncCursor('x:12; DROP')).toBeNull();
+    expect(parseSyncCursor(undefined)).toBeNull();
+  });
+});
+
+describe('formatSyncItem', () => {
+  it('returns the camelCase item with defaults', () => {
+    expect(formatSyncItem(row({ price: null, notes: null }))).toMatchObject({
+      id: 'i1', listId: 'l1', price: 0, quantity: 1, haveAtHome: false, notes: '', version: 3,
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const { groupByDepartment, exportList, parseImportText } = require('../listTransfer');
+
+const list = { id: 'l1', name: 'Weekly' };
+const items = [
+  { name: 'Milk', quantity: '1', unit: 'gallon', price: '3.5', department: 'Dairy', checked: true },
+  { name: 'Mystery', quantity: 2, price: 0, department: null, notes: 'ask, "Sam"' },
+  { name: 'Apples', quantity: 1.5, unit: 'lb', price: 2, department: 'Produce' },
+];
+
+describe('groupByDepartment', () => {
+  it('sorts departments alphabetically with Other last', () => {
+    expect(groupByDepartment(items).map(group => group.department)).toEqual(['Dairy', 'Produce', 'Other']);
+  });
+});
+
+describe('exportList', () => {
+  it('writes CSV with quoted cells', () => {
+    const { body, contentType } = exportList(list, items, 'csv');
+
+    expect(contentType).toBe('text/csv');
+    expect(body.split('\n')).toEqual([
+      'Department,Name,Quantity,Unit,Price,Checked,Notes',
+      'Dairy,Milk,1,gallon,3.50,yes,',
+      'Produce,Apples,1.5,lb,2.00,no,',
+      'Other,Mystery,2,,0.00,no,"ask, ""Sam"""',
+      '',
+    ]);
+  });
+
+  it('writes Markdown checklists by department', () => {
+    const { body } = exportList(list, items, 'md');
+
+    expect(body).toContain('# Weekly');
+    expect(body).toContain('## Dairy\n\n- [x] 1 gallon Milk — $3.50');
+    expect(body).toContain('- [ ] 2 Mystery (ask, "Sam")');
+  });
+});
+
+describe('parseImportText', () => {
+  it('parses quantities, units, checkboxes, prices and notes', () => {
+    const { items: parsed, skipped } = parseImportText([
+      '- 2 lbs chicken',
+      '1 1/2 cups of flour',
+      '- [x] eggs x12',
+      'bananas — $0.59',
+      '3 fl oz vanilla (pure)',
+      '2 cans tomatoes',
+    ].join('\n'));
+
+    expect(skipped).toEqual([]);
+    expect(parsed.map(({ name, quantity, unit, price, checked, notes }) => ({ name, quantity, unit, price, checked, notes }))).toEqual([
+      { name: 'chicken', quantity: 2, unit: 'lbs', price: 0, checked: false, notes: null },
+      { name: 'flour', quantity: 1.5, unit: 'cups', price: 0, checked: false, notes: null },
+      { name: 'eggs', quantity: 12, unit: null, price: 0, checked: true, notes: null },
+      { name: 'bananas', quantity: 1, unit: null, price: 0.59, checked: false, notes: null },
+      { name: 'vanilla', quantity: 3, unit: 'fl oz', price: 0, checked: false, notes: 'pure' },
+      { name: 'tomatoes', quantity: 2, unit: 'cans', price: 0, checked: false, notes: null },
+    ]);
+  });
+
+  it('uses headings as departments and skips titles', () => {
+    const { items: parsed } = parseImportText('Weekly\n======\n\nBakery:\n  bread\n## Frozen\n- peas');
+
+    expect(parsed.map(item => [item.name, item.department])).toEqual([['bread', 'Bakery'], ['peas', 'Frozen']]);
+  });
+
+  it('round-trips its own CSV export', () => {
+    const { items: parsed, skipped } = parseImportText(exportList(list, items, 'csv').body);
+
+    expect(skipped).toEqual([]);
+    expect(parsed.map(({ name, quantity, unit, price, checked, notes }) => ({ name, quantity, unit, price, checked, notes }))).toEqual([
+      { name: 'Milk', quantity: 1, unit: 'gallon', price: 3.5, checked: true, notes: null },
+      { name: 'Apples', quantity: 1.5, unit: 'lb', price: 2, checked: false, notes: null },
+      { name: 'Mystery', quantity: 2, unit: null, price: 0, checked: false, notes: 'ask, "Sam"' },
+    ]);
+  });
+
+  it('reports CSV rows without a name', () => {
+    const { items: parsed, skipped } = parseImportText('Name,Quantity\nMilk,2\n,3');
+
+    expect(parsed).toHaveLength(1);
+    expect(skipped).toEqual([{ line: 3, text: ',3', error: 'Missing name' }]);
+  });
+
+  it('reports lines without an item name', () => {
+    const { items: parsed, skipped } = parseImportText('milk\n- [ ]');
+
+    expect(parsed.map(item => item.name)).toEqual(['milk']);
+    expect(skipped).toEqual([{ line: 2, text: '- [ ]', error: 'Could not find an item name' }]);
+  });
+});
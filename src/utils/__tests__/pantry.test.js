@@ -0,0 +1,31 @@
+jest.mock('../../models/db', () => ({
+  query: jest.fn(),
+}));
+
+const { parsePantryQuantity } = require('../pantry');
+
+describe('parsePantryQuantity', () => {
+  it('reads numbers and numeric strings, including zero', () => {
+    expect(parsePantryQuantity(2)).toBe(2);
+    expect(parsePantryQuantity(0)).toBe(0);
+    expect(parsePantryQuantity('0')).toBe(0);
+    expect(parsePantryQuantity(' 0.5 ')).toBe(0.5);
+    expect(parsePantryQuantity('.25')).toBe(0.25);
+  });
+
+  it('reads fractions and mixed numbers', () => {
+    expect(parsePantryQuantity('1/2')).toBe(0.5);
+    expect(parsePantryQuantity('1 1/2')).toBe(1.5);
+  });
+
+  it('rejects negatives and anything that is not a quantity', () => {
+    expect(parsePantryQuantity(-1)).toBeNull();
+    expect(parsePantryQuantity('-1')).toBeNull();
+    expect(parsePantryQuantity('abc')).toBeNull();
+    expect(parsePantryQuantity('2 bags')).toBeNull();
+    expect(parsePantryQuantity('1/0')).toBeNull();
+    expect(parsePantryQuantity(Infinity)).toBeNull();
+    expect(parsePantryQuantity(true)).toBeNull();
+    expect(parsePantryQuantity('')).toBeNull();
+  });
+});
@@ -0,0 +1,58 @@
+jest.mock('../../models/db', () => ({
+  query: jest.fn(),
+  transaction: jest.fn(),
+}));
+
+const { query, transaction } = require('../../models/db');
+const { confirmPhotoScan } = require('../pantryPhotoScan');
+
+const scanRow = {
+  id: 'scan-1',
+  list_id: null,
+  min_confidence: '0.5',
+  detections: [
+    { name: 'Milk', confidence: 0.9, department: 'dairy', selected: true },
+    { name: 'Eggs', confidence: 0.6, department: 'dairy', selected: false },
+  ],
+  status: 'pending',
+};
+
+beforeEach(() => {
+  query.mockReset();
+  transaction.mockReset();
+  query.mockResolvedValue({ rows: [scanRow] });
+});
+
+describe('confirmPhotoScan corrections', () => {
+  it.each([
+    [{ index: 0, quantity: -2 }, 'items[0].quantity must be a number greater than zero'],
+    [{ index: 0, quantity: 'lots' }, 'items[0].quantity must be a number greater than zero'],
+    [{ index: 0, quantity: 0 }, 'items[0].quantity must be a number greater than zero'],
+    [{ index: 0, expiresAt: 'next week' }, 'items[0].expiresAt must be a date'],
+  ])('rejects %j before claiming the scan', async (choice, error) => {
+    const result = await confirmPhotoScan('scan-1', 'user-1', { items: [choice] });
+
+    expect(result).toEqual({ status: 400, error });
+    expect(query).toHaveBeenCalledTimes(1);
+    expect(transaction).not.toHaveBeenCalled();
+  });
+
+  it('points at the entry that is wrong', async () => {
+    const result = await confirmPhotoScan('scan-1', 'user-1', {
+      items: [{ index: 0, quantity: '2' }, { index: 1, expiresAt: 'soon' }],
+    });
+
+    expect(result).toEqual({ status: 400, error: 'items[1].expiresAt must be a date' });
+  });
+
+  it('accepts numeric strings and dates', async () => {
+    query.mockResolvedValueOnce({ rows: [scanRow] }).mockResolvedValueOnce({ rows: [] });
+
+    await confirmPhotoScan('scan-1', 'user-1', {
+      items: [{ index: 0, quantity: '1 1/2', expiresAt: '2026-11-01' }],
+    });
+
+    // Went on to claim the scan
+    expect(query.mock.calls[1][0]).toContain("SET status = 'confirmed'");
+  });
+});
@@ -0,0 +1,130 @@
+jest.mock('../../models/db', () => ({
+  query: jest.fn(),
+}));
+
+const { query } = require('../../models/db');
+const {
+  DEFAULT_TAX_RATE,
+  regionFromAddress,
+  regionChain,
+  loadTaxRules,
+  taxForItem,
+  calculateListTax,
+} = require('../taxRules');
+
+beforeEach(() => {
+  query.mockReset();
+});
+
+const rule = (fields) => ({ id: fields.id || 'r', is_active: true, store_id: null, department: null, ...fields });
+
+// store → ZIP → state, as loadTaxRules returns them
+const ruleset = {
+  scopes: [
+    { scope: 'store:s1', rules: [rule({ id: 'store-bakery', store_id: 's1', rule_type: 'rate', department: 'Bakery', rate: '0.05' })] },
+    { scope: 'US-CA-94110', rules: [rule({ id: 'zip-rate', region_code: 'US-CA-94110', rule_type: 'rate', rate: '0.0863' })] },
+    {
+      scope: 'US-CA',
+      rules: [
+        rule({ id: 'state-rate', region_code: 'US-CA', rule_type: 'rate', rate: '0.0725' }),
+        rule({ id: 'state-produce', region_code: 'US-CA', rule_type: 'exempt', department: 'Produce' }),
+        rule({ id: 'crv', region_code: 'US-CA', rule_type: 'deposit', department: 'Beverages', match_keywords: ['soda', 'water'], amount: '0.05' }),
+      ],
+    },
+    { scope: '*', rules: [] },
+  ],
+};
+
+describe('regionFromAddress', () => {
+  it('finds the state and ZIP', () => {
+    expect(regionFromAddress('123 Main St, San Francisco, CA 94110')).toBe('US-CA-94110');
+    expect(regionFromAddress('1 Elm St, Austin, TX 78701-1234')).toBe('US-TX-78701');
+    expect(regionFromAddress('Portland, OR, USA')).toBe('US-OR');
+  });
+
+  it('returns null without a US state', () => {
+    expect(regionFromAddress('10 Downing St, London SW1A 2AA')).toBeNull();
+    expect(regionFromAddress('Somewhere, ZZ 12345')).toBeNull();
+    expect(regionFromAddress(null)).toBeNull();
+  });
+});
+
+describe('regionChain', () => {
+  it('runs from most to least specific', () => {
+    expect(regionChain('US-CA-94110')).toEqual(['US-CA-94110', 'US-CA', 'US', '*']);
+    expect(regionChain(null)).toEqual(['*']);
+  });
+});
+
+describe('taxForItem', () => {
+  it('prefers a department rule from any scope over the base rate', () => {
+    const bread = taxForItem({ name: 'Bread', department: 'Bakery', price: 4, quantity: 1 }, ruleset);
+    const apples = taxForItem({ name: 'Apples', department: 'Produce', price: 2, quantity: 3 }, ruleset);
+
+    expect(bread).toMatchObject({ taxRate: 0.05, tax: 0.2, taxRule: { id: 'store-bakery', scope: 'store' } });
+    expect(apples).toMatchObject({ lineTotal: 6, taxable: false, tax: 0, taxRule: { id: 'state-produce', type: 'exempt' } });
+  });
+
+  it('uses the most specific base rate, then the default', () => {
+    const soap = taxForItem({ name: 'Soap', department: 'Household', price: 10, quantity: 1 }, ruleset);
+    const noRules = taxForItem({ name: 'Soap', department: 'Household', price: 10, quantity: 1 }, { scopes: [] });
+
+    expect(soap).toMatchObject({ taxRate: 0.0863, tax: 0.86, taxRule: { id: 'zip-rate' } });
+    expect(noRules).toMatchObject({ taxRate: DEFAULT_TAX_RATE, taxRule: null });
+  });
+
+  it('charges deposits per container', () => {
+    const soda = taxForItem({ name: 'Soda 12 pack', department: 'Beverages', price: 6, quantity: 2, unit: 'cans' }, ruleset);
+    const juice = taxForItem({ name: 'Orange juice', department: 'Beverages', price: 4, quantity: 1 }, ruleset);
+    const water = taxForItem({ name: 'Sparkling water', department: 'Beverages', price: 1, quantity: 2, unit: 'gallon' }, ruleset);
+
+    expect(soda).toMatchObject({ deposit: 0.1, deposits: [{ ruleId: 'crv', amount: 0.1 }] });
+    expect(juice.deposit).toBe(0);
+    expect(water.deposit).toBe(0.05);
+  });
+});
+
+describe('calculateListTax', () => {
+  it('totals lines and groups tax by rate', () => {
+    const result = calculateListTax([
+      { id: 'a', name: 'Apples', department: 'Produce', price: 2, quantity: 3 },
+      { id: 'b', name: 'Soap', department: 'Household', price: 10, quantity: 1 },
+      { id: 'c', name: 'Sponges', department: 'Household', price: 5, quantity: 1 },
+    ], ruleset);
+
+    expect(result).toMatchObject({ subtotal: 21, tax: 1.29, deposits: 0, total: 22.29 });
+    expect(result.taxByRate).toEqual([
+      { taxRate: 0.0863, taxableAmount: 15, tax: 1.29, itemCount: 2 },
+      { taxRate: 0, taxableAmount: 6, tax: 0, itemCount: 1 },
+    ]);
+    expect(result.lines.map(line => line.itemId)).toEqual(['a', 'b', 'c']);
+  });
+});
+
+describe('loadTaxRules', () => {
+  it('groups a store\'s rules by scope, most specific first', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [{ id: 's1', address: '123 Main St, San Francisco, CA 94110', tax_region: null }] })
+      .mockResolvedValueOnce({ rows: [
+        rule({ id: 'state-rate', region_code: 'US-CA', rule_type: 'rate', rate: '0.0725' }),
+        rule({ id: 'store-bakery', store_id: 's1', rule_type: 'rate', department: 'Bakery', rate: '0.05' }),
+      ] });
+
+    const loaded = await loadTaxRules('s1');
+
+    expect(loaded.region).toBe('US-CA-94110');
+    expect(query.mock.calls[1][1]).toEqual(['s1', ['US-CA-94110', 'US-CA', 'US', '*']]);
+    expect(loaded.scopes.map(({ scope, rules }) => [scope, rules.map(r => r.id)])).toEqual([
+      ['store:s1', ['store-bakery']],
+      ['US-CA-94110', []],
+      ['US-CA', ['state-rate']],
+      ['US', []],
+      ['*', []],
+    ]);
+  });
+
+  it('returns null for an unknown store', async () => {
+    query.mockResolvedValueOnce({ rows: [] });
+    expect(await loadTaxRules('missing')).toBeNull();
+  });
+});
@@ -0,0 +1,444 @@
+// src/utils/aiProviders/fixture.js
+// ============================================================
+// Fixture Provider — deterministic AI responses, no network
+// ============================================================
+//
+// Used in development without an API key and in tests. Every call
+// names a task; the response is built from the call's `input`, so
+// the same request always gets the same answer.
+//
+// AI_FIXTURES_DIR may hold <task>.json files that replace the
+// built-in response for that task (a JSON value, or a string for
+// text tasks).
+// ─────────────────────────────────────────────────────────────
+
+const fs = require('fs');
+const path = require('path');
+const { detectDepartment } = require('../helpers');
+
+const DEFAULT_TRANSCRIPT = 'Milk, eggs, bread, bananas and chicken breast';
+
+// Streamed replies arrive in slices this long
+const STREAM_CHUNK_LENGTH = 16;
+
+// Stable string hash (FNV-1a) — stands in for randomness
+const hashString = (value) => {
+  let hash = 2166136261;
+  for (const char of String(value)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+const pick = (options, seed) => options[hashString(seed) % options.length];
+
+// $1.49 – $9.99, always ending in 9
+const estimatePrice = (name) => Math.round((1.49 + (hashString(String(name).toLowerCase()) % 86) / 10) * 100) / 100;
+
+const titleCase = (text) => String(text).replace(/\b\w/g, char => char.toUpperCase());
+
+const WEIGHT_DEPARTMENTS = ['produce', 'deli', 'meat', 'seafood', 'bulk'];
+
+// ── Shopping themes for generate-list ───────────────────────
+
+const LIST_THEMES = [
+  {
+    keywords: ['taco', 'mexican', 'burrito'],
+    name: 'Taco Night',
+    items: ['tortillas', 'ground beef', 'shredded cheese', 'salsa', 'lettuce', 'sour cream'],
+  },
+  {
+    keywords: ['bbq', 'barbecue', 'grill', 'cookout'],
+    name: 'BBQ',
+    items: ['hamburger buns', 'ground beef', 'hot dogs', 'bbq sauce', 'corn on the cob', 'charcoal'],
+  },
+  {
+    keywords: ['pasta', 'spaghetti', 'italian', 'bolognese'],
+    name: 'Spaghetti Bolognese',
+    items: ['spaghetti', 'ground beef', 'marinara sauce', 'onion', 'garlic', 'parmesan cheese'],
+  },
+  {
+    keywords: ['breakfast', 'brunch', 'pancake'],
+    name: 'Breakfast',
+    items: ['eggs', 'bacon', 'pancake mix', 'maple syrup', 'orange juice', 'bread'],
+  },
+  {
+    keywords: ['steak', 'date night', 'for two'],
+    name: 'Steak Dinner',
+    items: ['ribeye steak', 'potatoes', 'asparagus', 'butter', 'garlic', 'red wine'],
+  },
+];
+
+const STAPLES = { name: 'Grocery', items: ['milk', 'eggs', 'bread', 'bananas', 'chicken breast', 'rice'] };
+
+const findTheme = (prompt) => {
+  const text = String(prompt || '').toLowerCase();
+  return LIST_THEMES.find(theme => theme.keywords.some(word => text.includes(word))) || STAPLES;
+};
+
+const detectListMode = (prompt) => {
+  const text = String(prompt || '').toLowerCase().trim();
+  if (/\b(hosting|dinner party|courses?|menu)\b/.test(text)) return 'full_course';
+  if (/\b(how (do|to|long)|substitute|why|can i|should i)\b/.test(text) && text.endsWith('?')) return 'chat';
+  if (/\b(how to|recipe|make|cook|prepare|teach)\b/.test(text)) return 'recipe';
+  return 'shopping_list';
+};
+
+const suggestion = (item) => ({
+  item,
+  category: detectDepartment(item).toLowerCase(),
+  reason: 'Needed for this meal',
+  price: estimatePrice(item),
+});
+
+const ingredient = (item) => ({ ...suggestion(item), quantity: '1', unit: 'each' });
+
+const generateList = ({ prompt }) => {
+  const mode = detectListMode(prompt);
+  const theme = findTheme(prompt);
+
+  if (mode === 'chat') {
+    return {
+      mode,
+      response: `Good question! Here's a quick answer about "${prompt}": check the package guidance and, when in doubt, go with the fresher option.`,
+      suggestions: ['Make a shopping list', 'Find a recipe', 'Plan my meals'],
+      message: 'Here to help!',
+    };
+  }
+
+  if (mode === 'recipe') {
+    return {
+      mode,
+      listName: `${theme.name} Ingredients`,
+      suggestions: theme.items.map(suggestion),
+      recipes: [{
+        title: theme === STAPLES ? 'Chicken and Rice' : theme.name,
+        description: 'A simple, reliable weeknight recipe.',
+        category: 'Dinner',
+        ingredients: theme.items.map(ingredient),
+        instructions: ['Prep all ingredients.', 'Cook the main ingredient through.', 'Combine, season and serve.'],
+        prepTime: 30,
+        servings: 4,
+        difficulty: 'Easy',
+        tags: ['dinner', 'quick_easy'],
+      }],
+      message: `Here's a recipe and everything you need to buy for ${theme.name.toLowerCase()}.`,
+    };
+  }
+
+  if (mode === 'full_course') {
+    return {
+      mode,
+      listName: `${theme.name} Dinner Party`,
+      courses: [
+        { courseType: 'appetizer', dishName: 'Caprese Skewers', ingredients: ['cherry tomatoes', 'mozzarella', 'basil'] },
+        { courseType: 'main', dishName: theme.name, ingredients: theme.items.slice(0, 4) },
+        { courseType: 'side', dishName: 'Garden Salad', ingredients: ['lettuce', 'cucumber', 'vinaigrette'] },
+        { courseType: 'dessert', dishName: 'Berry Parfait', ingredients: ['greek yogurt', 'strawberries', 'granola'] },
+      ].map(course => ({
+        ...course,
+        description: `${course.dishName} for the ${course.courseType} course`,
+        ingredients: course.ingredients.map(ingredient),
+        prepTime: 20,
+        difficulty: 'Easy',
+      })),
+      mealTheme: theme.name,
+      servings: 4,
+      message: 'Here is a full menu for your gathering.',
+    };
+  }
+
+  return {
+    mode,
+    listName: `${theme.name} Essentials`,
+    suggestions: theme.items.map(suggestion),
+    message: `Here's a ${theme.name.toLowerCase()} shopping list to get you started.`,
+  };
+};
+
+// ── Tool calls for the assistant ────────────────────────────
+// A few phrasings map to tool calls: "add milk and eggs to my
+// weekly list", "remove bread from weekly", "create a list called
+// Party", "do I have rice", "save a recipe for pancakes",
+// "add lasagna to tuesday dinner". Anything else is plain chat.
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const MEAL_SLOT = new RegExp(`\\badd (.+?) (?:to|for|on) (?:my |the )?(${WEEKDAYS.join('|')})(?:'s)? (breakfast|lunch|dinner|snack)`, 'i');
+
+const splitItems = (text) => text
+  .split(/,|\band\b/i)
+  .map(item => item.replace(/^\s*(?:some|a|an)\s+/i, '').trim())
+  .filter(Boolean);
+
+const listName = (text) => text.replace(/^(?:my|the)\s+/i, '').replace(/\s+list$/i, '').trim();
+
+const assistantToolCalls = (message) => {
+  const text = String(message).trim().replace(/[.!?]+$/, '');
+
+  let match = text.match(/\b(?:create|make|start) (?:a )?(?:new )?(?:shopping )?list (?:called|named|for) (.+)/i);
+  if (match) return [{ name: 'create_list', arguments: { name: titleCase(match[1]) } }];
+
+  match = text.match(MEAL_SLOT);
+  if (match) {
+    return [{
+      name: 'add_meal_to_plan',
+      arguments: {
+        dayNumber: WEEKDAYS.indexOf(match[2].toLowerCase()) + 1,
+        mealType: match[3].toLowerCase(),
+        recipeName: titleCase(match[1]),
+      },
+    }];
+  }
+
+  match = text.match(/\bremove (.+?) from (.+)/i);
+  if (match) return [{ name: 'remove_items', arguments: { list: listName(match[2]), items: splitItems(match[1]) } }];
+
+  match = text.match(/\badd (.+?) to (.+)/i);
+  if (match) {
+    return [{ name: 'add_items', arguments: { list: listName(match[2]), items: splitItems(match[1]).map(name => ({ name })) } }];
+  }
+
+  match = text.match(/\b(?:do (?:i|we) have(?: any)?|check (?:my |the )?pantry for|is there any) (.+)/i);
+  if (match) {
+    const items = match[1].replace(/\s+(?:in|at) (?:my |the )?(?:pantry|home|fridge)$/i, '');
+    return [{ name: 'check_pantry', arguments: { items: splitItems(items) } }];
+  }
+
+  match = text.match(/\bsave (?:a |the |this )?recipe (?:for |called )?(.+)/i);
+  if (match) return [{ name: 'save_recipe', arguments: { title: titleCase(match[1]), ingredients: [], instructions: [] } }];
+
+  return [];
+};
+
+// ── Built-in fixtures by task ───────────────────────────────
+// JSON tasks return objects; text tasks (chat) return strings.
+
+const FIXTURES = {
+  chat: ({ message = '' } = {}) => `I'd be happy to help you with "${message}". As your shopping assistant, I can help you create lists, find recipes, and plan your meals. What would you like to do?`,
+
+  'generate-recipe': ({ title, servings = 4, mealType } = {}) => ({
+    title: title || 'Quick Pasta Primavera',
+    description: 'A colorful and nutritious pasta dish loaded with fresh vegetables.',
+    category: mealType || 'Dinner',
+    difficulty: 'Easy',
+    time: '25 min',
+    servings,
+    ingredients: [
+      { name: 'Pasta', quantity: '1', unit: 'lb' },
+      { name: 'Bell peppers', quantity: '2', unit: 'medium' },
+      { name: 'Zucchini', quantity: '1', unit: 'medium' },
+      { name: 'Cherry tomatoes', quantity: '1', unit: 'cup' },
+      { name: 'Olive oil', quantity: '3', unit: 'tbsp' },
+      { name: 'Garlic', quantity: '3', unit: 'cloves' },
+      { name: 'Parmesan cheese', quantity: '1/2', unit: 'cup' },
+    ],
+    instructions: [
+      { step: 1, text: 'Cook pasta according to package directions.' },
+      { step: 2, text: 'Sauté garlic and vegetables in olive oil for 5 minutes.' },
+      { step: 3, text: 'Toss pasta with vegetables and top with parmesan.' },
+    ],
+    nutrition: { calories: 450, protein: 15, carbs: 65, fat: 14 },
+  }),
+
+  'generate-meal-plan': ({ dailyCalories = 2000, days = 7 } = {}) => {
+    const sampleMeals = {
+      breakfast: ['Oatmeal with Berries', 'Greek Yogurt Parfait', 'Avocado Toast', 'Smoothie Bowl'],
+      lunch: ['Grilled Chicken Salad', 'Quinoa Bowl', 'Turkey Wrap', 'Vegetable Soup'],
+      dinner: ['Baked Salmon', 'Pasta Primavera', 'Grilled Chicken', 'Stir-Fry'],
+      snack: ['Apple with Almond Butter', 'Trail Mix', 'Hummus with Veggies', 'Protein Bar'],
+    };
+
+    const meals = [];
+    for (let day = 1; day <= days; day++) {
+      Object.entries(sampleMeals).forEach(([type, options], typeIndex) => {
+        meals.push({
+          dayNumber: day,
+          mealType: type,
+          recipeName: options[(day - 1 + typeIndex) % options.length],
+          calories: type === 'snack' ? 150 : Math.floor(dailyCalories / 3.5),
+        });
+      });
+    }
+    return { meals };
+  },
+
+  recommendations: () => ({
+    recommendations: [
+      { name: 'Milk', reason: 'Essential dairy staple', department: 'Dairy' },
+      { name: 'Eggs', reason: 'Versatile protein source', department: 'Dairy' },
+      { name: 'Bread', reason: 'Breakfast essential', department: 'Bakery' },
+      { name: 'Bananas', reason: 'Healthy snack option', department: 'Produce' },
+      { name: 'Chicken breast', reason: 'Lean protein', department: 'Meat' },
+    ],
+  }),
+
+  'complementary-items': ({ items = [] } = {}) => {
+    const pairings = {
+      pasta: ['marinara sauce', 'parmesan cheese', 'garlic bread'],
+      bread: ['butter', 'jam', 'peanut butter'],
+      chicken: ['rice', 'vegetables', 'olive oil'],
+      eggs: ['bacon', 'cheese', 'bread'],
+    };
+
+    const suggestions = [];
+    items.forEach(item => {
+      const key = Object.keys(pairings).find(k => String(item).toLowerCase().includes(k));
+      if (key) suggestions.push(...pairings[key]);
+    });
+    return { suggestions: [...new Set(suggestions)].slice(0, 5) };
+  },
+
+  'recognize-image': () => ({
+    products: [
+      { name: 'Apple', confidence: 0.95, department: 'Produce' },
+      { name: 'Banana', confidence: 0.88, department: 'Produce' },
+    ],
+  }),
+
+  'generate-list': generateList,
+
+  // After tool results come back, report them; otherwise pick tools
+  assistant: ({ message = '', toolResults = [] } = {}) => {
+    if (toolResults.length > 0) {
+      return {
+        content: toolResults.map(result => (result.status === 'confirmation_required'
+          ? `Please confirm: ${result.summary}.`
+          : `${result.summary || result.error}.`)).join(' '),
+        toolCalls: [],
+      };
+    }
+    const toolCalls = assistantToolCalls(message);
+    return { content: toolCalls.length > 0 ? '' : FIXTURES.chat({ message }), toolCalls };
+  },
+
+  'summarize-thread': ({ summary, messages = [] } = {}) => {
+    const asked = messages
+      .filter(message => message.role === 'user')
+      .map(message => String(message.content).slice(0, 60));
+    return [summary, asked.length ? `The user asked about: ${asked.join('; ')}.` : '']
+      .filter(Boolean)
+      .join(' ');
+  },
+
+  'price-items': ({ items = [] } = {}) => ({
+    items: items.map(name => {
+      const department = detectDepartment(name).toLowerCase();
+      const byWeight = WEIGHT_DEPARTMENTS.includes(department);
+      return {
+        name: titleCase(name),
+        price: byWeight ? 0 : estimatePrice(name),
+        ...(byWeight ? { price_per_lb: estimatePrice(name) } : {}),
+        department,
+        ingredients: String(name).toLowerCase(),
+        allergens: [],
+        dietary: [],
+      };
+    }),
+  }),
+
+  'price-estimates': ({ items = [] } = {}) => ({
+    prices: items.map(name => ({ name, price: estimatePrice(name) })),
+  }),
+
+  'shelf-tag-ocr': () => ({
+    product_name: 'Contadina Tomato Sauce',
+    brand: 'Contadina',
+    category: 'pantry',
+    price: 1.29,
+    regular_price: null,
+    unit_price: 0.16,
+    upc: null,
+  }),
+
+  'aisle-sign-ocr': () => ({ aisles: ['7'], departments: ['Cereal', 'Breakfast'] }),
+
+  'video-frame': ({ frameUrl = '' } = {}) => {
+    const roll = hashString(frameUrl) % 10;
+    if (roll < 3) {
+      const categories = [
+        ['Produce'], ['Dairy', 'Milk'], ['Meat', 'Seafood'], ['Frozen'], ['Snacks', 'Chips'], ['Beverages'],
+        ['Cereal'], ['Canned Goods'], ['Baby', 'Pet'], ['Health'], ['Cleaning'], ['Paper Products'],
+      ];
+      const aisleIndex = hashString(`${frameUrl}#aisle`) % categories.length;
+      return {
+        type: 'aisle',
+        number: String(aisleIndex + 1),
+        description: categories[aisleIndex].join(', '),
+        categories: categories[aisleIndex],
+      };
+    }
+    if (roll < 4) {
+      const areaType = pick(['pharmacy', 'restroom', 'checkout', 'deli', 'bakery', 'entrance'], `${frameUrl}#area`);
+      return { type: 'area', areaType, name: titleCase(areaType) };
+    }
+    return { type: 'none' };
+  },
+};
+
+// ── Provider ────────────────────────────────────────────────
+
+const createFixtureProvider = ({ fixturesDir = process.env.AI_FIXTURES_DIR } = {}) => {
+  const respond = (task, input) => {
+    if (fixturesDir) {
+      const file = path.join(fixturesDir, `${task}.json`);
+      if (fs.existsSync(file)) {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+      }
+    }
+
+    const fixture = FIXTURES[task];
+    if (!fixture) {
+      throw new Error(`No AI fixture for task "${task}"`);
+    }
+    return fixture(input || {});
+  };
+
+  return {
+    name: 'fixture',
+
+    chatText: async ({ task = 'chat', input }) => {
+      const response = respond(task, input);
+      return typeof response === 'string' ? response : JSON.stringify(response);
+    },
+
+    chatJSON: async ({ task, input }) => respond(task, input),
+
+    streamChat: async function* ({ task = 'chat', input, json, signal }) {
+      const response = respond(task, input);
+      const text = typeof response === 'string' && !json ? response : JSON.stringify(response);
+      for (let i = 0; i < text.length; i += STREAM_CHUNK_LENGTH) {
+        if (signal && signal.aborted) return;
+        yield text.slice(i, i + STREAM_CHUNK_LENGTH);
+      }
+    },
+
+    chatWithTools: async ({ task = 'assistant', input }) => {
+      const { content = '', toolCalls = [] } = respond(task, input);
+      return {
+        content,
+        toolCalls: toolCalls.map((call, index) => ({
+          id: call.id || `call_${index + 1}`,
+          name: call.name,
+          arguments: call.arguments || {},
+        })),
+      };
+    },
+
+    vision: async ({ task, input }) => respond(task, input),
+
+    transcribe: async ({ task = 'transcribe', input }) => {
+      if (fixturesDir && fs.existsSync(path.join(fixturesDir, `${task}.json`))) {
+        return String(respond(task, input));
+      }
+      return process.env.AI_FIXTURE_TRANSCRIPT || DEFAULT_TRANSCRIPT;
+    },
+
+    // No image service — callers fall back to their placeholder
+    generateImage: async () => null,
+  };
+};
+
+module.exports = {
+  createFixtureProvider,
+};
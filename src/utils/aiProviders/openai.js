@@ -0,0 +1,202 @@
+// src/utils/aiProviders/openai.js
+// ============================================================
+// OpenAI Provider — chat, vision, Whisper and DALL-E via the SDK
+// ============================================================
+//
+// Also the base for openaiCompatible.js: any server that speaks the
+// OpenAI HTTP API only needs a different baseURL, model names and
+// (sometimes) no response_format support.
+// ─────────────────────────────────────────────────────────────
+
+const OpenAI = require('openai');
+const { toFile } = require('openai');
+
+const DEFAULT_MODELS = {
+  chat: 'gpt-4o',
+  fast: 'gpt-4o-mini',
+  vision: 'gpt-4o',
+  transcription: 'whisper-1',
+  image: 'dall-e-3',
+};
+
+// ── Parse a JSON reply ──────────────────────────────────────
+// Models without JSON mode often wrap the object in ```json fences
+// or add a sentence around it.
+
+const parseJSONContent = (content) => {
+  const text = String(content || '').replace(/```(?:json)?/gi, '').trim();
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const start = text.search(/[[{]/);
+    const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(text.slice(start, end + 1));
+      } catch (innerError) { /* fall through */ }
+    }
+    const invalid = new Error(`AI response was not valid JSON: ${text.slice(0, 120)}`);
+    invalid.code = 'AI_INVALID_JSON';
+    throw invalid;
+  }
+};
+
+// Tool arguments arrive as a JSON string; a malformed one becomes {}
+// and the tool's own validation reports what's missing.
+const parseToolArguments = (text) => {
+  try {
+    const parsed = JSON.parse(text || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const imageContent = (image, detail) => ({
+  type: 'image_url',
+  image_url: {
+    url: image.url || `data:${image.mimeType || 'image/jpeg'};base64,${image.base64}`,
+    ...(detail ? { detail } : {}),
+  },
+});
+
+// ── Provider factory ────────────────────────────────────────
+// options: { name, apiKey, baseURL, models, jsonMode, supports }
+//   supports: { transcription, images, streamUsage } — capabilities
+//   the server has (streamUsage: token counts at the end of a stream)
+//
+// Every call takes an optional onUsage({ model, promptTokens,
+// completionTokens, images }) that aiService uses for cost logging.
+
+const createOpenAIProvider = ({
+  name = 'openai',
+  apiKey,
+  baseURL,
+  models = {},
+  jsonMode = true,
+  supports = { transcription: true, images: true, streamUsage: true },
+} = {}) => {
+  const client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+  const modelFor = (tier) => ({ ...DEFAULT_MODELS, ...models })[tier] || models.chat || DEFAULT_MODELS.chat;
+
+  const completionParams = ({ messages, tier = 'chat', maxTokens, temperature, json }) => ({
+    model: modelFor(tier),
+    messages,
+    ...(maxTokens ? { max_tokens: maxTokens } : {}),
+    ...(temperature !== undefined ? { temperature } : {}),
+    ...(json && jsonMode ? { response_format: { type: 'json_object' } } : {}),
+  });
+
+  const reportUsage = (onUsage, model, usage) => {
+    if (!onUsage) return;
+    onUsage({
+      model,
+      promptTokens: usage?.prompt_tokens,
+      completionTokens: usage?.completion_tokens,
+    });
+  };
+
+  const createCompletion = async ({ onUsage, ...options }, extra = {}) => {
+    const params = completionParams(options);
+    const completion = await client.chat.completions.create({ ...params, ...extra });
+    reportUsage(onUsage, completion.model || params.model, completion.usage);
+    return completion.choices[0]?.message || {};
+  };
+
+  const complete = async (options) => (await createCompletion(options)).content || '';
+
+  const unsupported = (capability) => {
+    throw new Error(`${capability} is not available from the ${name} AI provider`);
+  };
+
+  return {
+    name,
+
+    chatText: async (options) => complete({ ...options, json: false }),
+
+    chatJSON: async (options) => parseJSONContent(await complete({ ...options, json: true })),
+
+    // Yields content deltas as they arrive; pass a signal to stop early
+    streamChat: async function* ({ signal, onUsage, ...options }) {
+      const params = completionParams(options);
+      const stream = await client.chat.completions.create(
+        {
+          ...params,
+          stream: true,
+          ...(supports.streamUsage ? { stream_options: { include_usage: true } } : {}),
+        },
+        signal ? { signal } : undefined
+      );
+      for await (const chunk of stream) {
+        // The usage chunk comes last, with no choices
+        if (chunk.usage) reportUsage(onUsage, chunk.model || params.model, chunk.usage);
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    },
+
+    // tools: [{ name, description, parameters (JSON schema) }]
+    // → { content, toolCalls: [{ id, name, arguments }] }
+    chatWithTools: async ({ tools = [], ...options }) => {
+      const message = await createCompletion({ ...options, json: false }, tools.length > 0 ? {
+        tools: tools.map(tool => ({ type: 'function', function: tool })),
+        tool_choice: 'auto',
+      } : {});
+      return {
+        content: message.content || '',
+        toolCalls: (message.tool_calls || [])
+          .filter(call => call.type === 'function')
+          .map(call => ({
+            id: call.id,
+            name: call.function.name,
+            arguments: parseToolArguments(call.function.arguments),
+          })),
+      };
+    },
+
+    vision: async ({ prompt, system, images = [], detail, maxTokens, temperature, onUsage }) => {
+      const messages = [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: prompt },
+            ...images.map(image => imageContent(image, detail)),
+          ],
+        },
+      ];
+      return parseJSONContent(await complete({ messages, tier: 'vision', maxTokens, temperature, json: true, onUsage }));
+    },
+
+    transcribe: async ({ audio, filename = 'recording.m4a', language, onUsage }) => {
+      if (!supports.transcription) unsupported('Transcription');
+      // Billed per audio minute, which the API doesn't echo back
+      if (onUsage) onUsage({ model: modelFor('transcription') });
+      const transcription = await client.audio.transcriptions.create({
+        model: modelFor('transcription'),
+        file: await toFile(audio, filename),
+        ...(language ? { language } : {}),
+      });
+      return transcription.text;
+    },
+
+    generateImage: async ({ prompt, size = '1024x1024', quality = 'standard', onUsage }) => {
+      if (!supports.images) unsupported('Image generation');
+      if (onUsage) onUsage({ model: modelFor('image'), images: 1 });
+      const response = await client.images.generate({
+        model: modelFor('image'),
+        prompt,
+        n: 1,
+        size,
+        quality,
+      });
+      return response.data[0]?.url || null;
+    },
+  };
+};
+
+module.exports = {
+  DEFAULT_MODELS,
+  parseJSONContent,
+  createOpenAIProvider,
+};
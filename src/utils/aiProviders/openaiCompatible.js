@@ -0,0 +1,49 @@
+// src/utils/aiProviders/openaiCompatible.js
+// ============================================================
+// OpenAI-Compatible Provider — local or self-hosted model servers
+// ============================================================
+//
+// For servers that expose the OpenAI HTTP API at their own base URL
+// (Ollama, LM Studio, vLLM, llama.cpp server, LocalAI, ...).
+//
+//   AI_BASE_URL            e.g. http://localhost:11434/v1  (required)
+//   AI_API_KEY             most local servers accept any value
+//   AI_MODEL               chat model, e.g. llama3.1
+//   AI_FAST_MODEL          cheaper model for small jobs (default AI_MODEL)
+//   AI_VISION_MODEL        e.g. llava (default AI_MODEL)
+//   AI_TRANSCRIPTION_MODEL set to enable /transcribe
+//   AI_IMAGE_MODEL         set to enable image generation
+//   AI_JSON_MODE=false     for servers that reject response_format
+// ─────────────────────────────────────────────────────────────
+
+const { createOpenAIProvider } = require('./openai');
+
+const createOpenAICompatibleProvider = (env = process.env) => {
+  if (!env.AI_BASE_URL) {
+    throw new Error('AI_BASE_URL is required for the openai-compatible AI provider');
+  }
+
+  const chatModel = env.AI_MODEL || 'llama3.1';
+
+  return createOpenAIProvider({
+    name: 'openai-compatible',
+    apiKey: env.AI_API_KEY || 'not-needed',
+    baseURL: env.AI_BASE_URL,
+    models: {
+      chat: chatModel,
+      fast: env.AI_FAST_MODEL || chatModel,
+      vision: env.AI_VISION_MODEL || chatModel,
+      transcription: env.AI_TRANSCRIPTION_MODEL,
+      image: env.AI_IMAGE_MODEL,
+    },
+    jsonMode: env.AI_JSON_MODE !== 'false',
+    supports: {
+      transcription: Boolean(env.AI_TRANSCRIPTION_MODEL),
+      images: Boolean(env.AI_IMAGE_MODEL),
+    },
+  });
+};
+
+module.exports = {
+  createOpenAICompatibleProvider,
+};
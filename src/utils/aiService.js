@@ -0,0 +1,350 @@
+// src/utils/aiService.js
+// ============================================================
+// AI Service — one entry point for every model call
+// ============================================================
+//
+// Routes ask for a capability and never talk to a vendor SDK:
+//
+//   chatJSON({ task, messages, input, tier, maxTokens, temperature })
+//     → parsed JSON object
+//   chatText({ ...same })                      → string
+//   streamChat({ ...same, json, signal })      → async iterable of
+//     text deltas (raw JSON text when json is true)
+//   chatWithTools({ ...same, tools })         → { content, toolCalls }
+//     tools: [{ name, description, parameters }]; toolCalls:
+//     [{ id, name, arguments }]. Feed results back in the OpenAI
+//     shape: an assistant message with tool_calls, then one
+//     { role: 'tool', tool_call_id, content } per call.
+//   vision({ task, prompt, system, images, detail, maxTokens, input })
+//     → parsed JSON object; images: [{ url } | { base64, mimeType }]
+//   transcribe({ task, audio, filename, language }) → string
+//   generateImage({ task, prompt, size })      → url or null
+//
+// `task` names the job ('generate-recipe', 'shelf-tag-ocr', ...) and
+// `input` carries its structured arguments. Real providers only use
+// the messages; the fixture provider builds its answer from task +
+// input. `tier` is 'chat' (default) or 'fast' for small jobs.
+//
+// Every call also takes:
+//   userId    — who the call is for; logged to ai_usage with tokens
+//               and estimated cost (see aiUsage.js)
+//   cacheKey  — chatJSON, streamChat and generateImage only: what
+//               makes the answer unique (normalized prompt, dietary
+//               context, ...). Same task + provider + cacheKey within
+//               cacheTtl seconds returns the stored answer.
+//
+// chatJSON and vision answers are checked against their task's
+// schema (aiValidation.js): an invalid one is re-prompted once,
+// then pruned or replaced by the task's fallback. Streamed JSON is
+// checked the same way by validateJSONText(options, text) once the
+// stream ends. Only valid answers are cached.
+//
+// The provider is chosen by AI_PROVIDER:
+//   openai            — api.openai.com with OPENAI_API_KEY
+//   openai-compatible — a local / self-hosted server (see
+//                       aiProviders/openaiCompatible.js)
+//   fixture           — deterministic responses, no network
+// Unset: openai when OPENAI_API_KEY is present, otherwise fixture —
+// except in production, where a missing key is an error rather
+// than canned answers (set AI_PROVIDER=fixture to mean it).
+// ─────────────────────────────────────────────────────────────
+
+const { createOpenAIProvider, parseJSONContent } = require('./aiProviders/openai');
+const { createOpenAICompatibleProvider } = require('./aiProviders/openaiCompatible');
+const { createFixtureProvider } = require('./aiProviders/fixture');
+const aiUsage = require('./aiUsage');
+const { validateSchema, pruneToSchema } = require('./jsonSchema');
+const { responseTypeFor, repairInstructions, recordValidationFailure } = require('./aiValidation');
+
+const AI_PROVIDERS = ['openai', 'openai-compatible', 'fixture'];
+
+// ── Provider selection ──────────────────────────────────────
+
+const createProvider = (env = process.env) => {
+  if (!env.AI_PROVIDER && !env.OPENAI_API_KEY && env.NODE_ENV === 'production') {
+    throw new Error('Set OPENAI_API_KEY or AI_PROVIDER — the fixture provider is only a default outside production');
+  }
+  const name = env.AI_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : 'fixture');
+
+  switch (name) {
+    case 'openai':
+      if (!env.OPENAI_API_KEY) {
+        throw new Error('OPENAI_API_KEY is required for the openai AI provider');
+      }
+      return createOpenAIProvider({
+        apiKey: env.OPENAI_API_KEY,
+        models: {
+          ...(env.OPENAI_CHAT_MODEL ? { chat: env.OPENAI_CHAT_MODEL } : {}),
+          ...(env.OPENAI_FAST_MODEL ? { fast: env.OPENAI_FAST_MODEL } : {}),
+          ...(env.OPENAI_VISION_MODEL ? { vision: env.OPENAI_VISION_MODEL } : {}),
+        },
+      });
+    case 'openai-compatible':
+      return createOpenAICompatibleProvider(env);
+    case 'fixture':
+      return createFixtureProvider();
+    default:
+      throw new Error(`Unknown AI_PROVIDER "${name}" — expected one of: ${AI_PROVIDERS.join(', ')}`);
+  }
+};
+
+let provider = null;
+
+const getProvider = () => {
+  if (!provider) {
+    provider = createProvider();
+    if (provider.name === 'fixture') {
+      console.warn('AI provider: fixture. AI features will return canned responses.');
+    }
+  }
+  return provider;
+};
+
+// Swap the provider at runtime (tests, or a config reload)
+const setProvider = (next) => {
+  provider = next;
+};
+
+// ── Usage and cache ─────────────────────────────────────────
+
+const messagesText = (options) => [
+  ...(options.messages || []).map(message => (typeof message.content === 'string' ? message.content : '')),
+  options.prompt || '',
+].join('\n');
+
+const resultText = (result) => (typeof result === 'string' ? result : JSON.stringify(result || ''));
+
+// Providers report what they know; token counts they leave out are
+// estimated from the text.
+const logUsage = (current, capability, options, reported, result, succeeded = true) => aiUsage.recordUsage({
+  userId: options.userId,
+  task: options.task,
+  capability,
+  provider: current.name,
+  model: reported?.model,
+  promptTokens: reported?.promptTokens ?? (reported?.images ? 0 : aiUsage.estimateTokens(messagesText(options))),
+  completionTokens: reported?.completionTokens ?? (reported?.images || !succeeded ? 0 : aiUsage.estimateTokens(resultText(result))),
+  images: reported?.images || 0,
+  succeeded,
+});
+
+const cacheKeyOf = (current, options) => (options.cacheKey === undefined
+  ? null
+  : aiUsage.cacheKeyFor(current.name, options.task, options.cacheKey));
+
+const callProvider = async (current, capability, options, callOptions) => {
+  let reported = null;
+  let result;
+  try {
+    result = await current[capability]({ ...callOptions, onUsage: (usage) => { reported = usage; } });
+  } catch (error) {
+    await logUsage(current, capability, options, reported, null, false);
+    throw error;
+  }
+  await logUsage(current, capability, options, reported, result);
+  return result;
+};
+
+// ── Validation ──────────────────────────────────────────────
+
+const isValidFor = (type, result) => !type || validateSchema(type.schema, result).length === 0;
+
+const NOT_JSON_ERROR = 'response is not valid JSON';
+
+// Returns { result, errors }; an unparseable answer is an error,
+// not a failed call
+const attempt = async (current, capability, options, callOptions, type) => {
+  try {
+    const result = await callProvider(current, capability, options, callOptions);
+    return { result, errors: validateSchema(type.schema, result) };
+  } catch (error) {
+    if (error.code !== 'AI_INVALID_JSON') throw error;
+    return { result: undefined, errors: [NOT_JSON_ERROR] };
+  }
+};
+
+// The invalid answer and its errors go back to the model: as a
+// conversation turn for chat calls, appended to the prompt for vision
+const withRepairRequest = (callOptions, response, errors) => {
+  const instructions = repairInstructions(errors);
+  if (!callOptions.messages) {
+    return { ...callOptions, prompt: `${callOptions.prompt || ''}\n\n${instructions}` };
+  }
+  return {
+    ...callOptions,
+    messages: [
+      ...callOptions.messages,
+      ...(response === undefined ? [] : [{ role: 'assistant', content: JSON.stringify(response) }]),
+      { role: 'user', content: instructions },
+    ],
+  };
+};
+
+// Settles a first answer: valid as is, repaired by one retry, pruned,
+// or replaced by the fallback. Returns { result, valid } — only valid
+// answers are worth caching.
+const settleAnswer = async (current, capability, options, callOptions, type, first) => {
+  if (first.errors.length === 0) return { result: first.result, valid: true };
+
+  let retry;
+  try {
+    retry = await attempt(current, capability, options, withRepairRequest(callOptions, first.result, first.errors), type);
+  } catch (error) {
+    retry = { result: undefined, errors: [`retry failed: ${error.message}`] };
+  }
+
+  const failure = {
+    userId: options.userId,
+    task: options.task,
+    provider: current.name,
+    errors: first.errors,
+    response: first.result,
+  };
+
+  if (retry.errors.length === 0) {
+    await recordValidationFailure({ ...failure, outcome: 'repaired' });
+    return { result: retry.result, valid: true };
+  }
+
+  for (const candidate of [retry.result, first.result]) {
+    if (candidate === undefined) continue;
+    const pruned = pruneToSchema(type.schema, candidate);
+    if (isValidFor(type, pruned)) {
+      await recordValidationFailure({ ...failure, retryErrors: retry.errors, outcome: 'pruned' });
+      return { result: pruned, valid: false };
+    }
+  }
+
+  if (type.fallback) {
+    await recordValidationFailure({ ...failure, retryErrors: retry.errors, outcome: 'fallback' });
+    return { result: type.fallback(options.input), valid: false };
+  }
+
+  await recordValidationFailure({ ...failure, retryErrors: retry.errors, outcome: 'failed' });
+  throw new Error(`AI response for ${options.task} did not match the expected format: ${retry.errors[0]}`);
+};
+
+const tracked = (capability, { cacheable = false, validated = false } = {}) => async (options = {}) => {
+  const current = getProvider();
+  const { userId, cacheKey, cacheTtl, ...callOptions } = options;
+  const type = validated ? responseTypeFor(options.task) : null;
+
+  const key = cacheable ? cacheKeyOf(current, options) : null;
+  if (key) {
+    const cached = await aiUsage.readCache(key);
+    // Answers cached before their schema changed are misses
+    if (cached !== undefined && isValidFor(type, cached)) {
+      await aiUsage.recordUsage({ userId, task: options.task, capability, provider: current.name, cached: true });
+      return cached;
+    }
+  }
+
+  let result;
+  let valid = true;
+  if (type) {
+    const first = await attempt(current, capability, options, callOptions, type);
+    ({ result, valid } = await settleAnswer(current, capability, options, callOptions, type, first));
+  } else {
+    result = await callProvider(current, capability, options, callOptions);
+  }
+
+  // null means "no image"; don't pin that
+  if (key && valid && result !== null) {
+    await aiUsage.writeCache(key, { task: options.task, provider: current.name, response: result, ttlSeconds: cacheTtl });
+  }
+  return result;
+};
+
+// ── Capabilities ────────────────────────────────────────────
+
+const chatJSON = tracked('chatJSON', { cacheable: true, validated: true });
+const chatText = tracked('chatText');
+const chatWithTools = tracked('chatWithTools');
+const vision = tracked('vision', { validated: true });
+const transcribe = tracked('transcribe');
+const generateImage = tracked('generateImage', { cacheable: true });
+
+// A cache hit replays the stored answer as one chunk (JSON text when
+// json is true). Usage is logged even when the client disconnects.
+const streamChat = async function* (options = {}) {
+  const current = getProvider();
+  const { userId, cacheKey, cacheTtl, ...callOptions } = options;
+
+  const type = options.json ? responseTypeFor(options.task) : null;
+
+  const key = cacheKeyOf(current, options);
+  if (key) {
+    const cached = await aiUsage.readCache(key);
+    if (cached !== undefined && isValidFor(type, cached)) {
+      await aiUsage.recordUsage({ userId, task: options.task, capability: 'streamChat', provider: current.name, cached: true });
+      yield options.json || typeof cached !== 'string' ? JSON.stringify(cached) : cached;
+      return;
+    }
+  }
+
+  let reported = null;
+  let text = '';
+  let finished = false;
+  try {
+    for await (const delta of current.streamChat({ ...callOptions, onUsage: (usage) => { reported = usage; } })) {
+      text += delta;
+      yield delta;
+    }
+    finished = !(options.signal && options.signal.aborted);
+  } finally {
+    await logUsage(current, 'streamChat', options, reported, text, finished || text.length > 0);
+  }
+
+  if (key && finished) {
+    let response = text;
+    if (options.json) {
+      try {
+        response = parseJSONContent(text);
+      } catch (error) {
+        return; // Don't cache an answer the caller can't use
+      }
+      if (!isValidFor(type, response)) return;
+    }
+    await aiUsage.writeCache(key, { task: options.task, provider: current.name, response, ttlSeconds: cacheTtl });
+  }
+};
+
+// Parses and settles a streamed JSON answer — pass the options the
+// stream was started with. A retry is a plain chatJSON call.
+const validateJSONText = async (options, text) => {
+  const current = getProvider();
+  const { userId, cacheKey, cacheTtl, json, signal, ...callOptions } = options;
+  const type = responseTypeFor(options.task);
+
+  let first;
+  try {
+    const result = parseJSONContent(text);
+    if (!type) return result;
+    first = { result, errors: validateSchema(type.schema, result) };
+  } catch (error) {
+    if (!type) throw error;
+    first = { result: undefined, errors: [NOT_JSON_ERROR] };
+  }
+
+  const { result } = await settleAnswer(current, 'chatJSON', options, callOptions, type, first);
+  return result;
+};
+
+const providerName = () => getProvider().name;
+
+module.exports = {
+  AI_PROVIDERS,
+  createProvider,
+  getProvider,
+  setProvider,
+  providerName,
+  chatJSON,
+  chatText,
+  streamChat,
+  chatWithTools,
+  vision,
+  transcribe,
+  generateImage,
+  parseJSONContent,
+  validateJSONText,
+};
@@ -0,0 +1,232 @@
+// src/utils/aiThreads.js
+// ============================================================
+// AI Threads — persisted conversations and prompt memory
+// ============================================================
+//
+// Each /api/ai/chat or /api/ai/generate-list turn is saved as a
+// user message and an assistant message. When a thread is
+// continued, its history is rebuilt from the database:
+//
+//   [summary of older messages] + the most recent messages
+//
+// Once the unsummarized part grows past SUMMARIZE_AFTER_MESSAGES or
+// SUMMARIZE_AFTER_CHARS, everything but the last
+// KEEP_RECENT_MESSAGES is folded into the thread summary by the AI
+// service (task 'summarize-thread').
+// ─────────────────────────────────────────────────────────────
+
+const { query, transaction } = require('../models/db');
+const ai = require('./aiService');
+const { getQuotaStatus, isOverQuota } = require('./aiUsage');
+
+const THREAD_KINDS = ['chat', 'list'];
+const MAX_TITLE_LENGTH = 120;
+
+const KEEP_RECENT_MESSAGES = 10;
+const SUMMARIZE_AFTER_MESSAGES = 24;
+const SUMMARIZE_AFTER_CHARS = 12000; // ~3,000 tokens
+
+// Guard for a thread whose summary hasn't caught up yet
+const MAX_HISTORY_MESSAGES = 30;
+
+// Long list answers are cut down in the summarization transcript
+const MAX_TRANSCRIPT_MESSAGE_CHARS = 1500;
+
+// ── Titles ──────────────────────────────────────────────────
+
+const titleFromMessage = (message) => {
+  const text = String(message || '').replace(/\s+/g, ' ').trim();
+  if (!text) return 'New conversation';
+  return text.length > 60 ? `${text.slice(0, 57).trimEnd()}...` : text;
+};
+
+const cleanTitle = (title) => String(title || '').replace(/\s+/g, ' ').trim().slice(0, MAX_TITLE_LENGTH);
+
+// ── Format rows ─────────────────────────────────────────────
+
+const parseJSONMessage = (content) => {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    return null;
+  }
+};
+
+const formatThreadMessage = (row) => {
+  const metadata = row.metadata || {};
+  const result = metadata.format === 'json' ? parseJSONMessage(row.content) : null;
+  return {
+    id: row.id,
+    role: row.role,
+    content: result ? result.response || result.message || '' : row.content,
+    ...(result ? { mode: metadata.mode || result.mode || null, result } : {}),
+    createdAt: row.created_at,
+  };
+};
+
+const formatThread = (row, messages = null) => ({
+  id: row.id,
+  kind: row.kind,
+  title: row.title,
+  messageCount: row.message_count,
+  hasSummary: Boolean(row.summary),
+  ...(row.preview !== undefined ? { preview: row.preview } : {}),
+  lastMessageAt: row.last_message_at,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  ...(messages ? { messages: messages.map(formatThreadMessage) } : {}),
+});
+
+// ── Load ────────────────────────────────────────────────────
+
+const findThread = async (threadId, userId) => {
+  const result = await query(
+    'SELECT * FROM ai_threads WHERE id = $1 AND user_id = $2',
+    [threadId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+// ── Prompt history ──────────────────────────────────────────
+// Returns chat messages ({ role, content }) to place between the
+// system prompt and the new user message.
+
+const loadThreadHistory = async (thread) => {
+  const result = await query(
+    `SELECT role, content FROM ai_thread_messages
+     WHERE thread_id = $1 AND seq > $2
+     ORDER BY seq DESC
+     LIMIT $3`,
+    [thread.id, thread.summarized_seq, MAX_HISTORY_MESSAGES]
+  );
+
+  const recent = result.rows.reverse().map(row => ({ role: row.role, content: row.content }));
+  if (!thread.summary) return recent;
+
+  return [
+    { role: 'system', content: `Summary of the earlier conversation:\n${thread.summary}` },
+    ...recent,
+  ];
+};
+
+// ── Save a turn ─────────────────────────────────────────────
+// thread: an existing ai_threads row, or null to start one.
+// assistant: a string, or an object (stored as JSON) for list answers.
+// Returns the (new or updated) thread row.
+
+const saveThreadTurn = async (userId, thread, { kind, userMessage, assistant, metadata = {} }) => {
+  const isJSON = typeof assistant !== 'string';
+  const assistantContent = isJSON ? JSON.stringify(assistant) : assistant;
+  const assistantMetadata = isJSON ? { ...metadata, format: 'json' } : metadata;
+
+  const saved = await transaction(async (client) => {
+    let current = thread;
+    if (!current) {
+      const created = await client.query(
+        'INSERT INTO ai_threads (user_id, kind, title) VALUES ($1, $2, $3) RETURNING *',
+        [userId, kind, titleFromMessage(userMessage)]
+      );
+      current = created.rows[0];
+    }
+
+    await client.query(
+      `INSERT INTO ai_thread_messages (thread_id, role, content, metadata)
+       VALUES ($1, 'user', $2, '{}'), ($1, 'assistant', $3, $4)`,
+      [current.id, userMessage, assistantContent, JSON.stringify(assistantMetadata)]
+    );
+
+    const updated = await client.query(
+      `UPDATE ai_threads SET
+         message_count = message_count + 2,
+         last_message_at = NOW(),
+         updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [current.id]
+    );
+    return updated.rows[0];
+  });
+
+  // Summarize in the background; the next turn picks it up
+  compactThread(saved.id).catch(error => console.error('Thread summary error:', error.message));
+
+  return saved;
+};
+
+// ── Summarize long threads ──────────────────────────────────
+// Returns true when a new summary was written. Waits for another
+// turn when the user is out of AI calls for today.
+
+const transcriptLine = (row) => {
+  const content = row.content.length > MAX_TRANSCRIPT_MESSAGE_CHARS
+    ? `${row.content.slice(0, MAX_TRANSCRIPT_MESSAGE_CHARS)}...`
+    : row.content;
+  return `${row.role === 'user' ? 'User' : 'Assistant'}: ${content}`;
+};
+
+const compactThread = async (threadId) => {
+  const threadResult = await query('SELECT * FROM ai_threads WHERE id = $1', [threadId]);
+  const thread = threadResult.rows[0];
+  if (!thread) return false;
+
+  const messagesResult = await query(
+    `SELECT seq, role, content FROM ai_thread_messages
+     WHERE thread_id = $1 AND seq > $2
+     ORDER BY seq`,
+    [thread.id, thread.summarized_seq]
+  );
+  const messages = messagesResult.rows;
+  const chars = messages.reduce((sum, row) => sum + row.content.length, 0);
+
+  if (messages.length <= KEEP_RECENT_MESSAGES) return false;
+  if (messages.length < SUMMARIZE_AFTER_MESSAGES && chars < SUMMARIZE_AFTER_CHARS) return false;
+
+  if (isOverQuota(await getQuotaStatus(thread.user_id), 'calls')) return false;
+
+  const older = messages.slice(0, messages.length - KEEP_RECENT_MESSAGES);
+  const transcript = older.map(transcriptLine).join('\n');
+
+  const summary = await ai.chatText({
+    task: 'summarize-thread',
+    userId: thread.user_id,
+    tier: 'fast',
+    input: { summary: thread.summary, messages: older },
+    messages: [
+      {
+        role: 'system',
+        content: `You summarize a conversation between a user and Smart Cart, a grocery shopping assistant, so it can be continued later.
+Keep: the user's goals, preferences, dietary needs and allergens, dishes and lists discussed, and any decisions or changes they asked for.
+Drop: greetings, prices and step-by-step instructions. Write at most 150 words of plain text.`,
+      },
+      {
+        role: 'user',
+        content: `${thread.summary ? `Summary so far:\n${thread.summary}\n\n` : ''}Conversation to add:\n${transcript}`,
+      },
+    ],
+    maxTokens: 400,
+    temperature: 0.2,
+  });
+
+  if (!summary || !summary.trim()) return false;
+
+  // Skip if another summary landed first
+  const updated = await query(
+    `UPDATE ai_threads SET summary = $1, summarized_seq = $2, updated_at = NOW()
+     WHERE id = $3 AND summarized_seq = $4`,
+    [summary.trim(), older[older.length - 1].seq, thread.id, thread.summarized_seq]
+  );
+  return updated.rowCount > 0;
+};
+
+module.exports = {
+  THREAD_KINDS,
+  MAX_TITLE_LENGTH,
+  titleFromMessage,
+  cleanTitle,
+  formatThread,
+  formatThreadMessage,
+  findThread,
+  loadThreadHistory,
+  saveThreadTurn,
+  compactThread,
+};
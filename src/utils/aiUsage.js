@@ -0,0 +1,217 @@
+// src/utils/aiUsage.js
+// ============================================================
+// AI Usage — response cache, cost log and daily quotas
+// ============================================================
+//
+// aiService.js calls into this module around every model call:
+//
+//   readCache / writeCache   ai_cache, keyed by cacheKeyFor()
+//   recordUsage              one ai_usage row per call (or cache hit)
+//
+// Quotas count a user's uncached, successful calls since midnight
+// UTC, split into `calls` (text, vision, audio) and `images`. Limits
+// come from the user's plan_tier:
+//
+//   DEFAULT_DAILY_QUOTAS, overridden per tier by AI_DAILY_QUOTAS,
+//   e.g. AI_DAILY_QUOTAS='{"free":{"calls":50},"pro":{"images":null}}'
+//   (null = unlimited).
+//
+// Costs are estimates from MODEL_PRICING (USD); AI_MODEL_PRICING
+// adds or replaces entries with the same shape.
+// ─────────────────────────────────────────────────────────────
+
+const crypto = require('crypto');
+const { query } = require('../models/db');
+
+const PLAN_TIERS = ['free', 'plus', 'pro'];
+
+const DEFAULT_DAILY_QUOTAS = {
+  free: { calls: 40, images: 5 },
+  plus: { calls: 200, images: 25 },
+  pro: { calls: 1000, images: 100 },
+};
+
+// Per 1M tokens (input / output), or per image
+const MODEL_PRICING = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'dall-e-3': { image: 0.04 },
+};
+
+const DEFAULT_CACHE_TTL_SECONDS = 24 * 60 * 60;
+
+const parseJSONEnv = (name) => {
+  if (!process.env[name]) return {};
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.error(`${name} is not valid JSON:`, error.message);
+    return {};
+  }
+};
+
+// ── Cost ────────────────────────────────────────────────────
+
+const pricingFor = (model) => ({ ...MODEL_PRICING, ...parseJSONEnv('AI_MODEL_PRICING') })[model] || null;
+
+// Returns USD, rounded to 6 places; 0 for unpriced models
+const estimateCost = ({ model, promptTokens = 0, completionTokens = 0, images = 0 }) => {
+  const pricing = pricingFor(model);
+  if (!pricing) return 0;
+  const cost = (promptTokens * (pricing.input || 0) + completionTokens * (pricing.output || 0)) / 1e6
+    + images * (pricing.image || 0);
+  return Math.round(cost * 1e6) / 1e6;
+};
+
+// Rough count for providers that don't report usage (~4 chars/token)
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+// ── Usage log ───────────────────────────────────────────────
+// usage: { userId, task, capability, provider, model, cached,
+//          promptTokens, completionTokens, images, succeeded }
+// Best-effort: a failed insert never fails the AI call.
+
+const recordUsage = async (usage) => {
+  try {
+    await query(
+      `INSERT INTO ai_usage (user_id, task, capability, provider, model, cached,
+         prompt_tokens, completion_tokens, images, cost_usd, succeeded)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [
+        usage.userId || null,
+        usage.task || 'unknown',
+        usage.capability,
+        usage.provider,
+        usage.model || null,
+        Boolean(usage.cached),
+        usage.promptTokens || 0,
+        usage.completionTokens || 0,
+        usage.images || 0,
+        usage.cached ? 0 : estimateCost(usage),
+        usage.succeeded !== false,
+      ]
+    );
+  } catch (error) {
+    console.error('Record AI usage error:', error.message);
+  }
+};
+
+// ── Cache ───────────────────────────────────────────────────
+// Strings are trimmed, lower-cased and whitespace-collapsed, so
+// "Tacos for 4 " and "tacos for 4" share an entry. Arrays keep
+// their order: answers like price-items follow the order they were
+// asked in, so a reordered request needs its own entry.
+
+const normalizeForCache = (value) => {
+  if (typeof value === 'string') return value.trim().toLowerCase().replace(/\s+/g, ' ');
+  if (Array.isArray(value)) return value.map(normalizeForCache);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((normalized, key) => {
+      if (value[key] !== undefined) normalized[key] = normalizeForCache(value[key]);
+      return normalized;
+    }, {});
+  }
+  return value === undefined ? null : value;
+};
+
+const cacheKeyFor = (provider, task, parts) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ provider, task, parts: normalizeForCache(parts) }))
+  .digest('hex');
+
+// Returns the cached response, or undefined on a miss
+const readCache = async (key) => {
+  try {
+    const result = await query(
+      `UPDATE ai_cache SET hits = hits + 1, last_hit_at = NOW()
+       WHERE cache_key = $1 AND expires_at > NOW()
+       RETURNING response`,
+      [key]
+    );
+    return result.rows.length > 0 ? result.rows[0].response : undefined;
+  } catch (error) {
+    console.error('Read AI cache error:', error.message);
+    return undefined;
+  }
+};
+
+const writeCache = async (key, { task, provider, response, ttlSeconds = DEFAULT_CACHE_TTL_SECONDS }) => {
+  try {
+    await query(
+      `INSERT INTO ai_cache (cache_key, task, provider, response, expires_at)
+       VALUES ($1, $2, $3, $4, NOW() + make_interval(secs => $5))
+       ON CONFLICT (cache_key) DO UPDATE SET
+         response = EXCLUDED.response,
+         created_at = NOW(),
+         expires_at = EXCLUDED.expires_at`,
+      [key, task, provider, JSON.stringify(response), ttlSeconds]
+    );
+    await query('DELETE FROM ai_cache WHERE expires_at < NOW()');
+  } catch (error) {
+    console.error('Write AI cache error:', error.message);
+  }
+};
+
+// ── Quotas ──────────────────────────────────────────────────
+
+const normalizeTier = (tier) => (PLAN_TIERS.includes(tier) ? tier : 'free');
+
+const quotaLimits = (tier) => {
+  const planTier = normalizeTier(tier);
+  return { ...DEFAULT_DAILY_QUOTAS[planTier], ...(parseJSONEnv('AI_DAILY_QUOTAS')[planTier] || {}) };
+};
+
+// Next midnight UTC, when today's counts start over
+const quotaResetAt = (now = new Date()) => new Date(Date.UTC(
+  now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1
+));
+
+// Returns { tier, resetAt, calls: { used, limit, remaining }, images: {...} }
+const getQuotaStatus = async (userId) => {
+  const [userResult, usageResult] = await Promise.all([
+    query('SELECT plan_tier FROM users WHERE id = $1', [userId]),
+    query(
+      `SELECT
+         COUNT(*) FILTER (WHERE capability <> 'generateImage') AS calls,
+         COUNT(*) FILTER (WHERE capability = 'generateImage') AS images
+       FROM ai_usage
+       WHERE user_id = $1 AND NOT cached AND succeeded
+         AND created_at >= date_trunc('day', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'`,
+      [userId]
+    ),
+  ]);
+
+  const tier = normalizeTier(userResult.rows[0]?.plan_tier);
+  const limits = quotaLimits(tier);
+  const counter = (used, limit) => ({
+    used,
+    limit: limit === undefined ? null : limit,
+    remaining: limit === null || limit === undefined ? null : Math.max(limit - used, 0),
+  });
+
+  return {
+    tier,
+    resetAt: quotaResetAt().toISOString(),
+    calls: counter(parseInt(usageResult.rows[0].calls), limits.calls),
+    images: counter(parseInt(usageResult.rows[0].images), limits.images),
+  };
+};
+
+const isOverQuota = (status, kind) => status[kind].remaining === 0;
+
+module.exports = {
+  PLAN_TIERS,
+  DEFAULT_DAILY_QUOTAS,
+  MODEL_PRICING,
+  estimateCost,
+  estimateTokens,
+  recordUsage,
+  normalizeForCache,
+  cacheKeyFor,
+  readCache,
+  writeCache,
+  quotaLimits,
+  quotaResetAt,
+  getQuotaStatus,
+  isOverQuota,
+};
@@ -0,0 +1,386 @@
+// src/utils/aiValidation.js
+// ============================================================
+// AI Validation — response schemas, repair and fallbacks
+// ============================================================
+//
+// Every task that answers in JSON has an entry in RESPONSE_TYPES:
+//
+//   schema    what the route relies on (utils/jsonSchema.js)
+//   fallback  (input) => the answer to use when the model can't
+//             produce a valid one; omitted when there is no honest
+//             stand-in, and the call fails instead
+//
+// aiService.js checks each chatJSON / vision answer (and streamed
+// JSON, via validateJSONText) against its task's schema. An invalid
+// answer is re-prompted once with the errors; if the retry is
+// invalid too, the answer is pruned of invalid entries, and if
+// that isn't enough, the fallback is used. Each invalid answer is
+// logged to ai_validation_failures with how it ended:
+//
+//   repaired  the retry was valid
+//   pruned    dropping invalid entries left a valid answer
+//   fallback  the task's fallback was used
+//   failed    no fallback; the call threw
+// ─────────────────────────────────────────────────────────────
+
+const { query } = require('../models/db');
+const { MEAL_TYPES } = require('./mealPlans');
+
+const VALIDATION_OUTCOMES = ['repaired', 'pruned', 'fallback', 'failed'];
+
+// ── Shared parts ────────────────────────────────────────────
+
+const text = { type: 'string', minLength: 1 };
+const optionalText = { type: ['string', 'null'] };
+const amount = { type: ['string', 'number'] };
+const price = { type: 'number', minimum: 0 };
+const strings = { type: 'array', items: text };
+
+// Shopping item or ingredient in /generate-list answers
+const listItem = {
+  type: 'object',
+  required: ['item'],
+  properties: {
+    item: text,
+    category: { type: 'string' },
+    reason: { type: 'string' },
+    price,
+    quantity: amount,
+    unit: { type: 'string' },
+  },
+};
+
+const listItems = { type: 'array', items: listItem };
+
+const modeIs = (mode, then) => ({
+  if: { type: 'object', required: ['mode'], properties: { mode: { const: mode } } },
+  then,
+});
+
+// ── Schemas ─────────────────────────────────────────────────
+
+const LIST_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['mode'],
+  properties: {
+    mode: { enum: ['shopping_list', 'recipe', 'full_course', 'chat'] },
+    listName: { type: 'string' },
+    message: { type: 'string' },
+  },
+  allOf: [
+    modeIs('shopping_list', {
+      required: ['suggestions'],
+      properties: { suggestions: { ...listItems, minItems: 1 } },
+    }),
+    modeIs('recipe', {
+      required: ['recipes'],
+      properties: {
+        suggestions: listItems,
+        recipes: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['title', 'ingredients', 'instructions'],
+            properties: {
+              title: text,
+              description: { type: 'string' },
+              category: { type: 'string' },
+              ingredients: { ...listItems, minItems: 1 },
+              instructions: { ...strings, minItems: 1 },
+              prepTime: amount,
+              servings: amount,
+              difficulty: { type: 'string' },
+              tags: strings,
+            },
+          },
+        },
+      },
+    }),
+    modeIs('full_course', {
+      required: ['courses'],
+      properties: {
+        courses: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['dishName', 'ingredients'],
+            properties: {
+              courseType: { type: 'string' },
+              dishName: text,
+              description: { type: 'string' },
+              ingredients: { ...listItems, minItems: 1 },
+              prepTime: amount,
+              difficulty: { type: 'string' },
+            },
+          },
+        },
+        mealTheme: { type: 'string' },
+        servings: amount,
+      },
+    }),
+    modeIs('chat', {
+      required: ['response'],
+      properties: { response: text, suggestions: strings },
+    }),
+  ],
+};
+
+const RECIPE_SCHEMA = {
+  type: 'object',
+  required: ['title', 'ingredients', 'instructions'],
+  properties: {
+    title: text,
+    description: { type: 'string' },
+    category: { type: 'string' },
+    difficulty: { type: 'string' },
+    time: { type: 'string' },
+    servings: { type: 'number', minimum: 1 },
+    ingredients: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: { name: text, quantity: amount, unit: { type: 'string' } },
+      },
+    },
+    instructions: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['text'],
+        properties: { step: { type: 'integer', minimum: 1 }, text },
+      },
+    },
+    nutrition: {
+      type: 'object',
+      properties: {
+        calories: { type: 'number', minimum: 0 },
+        protein: { type: 'number', minimum: 0 },
+        carbs: { type: 'number', minimum: 0 },
+        fat: { type: 'number', minimum: 0 },
+      },
+    },
+  },
+};
+
+const MEAL_PLAN_SCHEMA = {
+  type: 'object',
+  required: ['meals'],
+  properties: {
+    meals: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['dayNumber', 'mealType', 'recipeName'],
+        properties: {
+          dayNumber: { type: 'integer', minimum: 1 },
+          mealType: { enum: MEAL_TYPES },
+          recipeName: text,
+          calories: { type: 'number', minimum: 0 },
+        },
+      },
+    },
+  },
+};
+
+const PRICE_ITEMS_SCHEMA = {
+  type: 'object',
+  required: ['items'],
+  properties: {
+    items: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name', 'price'],
+        properties: {
+          name: text,
+          price,
+          price_per_lb: price,
+          department: { type: 'string' },
+          ingredients: { type: 'string' },
+          allergens: { type: 'array', items: { type: 'string' } },
+          dietary: { type: 'array', items: { type: 'string' } },
+        },
+      },
+    },
+  },
+};
+
+const SHELF_TAG_SCHEMA = {
+  type: 'object',
+  required: ['product_name', 'price'],
+  properties: {
+    product_name: optionalText,
+    brand: optionalText,
+    category: optionalText,
+    price: { type: ['number', 'null'], minimum: 0 },
+    regular_price: { type: ['number', 'null'], minimum: 0 },
+    unit_price: { type: ['number', 'null'], minimum: 0 },
+    upc: optionalText,
+  },
+};
+
+// ── Response types by task ──────────────────────────────────
+
+const RESPONSE_TYPES = {
+  'generate-list': {
+    schema: LIST_RESPONSE_SCHEMA,
+    fallback: () => ({
+      mode: 'chat',
+      response: "Sorry, I couldn't put that together. Could you try asking another way?",
+      suggestions: [],
+      message: "Sorry, I couldn't put that together.",
+    }),
+  },
+  'generate-recipe': { schema: RECIPE_SCHEMA },
+  'generate-meal-plan': { schema: MEAL_PLAN_SCHEMA },
+  'recommendations': {
+    schema: {
+      type: 'object',
+      required: ['recommendations'],
+      properties: {
+        recommendations: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name'],
+            properties: { name: text, reason: { type: 'string' }, department: { type: 'string' } },
+          },
+        },
+      },
+    },
+    fallback: () => ({ recommendations: [] }),
+  },
+  'complementary-items': {
+    schema: { type: 'object', required: ['suggestions'], properties: { suggestions: strings } },
+    fallback: () => ({ suggestions: [] }),
+  },
+  'price-items': {
+    schema: PRICE_ITEMS_SCHEMA,
+    fallback: ({ items = [] } = {}) => ({
+      items: items.map(name => ({ name, price: 2.99, department: 'grocery' })),
+    }),
+  },
+  'price-estimates': {
+    schema: {
+      type: 'object',
+      required: ['prices'],
+      properties: {
+        prices: {
+          type: 'array',
+          items: { type: 'object', required: ['name', 'price'], properties: { name: text, price } },
+        },
+      },
+    },
+    fallback: () => ({ prices: [] }),
+  },
+  'recognize-image': {
+    schema: {
+      type: 'object',
+      required: ['products'],
+      properties: {
+        products: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+              name: text,
+              confidence: { type: 'number', minimum: 0, maximum: 1 },
+              department: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+    fallback: () => ({ products: [] }),
+  },
+  'shelf-tag-ocr': {
+    schema: SHELF_TAG_SCHEMA,
+    fallback: () => ({
+      product_name: null, brand: null, category: null, price: null, regular_price: null, unit_price: null, upc: null,
+    }),
+  },
+  'aisle-sign-ocr': {
+    schema: {
+      type: 'object',
+      required: ['aisles', 'departments'],
+      properties: { aisles: strings, departments: strings },
+    },
+    fallback: () => ({ aisles: [], departments: [] }),
+  },
+  'video-frame': {
+    schema: {
+      type: 'object',
+      required: ['type'],
+      properties: { type: { enum: ['aisle', 'area', 'none'] } },
+      allOf: [
+        {
+          if: { properties: { type: { const: 'aisle' } } },
+          then: { required: ['number'], properties: { number: { type: ['string', 'number'] }, categories: strings } },
+        },
+        {
+          if: { properties: { type: { const: 'area' } } },
+          then: { required: ['areaType'], properties: { areaType: text, name: { type: 'string' } } },
+        },
+      ],
+    },
+    fallback: () => ({ type: 'none' }),
+  },
+};
+
+const responseTypeFor = (task) => RESPONSE_TYPES[task] || null;
+
+// ── Repair prompt ───────────────────────────────────────────
+// Sent after the invalid answer, so the model can see what it got
+// wrong. Long error lists are cut; the first few are enough.
+
+const MAX_REPORTED_ERRORS = 10;
+
+const repairInstructions = (errors) => [
+  'Your JSON response did not match the required format:',
+  ...errors.slice(0, MAX_REPORTED_ERRORS).map(error => `- ${error}`),
+  errors.length > MAX_REPORTED_ERRORS ? `- ...and ${errors.length - MAX_REPORTED_ERRORS} more` : null,
+  'Reply again with the complete, corrected JSON only — same structure as requested, no markdown.',
+].filter(Boolean).join('\n');
+
+// ── Failure log ─────────────────────────────────────────────
+// failure: { userId, task, provider, errors, retryErrors, outcome,
+//            response }. Best-effort, like recordUsage.
+
+const MAX_LOGGED_RESPONSE_LENGTH = 4000;
+
+const recordValidationFailure = async (failure) => {
+  try {
+    const response = failure.response === undefined ? null : JSON.stringify(failure.response);
+    await query(
+      `INSERT INTO ai_validation_failures (user_id, task, provider, errors, retry_errors, outcome, response)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        failure.userId || null,
+        failure.task || 'unknown',
+        failure.provider,
+        JSON.stringify(failure.errors),
+        failure.retryErrors ? JSON.stringify(failure.retryErrors) : null,
+        failure.outcome,
+        response ? response.slice(0, MAX_LOGGED_RESPONSE_LENGTH) : null,
+      ]
+    );
+  } catch (error) {
+    console.error('Record AI validation failure error:', error.message);
+  }
+};
+
+module.exports = {
+  VALIDATION_OUTCOMES,
+  RESPONSE_TYPES,
+  responseTypeFor,
+  repairInstructions,
+  recordValidationFailure,
+};
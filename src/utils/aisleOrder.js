@@ -0,0 +1,213 @@
+// src/utils/aisleOrder.js
+// ============================================================
+// Aisle Order — walk a list in a chosen store's aisle order
+// ============================================================
+//
+// Each item is placed using the first source that knows it:
+//   1. barcode  — store_prices.aisle_number for this store
+//   2. product  — an aisle_products category found in the item name
+//   3. department — an aisle_departments entry for the item's
+//                   department (list names like "Canned Goods" are
+//                   mapped through department_reference aliases)
+// Items are ordered by the aisle's position_index (aisle number when
+// the position isn't known); items with no location come last.
+// ─────────────────────────────────────────────────────────────
+
+const { query } = require('../models/db');
+
+// Same floor as GET /api/store-layouts/:storeId/find-product
+const MIN_AISLE_CONFIDENCE = 30;
+
+// List departments (utils/helpers DEPARTMENT_KEYWORDS) that no
+// department_reference name or alias covers
+const EXTRA_DEPARTMENT_ALIASES = {
+  cereal: 'pantry',
+  seafood: 'meat',
+};
+
+const normalizeDepartmentKey = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/&/g, 'and')
+  .trim()
+  .replace(/\s+/g, '_');
+
+// Natural order for aisle numbers: "2" < "10" < "10A" < "Deli"
+const compareAisleNumbers = (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+
+// ── Load a store's layout ───────────────────────────────────
+
+const loadStoreLayout = async (storeId) => {
+  const [aislesResult, referenceResult] = await Promise.all([
+    query(
+      `SELECT
+         sa.id AS aisle_id, sa.aisle_number, sa.aisle_label, sa.position_index,
+         sa.confidence_score AS aisle_confidence,
+         ad.department_name, ad.confidence_score AS dept_confidence,
+         ap.product_category, ap.product_subcategory
+       FROM store_aisles sa
+       LEFT JOIN aisle_departments ad ON sa.id = ad.aisle_id
+       LEFT JOIN aisle_products ap ON ad.id = ap.department_id
+       WHERE sa.store_id = $1 AND sa.confidence_score >= $2`,
+      [storeId, MIN_AISLE_CONFIDENCE]
+    ),
+    query('SELECT department_name, display_name, common_aliases FROM department_reference'),
+  ]);
+
+  const aisles = new Map();
+  const departments = new Map();
+  const products = [];
+
+  for (const row of aislesResult.rows) {
+    if (!aisles.has(row.aisle_id)) {
+      aisles.set(row.aisle_id, {
+        id: row.aisle_id,
+        aisleNumber: row.aisle_number,
+        aisleLabel: row.aisle_label,
+        positionIndex: row.position_index,
+        confidence: parseFloat(row.aisle_confidence),
+      });
+    }
+    const aisle = aisles.get(row.aisle_id);
+    const confidence = parseFloat(row.dept_confidence) || 0;
+
+    if (row.department_name) {
+      // Keep the most confident aisle per department
+      const existing = departments.get(row.department_name);
+      if (!existing || confidence > existing.confidence) {
+        departments.set(row.department_name, { aisle, confidence });
+      }
+    }
+
+    for (const category of [row.product_category, row.product_subcategory]) {
+      if (category && category.trim().length >= 3) {
+        products.push({ term: category.toLowerCase().trim(), aisle, confidence });
+      }
+    }
+  }
+
+  // Longest terms first so "ice cream" wins over "cream"
+  products.sort((a, b) => b.term.length - a.term.length || b.confidence - a.confidence);
+
+  const departmentKeys = new Map(Object.entries(EXTRA_DEPARTMENT_ALIASES));
+  for (const ref of referenceResult.rows) {
+    departmentKeys.set(ref.department_name, ref.department_name);
+    departmentKeys.set(normalizeDepartmentKey(ref.display_name), ref.department_name);
+    for (const alias of ref.common_aliases || []) {
+      if (!departmentKeys.has(normalizeDepartmentKey(alias))) {
+        departmentKeys.set(normalizeDepartmentKey(alias), ref.department_name);
+      }
+    }
+  }
+
+  const byNumber = new Map([...aisles.values()].map(aisle => [String(aisle.aisleNumber).toLowerCase(), aisle]));
+
+  return { aisles: byNumber, departments, departmentKeys, products };
+};
+
+// ── Barcoded aisle numbers from store_prices ────────────────
+
+const loadBarcodeAisles = async (storeId, barcodes) => {
+  if (barcodes.length === 0) return new Map();
+  const result = await query(
+    `SELECT barcode, aisle_number FROM store_prices
+     WHERE store_id = $1 AND barcode = ANY($2) AND aisle_number IS NOT NULL`,
+    [storeId, barcodes]
+  );
+  return new Map(result.rows.map(row => [row.barcode, row.aisle_number]));
+};
+
+// ── Locate one item ─────────────────────────────────────────
+
+const locateItem = (item, layout, barcodeAisles) => {
+  const barcodeAisle = item.barcode ? barcodeAisles.get(item.barcode) : null;
+  if (barcodeAisle) {
+    const aisle = layout.aisles.get(String(barcodeAisle).toLowerCase());
+    return {
+      aisleNumber: aisle ? aisle.aisleNumber : String(barcodeAisle),
+      aisleLabel: aisle ? aisle.aisleLabel : null,
+      positionIndex: aisle ? aisle.positionIndex : null,
+      source: 'barcode',
+    };
+  }
+
+  const name = String(item.name || '').toLowerCase();
+  const product = layout.products.find(entry => name.includes(entry.term));
+  if (product) {
+    return {
+      aisleNumber: product.aisle.aisleNumber,
+      aisleLabel: product.aisle.aisleLabel,
+      positionIndex: product.aisle.positionIndex,
+      source: 'product',
+    };
+  }
+
+  const departmentKey = layout.departmentKeys.get(normalizeDepartmentKey(item.department));
+  const department = layout.departments.get(departmentKey)
+    || layout.departments.get(normalizeDepartmentKey(item.department));
+  if (department) {
+    return {
+      aisleNumber: department.aisle.aisleNumber,
+      aisleLabel: department.aisle.aisleLabel,
+      positionIndex: department.aisle.positionIndex,
+      source: 'department',
+    };
+  }
+
+  return null;
+};
+
+// ── Sort items into walking order ───────────────────────────
+// items: formatted list items ({ id, name, department, barcode, ... })
+// Returns { items (each with an `aisle`), groups }.
+
+const orderItemsByAisle = async (storeId, items) => {
+  const layout = await loadStoreLayout(storeId);
+  const barcodeAisles = await loadBarcodeAisles(
+    storeId,
+    [...new Set(items.filter(item => item.barcode).map(item => item.barcode))]
+  );
+
+  const located = items.map((item, index) => ({
+    item: { ...item, aisle: locateItem(item, layout, barcodeAisles) },
+    index,
+  }));
+
+  const compare = (a, b) => {
+    const aisleA = a.item.aisle;
+    const aisleB = b.item.aisle;
+    if (!aisleA || !aisleB) {
+      if (aisleA || aisleB) return aisleA ? -1 : 1;
+      return a.index - b.index;
+    }
+    const posA = aisleA.positionIndex;
+    const posB = aisleB.positionIndex;
+    if (posA !== null && posB !== null && posA !== posB) return posA - posB;
+    if ((posA === null) !== (posB === null)) return posA === null ? 1 : -1;
+    return compareAisleNumbers(aisleA.aisleNumber, aisleB.aisleNumber) || a.index - b.index;
+  };
+
+  const ordered = located.sort(compare).map(entry => entry.item);
+
+  const groups = [];
+  for (const item of ordered) {
+    const key = item.aisle ? item.aisle.aisleNumber : null;
+    let group = groups[groups.length - 1];
+    if (!group || group.aisleNumber !== key) {
+      group = {
+        aisleNumber: key,
+        aisleLabel: item.aisle ? item.aisle.aisleLabel : null,
+        positionIndex: item.aisle ? item.aisle.positionIndex : null,
+        itemIds: [],
+      };
+      groups.push(group);
+    }
+    group.itemIds.push(item.id);
+  }
+
+  return { items: ordered, groups };
+};
+
+module.exports = {
+  loadStoreLayout,
+  orderItemsByAisle,
+};
@@ -0,0 +1,392 @@
+// src/utils/allergenSafety.js
+// ============================================================
+// Allergen Safety — checks AI output against the household's
+// allergens before it reaches the app
+// ============================================================
+//
+// The prompts ask the model to avoid allergens, but nothing made
+// it. Every item or ingredient the model returns is checked
+// against the allergens of everyone eating — the allergenDetails
+// of the household profile (utils/householdProfile.js).
+//
+// An entry's allergens come from its products row: by barcode when
+// it carries one, otherwise the product its name matches the way
+// crossRefPrices (utils/listGeneration.js) matches it. A barcode
+// row is trusted on its own (products.allergens, then
+// products.ingredients); a name match only adds to ALLERGEN_KEYWORDS
+// applied to the entry's name and ingredients, which are all there
+// is when nothing matches. An unsafe entry is
+//
+//   replaced  when its only allergen came from keywords and a swap
+//             in SAFE_SWAPS is itself safe for the household
+//   flagged   otherwise, with `allergenWarning` on the entry
+//
+// and listed in `allergenWarnings`:
+//   [{ path, item, allergens, people, source, action, replacement }]
+// ─────────────────────────────────────────────────────────────
+
+const { query } = require('../models/db');
+
+// ── Allergen names ──────────────────────────────────────────
+// Maps what users type and what Open Food Facts tags say to the
+// nine allergens used across the app.
+
+const ALLERGENS = ['dairy', 'eggs', 'peanuts', 'tree nuts', 'wheat', 'soy', 'fish', 'shellfish', 'sesame'];
+
+const ALLERGEN_ALIASES = {
+  'dairy': 'dairy', 'milk': 'dairy', 'lactose': 'dairy', 'casein': 'dairy', 'whey': 'dairy',
+  'egg': 'eggs', 'eggs': 'eggs',
+  'peanut': 'peanuts', 'peanuts': 'peanuts', 'groundnuts': 'peanuts',
+  'nut': 'tree nuts', 'nuts': 'tree nuts', 'tree nut': 'tree nuts', 'tree nuts': 'tree nuts',
+  'almonds': 'tree nuts', 'cashews': 'tree nuts', 'walnuts': 'tree nuts', 'pecans': 'tree nuts',
+  'pistachios': 'tree nuts', 'hazelnuts': 'tree nuts',
+  'wheat': 'wheat', 'gluten': 'wheat',
+  'soy': 'soy', 'soya': 'soy', 'soybean': 'soy', 'soybeans': 'soy',
+  'fish': 'fish',
+  'shellfish': 'shellfish', 'crustaceans': 'shellfish', 'molluscs': 'shellfish', 'shrimp': 'shellfish',
+  'sesame': 'sesame', 'sesame seeds': 'sesame',
+};
+
+// ── Keyword map ─────────────────────────────────────────────
+//   keywords  words and phrases that mean the allergen is present
+//             (plural "s"/"es" forms match too)
+//   safe      phrases that contain a keyword but not the allergen
+//   freeFrom  phrases that clear the whole entry ("gluten-free pasta")
+
+const ALLERGEN_KEYWORDS = {
+  'dairy': {
+    keywords: ['dairy', 'milk', 'cheese', 'butter', 'buttermilk', 'cream', 'yogurt', 'yoghurt', 'whey', 'casein',
+      'ghee', 'lactose', 'custard', 'paneer', 'parmesan', 'mozzarella', 'cheddar', 'ricotta', 'feta', 'brie',
+      'gouda', 'mascarpone', 'gelato', 'queso', 'creme fraiche', 'half and half', 'alfredo'],
+    safe: ['coconut milk', 'almond milk', 'oat milk', 'soy milk', 'rice milk', 'cashew milk', 'coconut cream',
+      'peanut butter', 'almond butter', 'cashew butter', 'sunflower seed butter', 'cocoa butter', 'apple butter',
+      'butter beans', 'butter lettuce', 'cream of tartar', 'cream soda'],
+    freeFrom: ['dairy free', 'non dairy', 'milk free', 'vegan', 'plant based'],
+  },
+  'eggs': {
+    keywords: ['egg', 'mayonnaise', 'mayo', 'meringue', 'aioli', 'albumen', 'eggnog', 'hollandaise'],
+    safe: [],
+    freeFrom: ['egg free', 'eggless', 'vegan', 'plant based'],
+  },
+  'peanuts': {
+    keywords: ['peanut', 'groundnut', 'satay'],
+    safe: [],
+    freeFrom: ['peanut free'],
+  },
+  'tree nuts': {
+    keywords: ['nut', 'almond', 'cashew', 'walnut', 'pecan', 'pistachio', 'hazelnut', 'macadamia', 'brazil nut',
+      'pine nut', 'chestnut', 'praline', 'marzipan', 'nutella', 'frangipane', 'pesto'],
+    safe: ['water chestnut'],
+    freeFrom: ['nut free', 'tree nut free'],
+  },
+  'wheat': {
+    keywords: ['wheat', 'gluten', 'flour', 'bread', 'breadcrumb', 'flatbread', 'shortbread', 'panko', 'pasta',
+      'spaghetti', 'linguine', 'fettuccine', 'penne', 'macaroni', 'lasagna', 'ravioli', 'noodle', 'couscous',
+      'bulgur', 'semolina', 'farro', 'spelt', 'seitan', 'barley', 'rye', 'malt', 'tortilla', 'pita', 'bagel',
+      'bun', 'croissant', 'cracker', 'crouton', 'biscuit', 'cake', 'pancake', 'waffle', 'cookie', 'pastry',
+      'pie crust', 'dumpling', 'wonton', 'soy sauce'],
+    safe: ['rice flour', 'almond flour', 'coconut flour', 'corn flour', 'chickpea flour', 'tapioca flour',
+      'potato flour', 'rice noodle', 'glass noodle', 'corn tortilla', 'rice cake', 'rice cracker'],
+    freeFrom: ['gluten free', 'wheat free'],
+  },
+  'soy': {
+    keywords: ['soy', 'soya', 'soybean', 'tofu', 'tempeh', 'edamame', 'miso', 'tamari', 'teriyaki', 'natto'],
+    safe: [],
+    freeFrom: ['soy free'],
+  },
+  'fish': {
+    keywords: ['fish', 'salmon', 'tuna', 'cod', 'tilapia', 'halibut', 'trout', 'anchovy', 'anchovies', 'sardine',
+      'mackerel', 'haddock', 'bass', 'snapper', 'catfish', 'pollock', 'mahi mahi', 'swordfish', 'herring',
+      'worcestershire', 'caesar dressing'],
+    safe: [],
+    freeFrom: ['fish free', 'vegan', 'plant based'],
+  },
+  'shellfish': {
+    keywords: ['shellfish', 'shrimp', 'prawn', 'crab', 'lobster', 'crawfish', 'crayfish', 'langoustine',
+      'scallop', 'clam', 'mussel', 'oyster', 'squid', 'calamari', 'octopus'],
+    safe: ['oyster mushroom', 'crab apple'],
+    freeFrom: ['shellfish free', 'vegan', 'plant based'],
+  },
+  'sesame': {
+    keywords: ['sesame', 'tahini', 'halva', 'halvah', 'hummus', 'benne', 'gomasio', 'za atar', 'zaatar'],
+    safe: [],
+    freeFrom: ['sesame free'],
+  },
+};
+
+// ── Safe swaps ──────────────────────────────────────────────
+// Checked in order, so longer phrases come before the words they
+// contain ("peanut butter" before "peanut").
+
+const SAFE_SWAPS = {
+  'dairy': [
+    ['sour cream', 'dairy-free sour cream'], ['heavy cream', 'coconut cream'], ['cream cheese', 'dairy-free cream cheese'],
+    ['parmesan', 'nutritional yeast'], ['butter', 'dairy-free butter'], ['milk', 'oat milk'],
+    ['yogurt', 'dairy-free yogurt'], ['cream', 'coconut cream'], ['cheese', 'dairy-free cheese'], ['ghee', 'coconut oil'],
+  ],
+  'eggs': [['mayonnaise', 'egg-free mayonnaise'], ['mayo', 'egg-free mayonnaise'], ['egg', 'flaxseed meal']],
+  'peanuts': [['peanut butter', 'sunflower seed butter'], ['peanut oil', 'canola oil'], ['peanut', 'roasted sunflower seeds']],
+  'tree nuts': [['almond milk', 'oat milk'], ['almond butter', 'sunflower seed butter'], ['almond flour', 'oat flour'],
+    ['pesto', 'nut-free pesto'], ['nut', 'pumpkin seeds']],
+  'wheat': [['soy sauce', 'tamari'], ['breadcrumb', 'gluten-free breadcrumbs'], ['flour', 'gluten-free flour'],
+    ['spaghetti', 'gluten-free spaghetti'], ['pasta', 'gluten-free pasta'], ['noodle', 'rice noodles'],
+    ['tortilla', 'corn tortillas'], ['bread', 'gluten-free bread'], ['couscous', 'quinoa'], ['bulgur', 'quinoa']],
+  'soy': [['soy sauce', 'coconut aminos'], ['tamari', 'coconut aminos'], ['soy milk', 'oat milk'], ['edamame', 'green peas']],
+  'fish': [['fish sauce', 'coconut aminos']],
+  'shellfish': [['oyster sauce', 'mushroom stir-fry sauce']],
+  'sesame': [['sesame oil', 'olive oil'], ['tahini', 'sunflower seed butter'], ['sesame seed', 'pumpkin seeds']],
+};
+
+// ── Text matching ───────────────────────────────────────────
+
+const normalizeText = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// Phrases are normalized text, so they're safe inside a RegExp
+const phrasePattern = (phrase) => new RegExp(`(?:^| )${phrase}(?:s|es)?(?= |$)`, 'g');
+
+const hasPhrase = (text, phrase) => phrasePattern(phrase).test(text);
+
+// Whole-word match of any phrase
+const mentionsAny = (text, phrases) => {
+  const normalized = normalizeText(text);
+  return phrases.some((phrase) => {
+    const wanted = normalizeText(phrase);
+    return Boolean(wanted) && hasPhrase(normalized, wanted);
+  });
+};
+
+// Returns the canonical allergen for a label, or null if unknown
+const canonicalAllergen = (label) => {
+  const text = normalizeText(label);
+  return ALLERGEN_ALIASES[text] || ALLERGEN_ALIASES[text.replace(/s$/, '')] || null;
+};
+
+// Allergens outside the nine ("kiwi", "mustard") match by name
+const customKeywords = (text) => {
+  const forms = [text];
+  if (text.endsWith('ies')) forms.push(`${text.slice(0, -3)}y`);
+  else if (text.endsWith('oes')) forms.push(text.slice(0, -2));
+  else if (text.endsWith('s')) forms.push(text.slice(0, -1));
+  return forms;
+};
+
+// Returns the allergens (of those given) that the text mentions
+const detectAllergens = (text, allergens) => {
+  const normalized = normalizeText(text);
+  if (!normalized) return [];
+
+  return allergens.filter((allergen) => {
+    const rules = ALLERGEN_KEYWORDS[allergen];
+    if (!rules) return customKeywords(allergen).some(keyword => hasPhrase(normalized, keyword));
+    if (rules.freeFrom.some(phrase => hasPhrase(normalized, phrase))) return false;
+
+    const remaining = rules.safe.reduce((current, phrase) => current.replace(phrasePattern(phrase), ' '), normalized);
+    return rules.keywords.some(keyword => hasPhrase(remaining, keyword));
+  });
+};
+
+// ── Checking entries ────────────────────────────────────────
+
+const entryName = (entry) => (typeof entry === 'string' ? entry : entry?.item || entry?.name || '');
+
+// Returns [{ product, matchedBy: 'barcode'|'name' } | null] in
+// the order of entries, with one query for the barcodes and one for
+// the names. Lookups are kept in `cache` (a Map) so a caller that
+// checks the same entries twice — streamed items, then the final
+// answer — only queries once.
+const lookupKey = (entry) => {
+  if (entry?.barcode) return `barcode:${entry.barcode}`;
+  const name = entryName(entry).trim().toLowerCase();
+  return name ? `name:${name}` : null;
+};
+
+const findProducts = async (entries, cache = new Map()) => {
+  const keys = entries.map(lookupKey);
+  const missing = [...new Set(keys.filter(key => key && !cache.has(key)))];
+  missing.forEach(key => cache.set(key, null));
+
+  const barcodes = missing.filter(key => key.startsWith('barcode:')).map(key => key.slice('barcode:'.length));
+  if (barcodes.length > 0) {
+    const result = await query(
+      'SELECT barcode, allergens, ingredients FROM products WHERE barcode = ANY($1)',
+      [barcodes]
+    );
+    for (const row of result.rows) cache.set(`barcode:${row.barcode}`, { product: row, matchedBy: 'barcode' });
+  }
+
+  // Per name, the product crossRefPrices would pick
+  const names = missing.filter(key => key.startsWith('name:')).map(key => key.slice('name:'.length));
+  if (names.length > 0) {
+    const result = await query(
+      `SELECT DISTINCT ON (n.name) n.name AS lookup_name, p.barcode, p.allergens, p.ingredients
+       FROM unnest($1::text[]) AS n(name)
+       JOIN products p ON LOWER(p.name) LIKE '%' || n.name || '%'
+       ORDER BY n.name, p.price DESC`,
+      [names]
+    );
+    for (const { lookup_name: name, ...product } of result.rows) {
+      cache.set(`name:${name}`, { product, matchedBy: 'name' });
+    }
+  }
+
+  return keys.map(key => (key ? cache.get(key) : null));
+};
+
+const productAllergens = (product, watched) => {
+  if (!product || !(product.allergens?.length > 0 || product.ingredients)) return null;
+  const listed = (product.allergens || []).map(label => canonicalAllergen(label) || normalizeText(label));
+  return [
+    ...watched.filter(allergen => listed.includes(allergen)),
+    ...detectAllergens(product.ingredients, watched),
+  ];
+};
+
+// Returns { allergens, source } for one entry
+const entryAllergens = (entry, match, watched) => {
+  const fromProduct = productAllergens(match?.product, watched);
+  if (fromProduct && match.matchedBy === 'barcode') {
+    const found = new Set(fromProduct);
+    return { allergens: watched.filter(allergen => found.has(allergen)), source: 'product' };
+  }
+
+  const reported = Array.isArray(entry?.allergens)
+    ? entry.allergens.map(label => canonicalAllergen(label) || normalizeText(label))
+    : [];
+  const found = new Set([
+    ...watched.filter(allergen => reported.includes(allergen)),
+    ...detectAllergens(entryName(entry), watched),
+    ...detectAllergens(typeof entry?.ingredients === 'string' ? entry.ingredients : '', watched),
+  ]);
+  const fromKeywords = watched.filter(allergen => found.has(allergen));
+  if (fromProduct && fromProduct.some(allergen => !found.has(allergen))) {
+    for (const allergen of fromProduct) found.add(allergen);
+    return { allergens: watched.filter(allergen => found.has(allergen)), source: 'product' };
+  }
+  return { allergens: fromKeywords, source: 'keywords' };
+};
+
+const findSwap = (name, allergen, watched) => {
+  const normalized = normalizeText(name);
+  const swap = (SAFE_SWAPS[allergen] || []).find(([phrase]) => hasPhrase(normalized, phrase));
+  if (!swap) return null;
+  return detectAllergens(swap[1], watched).length === 0 ? swap[1] : null;
+};
+
+const renameEntry = (entry, name, allergens) => {
+  if (typeof entry === 'string') return name;
+  const key = entry.item !== undefined ? 'item' : 'name';
+  return { ...entry, [key]: name, allergenSwap: { original: entryName(entry), allergens } };
+};
+
+// Checks an array of items or ingredients against
+// household: [{ allergen, people }].
+//   path          prefix for warning paths, e.g. 'recipes[0].ingredients'
+//   replace       swap unsafe entries where possible (default true)
+//   productCache  a Map shared between calls for the same answer
+// Returns { entries, warnings }.
+
+const screenEntries = async (entries, household, { path, replace = true, productCache } = {}) => {
+  if (!Array.isArray(entries) || entries.length === 0 || household.length === 0) {
+    return { entries, warnings: [] };
+  }
+
+  const watched = household.map(({ allergen }) => allergen);
+  const peopleFor = (allergens) => [...new Set(household
+    .filter(({ allergen }) => allergens.includes(allergen))
+    .flatMap(({ people }) => people))];
+  const products = await findProducts(entries, productCache);
+  const warnings = [];
+
+  const screened = entries.map((entry, index) => {
+    const { allergens, source } = entryAllergens(entry, products[index], watched);
+    if (allergens.length === 0) return entry;
+
+    const warning = {
+      path: `${path}[${index}]`,
+      item: entryName(entry),
+      allergens,
+      people: peopleFor(allergens),
+      source,
+    };
+
+    const swap = replace && source === 'keywords' && allergens.length === 1
+      ? findSwap(warning.item, allergens[0], watched)
+      : null;
+    if (swap) {
+      warnings.push({ ...warning, action: 'replaced', replacement: swap });
+      return renameEntry(entry, swap, allergens);
+    }
+
+    warnings.push({ ...warning, action: 'flagged', replacement: null });
+    if (typeof entry === 'string') return entry;
+    return { ...entry, allergenWarning: { allergens, people: warning.people } };
+  });
+
+  return { entries: screened, warnings };
+};
+
+// ── /generate-list results ──────────────────────────────────
+// Checks the model's JSON in place of the unchecked one. Chat mode
+// suggestions are follow-up questions, not items.
+
+const screenListResult = async (result, household, { productCache } = {}) => {
+  const screened = { ...result };
+  const warnings = [];
+  const check = async (entries, path) => {
+    const outcome = await screenEntries(entries, household, { path, productCache });
+    warnings.push(...outcome.warnings);
+    return outcome.entries;
+  };
+
+  if ((result.mode || 'shopping_list') !== 'chat' && Array.isArray(result.suggestions)) {
+    screened.suggestions = await check(result.suggestions, 'suggestions');
+  }
+  if (Array.isArray(result.recipes)) {
+    screened.recipes = [];
+    for (const [index, recipe] of result.recipes.entries()) {
+      screened.recipes.push({ ...recipe, ingredients: await check(recipe.ingredients, `recipes[${index}].ingredients`) });
+    }
+  }
+  if (Array.isArray(result.courses)) {
+    screened.courses = [];
+    for (const [index, course] of result.courses.entries()) {
+      screened.courses.push({ ...course, ingredients: await check(course.ingredients, `courses[${index}].ingredients`) });
+    }
+  }
+
+  return { result: screened, warnings };
+};
+
+// One entry of suggestions / recipes / courses as it streams from
+// /generate-list/stream, checked the way screenListResult will
+// check it in the final answer. mode is the answer's mode so far;
+// pass the same productCache to both.
+
+const screenListItem = async (key, index, value, household, mode, { productCache } = {}) => {
+  if (key === 'suggestions') {
+    if ((mode || 'shopping_list') === 'chat') return value;
+    const outcome = await screenEntries([value], household, { path: 'suggestions', productCache });
+    return outcome.entries[0];
+  }
+  if ((key === 'recipes' || key === 'courses') && value && typeof value === 'object') {
+    const outcome = await screenEntries(value.ingredients, household, { path: `${key}[${index}].ingredients`, productCache });
+    return { ...value, ingredients: outcome.entries };
+  }
+  return value;
+};
+
+module.exports = {
+  ALLERGENS,
+  ALLERGEN_KEYWORDS,
+  canonicalAllergen,
+  detectAllergens,
+  mentionsAny,
+  screenEntries,
+  screenListResult,
+  screenListItem,
+};
@@ -0,0 +1,635 @@
+// src/utils/assistantTools.js
+// ============================================================
+// Assistant Tools — what the AI assistant may do for a user
+// ============================================================
+//
+// Each tool is exposed to the model as a function (name, description,
+// JSON schema) and runs with the same checks as the matching route:
+//
+//   get_lists         lists the user can see        (lists.js GET /)
+//   create_list       new list owned by the user    (lists.js POST /)
+//   add_items         editor or owner on the list   (items/batch)
+//   remove_items      editor or owner, confirmed    (items/batch)
+//   check_pantry      household pantry              (pantry.js GET /)
+//   save_recipe       save or create a recipe       (recipes.js)
+//   add_meal_to_plan  the user's own meal plan      (mealPlans.js)
+//
+// Every call is written to ai_actions. Destructive tools don't run
+// when the model calls them: prepare() resolves exactly what would
+// change, the action is stored as 'pending', and run() happens on
+// confirmAction() — after the access checks are made again.
+// ─────────────────────────────────────────────────────────────
+
+const { query } = require('../models/db');
+const ai = require('./aiService');
+const { getQuotaStatus, isOverQuota } = require('./aiUsage');
+const { normalizeRole, getListAccess, hasListRole } = require('../middleware/listAccess');
+const { MAX_BATCH_OPERATIONS, runBatch, publishBatchResults } = require('./listBatch');
+const { recordListEvent } = require('./listHistory');
+const { parseBudget } = require('./listBudget');
+const { normalizeItemName } = require('./ingredientMerge');
+const { householdUserIds, formatPantryItem } = require('./pantry');
+const { MEAL_TYPES, findOwnedMealPlan, addMealToPlan } = require('./mealPlans');
+const { saveRecipeForUser, createRecipe } = require('./recipes');
+
+// Model ↔ tool round trips per user message
+const MAX_TOOL_ROUNDS = 4;
+const MAX_CALLS_PER_ROUND = 5;
+
+// How long a destructive action waits for the user's confirmation
+const PENDING_ACTION_TTL_MINUTES = 15;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const ACCESS_ERRORS = {
+  owner: 'Only the list owner can do this',
+  editor: 'You have view-only access to this list',
+};
+
+// ── Lookups ─────────────────────────────────────────────────
+// Lists and plans may be named by id or by name (case-insensitive).
+// Returns { access } / { plan } or { error }.
+
+const resolveList = async (userId, ref, minimumRole) => {
+  if (!ref) return { error: 'Say which list to use' };
+
+  let listId = String(ref).trim();
+  if (!UUID_PATTERN.test(listId)) {
+    const result = await query(
+      `SELECT sl.id FROM shopping_lists sl
+       LEFT JOIN list_collaborators lc ON sl.id = lc.list_id AND lc.user_id = $1
+       WHERE (sl.user_id = $1 OR lc.user_id = $1) AND LOWER(sl.name) = LOWER($2)
+       ORDER BY sl.is_active DESC, sl.updated_at DESC
+       LIMIT 1`,
+      [userId, listId]
+    );
+    if (result.rows.length === 0) return { error: `No list named "${ref}"` };
+    listId = result.rows[0].id;
+  }
+
+  const access = await getListAccess(listId, userId);
+  if (!access) return { error: 'List not found' };
+  if (!hasListRole(access, minimumRole)) return { error: ACCESS_ERRORS[minimumRole] };
+  return { access };
+};
+
+const resolveMealPlan = async (userId, ref) => {
+  if (ref && UUID_PATTERN.test(String(ref).trim())) {
+    const plan = await findOwnedMealPlan(String(ref).trim(), userId);
+    return plan ? { plan } : { error: 'Meal plan not found' };
+  }
+
+  // By name, or the most recent plan when none is named
+  const result = ref
+    ? await query(
+      `SELECT * FROM meal_plans WHERE user_id = $1 AND LOWER(name) = LOWER($2)
+       ORDER BY created_at DESC LIMIT 1`,
+      [userId, String(ref).trim()]
+    )
+    : await query(
+      'SELECT * FROM meal_plans WHERE user_id = $1 ORDER BY created_at DESC LIMIT 1',
+      [userId]
+    );
+  if (result.rows.length === 0) {
+    return { error: ref ? `No meal plan named "${ref}"` : 'You have no meal plans yet' };
+  }
+  return { plan: result.rows[0] };
+};
+
+const itemNames = (items) => (Array.isArray(items) ? items : [items])
+  .map(item => (item && typeof item === 'object' ? item.name : item))
+  .map(name => String(name || '').trim())
+  .filter(Boolean);
+
+// ── Tools ───────────────────────────────────────────────────
+// run(userId, args) and prepare(userId, args) return
+// { summary, result } or { error }.
+
+const TOOLS = {
+  get_lists: {
+    description: 'Get the shopping lists the user can see, with their role and item count on each.',
+    parameters: { type: 'object', properties: {} },
+    run: async (userId) => {
+      const result = await query(
+        `SELECT sl.id, sl.name, sl.is_active,
+           CASE WHEN sl.user_id = $1 THEN 'owner' ELSE lc.role END AS access_role,
+           (SELECT COUNT(*) FROM list_items li WHERE li.list_id = sl.id) AS item_count
+         FROM shopping_lists sl
+         LEFT JOIN list_collaborators lc ON sl.id = lc.list_id AND lc.user_id = $1
+         WHERE sl.user_id = $1 OR lc.user_id = $1
+         ORDER BY sl.updated_at DESC
+         LIMIT 50`,
+        [userId]
+      );
+      const lists = result.rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        isActive: row.is_active,
+        role: normalizeRole(row.access_role),
+        itemCount: parseInt(row.item_count),
+      }));
+      return { summary: `Found ${lists.length} list${lists.length === 1 ? '' : 's'}`, result: { lists } };
+    },
+  },
+
+  create_list: {
+    description: 'Create a new shopping list owned by the user.',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Name of the new list' },
+        budget: { type: 'number', description: 'Optional spending limit' },
+      },
+      required: ['name'],
+    },
+    run: async (userId, { name, budget }) => {
+      const listName = String(name || '').trim();
+      if (!listName) return { error: 'List name is required' };
+
+      const parsedBudget = budget !== undefined && budget !== null ? parseBudget(budget) : { value: null };
+      if (parsedBudget.error) return { error: parsedBudget.error };
+
+      const created = await query(
+        `INSERT INTO shopping_lists (user_id, name, budget)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [userId, listName, parsedBudget.value]
+      );
+      const list = created.rows[0];
+      await recordListEvent({ listId: list.id, actorId: userId, action: 'list_created', after: list });
+
+      return {
+        summary: `Created the list "${list.name}"`,
+        result: { list: { id: list.id, name: list.name, budget: list.budget } },
+      };
+    },
+  },
+
+  add_items: {
+    description: 'Add items to one of the user\'s shopping lists. Items already on the list are merged.',
+    parameters: {
+      type: 'object',
+      properties: {
+        list: { type: 'string', description: 'List name or id' },
+        items: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              quantity: { type: 'number' },
+              unit: { type: 'string' },
+              notes: { type: 'string' },
+            },
+            required: ['name'],
+          },
+        },
+      },
+      required: ['list', 'items'],
+    },
+    run: async (userId, { list, items }) => {
+      const entries = (Array.isArray(items) ? items : [])
+        .map(item => (typeof item === 'string' ? { name: item } : item || {}))
+        .filter(item => String(item.name || '').trim());
+      if (entries.length === 0) return { error: 'Give at least one item to add' };
+      if (entries.length > MAX_BATCH_OPERATIONS) return { error: `At most ${MAX_BATCH_OPERATIONS} items at a time` };
+
+      const { access, error } = await resolveList(userId, list, 'editor');
+      if (error) return { error };
+
+      const operations = entries.map(item => ({
+        type: 'add',
+        fields: {
+          name: String(item.name).trim(),
+          ...(item.quantity ? { quantity: item.quantity } : {}),
+          ...(item.unit ? { unit: item.unit } : {}),
+          ...(item.notes ? { notes: item.notes } : {}),
+        },
+      }));
+      const { results } = await runBatch(access.list, userId, operations, { allOrNothing: false });
+      await publishBatchResults(access.list, userId, results);
+
+      const added = results.filter(result => result.status === 'applied');
+      if (added.length === 0) return { error: `Couldn't add those items to "${access.list.name}"` };
+      const warnings = added.map(result => result.pantryWarning).filter(Boolean).map(warning => warning.message);
+      return {
+        summary: `Added ${added.map(result => result.item.name).join(', ')} to "${access.list.name}"`,
+        result: {
+          listId: access.list.id,
+          added: added.map(result => ({ id: result.item.id, name: result.item.name, merged: result.merged })),
+          rejected: results.filter(result => result.status !== 'applied').map(result => result.reason),
+          pantryWarnings: warnings,
+        },
+      };
+    },
+  },
+
+  remove_items: {
+    description: 'Remove items from one of the user\'s shopping lists. The user must confirm before anything is removed.',
+    destructive: true,
+    parameters: {
+      type: 'object',
+      properties: {
+        list: { type: 'string', description: 'List name or id' },
+        items: { type: 'array', items: { type: 'string' }, description: 'Names of the items to remove' },
+      },
+      required: ['list', 'items'],
+    },
+    // Pins the matching item ids so confirming removes exactly these
+    prepare: async (userId, { list, items }) => {
+      const names = itemNames(items);
+      if (names.length === 0) return { error: 'Give at least one item to remove' };
+
+      const { access, error } = await resolveList(userId, list, 'editor');
+      if (error) return { error };
+
+      const listItems = await query('SELECT id, name FROM list_items WHERE list_id = $1', [access.list.id]);
+      const matches = [];
+      const missing = [];
+      for (const name of names) {
+        const wanted = normalizeItemName(name);
+        const found = listItems.rows.filter(row => normalizeItemName(row.name) === wanted);
+        const partial = found.length > 0
+          ? found
+          : listItems.rows.filter(row => normalizeItemName(row.name).includes(wanted));
+        if (partial.length === 0) missing.push(name);
+        for (const row of partial) {
+          if (!matches.some(match => match.id === row.id)) matches.push({ id: row.id, name: row.name });
+        }
+      }
+
+      if (matches.length === 0) return { error: `None of those items are on "${access.list.name}"` };
+
+      return {
+        summary: `Remove ${matches.map(match => match.name).join(', ')} from "${access.list.name}"`,
+        arguments: { listId: access.list.id, listName: access.list.name, items: matches },
+        result: { notFound: missing },
+      };
+    },
+    run: async (userId, { listId, items = [] }) => {
+      const { access, error } = await resolveList(userId, listId, 'editor');
+      if (error) return { error };
+
+      const operations = items.map(item => ({ type: 'delete', itemId: item.id }));
+      const { results } = await runBatch(access.list, userId, operations, { allOrNothing: false });
+      await publishBatchResults(access.list, userId, results);
+
+      const removed = items.filter((item, index) => results[index].status === 'applied');
+      return {
+        summary: `Removed ${removed.map(item => item.name).join(', ') || 'nothing'} from "${access.list.name}"`,
+        result: {
+          listId: access.list.id,
+          removed,
+          alreadyGone: items.filter((item, index) => results[index].status !== 'applied'),
+        },
+      };
+    },
+  },
+
+  check_pantry: {
+    description: 'Check whether the user\'s household already has items at home, with quantities and expiry dates.',
+    parameters: {
+      type: 'object',
+      properties: {
+        items: { type: 'array', items: { type: 'string' } },
+      },
+      required: ['items'],
+    },
+    run: async (userId, { items }) => {
+      const names = itemNames(items);
+      if (names.length === 0) return { error: 'Give at least one item to look for' };
+
+      const members = await householdUserIds(userId);
+      const found = [];
+      for (const name of names) {
+        const result = await query(
+          `SELECT * FROM pantry_items
+           WHERE user_id = ANY($1) AND status = 'available' AND quantity > 0
+             AND (normalized_name = $2 OR LOWER(name) LIKE $3)
+           ORDER BY expires_at NULLS LAST`,
+          [members, normalizeItemName(name), `%${name.toLowerCase()}%`]
+        );
+        found.push({ name, inPantry: result.rows.length > 0, items: result.rows.map(formatPantryItem) });
+      }
+
+      const have = found.filter(entry => entry.inPantry).map(entry => entry.name);
+      return {
+        summary: have.length > 0 ? `In the pantry: ${have.join(', ')}` : 'None of those are in the pantry',
+        result: { items: found },
+      };
+    },
+  },
+
+  save_recipe: {
+    description: 'Save a recipe to the user\'s recipes: an existing one by id, or a new one from title, ingredients and instructions.',
+    parameters: {
+      type: 'object',
+      properties: {
+        recipeId: { type: 'string', description: 'An existing recipe to save' },
+        title: { type: 'string' },
+        description: { type: 'string' },
+        servings: { type: 'number' },
+        time: { type: 'string', description: 'e.g. "30 min"' },
+        ingredients: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { name: { type: 'string' }, quantity: { type: 'string' }, unit: { type: 'string' } },
+          },
+        },
+        instructions: { type: 'array', items: { type: 'string' } },
+      },
+    },
+    run: async (userId, { recipeId, title, description, servings, time, ingredients, instructions }) => {
+      if (recipeId) {
+        const existing = UUID_PATTERN.test(String(recipeId))
+          ? await query('SELECT id, title FROM recipes WHERE id = $1', [recipeId])
+          : { rows: [] };
+        if (existing.rows.length === 0) return { error: 'Recipe not found' };
+
+        await saveRecipeForUser(userId, recipeId);
+        return {
+          summary: `Saved "${existing.rows[0].title}" to your recipes`,
+          result: { recipeId, title: existing.rows[0].title },
+        };
+      }
+
+      if (!title || !String(title).trim()) return { error: 'Recipe title is required' };
+
+      const recipe = await createRecipe(userId, {
+        title: String(title).trim(),
+        description,
+        servings,
+        time,
+        ingredients: Array.isArray(ingredients) ? ingredients : [],
+        instructions: Array.isArray(instructions) ? instructions : [],
+        isAIGenerated: true,
+      });
+      return {
+        summary: `Saved "${recipe.title}" to your recipes`,
+        result: { recipeId: recipe.id, title: recipe.title },
+      };
+    },
+  },
+
+  add_meal_to_plan: {
+    description: 'Add a meal to a day of one of the user\'s meal plans. Uses their most recent plan when none is named.',
+    parameters: {
+      type: 'object',
+      properties: {
+        plan: { type: 'string', description: 'Meal plan name or id' },
+        dayNumber: { type: 'integer', minimum: 1, description: 'Day of the plan, starting at 1' },
+        mealType: { type: 'string', enum: MEAL_TYPES },
+        recipeName: { type: 'string' },
+        recipeId: { type: 'string' },
+        calories: { type: 'integer' },
+      },
+      required: ['dayNumber', 'mealType'],
+    },
+    run: async (userId, { plan, dayNumber, mealType, recipeName, recipeId, calories }) => {
+      const day = parseInt(dayNumber);
+      if (!day || day < 1 || !mealType) return { error: 'Day number and meal type are required' };
+      if (!recipeName && !recipeId) return { error: 'Say which meal to add' };
+
+      const resolved = await resolveMealPlan(userId, plan);
+      if (resolved.error) return { error: resolved.error };
+
+      const meal = await addMealToPlan(resolved.plan.id, {
+        dayNumber: day,
+        mealType: String(mealType).toLowerCase(),
+        recipeId: recipeId && UUID_PATTERN.test(String(recipeId)) ? recipeId : null,
+        recipeName,
+        calories: calories || null,
+      });
+      return {
+        summary: `Added ${meal.recipeName || 'a meal'} to day ${meal.dayNumber} ${meal.mealType} in "${resolved.plan.name}"`,
+        result: { planId: resolved.plan.id, meal },
+      };
+    },
+  },
+};
+
+// Function definitions sent to the model
+const TOOL_DEFINITIONS = Object.entries(TOOLS).map(([name, tool]) => ({
+  name,
+  description: tool.description,
+  parameters: tool.parameters,
+}));
+
+// ── Action log ──────────────────────────────────────────────
+
+const formatAction = (row) => ({
+  id: row.id,
+  tool: row.tool,
+  arguments: row.arguments,
+  status: row.status,
+  summary: row.summary,
+  result: row.result,
+  error: row.error,
+  threadId: row.thread_id,
+  expiresAt: row.expires_at,
+  createdAt: row.created_at,
+  resolvedAt: row.resolved_at,
+});
+
+const recordAction = async (userId, threadId, tool, args, outcome, status) => {
+  const pending = status === 'pending';
+  const result = await query(
+    `INSERT INTO ai_actions (user_id, thread_id, tool, arguments, summary, status, result, error, expires_at, resolved_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      userId, threadId, tool, JSON.stringify(args || {}), outcome.summary || null, status,
+      outcome.result ? JSON.stringify(outcome.result) : null, outcome.error || null,
+      pending ? new Date(Date.now() + PENDING_ACTION_TTL_MINUTES * 60 * 1000) : null,
+      pending ? null : new Date(),
+    ]
+  );
+  return formatAction(result.rows[0]);
+};
+
+// Links a new conversation's actions to the thread saved after it
+const attachActionsToThread = async (actionIds, threadId) => {
+  if (actionIds.length === 0 || !threadId) return;
+  await query(
+    'UPDATE ai_actions SET thread_id = $1 WHERE id = ANY($2) AND thread_id IS NULL',
+    [threadId, actionIds]
+  );
+};
+
+// ── Call a tool ─────────────────────────────────────────────
+// Never throws: failures become 'failed' actions the model can
+// explain to the user.
+
+const callTool = async (userId, threadId, name, args = {}) => {
+  const tool = TOOLS[name];
+  if (!tool) {
+    return recordAction(userId, threadId, String(name).slice(0, 50), args, { error: `Unknown tool "${name}"` }, 'failed');
+  }
+
+  try {
+    if (tool.destructive) {
+      const prepared = await tool.prepare(userId, args);
+      if (prepared.error) return recordAction(userId, threadId, name, args, prepared, 'failed');
+      return recordAction(userId, threadId, name, prepared.arguments, prepared, 'pending');
+    }
+
+    const outcome = await tool.run(userId, args);
+    return recordAction(userId, threadId, name, args, outcome, outcome.error ? 'failed' : 'completed');
+  } catch (error) {
+    console.error(`Assistant tool ${name} error:`, error);
+    return recordAction(userId, threadId, name, args, { error: 'Something went wrong running this action' }, 'failed');
+  }
+};
+
+// What the model sees as the tool's result
+const toolOutput = (action) => (action.status === 'pending'
+  ? {
+    status: 'confirmation_required',
+    actionId: action.id,
+    summary: action.summary,
+    note: 'Nothing has changed yet. Ask the user to confirm this action.',
+  }
+  : { status: action.status, summary: action.summary, result: action.result, error: action.error });
+
+// ── Confirm / cancel a pending action ───────────────────────
+// Returns { action } or { status, error }.
+
+const findAction = async (actionId, userId) => {
+  const result = await query('SELECT * FROM ai_actions WHERE id = $1 AND user_id = $2', [actionId, userId]);
+  return result.rows[0] || null;
+};
+
+const unavailableAction = async (actionId, userId) => {
+  const row = await findAction(actionId, userId);
+  if (!row) return { status: 404, error: 'Action not found' };
+  if (row.status === 'pending') {
+    await query(
+      "UPDATE ai_actions SET status = 'expired', resolved_at = NOW() WHERE id = $1 AND status = 'pending'",
+      [row.id]
+    );
+    return { status: 410, error: 'This action has expired. Ask the assistant again.' };
+  }
+  return { status: 409, error: `This action is already ${row.status}` };
+};
+
+const confirmAction = async (actionId, userId) => {
+  // Claim it first so a double tap can't run it twice
+  const claimed = await query(
+    `UPDATE ai_actions SET status = 'confirmed'
+     WHERE id = $1 AND user_id = $2 AND status = 'pending' AND expires_at > NOW()
+     RETURNING *`,
+    [actionId, userId]
+  );
+  if (claimed.rows.length === 0) return unavailableAction(actionId, userId);
+
+  const row = claimed.rows[0];
+  let outcome;
+  try {
+    outcome = await TOOLS[row.tool].run(userId, row.arguments);
+  } catch (error) {
+    console.error(`Assistant tool ${row.tool} error:`, error);
+    outcome = { error: 'Something went wrong running this action' };
+  }
+
+  const updated = await query(
+    `UPDATE ai_actions SET status = $1, summary = COALESCE($2, summary), result = $3, error = $4, resolved_at = NOW()
+     WHERE id = $5
+     RETURNING *`,
+    [
+      outcome.error ? 'failed' : 'completed',
+      outcome.summary || null,
+      outcome.result ? JSON.stringify(outcome.result) : null,
+      outcome.error || null,
+      row.id,
+    ]
+  );
+  return { action: formatAction(updated.rows[0]) };
+};
+
+const cancelAction = async (actionId, userId) => {
+  const cancelled = await query(
+    `UPDATE ai_actions SET status = 'cancelled', resolved_at = NOW()
+     WHERE id = $1 AND user_id = $2 AND status = 'pending'
+     RETURNING *`,
+    [actionId, userId]
+  );
+  if (cancelled.rows.length === 0) return unavailableAction(actionId, userId);
+  return { action: formatAction(cancelled.rows[0]) };
+};
+
+// ── Run the assistant ───────────────────────────────────────
+// messages: system prompt + history + the new user message.
+// Calls the model, runs the tools it asks for, feeds the results
+// back, and repeats until it answers in text (or MAX_TOOL_ROUNDS).
+// Every round is a model call, so each one checks the daily quota
+// first and stops with what was done so far once it's used up.
+// Returns { response, actions }.
+
+const runAssistant = async (userId, { messages, message, threadId = null }) => {
+  const conversation = [...messages];
+  const actions = [];
+  let toolResults = [];
+  let overQuota = false;
+
+  for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+    if (isOverQuota(await getQuotaStatus(userId), 'calls')) {
+      overQuota = true;
+      break;
+    }
+
+    const reply = await ai.chatWithTools({
+      task: 'assistant',
+      userId,
+      messages: conversation,
+      tools: TOOL_DEFINITIONS,
+      input: { message, toolResults },
+      maxTokens: 600,
+      temperature: 0.3,
+    });
+
+    const calls = reply.toolCalls.slice(0, MAX_CALLS_PER_ROUND);
+    if (calls.length === 0) {
+      return { response: reply.content, actions };
+    }
+
+    conversation.push({
+      role: 'assistant',
+      content: reply.content || null,
+      tool_calls: calls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.arguments) },
+      })),
+    });
+
+    toolResults = [];
+    for (const call of calls) {
+      const action = await callTool(userId, threadId, call.name, call.arguments);
+      actions.push(action);
+      const output = { tool: call.name, ...toolOutput(action) };
+      toolResults.push(output);
+      conversation.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(output) });
+    }
+  }
+
+  // Still calling tools, or out of calls — report what was done
+  // rather than loop on
+  const done = actions.map(action => action.summary || action.error).filter(Boolean).join('. ');
+  return {
+    response: overQuota && !done ? "You've reached today's AI limit. Try again tomorrow." : done,
+    actions,
+  };
+};
+
+module.exports = {
+  TOOL_DEFINITIONS,
+  MAX_TOOL_ROUNDS,
+  PENDING_ACTION_TTL_MINUTES,
+  formatAction,
+  attachActionsToThread,
+  callTool,
+  confirmAction,
+  cancelAction,
+  runAssistant,
+};
@@ -0,0 +1,251 @@
+// src/utils/basketOptimizer.js
+// ============================================================
+// Basket Split Optimizer — cheapest way to shop a list across
+// up to three stores
+// ============================================================
+//
+// Every combination of 1..maxStores candidate stores is scored as
+//   goods: each item at the cheapest price among the chosen stores
+//          (list price when none of them has a price for it)
+//   + travel: each store after the first costs
+//          extraStopCost + costPerKm × round trip from the user
+// The first store is whichever of the chosen stores is cheapest to
+// reach, so a single-store plan never pays travel.
+//
+// Confidence blends store_prices.confidence with price age; lines
+// priced from the list itself count as low confidence.
+// ─────────────────────────────────────────────────────────────
+
+const { calculateDistance } = require('./helpers');
+
+const MAX_STORES = 3;
+const MAX_CANDIDATE_STORES = 12;
+
+const DEFAULT_COST_PER_KM = parseFloat(process.env.BASKET_COST_PER_KM) || 0.25;
+const DEFAULT_EXTRA_STOP_COST = parseFloat(process.env.BASKET_EXTRA_STOP_COST) || 1.5;
+
+// Confidence for a line with no store price
+const ESTIMATED_LINE_CONFIDENCE = 0.25;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// ── Price confidence ────────────────────────────────────────
+// Full weight for a week, fading to 30% at 90 days old.
+
+const ageFactor = (updatedAt, now = Date.now()) => {
+  if (!updatedAt) return 0.5;
+  const days = (now - new Date(updatedAt).getTime()) / (24 * 60 * 60 * 1000);
+  if (days <= 7) return 1;
+  if (days >= 90) return 0.3;
+  return 1 - ((days - 7) / 83) * 0.7;
+};
+
+const priceConfidence = (row) => {
+  const base = row.confidence !== null && row.confidence !== undefined ? parseFloat(row.confidence) : 1;
+  return Math.max(0, Math.min(1, base * ageFactor(row.updated_at)));
+};
+
+const confidenceLabel = (score) => {
+  if (score >= 0.75) return 'high';
+  if (score >= 0.45) return 'medium';
+  return 'low';
+};
+
+// ── Combinations of k stores ────────────────────────────────
+
+const combinations = (values, size) => {
+  if (size === 0) return [[]];
+  const result = [];
+  values.forEach((value, index) => {
+    for (const rest of combinations(values.slice(index + 1), size - 1)) {
+      result.push([value, ...rest]);
+    }
+  });
+  return result;
+};
+
+// ── Build candidate stores from price rows ──────────────────
+// priceRows: latest store_prices row per (store, barcode) joined
+// with the store's name / address / coordinates.
+
+const buildStores = (priceRows, origin) => {
+  const stores = new Map();
+  for (const row of priceRows) {
+    if (!stores.has(row.store_id)) {
+      const latitude = row.latitude !== null ? parseFloat(row.latitude) : null;
+      const longitude = row.longitude !== null ? parseFloat(row.longitude) : null;
+      stores.set(row.store_id, {
+        storeId: row.store_id,
+        storeName: row.store_name,
+        storeAddress: row.store_address,
+        latitude,
+        longitude,
+        distanceKm: origin && latitude !== null && longitude !== null
+          ? calculateDistance(origin.lat, origin.lng, latitude, longitude)
+          : null,
+        prices: new Map(),
+      });
+    }
+    stores.get(row.store_id).prices.set(row.barcode, {
+      price: parseFloat(row.price),
+      regularPrice: row.regular_price ? parseFloat(row.regular_price) : null,
+      confidence: priceConfidence(row),
+      updatedAt: row.updated_at,
+    });
+  }
+  return [...stores.values()];
+};
+
+// ── Score one store combination ─────────────────────────────
+
+const travelCost = (store, options) => {
+  if (store.distanceKm === null) return options.extraStopCost;
+  return options.extraStopCost + options.costPerKm * store.distanceKm * 2;
+};
+
+const evaluatePlan = (stores, items, options) => {
+  const assignments = items.map(item => {
+    const quantity = parseFloat(item.quantity) || 1;
+    let best = null;
+    if (item.barcode) {
+      for (const store of stores) {
+        const price = store.prices.get(item.barcode);
+        if (price && price.price > 0 && (!best || price.price < best.price.price)) {
+          best = { store, price };
+        }
+      }
+    }
+    return best
+      ? { item, quantity, store: best.store, unitPrice: best.price.price, price: best.price, estimated: false }
+      : { item, quantity, store: null, unitPrice: parseFloat(item.price) || 0, price: null, estimated: true };
+  });
+
+  // Stores that ended up with nothing assigned don't need a trip.
+  // The closest remaining store is the "main" one and travels free.
+  const usedStores = stores.filter(store => assignments.some(a => a.store === store));
+  const tripStores = (usedStores.length > 0 ? usedStores : stores.slice(0, 1))
+    .sort((a, b) => travelCost(a, options) - travelCost(b, options));
+
+  const travel = tripStores
+    .slice(1)
+    .reduce((sum, store) => sum + travelCost(store, options), 0);
+
+  const goods = assignments.reduce((sum, a) => sum + a.unitPrice * a.quantity, 0);
+
+  return { stores: tripStores, assignments, goods, travel, total: goods + travel };
+};
+
+// ── Plan confidence (weighted by line cost) ─────────────────
+
+const planConfidence = (assignments) => {
+  let weighted = 0;
+  let weight = 0;
+  for (const a of assignments) {
+    const lineWeight = Math.max(a.unitPrice * a.quantity, 0.01);
+    weighted += lineWeight * (a.estimated ? ESTIMATED_LINE_CONFIDENCE : a.price.confidence);
+    weight += lineWeight;
+  }
+  return weight > 0 ? Math.round((weighted / weight) * 100) / 100 : 0;
+};
+
+// ── Response shape for a plan ───────────────────────────────
+
+const formatPlan = (plan, options) => {
+  // Estimated lines go with the first store of the trip
+  const [primary] = plan.stores;
+
+  const stops = plan.stores.map(store => {
+    const lines = plan.assignments.filter(a => a.store === store || (a.estimated && store === primary));
+    return {
+      storeId: store.storeId,
+      storeName: store.storeName,
+      storeAddress: store.storeAddress,
+      latitude: store.latitude,
+      longitude: store.longitude,
+      distanceKm: store.distanceKm,
+      travelCost: store === primary ? 0 : roundCents(travelCost(store, options)),
+      items: lines.map(a => ({
+        itemId: a.item.id,
+        name: a.item.name,
+        barcode: a.item.barcode || null,
+        quantity: a.quantity,
+        price: roundCents(a.unitPrice),
+        regularPrice: a.price ? a.price.regularPrice : null,
+        lineTotal: roundCents(a.unitPrice * a.quantity),
+        estimated: a.estimated,
+        confidence: a.estimated ? ESTIMATED_LINE_CONFIDENCE : Math.round(a.price.confidence * 100) / 100,
+        priceUpdatedAt: a.price ? a.price.updatedAt : null,
+      })),
+      subtotal: roundCents(lines.reduce((sum, a) => sum + a.unitPrice * a.quantity, 0)),
+    };
+  });
+
+  const confidence = planConfidence(plan.assignments);
+
+  return {
+    stores: stops,
+    goodsTotal: roundCents(plan.goods),
+    travelCost: roundCents(plan.travel),
+    total: roundCents(plan.total),
+    estimatedItems: plan.assignments.filter(a => a.estimated).length,
+    confidence,
+    confidenceLabel: confidenceLabel(confidence),
+  };
+};
+
+// ── Optimize ────────────────────────────────────────────────
+// options: { maxStores, origin: { lat, lng } | null, costPerKm,
+//            extraStopCost, maxDistanceKm }
+
+const optimizeBasket = (items, priceRows, options) => {
+  const settings = {
+    maxStores: Math.min(Math.max(parseInt(options.maxStores) || 2, 1), MAX_STORES),
+    costPerKm: options.costPerKm ?? DEFAULT_COST_PER_KM,
+    extraStopCost: options.extraStopCost ?? DEFAULT_EXTRA_STOP_COST,
+    maxDistanceKm: options.maxDistanceKm ?? null,
+  };
+
+  let stores = buildStores(priceRows, options.origin);
+  if (options.origin && settings.maxDistanceKm) {
+    stores = stores.filter(store => store.distanceKm === null || store.distanceKm <= settings.maxDistanceKm);
+  }
+
+  if (stores.length === 0) {
+    return { settings, candidateStores: 0, best: null, singleStore: null, savings: 0 };
+  }
+
+  // Keep the search small: stores covering the most items first
+  const barcodes = new Set(items.filter(i => i.barcode).map(i => i.barcode));
+  stores = stores
+    .map(store => ({ store, coverage: [...barcodes].filter(b => store.prices.has(b)).length }))
+    .sort((a, b) => b.coverage - a.coverage || (a.store.distanceKm ?? 0) - (b.store.distanceKm ?? 0))
+    .slice(0, MAX_CANDIDATE_STORES)
+    .map(({ store }) => store);
+
+  let best = null;
+  let singleStore = null;
+
+  for (let size = 1; size <= Math.min(settings.maxStores, stores.length); size++) {
+    for (const combo of combinations(stores, size)) {
+      const plan = evaluatePlan(combo, items, settings);
+      if (size === 1 && (!singleStore || plan.total < singleStore.total)) singleStore = plan;
+      if (!best || plan.total < best.total - 0.005) best = plan;
+    }
+  }
+
+  return {
+    settings,
+    candidateStores: stores.length,
+    best: formatPlan(best, settings),
+    singleStore: formatPlan(singleStore, settings),
+    savings: roundCents(singleStore.total - best.total),
+  };
+};
+
+module.exports = {
+  MAX_STORES,
+  DEFAULT_COST_PER_KM,
+  DEFAULT_EXTRA_STOP_COST,
+  priceConfidence,
+  optimizeBasket,
+};
@@ -88,6 +88,23 @@ const parsePrice = (priceStr) => {
   return isNaN(parsed) ? 0 : Math.round(parsed * 100) / 100;
 };
 
+// ── Parse Quantity String ───────────────────────────────────
+// Fractional quantities: "1/2" → 0.5, "1 1/2" → 1.5, "3" → 3
+
+const parseQuantity = (quantity) => {
+  if (typeof quantity === 'string') {
+    const fracMatch = quantity.trim().match(/^(\d+)?\s*(\d+)\/(\d+)$/);
+    if (fracMatch) {
+      const whole = parseInt(fracMatch[1] || '0');
+      const num = parseInt(fracMatch[2]);
+      const den = parseInt(fracMatch[3]);
+      return den > 0 ? whole + (num / den) : 1;
+    }
+    return parseFloat(quantity) || 1;
+  }
+  return quantity || 1;
+};
+
 // ── Format Currency ─────────────────────────────────────────
 
 const formatCurrency = (amount, currency = 'USD') => {
@@ -185,6 +202,7 @@ module.exports = {
   validatePassword,
   sanitizeString,
   parsePrice,
+  parseQuantity,
   formatCurrency,
   calculateDistance,
   detectDepartment,
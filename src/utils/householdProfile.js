@@ -0,0 +1,211 @@
+// src/utils/householdProfile.js
+// ============================================================
+// Household Profile — who eats here, and what they can't eat
+// ============================================================
+//
+// A household is the user, the users they have accepted
+// family_links with, and everyone's family_members. Each member
+// brings their own dietary_restrictions and allergens.
+//
+// resolveHouseholdProfile merges them for the people actually
+// eating — everyone, unless the caller names them:
+//
+//   eaters  ids or names, e.g. ['me', 'Emma'] or 'me, Emma'
+//           ("me" / "you" is the user)
+//
+// Free text is never used to narrow the table: a name like "Sage"
+// or "Rosemary" in a prompt is as likely an ingredient as a person,
+// and leaving someone out drops their allergens.
+//
+// Restrictions are merged as a union: one vegetarian at the table
+// makes the meal vegetarian.
+// ─────────────────────────────────────────────────────────────
+
+const { query } = require('../models/db');
+const { householdUserIds } = require('./pantry');
+const { canonicalAllergen, detectAllergens, mentionsAny } = require('./allergenSafety');
+
+const SELF_WORDS = ['me', 'myself', 'you', 'self'];
+
+// ── Restriction rules ───────────────────────────────────────
+// What each restriction rules out, as allergens (see
+// allergenSafety.js) and extra keywords. Restrictions not listed
+// here (keto, organic, low-sodium, ...) can't be checked from an
+// ingredient name and are only passed on to the model.
+
+const MEAT_KEYWORDS = ['meat', 'beef', 'steak', 'pork', 'bacon', 'ham', 'chicken', 'turkey', 'lamb', 'veal',
+  'sausage', 'prosciutto', 'pancetta', 'chorizo', 'salami', 'pepperoni', 'meatball', 'duck', 'venison',
+  'gelatin', 'lard'];
+const PORK_KEYWORDS = ['pork', 'bacon', 'ham', 'prosciutto', 'pancetta', 'chorizo', 'salami', 'pepperoni', 'lard'];
+
+const RESTRICTION_RULES = {
+  'vegetarian': { allergens: ['fish', 'shellfish'], keywords: MEAT_KEYWORDS },
+  'vegan': { allergens: ['fish', 'shellfish', 'dairy', 'eggs'], keywords: [...MEAT_KEYWORDS, 'honey'] },
+  'pescatarian': { allergens: [], keywords: MEAT_KEYWORDS },
+  'gluten free': { allergens: ['wheat'], keywords: [] },
+  'dairy free': { allergens: ['dairy'], keywords: [] },
+  'lactose free': { allergens: ['dairy'], keywords: [] },
+  'nut free': { allergens: ['peanuts', 'tree nuts'], keywords: [] },
+  'egg free': { allergens: ['eggs'], keywords: [] },
+  'soy free': { allergens: ['soy'], keywords: [] },
+  'halal': { allergens: [], keywords: [...PORK_KEYWORDS, 'wine', 'beer'] },
+  'kosher': { allergens: ['shellfish'], keywords: PORK_KEYWORDS },
+};
+
+const restrictionKey = (restriction) => String(restriction || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// ── Members ─────────────────────────────────────────────────
+// Returns [{ id, name, kind, relationship, isYou, addedBy,
+//            dietaryRestrictions, allergens }]
+//   kind: 'user' (you or a linked user) or 'family_member'
+
+const loadHouseholdMembers = async (userId) => {
+  const userIds = await householdUserIds(userId);
+  const result = await query(
+    `SELECT u.id, u.name, NULL AS relationship, 'user' AS kind, NULL::uuid AS added_by,
+       s.dietary_restrictions, s.allergens, u.id = $2 AS is_you
+     FROM users u
+     LEFT JOIN user_settings s ON s.user_id = u.id
+     WHERE u.id = ANY($1)
+     UNION ALL
+     SELECT fm.id, fm.name, fm.relationship, 'family_member' AS kind, fm.user_id AS added_by,
+       fm.dietary_restrictions, fm.allergens, FALSE AS is_you
+     FROM family_members fm
+     WHERE fm.user_id = ANY($1)`,
+    [userIds, userId]
+  );
+
+  return result.rows
+    .map(row => ({
+      id: row.id,
+      name: row.name,
+      kind: row.kind,
+      relationship: row.relationship,
+      isYou: row.is_you,
+      addedBy: row.added_by,
+      dietaryRestrictions: row.dietary_restrictions || [],
+      allergens: row.allergens || [],
+    }))
+    .sort((a, b) => Number(b.isYou) - Number(a.isYou));
+};
+
+// ── Who is eating ───────────────────────────────────────────
+// Returns { eaters, unknown }; unknown lists selections that match
+// nobody.
+
+const memberLabel = (member) => (member.isYou ? 'You' : member.name);
+
+const matchesMember = (member, selection) => {
+  const wanted = String(selection).trim().toLowerCase();
+  if (!wanted) return false;
+  if (member.isYou && SELF_WORDS.includes(wanted)) return true;
+  const name = member.name.toLowerCase();
+  return member.id === selection || name === wanted || name.split(/\s+/)[0] === wanted;
+};
+
+const selectEaters = (members, { eaters } = {}) => {
+  const selections = typeof eaters === 'string' ? eaters.split(',') : eaters;
+
+  if (Array.isArray(selections) && selections.some(selection => String(selection).trim())) {
+    const wanted = selections.map(selection => String(selection).trim()).filter(Boolean);
+    return {
+      eaters: members.filter(member => wanted.some(selection => matchesMember(member, selection))),
+      unknown: wanted.filter(selection => !members.some(member => matchesMember(member, selection))),
+    };
+  }
+
+  return { eaters: members, unknown: [] };
+};
+
+// ── Profile ─────────────────────────────────────────────────
+// Returns {
+//   members, eatingFor: [{ id, name }],
+//   dietaryRestrictions, allergens,                merged lists
+//   restrictionDetails: [{ restriction, people }],
+//   allergenDetails: [{ allergen, people }],        for allergenSafety
+//   unknownEaters
+// }
+
+const mergeByPerson = (eaters, field, normalize) => {
+  const merged = new Map();
+  for (const member of eaters) {
+    for (const label of member[field]) {
+      const value = normalize(label);
+      if (!value) continue;
+      if (!merged.has(value)) merged.set(value, new Set());
+      merged.get(value).add(memberLabel(member));
+    }
+  }
+  return [...merged].map(([value, people]) => ({ value, people: [...people] }));
+};
+
+const resolveHouseholdProfile = async (userId, selection = {}) => {
+  const members = await loadHouseholdMembers(userId);
+  const { eaters, unknown } = selectEaters(members, selection);
+
+  const restrictions = mergeByPerson(eaters, 'dietaryRestrictions', label => String(label || '').trim().toLowerCase());
+  const allergens = mergeByPerson(eaters, 'allergens', label => canonicalAllergen(label) || restrictionKey(label));
+
+  return {
+    members,
+    eatingFor: eaters.map(member => ({ id: member.id, name: memberLabel(member) })),
+    dietaryRestrictions: restrictions.map(({ value }) => value),
+    allergens: allergens.map(({ value }) => value),
+    restrictionDetails: restrictions.map(({ value, people }) => ({ restriction: value, people })),
+    allergenDetails: allergens.map(({ value, people }) => ({ allergen: value, people })),
+    unknownEaters: unknown,
+  };
+};
+
+// ── Prompt lines ────────────────────────────────────────────
+
+const withPeople = (value, people, everyone) => (
+  people.length === everyone ? value : `${value} (${people.join(', ')})`
+);
+
+const describeProfile = (profile) => {
+  const everyone = profile.eatingFor.length;
+  const restrictions = profile.restrictionDetails.map(({ restriction, people }) => withPeople(restriction, people, everyone));
+  const allergens = profile.allergenDetails.map(({ allergen, people }) => withPeople(allergen, people, everyone));
+
+  return [
+    everyone > 1 ? `Cooking for: ${profile.eatingFor.map(({ name }) => name).join(', ')}` : null,
+    `Dietary restrictions: ${restrictions.join(', ') || 'None'}`,
+    `Allergens: ${allergens.join(', ') || 'None'}`,
+  ].filter(Boolean).join('\n');
+};
+
+// ── Recipe conflicts ────────────────────────────────────────
+// Returns { allergens, restrictions } a recipe's ingredients break
+// for the profile — empty lists when it's suitable.
+
+const recipeConflicts = (recipe, profile) => {
+  const names = (recipe.ingredients || [])
+    .map(ingredient => (typeof ingredient === 'string' ? ingredient : ingredient?.item || ingredient?.name))
+    .filter(Boolean);
+
+  const allergens = new Set();
+  const restrictions = new Set();
+  for (const name of names) {
+    detectAllergens(name, profile.allergens).forEach(allergen => allergens.add(allergen));
+
+    for (const restriction of profile.dietaryRestrictions) {
+      const rule = RESTRICTION_RULES[restrictionKey(restriction)];
+      if (!rule) continue;
+      if (detectAllergens(name, rule.allergens).length > 0 || mentionsAny(name, rule.keywords)) {
+        restrictions.add(restriction);
+      }
+    }
+  }
+
+  return { allergens: [...allergens], restrictions: [...restrictions] };
+};
+
+module.exports = {
+  RESTRICTION_RULES,
+  loadHouseholdMembers,
+  selectEaters,
+  resolveHouseholdProfile,
+  describeProfile,
+  recipeConflicts,
+};
@@ -0,0 +1,215 @@
+// src/utils/ingredientMerge.js
+// ============================================================
+// Ingredient Consolidation — merge duplicate list lines
+// ============================================================
+//
+// Adding "1 lb onions" to a list that already has an unchecked
+// "Onion — 8 oz" line tops that line up to 1.5 lb instead of
+// inserting a second row. Two lines merge when:
+//   - their names normalize to the same thing
+//     ("Red Onions," → "red onion")
+//   - their units measure the same thing (mass, volume or count);
+//     any other unit ("slices", "cloves") only merges with itself
+//   - neither is weight-priced or carries a different barcode
+//
+// Every merged line keeps list_items.sources: one entry per
+// contribution ({ type: 'user' | 'recipe', quantity, unit, ... }).
+// ─────────────────────────────────────────────────────────────
+
+const { parseQuantity } = require('./helpers');
+
+// ── Units ───────────────────────────────────────────────────
+// factor = size of one unit in the dimension's base (g / ml / each)
+
+const UNITS = {
+  g: { dimension: 'mass', factor: 1 },
+  kg: { dimension: 'mass', factor: 1000 },
+  oz: { dimension: 'mass', factor: 28.3495 },
+  lb: { dimension: 'mass', factor: 453.592 },
+  ml: { dimension: 'volume', factor: 1 },
+  l: { dimension: 'volume', factor: 1000 },
+  tsp: { dimension: 'volume', factor: 4.92892 },
+  tbsp: { dimension: 'volume', factor: 14.7868 },
+  'fl oz': { dimension: 'volume', factor: 29.5735 },
+  cup: { dimension: 'volume', factor: 236.588 },
+  pint: { dimension: 'volume', factor: 473.176 },
+  quart: { dimension: 'volume', factor: 946.353 },
+  gallon: { dimension: 'volume', factor: 3785.41 },
+  each: { dimension: 'count', factor: 1 },
+  dozen: { dimension: 'count', factor: 12 },
+};
+
+const UNIT_ALIASES = {
+  gram: 'g', grams: 'g', gr: 'g',
+  kilogram: 'kg', kilograms: 'kg', kgs: 'kg',
+  ounce: 'oz', ounces: 'oz',
+  pound: 'lb', pounds: 'lb', lbs: 'lb',
+  milliliter: 'ml', milliliters: 'ml', millilitre: 'ml', millilitres: 'ml',
+  liter: 'l', liters: 'l', litre: 'l', litres: 'l',
+  teaspoon: 'tsp', teaspoons: 'tsp', tsps: 'tsp',
+  tablespoon: 'tbsp', tablespoons: 'tbsp', tbsps: 'tbsp', tbs: 'tbsp',
+  'fluid ounce': 'fl oz', 'fluid ounces': 'fl oz', floz: 'fl oz',
+  cups: 'cup', c: 'cup',
+  pints: 'pint', pt: 'pint', pts: 'pint',
+  quarts: 'quart', qt: 'quart', qts: 'quart',
+  gallons: 'gallon', gal: 'gallon', gals: 'gallon',
+  ea: 'each', ct: 'each', count: 'each', whole: 'each',
+  pc: 'each', pcs: 'each', piece: 'each', pieces: 'each',
+};
+
+// ── Normalize a unit string ─────────────────────────────────
+// Blank means "each". Unknown units come back lower-cased as-is.
+
+const normalizeUnit = (unit) => {
+  if (unit === null || unit === undefined) return 'each';
+  const cleaned = String(unit).trim().toLowerCase().replace(/\.$/, '').replace(/\s+/g, ' ');
+  if (!cleaned) return 'each';
+  return UNIT_ALIASES[cleaned] || cleaned;
+};
+
+const isKnownUnit = (unit) => Boolean(UNITS[normalizeUnit(unit)]);
+
+const unitInfo = (unit) => {
+  const normalized = normalizeUnit(unit);
+  return UNITS[normalized] || { dimension: `unit:${normalized}`, factor: 1 };
+};
+
+// ── Normalize an item name for matching ─────────────────────
+
+const singularize = (word) => {
+  if (word.length <= 3 || word.endsWith('ss')) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (/(oes|ches|shes|xes)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+};
+
+const normalizeItemName = (name) =>
+  String(name || '')
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(singularize)
+    .join(' ');
+
+// ── Unit conversion ─────────────────────────────────────────
+// Returns null when the units measure different things.
+
+const convertQuantity = (quantity, fromUnit, toUnit) => {
+  const from = unitInfo(fromUnit);
+  const to = unitInfo(toUnit);
+  if (from.dimension !== to.dimension) return null;
+  return (quantity * from.factor) / to.factor;
+};
+
+const canMergeUnits = (a, b) => unitInfo(a).dimension === unitInfo(b).dimension;
+
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+// ── Combine two quantities ──────────────────────────────────
+// The total is expressed in the larger of the two units, so
+// 1 cup + 2 tbsp reads as 1.125 cup rather than 18 tbsp.
+
+const combineQuantities = (existing, incoming) => {
+  const existingQty = parseQuantity(existing.quantity);
+  const incomingQty = parseQuantity(incoming.quantity);
+
+  if (!canMergeUnits(existing.unit, incoming.unit)) return null;
+
+  const target = unitInfo(incoming.unit).factor > unitInfo(existing.unit).factor
+    ? incoming.unit
+    : existing.unit;
+
+  const total = convertQuantity(existingQty, existing.unit, target)
+    + convertQuantity(incomingQty, incoming.unit, target);
+
+  return { quantity: roundQuantity(total), unit: target || null };
+};
+
+// ── Provenance entries ──────────────────────────────────────
+
+const buildSource = ({ type = 'user', userId = null, recipeId = null, recipeName = null, quantity, unit }) => ({
+  type,
+  userId,
+  ...(recipeId ? { recipeId, recipeName } : {}),
+  quantity: parseQuantity(quantity),
+  unit: unit || null,
+  addedAt: new Date().toISOString(),
+});
+
+// Lines created before merging existed have no sources yet
+const existingSources = (row) => {
+  if (Array.isArray(row.sources) && row.sources.length > 0) return row.sources;
+  return [{
+    type: 'user',
+    userId: row.added_by || null,
+    quantity: parseQuantity(row.quantity),
+    unit: row.unit || null,
+    addedAt: row.created_at ? new Date(row.created_at).toISOString() : null,
+  }];
+};
+
+// ── Find an unchecked line the new entry can merge into ─────
+
+const findMergeTarget = async (client, listId, { name, unit, barcode }) => {
+  const normalized = normalizeItemName(name);
+  if (!normalized) return null;
+
+  const result = await client.query(
+    `SELECT * FROM list_items
+     WHERE list_id = $1 AND checked = false AND weight_value IS NULL
+     ORDER BY created_at
+     FOR UPDATE`,
+    [listId]
+  );
+
+  return result.rows.find(row =>
+    normalizeItemName(row.name) === normalized &&
+    canMergeUnits(row.unit, unit) &&
+    !(barcode && row.barcode && row.barcode !== barcode)
+  ) || null;
+};
+
+// ── Merge an entry into an existing line ────────────────────
+// Returns the updated row. Unit price follows the unit change.
+
+const mergeIntoItem = async (client, row, entry, source) => {
+  const combined = combineQuantities(row, entry);
+  const unitPrice = parseFloat(row.price) || 0;
+  const price = unitPrice > 0
+    ? Math.round(unitPrice * unitInfo(combined.unit).factor / unitInfo(row.unit).factor * 100) / 100
+    : parseFloat(entry.price) || 0;
+
+  const result = await client.query(
+    `UPDATE list_items SET
+       quantity = $1,
+       unit = $2,
+       price = $3,
+       barcode = COALESCE(barcode, $4),
+       sources = $5,
+       updated_at = NOW()
+     WHERE id = $6
+     RETURNING *`,
+    [
+      combined.quantity, combined.unit, price, entry.barcode || null,
+      JSON.stringify([...existingSources(row), source]),
+      row.id,
+    ]
+  );
+
+  return result.rows[0];
+};
+
+module.exports = {
+  normalizeUnit,
+  isKnownUnit,
+  normalizeItemName,
+  convertQuantity,
+  canMergeUnits,
+  combineQuantities,
+  buildSource,
+  findMergeTarget,
+  mergeIntoItem,
+};
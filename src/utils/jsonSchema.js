@@ -0,0 +1,140 @@
+// src/utils/jsonSchema.js
+// ============================================================
+// JSON Schema — a small validator for the subset we use
+// ============================================================
+//
+// Supported keywords:
+//
+//   type (one or a list), enum, const, properties, required,
+//   items, minItems, maxItems, minLength, minimum, maximum,
+//   allOf, anyOf, if / then / else
+//
+// Anything else is ignored, as unknown keywords are in JSON
+// Schema. Errors read like "/recipes/0/ingredients must be array".
+// ─────────────────────────────────────────────────────────────
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const at = (path) => path || '(root)';
+
+// ── Validate ────────────────────────────────────────────────
+// Returns a list of error strings; empty when the value is valid.
+
+const validateSchema = (schema, value, path = '') => {
+  if (!schema) return [];
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${at(path)} must be ${types.join(' or ')}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at(path)} must be one of: ${schema.enum.join(', ')}`);
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push(`${at(path)} must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${at(path)} must not be empty`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at(path)} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at(path)} must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at(path)} must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${at(path)} must have at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}/${index}`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}/${key} is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateSchema(propertySchema, value[key], `${path}/${key}`));
+    }
+  }
+
+  for (const subschema of schema.allOf || []) {
+    errors.push(...validateSchema(subschema, value, path));
+  }
+  if (schema.anyOf && !schema.anyOf.some(subschema => validateSchema(subschema, value, path).length === 0)) {
+    errors.push(`${at(path)} doesn't match any allowed shape`);
+  }
+  if (schema.if) {
+    const branch = validateSchema(schema.if, value, path).length === 0 ? schema.then : schema.else;
+    errors.push(...validateSchema(branch, value, path));
+  }
+
+  return errors;
+};
+
+// ── Prune ───────────────────────────────────────────────────
+// Drops what can be dropped without breaking the schema: invalid
+// array items and invalid optional properties. Returns a copy;
+// check it with validateSchema, since required parts may still be
+// wrong.
+
+// The schema and every subschema that applies to this value: allOf
+// entries and the if/then/else branch taken, followed recursively
+const subschemasFor = (schema, value) => {
+  if (!schema) return [];
+  const branch = schema.if
+    ? (validateSchema(schema.if, value).length === 0 ? schema.then : schema.else)
+    : null;
+  return [
+    schema,
+    ...(schema.allOf || []).flatMap(subschema => subschemasFor(subschema, value)),
+    ...subschemasFor(branch, value),
+  ];
+};
+
+const pruneToSchema = (schema, value) => {
+  if (!schema || value === null || typeof value !== 'object') return value;
+
+  if (Array.isArray(value)) {
+    if (!schema.items) return value;
+    return value
+      .map(item => pruneToSchema(schema.items, item))
+      .filter(item => validateSchema(schema.items, item).length === 0);
+  }
+
+  const applicable = subschemasFor(schema, value);
+  const required = new Set(applicable.flatMap(subschema => subschema.required || []));
+  const pruned = { ...value };
+  for (const subschema of applicable) {
+    for (const [key, propertySchema] of Object.entries(subschema.properties || {})) {
+      if (pruned[key] === undefined) continue;
+      pruned[key] = pruneToSchema(propertySchema, pruned[key]);
+      if (!required.has(key) && validateSchema(propertySchema, pruned[key]).length > 0) delete pruned[key];
+    }
+  }
+  return pruned;
+};
+
+module.exports = {
+  validateSchema,
+  pruneToSchema,
+};
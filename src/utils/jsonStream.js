@@ -0,0 +1,155 @@
+// src/utils/jsonStream.js
+// ============================================================
+// JSON Stream — pick values out of a JSON object as it streams
+// ============================================================
+//
+// Feed the raw text of one top-level JSON object in any number of
+// chunks. Callbacks fire as soon as a piece is complete:
+//
+//   onField(key, value)              a top-level field's full value
+//   onArrayItem(key, index, value)   one element of a top-level array
+//
+// For {"mode":"recipe","suggestions":[{...},{...}]} that is
+// onField('mode'), onArrayItem('suggestions', 0), onArrayItem(
+// 'suggestions', 1), then onField('suggestions') with the array.
+// Text outside the object (```json fences, chatter) is ignored.
+// ─────────────────────────────────────────────────────────────
+
+const WHITESPACE = /\s/;
+
+const createJSONStreamParser = ({ onField = () => {}, onArrayItem = () => {} } = {}) => {
+  let text = '';
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let stringStart = -1;
+  let done = false;
+
+  // Top level (depth 1)
+  let expectingKey = false;
+  let readingKey = false;
+  let key = null;
+  let scalarStart = -1;
+
+  // The current field's value (depth 2) and its array elements (depth 3)
+  let valueStart = -1;
+  let valueIsArray = false;
+  let itemIndex = 0;
+  let itemStart = -1;
+
+  const parse = (start, end) => {
+    try {
+      return { ok: true, value: JSON.parse(text.slice(start, end)) };
+    } catch (error) {
+      return { ok: false };
+    }
+  };
+
+  const emitField = (start, end) => {
+    const parsed = parse(start, end);
+    if (parsed.ok && key !== null) onField(key, parsed.value);
+  };
+
+  const emitItem = (start, end) => {
+    const parsed = parse(start, end);
+    if (parsed.ok && key !== null) onArrayItem(key, itemIndex++, parsed.value);
+  };
+
+  // Numbers, true, false and null end at the next , ] or }
+  const endScalars = (index) => {
+    if (depth === 1 && scalarStart !== -1) {
+      emitField(scalarStart, index);
+      scalarStart = -1;
+    } else if (depth === 2 && valueIsArray && itemStart !== -1) {
+      emitItem(itemStart, index);
+      itemStart = -1;
+    }
+  };
+
+  const step = (char, index) => {
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+        if (depth === 1 && readingKey) {
+          readingKey = false;
+          key = parse(stringStart, index + 1).value;
+        } else if (depth === 1) {
+          emitField(stringStart, index + 1);
+        } else if (depth === 2 && valueIsArray) {
+          emitItem(stringStart, index + 1);
+        }
+      }
+      return;
+    }
+
+    if (depth === 0) {
+      if (char === '{') {
+        depth = 1;
+        expectingKey = true;
+      }
+      return;
+    }
+
+    switch (char) {
+      case '"':
+        inString = true;
+        stringStart = index;
+        if (depth === 1 && expectingKey) {
+          expectingKey = false;
+          readingKey = true;
+        }
+        return;
+      case '{':
+      case '[':
+        depth++;
+        if (depth === 2) {
+          valueStart = index;
+          valueIsArray = char === '[';
+          itemIndex = 0;
+        } else if (depth === 3 && valueIsArray) {
+          itemStart = index;
+        }
+        return;
+      case '}':
+      case ']':
+        endScalars(index);
+        if (depth === 3 && valueIsArray) {
+          emitItem(itemStart, index + 1);
+          itemStart = -1;
+        } else if (depth === 2) {
+          emitField(valueStart, index + 1);
+        }
+        depth--;
+        if (depth === 0) done = true;
+        return;
+      case ',':
+        endScalars(index);
+        if (depth === 1) expectingKey = true;
+        return;
+      case ':':
+        return;
+      default:
+        if (WHITESPACE.test(char)) return;
+        if (depth === 1 && !expectingKey && scalarStart === -1) scalarStart = index;
+        if (depth === 2 && valueIsArray && itemStart === -1) itemStart = index;
+    }
+  };
+
+  return {
+    write: (chunk) => {
+      const start = text.length;
+      text += chunk;
+      for (let i = start; i < text.length && !done; i++) step(text[i], i);
+    },
+    text: () => text,
+    isComplete: () => done,
+  };
+};
+
+module.exports = {
+  createJSONStreamParser,
+};
@@ -0,0 +1,224 @@
+// src/utils/listBatch.js
+// ============================================================
+// List Batch — apply many item operations in one transaction
+// ============================================================
+//
+// Shared by POST /api/lists/:id/items/batch and the AI assistant's
+// list tools. Callers do the access check (editor or above) first.
+//
+// Operations, applied in order:
+//   add      { fields: { name, quantity, unit, price, department, notes, brand },
+//              barcode?, merge? }
+//   update   { itemId, fields }
+//   delete   { itemId }
+//   toggle   { itemId, checked? }   — flips when checked is omitted
+//   reorder  { itemIds }            — order within each department
+// ─────────────────────────────────────────────────────────────
+
+const { transaction } = require('../models/db');
+const { detectDepartment } = require('./helpers');
+const { publishListEvent } = require('./listEvents');
+const { recordListEvent } = require('./listHistory');
+const { buildSource, findMergeTarget, mergeIntoItem } = require('./ingredientMerge');
+const { checkBudgetAlert } = require('./listBudget');
+const { syncPantryForItem, checkPantryStock } = require('./pantry');
+const { normalizeSyncFields, formatSyncItem } = require('./listSync');
+
+const MAX_BATCH_OPERATIONS = 200;
+const BATCH_WEIGHT_DEPARTMENTS = ['produce', 'deli', 'meat', 'seafood', 'bulk'];
+
+const applyBatchOperation = async (client, op, list, userId) => {
+  const listId = list.id;
+  const base = { opId: op.opId || null, type: op.type, itemId: op.itemId || null };
+
+  if (op.type === 'add') {
+    const fields = normalizeSyncFields(op.fields);
+    if (!fields.name) {
+      return { ...base, status: 'rejected', reason: 'name_required' };
+    }
+
+    const department = fields.department || detectDepartment(fields.name);
+    const quantity = fields.quantity || 1;
+    const barcode = op.barcode || null;
+    const source = buildSource({ userId, quantity, unit: fields.unit });
+
+    if (op.merge !== false && !BATCH_WEIGHT_DEPARTMENTS.includes(department.toLowerCase())) {
+      const target = await findMergeTarget(client, listId, { name: fields.name, unit: fields.unit, barcode });
+      if (target) {
+        const updated = await mergeIntoItem(client, target, { quantity, unit: fields.unit, price: fields.price, barcode }, source);
+        await recordListEvent({
+          listId,
+          itemId: updated.id,
+          actorId: userId,
+          action: 'item_updated',
+          before: target,
+          after: updated,
+          source: 'merge',
+        }, client);
+        return { ...base, itemId: updated.id, status: 'applied', merged: true, item: formatSyncItem(updated), event: 'item_updated' };
+      }
+    }
+
+    const inserted = await client.query(
+      `INSERT INTO list_items (list_id, name, price, quantity, unit, department, notes, brand, barcode, added_by, sources)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING *`,
+      [
+        listId, fields.name, fields.price || 0, quantity, fields.unit || null, department,
+        fields.notes || null, fields.brand || null, barcode, userId, JSON.stringify([source]),
+      ]
+    );
+    const item = inserted.rows[0];
+    await recordListEvent({ listId, itemId: item.id, actorId: userId, action: 'item_added', after: item }, client);
+    return { ...base, itemId: item.id, status: 'applied', merged: false, item: formatSyncItem(item), event: 'item_added' };
+  }
+
+  if (op.type === 'reorder') {
+    if (!Array.isArray(op.itemIds) || op.itemIds.length === 0) {
+      return { ...base, status: 'rejected', reason: 'item_ids_required' };
+    }
+
+    const reordered = await client.query(
+      `UPDATE list_items SET position = ordered.position
+       FROM unnest($2::uuid[]) WITH ORDINALITY AS ordered(id, position)
+       WHERE list_items.id = ordered.id AND list_items.list_id = $1
+       RETURNING list_items.id`,
+      [listId, op.itemIds]
+    );
+    if (reordered.rows.length !== new Set(op.itemIds).size) {
+      return { ...base, status: 'rejected', reason: 'item_not_found' };
+    }
+
+    await recordListEvent({
+      listId,
+      actorId: userId,
+      action: 'items_reordered',
+      after: { item_ids: op.itemIds },
+    }, client);
+    return { ...base, status: 'applied', itemIds: op.itemIds, event: 'items_reordered' };
+  }
+
+  if (!['update', 'delete', 'toggle'].includes(op.type)) {
+    return { ...base, status: 'rejected', reason: 'unknown_operation' };
+  }
+  if (!op.itemId) {
+    return { ...base, status: 'rejected', reason: 'item_id_required' };
+  }
+
+  const existing = await client.query(
+    'SELECT * FROM list_items WHERE id = $1 AND list_id = $2 FOR UPDATE',
+    [op.itemId, listId]
+  );
+  const row = existing.rows[0];
+  if (!row) {
+    return { ...base, status: 'rejected', reason: 'item_not_found' };
+  }
+
+  if (op.type === 'delete') {
+    await client.query('DELETE FROM list_items WHERE id = $1', [row.id]);
+    await recordListEvent({ listId, itemId: row.id, actorId: userId, action: 'item_deleted', before: row }, client);
+    return { ...base, status: 'applied', event: 'item_deleted' };
+  }
+
+  const changes = op.type === 'toggle'
+    ? { checked: op.checked !== undefined ? Boolean(op.checked) : !row.checked }
+    : normalizeSyncFields(op.fields);
+  const columns = Object.keys(changes);
+
+  if (columns.length === 0) {
+    return { ...base, status: 'rejected', reason: 'no_fields' };
+  }
+  if (columns.includes('name') && !changes.name) {
+    return { ...base, status: 'rejected', reason: 'name_required' };
+  }
+
+  const setClauses = columns.map((col, i) => `${col} = $${i + 1}`);
+  const updated = await client.query(
+    `UPDATE list_items SET ${setClauses.join(', ')}, updated_at = NOW()
+     WHERE id = $${columns.length + 1}
+     RETURNING *`,
+    [...columns.map(col => changes[col]), row.id]
+  );
+  const action = op.type === 'toggle' ? 'item_toggled' : 'item_updated';
+  await recordListEvent({ listId, itemId: row.id, actorId: userId, action, before: row, after: updated.rows[0] }, client);
+  if (updated.rows[0].checked !== row.checked) {
+    await syncPantryForItem(list.user_id, updated.rows[0], client);
+  }
+  return { ...base, status: 'applied', item: formatSyncItem(updated.rows[0]), event: action };
+};
+
+// ── Run a batch ─────────────────────────────────────────────
+// allOrNothing — true: any failure rolls back the whole batch and
+// committed is false; false: failed operations are skipped.
+// Each operation runs under its own savepoint so a failed statement
+// doesn't poison the rest of a best-effort batch.
+
+const runBatch = async (list, userId, operations, { allOrNothing = true } = {}) => transaction(async (client) => {
+  const outcomes = [];
+  await client.query('SAVEPOINT batch_start');
+
+  for (const op of operations) {
+    await client.query('SAVEPOINT batch_op');
+    let result;
+    try {
+      result = await applyBatchOperation(client, op || {}, list, userId);
+    } catch (opError) {
+      console.error('Batch operation error:', opError.message);
+      result = { opId: op?.opId || null, type: op?.type, itemId: op?.itemId || null, status: 'rejected', reason: 'invalid_operation' };
+    }
+
+    if (result.status === 'applied') {
+      await client.query('RELEASE SAVEPOINT batch_op');
+    } else {
+      await client.query('ROLLBACK TO SAVEPOINT batch_op');
+    }
+    outcomes.push(result);
+
+    if (result.status !== 'applied' && allOrNothing) {
+      await client.query('ROLLBACK TO SAVEPOINT batch_start');
+      return { results: outcomes, committed: false };
+    }
+  }
+
+  if (outcomes.some(result => result.status === 'applied')) {
+    await client.query('UPDATE shopping_lists SET updated_at = NOW() WHERE id = $1', [list.id]);
+  }
+
+  return { results: outcomes, committed: true };
+});
+
+// ── After commit ────────────────────────────────────────────
+// Broadcasts each applied change, checks the budget and attaches
+// pantry warnings to added items. Strips the internal `event` field.
+
+const publishBatchResults = async (list, userId, results) => {
+  for (const result of results) {
+    if (!result.event) continue;
+    let payload;
+    if (result.event === 'items_reordered') payload = { itemIds: result.itemIds };
+    else if (result.item) payload = { item: result.item };
+    else payload = { itemId: result.itemId };
+    publishListEvent(list.id, result.event, { actorId: userId, ...payload });
+    delete result.event;
+  }
+
+  const applied = results.filter(result => result.status === 'applied').length;
+  if (applied > 0) {
+    await checkBudgetAlert(list.id);
+  }
+
+  for (const result of results) {
+    if (result.type === 'add' && result.status === 'applied') {
+      result.pantryWarning = await checkPantryStock(list.user_id, result.item);
+    }
+  }
+
+  return applied;
+};
+
+module.exports = {
+  MAX_BATCH_OPERATIONS,
+  applyBatchOperation,
+  runBatch,
+  publishBatchResults,
+};
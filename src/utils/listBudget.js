@@ -0,0 +1,147 @@
+// src/utils/listBudget.js
+// ============================================================
+// List Budgets — remaining / over-budget and cheaper swaps
+// ============================================================
+//
+// List responses compare the budget with the pre-tax item total;
+// GET /api/lists/:id/cost compares it with the total including tax
+// and deposits. Overspend alerts use the pre-tax total so they
+// match what the list screen shows.
+// ─────────────────────────────────────────────────────────────
+
+const { query } = require('../models/db');
+const { searchPricedProducts, overlayMarketPrices } = require('./productPricing');
+const { publishListEvent } = require('./listEvents');
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// ── Parse a budget from a request body ──────────────────────
+// Returns { value } (null clears the budget) or { error }.
+
+const parseBudget = (budget) => {
+  if (budget === null || budget === '') return { value: null };
+  const value = parseFloat(budget);
+  if (Number.isNaN(value) || value <= 0) {
+    return { error: 'Budget must be a positive amount' };
+  }
+  return { value: roundCents(value) };
+};
+
+// ── Budget fields for a response ────────────────────────────
+
+const budgetSummary = (budget, spent) => {
+  if (budget === null || budget === undefined) {
+    return { budget: null, remaining: null, overBudget: 0, isOverBudget: false };
+  }
+  const limit = parseFloat(budget);
+  const difference = roundCents(limit - spent);
+  return {
+    budget: limit,
+    remaining: Math.max(difference, 0),
+    overBudget: Math.max(-difference, 0),
+    isOverBudget: difference < 0,
+  };
+};
+
+// ── Overspend alert ─────────────────────────────────────────
+// Call after anything that changes a list's total. Notifies the
+// owner once per overspend. Best-effort: never throws.
+
+const checkBudgetAlert = async (listId) => {
+  try {
+    const result = await query(
+      `SELECT sl.id, sl.user_id, sl.name, sl.budget, sl.budget_alerted_at,
+         COALESCE(SUM(li.price * li.quantity), 0) AS spent
+       FROM shopping_lists sl
+       LEFT JOIN list_items li ON li.list_id = sl.id
+       WHERE sl.id = $1
+       GROUP BY sl.id`,
+      [listId]
+    );
+
+    const list = result.rows[0];
+    if (!list || list.budget === null) return;
+
+    const summary = budgetSummary(list.budget, parseFloat(list.spent) || 0);
+
+    if (summary.isOverBudget && !list.budget_alerted_at) {
+      await query('UPDATE shopping_lists SET budget_alerted_at = NOW() WHERE id = $1', [list.id]);
+      await query(
+        `INSERT INTO notifications (user_id, title, message, type)
+         VALUES ($1, $2, $3, $4)`,
+        [
+          list.user_id,
+          `${list.name} is over budget`,
+          `The list is $${summary.overBudget.toFixed(2)} over its $${summary.budget.toFixed(2)} budget. Check cheaper swaps to get back under.`,
+          'budget_alert',
+        ]
+      );
+      publishListEvent(list.id, 'budget_exceeded', summary);
+    } else if (!summary.isOverBudget && list.budget_alerted_at) {
+      await query('UPDATE shopping_lists SET budget_alerted_at = NULL WHERE id = $1', [list.id]);
+    }
+  } catch (error) {
+    console.error('Budget alert error:', error.message);
+  }
+};
+
+// ── Cheaper alternatives for the priciest lines ─────────────
+// Looks up products matching each line's name and keeps those
+// cheaper per unit than what the line is priced at now.
+
+const findBudgetSwaps = async (items, { storeId = null, lat = null, lng = null, maxLines = 5, perLine = 3 } = {}) => {
+  const candidates = items
+    .filter(item => !item.checked && (parseFloat(item.price) || 0) > 0)
+    .map(item => ({
+      item,
+      unitPrice: parseFloat(item.price),
+      quantity: parseFloat(item.quantity) || 1,
+    }))
+    .sort((a, b) => b.unitPrice * b.quantity - a.unitPrice * a.quantity)
+    .slice(0, maxLines);
+
+  const swaps = [];
+  for (const { item, unitPrice, quantity } of candidates) {
+    if (!item.name || item.name.trim().length < 2) continue;
+
+    const found = await searchPricedProducts({ q: item.name, storeId, limit: 20 });
+    const priced = await overlayMarketPrices(found, lat, lng);
+
+    const alternatives = priced
+      .filter(option => option.price > 0 && option.price < unitPrice && option.barcode !== item.barcode)
+      .sort((a, b) => a.price - b.price)
+      .slice(0, perLine)
+      .map(option => ({
+        productId: option.id,
+        name: option.name,
+        brand: option.brand,
+        barcode: option.barcode,
+        imageUrl: option.imageUrl,
+        price: option.price,
+        priceSource: option.priceSource,
+        savingsPerUnit: roundCents(unitPrice - option.price),
+        lineSavings: roundCents((unitPrice - option.price) * quantity),
+      }));
+
+    if (alternatives.length > 0) {
+      swaps.push({
+        itemId: item.id,
+        name: item.name,
+        brand: item.brand || null,
+        quantity,
+        price: unitPrice,
+        lineTotal: roundCents(unitPrice * quantity),
+        alternatives,
+      });
+    }
+  }
+
+  return swaps;
+};
+
+module.exports = {
+  parseBudget,
+  budgetSummary,
+  checkBudgetAlert,
+  findBudgetSwaps,
+};
@@ -0,0 +1,38 @@
+// src/utils/listEvents.js
+// ============================================================
+// Shopping List Change Events (in-process pub/sub)
+// ============================================================
+// Routes publish item/list mutations here; the SSE endpoint in
+// routes/lists.js subscribes per list and forwards them to every
+// connected collaborator. Single-instance only — a multi-instance
+// deploy would need to swap this for Postgres LISTEN/NOTIFY.
+
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open stream
+
+const channel = (listId) => `list:${listId}`;
+
+// ── Publish a change to everyone watching a list ────────────
+
+const publishListEvent = (listId, type, payload = {}) => {
+  emitter.emit(channel(listId), {
+    type,
+    listId,
+    ...payload,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// ── Subscribe to a list; returns an unsubscribe function ────
+
+const subscribeToList = (listId, handler) => {
+  emitter.on(channel(listId), handler);
+  return () => emitter.off(channel(listId), handler);
+};
+
+module.exports = {
+  publishListEvent,
+  subscribeToList,
+};
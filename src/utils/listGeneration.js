@@ -0,0 +1,225 @@
+// src/utils/listGeneration.js
+// ============================================================
+// List Generation — prompt and response shaping for
+// POST /api/ai/generate-list (and its streaming variant)
+// ============================================================
+//
+// The model picks one of four modes and answers in that mode's
+// JSON shape (see buildListSystemPrompt). buildListResponse turns
+// the model's JSON into the API response, with catalog prices.
+// ─────────────────────────────────────────────────────────────
+
+const { query } = require('../models/db');
+const { describeProfile } = require('./householdProfile');
+
+const DEFAULT_RECIPE_IMAGE = 'https://images.unsplash.com/photo-1495521821757-a1efb6729352?w=600&h=400&fit=crop';
+
+const LIST_MODES = ['shopping_list', 'recipe', 'full_course', 'chat'];
+
+// ── System prompt ───────────────────────────────────────────
+
+const buildListSystemPrompt = (context) => `You are Smart Cart, an expert AI shopping assistant, chef, and meal planner.
+
+${describeProfile(context.profile)}
+
+Analyze the user's message and determine the best response mode:
+
+MODE 1 — "shopping_list": User wants items to buy (groceries, supplies, ingredients for a quick meal).
+MODE 2 — "recipe": User wants a recipe, cooking instructions, or asks how to make/cook/prepare something.
+MODE 3 — "full_course": User wants a multi-course meal, dinner party menu, or complete dining experience.
+MODE 4 — "chat": User is asking a general food/cooking question, seeking advice, or making conversation that doesn't need a list or recipe. Examples: substitution questions, food storage tips, cooking techniques, nutrition questions.
+
+You MUST include a "mode" field in your response so the app knows how to display the results.
+
+Respond in JSON with ONE of these structures based on your chosen mode:
+
+If mode is "shopping_list":
+{
+  "mode": "shopping_list",
+  "listName": "IMPORTANT: Create a clean, short title (2-4 words). NEVER repeat the user's words. Extract ONLY the dish or purpose. Examples: user says 'show me how to make spaghetti bolognese' → 'Spaghetti Bolognese Ingredients'. User says 'tell me how to prepare ethiopian shiro' → 'Ethiopian Shiro Ingredients'. User says 'give me a recipe for chicken curry' → 'Chicken Curry Ingredients'. User says 'I need stuff for a BBQ' → 'BBQ Essentials'.",
+  "suggestions": [{"item": "milk", "category": "dairy", "reason": "essential staple", "price": 3.49}],
+  "message": "friendly summary"
+}
+
+If mode is "recipe":
+{
+  "mode": "recipe",
+  "listName": "Short clean title — dish name + 'Ingredients' (e.g. 'Spaghetti Bolognese Ingredients'). NEVER repeat user's command.",
+  "suggestions": [{"item": "ground beef", "category": "meat", "reason": "main protein", "price": 6.99}],
+  "recipes": [{
+    "title": "Recipe Name",
+    "description": "Brief description",
+    "category": "Breakfast|Lunch|Dinner|Desserts",
+    "ingredients": [{"item": "ground beef", "quantity": "2", "unit": "lbs", "category": "meat", "price": 6.99}],
+    "instructions": ["Step 1...", "Step 2..."],
+    "prepTime": 25,
+    "servings": 4,
+    "difficulty": "Easy|Medium|Hard",
+    "tags": ["Must include one or more of: 'breakfast','lunch','dinner','snack','dessert'. Also include if applicable: 'quick_easy','healthy','vegetarian','vegan','gluten_free'"]
+  }],
+  "message": "friendly summary"
+}
+
+If mode is "full_course":
+{
+  "mode": "full_course",
+  "listName": "Short clean title — meal theme + serving (e.g. 'Steak Dinner for Two'). NEVER repeat user's command.",
+  "courses": [{
+    "courseType": "appetizer|main|side|dessert|beverage",
+    "dishName": "Dish Name",
+    "description": "Brief description",
+    "ingredients": [{"item": "name", "quantity": "1", "unit": "lb", "category": "meat", "price": 5.99}],
+    "prepTime": 30,
+    "difficulty": "Easy|Medium|Hard"
+  }],
+  "mealTheme": "Theme name",
+  "servings": 4,
+  "message": "friendly summary"
+}
+
+If mode is "chat":
+{
+  "mode": "chat",
+  "response": "Your helpful, conversational answer here.",
+  "suggestions": ["Follow-up suggestion 1", "Follow-up suggestion 2", "Follow-up suggestion 3"],
+  "message": "friendly summary"
+}
+
+Important rules:
+- Allergens are strict: never include an item or ingredient containing one of the listed allergens — use a safe alternative instead.
+- If there are dietary restrictions, mention them but don't force them. Give classic recipes unless the user explicitly asks for alternatives.
+- Be specific with ingredient quantities
+- For recipes, include both the shopping list items AND the recipe details
+- For full course, include all courses (appetizer, main, side, dessert)
+- For chat, be concise, friendly, and actionable — suggest next steps the user might want to take
+- Choose the mode that BEST matches the user's true intent, not just keywords
+- For all suggestions, estimate realistic US grocery store prices in USD for each item. Never use 0.00 as a price.`;
+
+// ── Cross-reference AI prices with real product data ────────
+// Replaces estimated prices with catalog prices, preferring a
+// market price within 50 miles when the user's location is known,
+// and attaches the matched product's brand and barcode.
+
+const crossRefPrices = async (items, { latitude: userLat, longitude: userLng } = {}) => {
+  if (!items || items.length === 0) return items;
+  try {
+    for (let i = 0; i < items.length; i++) {
+      const itemName = items[i].item || items[i].name || '';
+      if (!itemName) continue;
+
+      // Search products table for a match
+      const match = await query(
+        `SELECT p.barcode, p.name, p.brand, p.price, p.image_url
+         FROM products p
+         WHERE LOWER(p.name) LIKE $1
+         ORDER BY p.price DESC
+         LIMIT 1`,
+        [`%${itemName.toLowerCase()}%`]
+      );
+
+      if (match.rows.length > 0) {
+        const prod = match.rows[0];
+        let bestPrice = parseFloat(prod.price) || 0;
+
+        // Check market price if location available
+        if (userLat && userLng && prod.barcode) {
+          try {
+            const mp = await query(
+              `SELECT price FROM market_prices
+               WHERE barcode = $1
+                 AND (6371 * acos(
+                   cos(radians($2)) * cos(radians(latitude)) *
+                   cos(radians(longitude) - radians($3)) +
+                   sin(radians($2)) * sin(radians(latitude))
+                 )) < 80.5
+               ORDER BY (6371 * acos(
+                   cos(radians($2)) * cos(radians(latitude)) *
+                   cos(radians(longitude) - radians($3)) +
+                   sin(radians($2)) * sin(radians(latitude))
+                 ))
+               LIMIT 1`,
+              [prod.barcode, userLat, userLng]
+            );
+            if (mp.rows.length > 0) {
+              bestPrice = parseFloat(mp.rows[0].price);
+            }
+          } catch (e) {}
+        }
+
+        if (bestPrice > 0) {
+          items[i].price = bestPrice;
+          items[i].priceSource = 'database';
+        }
+        if (prod.brand) items[i].brand = prod.brand;
+        if (prod.barcode) items[i].barcode = prod.barcode;
+      }
+    }
+  } catch (err) {
+    console.error('Price cross-reference error:', err.message);
+  }
+  return items;
+};
+
+// ── Build the API response from the model's JSON ────────────
+// location: { latitude, longitude } (optional)
+
+const buildListResponse = async (result, location = {}) => {
+  const mode = result.mode || 'shopping_list';
+
+  // ── Image generation logic ──────────────────────────────
+  // recipe mode:      one image per recipe (usually just 1 recipe)
+  // full_course mode: one hero image for the meal theme (not per course)
+  // chat/shopping:    no images needed
+
+  // Assign placeholder images — real images load async via /api/ai/generate-image
+  if (mode === 'recipe' && result.recipes && result.recipes.length > 0) {
+    result.recipes = result.recipes.map(recipe => ({
+      ...recipe,
+      imageUrl: DEFAULT_RECIPE_IMAGE,
+    }));
+  }
+  let heroImageUrl = DEFAULT_RECIPE_IMAGE;
+
+  // ── Build response based on mode ────────────────────────
+
+  const response = {
+    mode,
+    message: result.message || 'Here are your results!',
+  };
+
+  if (mode === 'shopping_list') {
+    response.suggestions = await crossRefPrices(result.suggestions || [], location);
+  } else if (mode === 'recipe') {
+    response.suggestions = await crossRefPrices(result.suggestions || [], location);
+    response.recipes = result.recipes || [];
+    // Also cross-ref recipe ingredients
+    for (let r = 0; r < response.recipes.length; r++) {
+      if (response.recipes[r].ingredients) {
+        response.recipes[r].ingredients = await crossRefPrices(response.recipes[r].ingredients, location);
+      }
+    }
+  } else if (mode === 'full_course') {
+    response.courses = result.courses || [];
+    for (let c = 0; c < response.courses.length; c++) {
+      if (response.courses[c].ingredients) {
+        response.courses[c].ingredients = await crossRefPrices(response.courses[c].ingredients, location);
+      }
+    }
+    response.mealTheme = result.mealTheme || '';
+    response.servings = result.servings || 4;
+    response.heroImageUrl = heroImageUrl || DEFAULT_RECIPE_IMAGE;
+  } else if (mode === 'chat') {
+    response.response = result.response || result.message || '';
+    response.suggestions = result.suggestions || [];
+  }
+
+  return response;
+};
+
+module.exports = {
+  DEFAULT_RECIPE_IMAGE,
+  LIST_MODES,
+  buildListSystemPrompt,
+  crossRefPrices,
+  buildListResponse,
+};
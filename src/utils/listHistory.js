@@ -0,0 +1,73 @@
+// src/utils/listHistory.js
+// ============================================================
+// Shopping List History — audit trail + undo helpers
+// ============================================================
+
+const { query } = require('../models/db');
+
+// Actions that POST /api/lists/:id/undo/:eventId knows how to revert
+const UNDOABLE_ACTIONS = ['item_added', 'item_updated', 'item_toggled', 'item_deleted', 'item_substituted', 'list_updated'];
+
+// Sync bookkeeping changes on every write and isn't user data
+const IGNORED_FIELDS = ['version', 'sync_seq', 'sync_xid', 'field_clock', 'updated_at'];
+
+// ── Snapshot a DB row for before/after storage ──────────────
+
+const snapshotRow = (row) => {
+  if (!row) return null;
+  const snapshot = JSON.parse(JSON.stringify(row));
+  for (const field of IGNORED_FIELDS) delete snapshot[field];
+  return snapshot;
+};
+
+// ── Fields that differ between two snapshots ────────────────
+
+const diffSnapshots = (before, after) => {
+  if (!before || !after) return [];
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes.push({ field, from: before[field] ?? null, to: after[field] ?? null });
+    }
+  }
+  return changes;
+};
+
+// ── Record one history event ────────────────────────────────
+// Inside a transaction pass the client: failures then roll the
+// whole operation back. Outside one, history is best-effort and
+// never fails the request that triggered it.
+
+const recordListEvent = async ({ listId, itemId = null, actorId, action, before = null, after = null, source = 'api', undoesEventId = null }, client = null) => {
+  const sql = `INSERT INTO list_history (list_id, item_id, actor_id, action, before_data, after_data, source, undoes_event_id)
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+               RETURNING id`;
+  const params = [
+    listId, itemId, actorId, action,
+    before ? JSON.stringify(snapshotRow(before)) : null,
+    after ? JSON.stringify(snapshotRow(after)) : null,
+    source, undoesEventId,
+  ];
+
+  if (client) {
+    const result = await client.query(sql, params);
+    return result.rows[0].id;
+  }
+
+  try {
+    const result = await query(sql, params);
+    return result.rows[0].id;
+  } catch (error) {
+    console.error('List history error:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  UNDOABLE_ACTIONS,
+  snapshotRow,
+  diffSnapshots,
+  recordListEvent,
+};
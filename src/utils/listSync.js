@@ -0,0 +1,176 @@
+// src/utils/listSync.js
+// ============================================================
+// Offline List Sync — conflict resolution for POST /api/lists/sync
+// ============================================================
+//
+// Conflict policy:
+//   - Each field is last-writer-wins, compared against the
+//     per-field clock stored in list_items.field_clock (falling
+//     back to created_at for fields never written since).
+//   - "checked" is special: when the client edited a stale copy
+//     (baseVersion < server version), a check always beats an
+//     un-check, whatever the clocks say. Two people ticking off
+//     the same item should never resurrect it.
+//   - A delete loses to edits the client never saw that happened
+//     after the delete was issued offline.
+//   - Client clocks are clamped to server time so a device with a
+//     fast clock can't win every future conflict.
+// ─────────────────────────────────────────────────────────────
+
+const { parseQuantity } = require('./helpers');
+
+// Client field name → list_items column
+const SYNC_FIELDS = {
+  name: 'name',
+  quantity: 'quantity',
+  unit: 'unit',
+  price: 'price',
+  department: 'department',
+  notes: 'notes',
+  checked: 'checked',
+  brand: 'brand',
+  haveAtHome: 'have_at_home',
+};
+
+// ── Normalize incoming field values ─────────────────────────
+
+const normalizeSyncFields = (fields = {}) => {
+  const normalized = {};
+  for (const key of Object.keys(SYNC_FIELDS)) {
+    if (fields[key] === undefined) continue;
+    const value = fields[key];
+    switch (key) {
+      case 'name':
+        normalized.name = typeof value === 'string' ? value.trim() : value;
+        break;
+      case 'quantity':
+        normalized.quantity = parseQuantity(value);
+        break;
+      case 'price':
+        normalized.price = parseFloat(value) || 0;
+        break;
+      case 'checked':
+      case 'haveAtHome':
+        normalized[key] = Boolean(value);
+        break;
+      default:
+        normalized[key] = value === '' ? null : value;
+    }
+  }
+  return normalized;
+};
+
+// ── Clamp a client timestamp to server time ─────────────────
+
+const resolveClientTime = (clientTimestamp) => {
+  const now = Date.now();
+  const parsed = clientTimestamp ? new Date(clientTimestamp).getTime() : NaN;
+  return Number.isNaN(parsed) ? now : Math.min(parsed, now);
+};
+
+const isStale = (row, baseVersion) =>
+  baseVersion !== undefined && baseVersion !== null && row.version > parseInt(baseVersion);
+
+// ── Merge an offline update into the current server row ─────
+// Returns the column changes to apply, the new field clock and
+// any per-field conflicts the client should know about.
+
+const resolveItemUpdate = (row, fields, clientTime, baseVersion) => {
+  const clock = { ...(row.field_clock || {}) };
+  const changes = {};
+  const conflicts = [];
+  const stale = isStale(row, baseVersion);
+
+  for (const [key, column] of Object.entries(SYNC_FIELDS)) {
+    if (fields[key] === undefined) continue;
+
+    if (column === 'checked' && stale) {
+      if (row.checked && !fields.checked) {
+        conflicts.push({ field: key, reason: 'check_wins' });
+        continue;
+      }
+      if (!row.checked && fields.checked) {
+        changes.checked = true;
+        clock.checked = new Date(clientTime).toISOString();
+        continue;
+      }
+    }
+
+    const serverTime = new Date(clock[column] || row.created_at).getTime();
+    if (clientTime < serverTime) {
+      conflicts.push({ field: key, reason: 'server_newer' });
+      continue;
+    }
+
+    changes[column] = fields[key];
+    clock[column] = new Date(clientTime).toISOString();
+  }
+
+  return { changes, clock, conflicts };
+};
+
+// ── Decide whether an offline delete still applies ──────────
+
+const shouldApplyDelete = (row, clientTime, baseVersion) =>
+  !(isStale(row, baseVersion) && new Date(row.updated_at).getTime() > clientTime);
+
+// ── Field clock for a brand-new item ────────────────────────
+
+const initialFieldClock = (fields, clientTime) => {
+  const stamp = new Date(clientTime).toISOString();
+  const clock = {};
+  for (const [key, column] of Object.entries(SYNC_FIELDS)) {
+    if (fields[key] !== undefined) clock[column] = stamp;
+  }
+  return clock;
+};
+
+// ── Sync cursors ────────────────────────────────────────────
+// A cursor is the oldest transaction still in flight when the
+// server last read changes (see migrations/020_list_sync_xids.sql),
+// as "x:<xid>". Older numeric sync_seq cursors, and anything
+// unreadable, parse to null: the client gets a full sync.
+
+const CURSOR_PATTERN = /^x:(\d+)$/;
+
+const parseSyncCursor = (cursor) => {
+  const match = CURSOR_PATTERN.exec(String(cursor ?? ''));
+  return match ? match[1] : null;
+};
+
+const formatSyncCursor = (xid) => `x:${xid}`;
+
+// ── Format an item row for sync responses ───────────────────
+
+const formatSyncItem = (item) => ({
+  id: item.id,
+  listId: item.list_id,
+  name: item.name,
+  brand: item.brand || null,
+  price: parseFloat(item.price) || 0,
+  quantity: parseFloat(item.quantity) || 1,
+  unit: item.unit || null,
+  department: item.department,
+  category: item.department,
+  checked: item.checked,
+  haveAtHome: item.have_at_home || false,
+  notes: item.notes || '',
+  barcode: item.barcode || null,
+  position: item.position ?? null,
+  addedBy: item.added_by,
+  version: item.version,
+  createdAt: item.created_at,
+  updatedAt: item.updated_at,
+});
+
+module.exports = {
+  SYNC_FIELDS,
+  normalizeSyncFields,
+  resolveClientTime,
+  resolveItemUpdate,
+  shouldApplyDelete,
+  initialFieldClock,
+  parseSyncCursor,
+  formatSyncCursor,
+  formatSyncItem,
+};
@@ -0,0 +1,239 @@
+// src/utils/listTemplates.js
+// ============================================================
+// List Templates & Recurring Lists
+// ============================================================
+//
+// A template is a saved snapshot of a list's items. A schedule
+// instantiates its template every week / two weeks / month and
+// carries over anything left unchecked on the previous instance.
+// Due schedules are picked up by startListScheduler(), which
+// server.js starts alongside the HTTP server.
+// ─────────────────────────────────────────────────────────────
+
+const { query, transaction } = require('../models/db');
+const { parseQuantity, formatDate, addDays } = require('./helpers');
+const { findMergeTarget } = require('./ingredientMerge');
+const { recordListEvent } = require('./listHistory');
+
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+
+const DEFAULT_SCHEDULER_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+
+// ── Template item snapshots ─────────────────────────────────
+
+const toTemplateItem = (item) => ({
+  name: String(item.name).trim(),
+  quantity: parseQuantity(item.quantity),
+  unit: item.unit || null,
+  department: item.department || null,
+  notes: item.notes || null,
+  brand: item.brand || null,
+  barcode: item.barcode || null,
+  price: parseFloat(item.price) || 0,
+});
+
+// Accepts list_items rows or client-supplied items
+const normalizeTemplateItems = (items = []) =>
+  items
+    .filter(item => item && typeof item.name === 'string' && item.name.trim())
+    .map(toTemplateItem);
+
+// ── Next run date ───────────────────────────────────────────
+// Skips forward past `now` so a server that was down for a month
+// creates one list, not four.
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  // Jan 31 + 1 month → Feb 28, not Mar 3
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(new Date(date).getDate(), lastDay));
+  return result;
+};
+
+const advanceRunDate = (from, frequency, now = new Date()) => {
+  let next = new Date(from);
+  let periods = 0;
+  do {
+    periods++;
+    next = frequency === 'monthly'
+      ? addMonths(from, periods)
+      : addDays(from, periods * (frequency === 'biweekly' ? 14 : 7));
+  } while (next <= now);
+  return next;
+};
+
+// ── Create a list from a template ───────────────────────────
+// Unchecked items from carryOverFromListId are added unless the
+// template already put the same item on the new list.
+
+const instantiateTemplate = async (client, template, { userId, name, carryOverFromListId = null, source = 'template' }) => {
+  const listResult = await client.query(
+    `INSERT INTO shopping_lists (user_id, name)
+     VALUES ($1, $2)
+     RETURNING *`,
+    [userId, name || template.name]
+  );
+  const list = listResult.rows[0];
+
+  await recordListEvent({
+    listId: list.id,
+    actorId: userId,
+    action: 'list_created',
+    after: { ...list, template_id: template.id },
+    source,
+  }, client);
+
+  const insertItem = (item, provenance) => client.query(
+    `INSERT INTO list_items (list_id, name, price, quantity, unit, department, notes, brand, barcode, added_by, sources)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING *`,
+    [
+      list.id, item.name, item.price || 0, item.quantity || 1, item.unit, item.department,
+      item.notes, item.brand, item.barcode, userId,
+      JSON.stringify([{ ...provenance, userId, quantity: item.quantity || 1, unit: item.unit, addedAt: new Date().toISOString() }]),
+    ]
+  );
+
+  const items = [];
+  for (const item of normalizeTemplateItems(template.items)) {
+    const inserted = await insertItem(item, { type: 'template', templateId: template.id });
+    items.push(inserted.rows[0]);
+  }
+
+  let carriedOver = 0;
+  if (carryOverFromListId) {
+    const leftovers = await client.query(
+      'SELECT * FROM list_items WHERE list_id = $1 AND checked = false ORDER BY created_at',
+      [carryOverFromListId]
+    );
+
+    for (const row of leftovers.rows) {
+      const existing = await findMergeTarget(client, list.id, row);
+      if (existing) continue;
+
+      const inserted = await insertItem(toTemplateItem(row), { type: 'carry_over', listId: carryOverFromListId });
+      items.push(inserted.rows[0]);
+      carriedOver++;
+    }
+  }
+
+  return { list, items, carriedOver };
+};
+
+// ── Run one schedule ────────────────────────────────────────
+// Returns the created list, or null if another worker got there
+// first or the schedule is no longer due (unless force is set).
+
+const runSchedule = async (scheduleId, { force = false } = {}) => transaction(async (client) => {
+  const scheduleResult = await client.query(
+    `SELECT ls.*, lt.name AS template_name, lt.items AS template_items
+     FROM list_schedules ls
+     JOIN list_templates lt ON ls.template_id = lt.id
+     WHERE ls.id = $1 AND ls.is_active = true
+     FOR UPDATE OF ls SKIP LOCKED`,
+    [scheduleId]
+  );
+
+  const schedule = scheduleResult.rows[0];
+  if (!schedule) return null;
+  if (!force && new Date(schedule.next_run_at) > new Date()) return null;
+
+  const runDate = force ? new Date() : new Date(schedule.next_run_at);
+  const baseName = schedule.list_name || schedule.template_name;
+
+  const { list, items, carriedOver } = await instantiateTemplate(
+    client,
+    { id: schedule.template_id, name: schedule.template_name, items: schedule.template_items },
+    {
+      userId: schedule.user_id,
+      name: `${baseName} (${formatDate(runDate)})`,
+      carryOverFromListId: schedule.carry_over ? schedule.last_list_id : null,
+      source: 'schedule',
+    }
+  );
+
+  await client.query(
+    `UPDATE list_schedules
+     SET last_list_id = $1, last_run_at = NOW(), next_run_at = $2, updated_at = NOW()
+     WHERE id = $3`,
+    [list.id, force ? schedule.next_run_at : advanceRunDate(schedule.next_run_at, schedule.frequency), schedule.id]
+  );
+
+  const carriedNote = carriedOver > 0
+    ? ` ${carriedOver} unchecked item${carriedOver === 1 ? '' : 's'} carried over from last time.`
+    : '';
+
+  await client.query(
+    `INSERT INTO notifications (user_id, title, message, type)
+     VALUES ($1, $2, $3, $4)`,
+    [
+      schedule.user_id,
+      `${list.name} is ready`,
+      `Your ${schedule.frequency} list was created with ${items.length} item${items.length === 1 ? '' : 's'}.${carriedNote}`,
+      'list_scheduled',
+    ]
+  );
+
+  return { list, items, carriedOver };
+});
+
+// ── Run everything that is due ──────────────────────────────
+
+const runDueSchedules = async () => {
+  const due = await query(
+    `SELECT id FROM list_schedules
+     WHERE is_active = true AND next_run_at <= NOW()
+     ORDER BY next_run_at
+     LIMIT 100`
+  );
+
+  let created = 0;
+  for (const { id } of due.rows) {
+    try {
+      if (await runSchedule(id)) created++;
+    } catch (error) {
+      console.error(`List schedule ${id} failed:`, error.message);
+    }
+  }
+  return created;
+};
+
+// ── Background scheduler ────────────────────────────────────
+// Returns a stop function.
+
+const startListScheduler = (intervalMs = parseInt(process.env.LIST_SCHEDULER_INTERVAL_MS) || DEFAULT_SCHEDULER_INTERVAL_MS) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const created = await runDueSchedules();
+      if (created > 0) {
+        console.log(`List scheduler: created ${created} list(s)`);
+      }
+    } catch (error) {
+      console.error('List scheduler error:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  FREQUENCIES,
+  normalizeTemplateItems,
+  advanceRunDate,
+  instantiateTemplate,
+  runSchedule,
+  runDueSchedules,
+  startListScheduler,
+};
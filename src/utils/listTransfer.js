@@ -0,0 +1,299 @@
+// src/utils/listTransfer.js
+// ============================================================
+// List Import / Export — CSV, plain text, JSON and Markdown
+// ============================================================
+//
+// Export groups items by department. Import takes pasted free
+// text ("2 lbs chicken", "1/2 gallon milk", "- [x] eggs x12")
+// or a CSV in the export layout, and parses quantities and
+// departments the same way manual entry does.
+// ─────────────────────────────────────────────────────────────
+
+const { parseQuantity, detectDepartment } = require('./helpers');
+const { isKnownUnit } = require('./ingredientMerge');
+
+const EXPORT_FORMATS = ['csv', 'txt', 'json', 'md'];
+
+const CSV_COLUMNS = ['Department', 'Name', 'Quantity', 'Unit', 'Price', 'Checked', 'Notes'];
+
+// Units that aren't convertible but read naturally after a number
+const PACKAGE_UNITS = [
+  'can', 'cans', 'bag', 'bags', 'box', 'boxes', 'bottle', 'bottles', 'pack', 'packs',
+  'package', 'packages', 'jar', 'jars', 'bunch', 'bunches', 'loaf', 'loaves', 'head', 'heads',
+  'clove', 'cloves', 'slice', 'slices', 'carton', 'cartons', 'stick', 'sticks',
+];
+
+// ── Group items by department ───────────────────────────────
+// Alphabetical, with uncategorized items last.
+
+const groupByDepartment = (items) => {
+  const groups = new Map();
+  for (const item of items) {
+    const department = item.department || 'Other';
+    if (!groups.has(department)) groups.set(department, []);
+    groups.get(department).push(item);
+  }
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => (a === 'Other') - (b === 'Other') || a.localeCompare(b))
+    .map(([department, departmentItems]) => ({ department, items: departmentItems }));
+};
+
+// ── Item formatting shared by the text formats ──────────────
+
+const formatNumber = (value) => String(Math.round((parseFloat(value) || 0) * 1000) / 1000);
+
+const describeItem = (item) => {
+  const amount = [formatNumber(item.quantity || 1), item.unit].filter(Boolean).join(' ');
+  const price = parseFloat(item.price) > 0 ? ` — $${parseFloat(item.price).toFixed(2)}` : '';
+  const notes = item.notes ? ` (${item.notes})` : '';
+  return `${amount} ${item.name}${notes}${price}`;
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// ── Export ──────────────────────────────────────────────────
+// Returns { body, contentType, extension }.
+
+const exportList = (list, items, format) => {
+  const groups = groupByDepartment(items);
+
+  switch (format) {
+    case 'csv': {
+      const rows = [CSV_COLUMNS.join(',')];
+      for (const { department, items: departmentItems } of groups) {
+        for (const item of departmentItems) {
+          rows.push([
+            department, item.name, formatNumber(item.quantity || 1), item.unit || '',
+            (parseFloat(item.price) || 0).toFixed(2), item.checked ? 'yes' : 'no', item.notes || '',
+          ].map(csvCell).join(','));
+        }
+      }
+      return { body: `${rows.join('\n')}\n`, contentType: 'text/csv', extension: 'csv' };
+    }
+
+    case 'txt': {
+      const lines = [list.name, '='.repeat(list.name.length), ''];
+      for (const { department, items: departmentItems } of groups) {
+        lines.push(`${department}:`);
+        for (const item of departmentItems) {
+          lines.push(`  [${item.checked ? 'x' : ' '}] ${describeItem(item)}`);
+        }
+        lines.push('');
+      }
+      return { body: lines.join('\n'), contentType: 'text/plain', extension: 'txt' };
+    }
+
+    case 'md': {
+      const lines = [`# ${list.name}`, ''];
+      for (const { department, items: departmentItems } of groups) {
+        lines.push(`## ${department}`, '');
+        for (const item of departmentItems) {
+          lines.push(`- [${item.checked ? 'x' : ' '}] ${describeItem(item)}`);
+        }
+        lines.push('');
+      }
+      return { body: lines.join('\n'), contentType: 'text/markdown', extension: 'md' };
+    }
+
+    default: {
+      const body = {
+        list: { id: list.id, name: list.name, exportedAt: new Date().toISOString() },
+        departments: groups.map(({ department, items: departmentItems }) => ({
+          department,
+          items: departmentItems.map(item => ({
+            name: item.name,
+            quantity: parseFloat(item.quantity) || 1,
+            unit: item.unit || null,
+            price: parseFloat(item.price) || 0,
+            checked: Boolean(item.checked),
+            notes: item.notes || null,
+            brand: item.brand || null,
+            barcode: item.barcode || null,
+          })),
+        })),
+      };
+      return { body: JSON.stringify(body, null, 2), contentType: 'application/json', extension: 'json' };
+    }
+  }
+};
+
+// ── CSV parsing (quoted fields, "" escapes) ─────────────────
+
+const parseCsvLine = (line) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+const parseCsv = (lines) => {
+  const header = parseCsvLine(lines[0]).map(col => col.toLowerCase());
+  const column = (name) => header.indexOf(name);
+
+  return lines.slice(1).map((line, index) => {
+    const cells = parseCsvLine(line);
+    const get = (name) => (column(name) >= 0 ? cells[column(name)] : '');
+    const name = get('name');
+    if (!name) return { line: index + 2, text: line, error: 'Missing name' };
+
+    return {
+      name,
+      quantity: parseQuantity(get('quantity')),
+      unit: get('unit') || null,
+      price: parseFloat(get('price')) || 0,
+      department: get('department') || detectDepartment(name),
+      checked: /^(yes|true|x|1)$/i.test(get('checked')),
+      notes: get('notes') || null,
+    };
+  });
+};
+
+// ── Free-text line parsing ──────────────────────────────────
+// "2 lbs chicken", "1 1/2 cups flour", "milk x2", "- [x] eggs",
+// "bananas — $0.59". Lines ending in ":" and Markdown "##"
+// headings set the department for the lines below them; titles
+// ("# Name", or a line underlined with === / ---) are skipped.
+
+const QUANTITY_PATTERN = /^(\d+\s+\d+\/\d+|\d+\/\d+|\d+(?:\.\d+)?)\s*(.*)$/;
+
+const isUnitWord = (word) => isKnownUnit(word) || PACKAGE_UNITS.includes(word.toLowerCase());
+
+const parseTextLine = (rawLine, departmentHint) => {
+  let line = rawLine.trim()
+    .replace(/^([-*•+]|\d+[.)])\s+/, '');
+
+  let checked = false;
+  const checkbox = line.match(/^\[( |x|X)\]\s*/);
+  if (checkbox) {
+    checked = checkbox[1].toLowerCase() === 'x';
+    line = line.slice(checkbox[0].length);
+  }
+
+  let price = 0;
+  const priceMatch = line.match(/\s*(?:—|–|-|@)?\s*\$(\d+(?:\.\d{1,2})?)\s*$/);
+  if (priceMatch) {
+    price = parseFloat(priceMatch[1]);
+    line = line.slice(0, priceMatch.index);
+  }
+
+  let notes = null;
+  const notesMatch = line.match(/\s*\(([^)]*)\)\s*$/);
+  if (notesMatch) {
+    notes = notesMatch[1].trim() || null;
+    line = line.slice(0, notesMatch.index);
+  }
+
+  let quantity = 1;
+  let unit = null;
+
+  const leading = line.match(QUANTITY_PATTERN);
+  if (leading) {
+    quantity = parseQuantity(leading[1]);
+    line = leading[2];
+
+    const words = line.split(/\s+/);
+    // "fl oz" is the only two-word unit we recognize
+    if (words.length > 2 && `${words[0]} ${words[1]}`.toLowerCase() === 'fl oz') {
+      unit = 'fl oz';
+      line = words.slice(2).join(' ');
+    } else if (words.length > 1 && isUnitWord(words[0].replace(/\.$/, ''))) {
+      unit = words[0].replace(/\.$/, '').toLowerCase();
+      line = words.slice(1).join(' ');
+    }
+    line = line.replace(/^of\s+/i, '');
+  } else {
+    const trailing = line.match(/^(.*?)\s+x\s*(\d+)$/i);
+    if (trailing && trailing[1]) {
+      quantity = parseQuantity(trailing[2]);
+      line = trailing[1];
+    }
+  }
+
+  const name = line.replace(/\s+/g, ' ').trim();
+  if (!name) return null;
+
+  return {
+    name,
+    quantity,
+    unit,
+    price,
+    department: departmentHint || detectDepartment(name),
+    checked,
+    notes,
+  };
+};
+
+// ── Import ──────────────────────────────────────────────────
+// Returns { items, skipped } where skipped lists unparseable lines.
+
+const parseImportText = (text) => {
+  const lines = String(text || '').split(/\r?\n/);
+  const contentLines = lines.filter(line => line.trim());
+
+  if (contentLines.length > 0 && /(^|,)\s*"?name"?\s*(,|$)/i.test(contentLines[0]) && contentLines[0].includes(',')) {
+    const parsed = parseCsv(contentLines);
+    return {
+      items: parsed.filter(entry => !entry.error),
+      skipped: parsed.filter(entry => entry.error),
+    };
+  }
+
+  const items = [];
+  const skipped = [];
+  let departmentHint = null;
+
+  const isUnderline = (line) => /^[=-]{3,}$/.test((line || '').trim());
+
+  lines.forEach((rawLine, index) => {
+    const trimmed = rawLine.trim();
+    if (!trimmed || isUnderline(trimmed) || isUnderline(lines[index + 1]) || /^#\s/.test(trimmed)) return;
+
+    const heading = trimmed.match(/^#{2,6}\s+(.+)$/) || trimmed.match(/^([^:[\]]+):$/);
+    if (heading) {
+      departmentHint = heading[1].trim();
+      return;
+    }
+
+    const item = parseTextLine(trimmed, departmentHint);
+    if (item) {
+      items.push(item);
+    } else {
+      skipped.push({ line: index + 1, text: rawLine, error: 'Could not find an item name' });
+    }
+  });
+
+  return { items, skipped };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  groupByDepartment,
+  exportList,
+  parseImportText,
+};
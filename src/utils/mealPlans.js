@@ -0,0 +1,106 @@
+// src/utils/mealPlans.js
+// ============================================================
+// Meal Plans — ownership check, creating plans and adding meals
+// ============================================================
+//
+// Shared by /api/meal-plans, /api/ai/generate-meal-plan and the AI
+// assistant's meal plan tool. A meal plan is private to the user
+// who created it. Pass a transaction client to write inside one.
+// ─────────────────────────────────────────────────────────────
+
+const { query } = require('../models/db');
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+// ── Ownership ───────────────────────────────────────────────
+// Returns the plan row, or null when it doesn't exist or isn't
+// the user's (both answer 404 'Meal plan not found').
+
+const findOwnedMealPlan = async (planId, userId) => {
+  const result = await query(
+    'SELECT * FROM meal_plans WHERE id = $1 AND user_id = $2',
+    [planId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+// ── Create a plan ───────────────────────────────────────────
+
+const formatMealPlan = (row, meals = []) => ({
+  id: row.id,
+  name: row.name,
+  startDate: row.start_date,
+  endDate: row.end_date,
+  goal: row.goal,
+  dailyCalories: row.daily_calories,
+  isAIGenerated: row.is_ai_generated,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  meals: meals,
+});
+
+// fields: { name, startDate, endDate, goal, dailyCalories,
+//           isAIGenerated }. Returns the row.
+const createMealPlan = async (userId, {
+  name, startDate, endDate, goal, dailyCalories, isAIGenerated = false,
+}, client = null) => {
+  const db = client || { query };
+  const result = await db.query(
+    `INSERT INTO meal_plans (user_id, name, start_date, end_date, goal, daily_calories, is_ai_generated)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [userId, name, startDate, endDate, goal, dailyCalories || 2000, isAIGenerated]
+  );
+  return result.rows[0];
+};
+
+// ── Add a meal ──────────────────────────────────────────────
+// meal: { dayNumber, mealType, recipeId, recipeName, calories }
+// Falls back to the recipe's title when only recipeId is given.
+
+const formatMeal = (row) => ({
+  id: row.id,
+  dayNumber: row.day_number,
+  mealType: row.meal_type,
+  recipeId: row.recipe_id,
+  recipeName: row.recipe_name,
+  calories: row.calories,
+});
+
+const addMealToPlan = async (planId, { dayNumber, mealType, recipeId, recipeName, calories }, client = null) => {
+  const db = client || { query };
+  let finalRecipeName = recipeName;
+  if (recipeId && !recipeName) {
+    const recipeResult = await db.query(
+      'SELECT title FROM recipes WHERE id = $1',
+      [recipeId]
+    );
+    if (recipeResult.rows.length > 0) {
+      finalRecipeName = recipeResult.rows[0].title;
+    }
+  }
+
+  const result = await db.query(
+    `INSERT INTO meal_plan_meals (plan_id, day_number, meal_type, recipe_id, recipe_name, calories)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [planId, dayNumber, mealType, recipeId, finalRecipeName, calories]
+  );
+
+  // Update plan timestamp
+  await db.query(
+    'UPDATE meal_plans SET updated_at = NOW() WHERE id = $1',
+    [planId]
+  );
+
+  return formatMeal(result.rows[0]);
+};
+
+module.exports = {
+  MEAL_TYPES,
+  findOwnedMealPlan,
+  formatMealPlan,
+  createMealPlan,
+  formatMeal,
+  addMealToPlan,
+};
@@ -0,0 +1,283 @@
+// src/utils/pantry.js
+// ============================================================
+// Pantry — household inventory, expiry estimates, stock checks
+// ============================================================
+//
+// A pantry belongs to a user and is shared with everyone linked to
+// them through accepted family_links (the "household"). Items
+// bought from a list go into the list owner's pantry.
+//
+// Expiry: an explicit date wins; otherwise a shelf-life default by
+// keyword, then by department (SHELF_LIFE_DAYS). Non-food
+// departments get no expiry.
+// ─────────────────────────────────────────────────────────────
+
+const { query } = require('../models/db');
+const { detectDepartment, parseQuantity } = require('./helpers');
+const { normalizeItemName, normalizeUnit, convertQuantity } = require('./ingredientMerge');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Typical fridge / shelf life in days after purchase
+const SHELF_LIFE_DAYS = {
+  produce: 7,
+  dairy: 10,
+  meat: 3,
+  seafood: 2,
+  bakery: 5,
+  deli: 5,
+  frozen: 180,
+  beverages: 180,
+  snacks: 120,
+  'canned goods': 730,
+  condiments: 365,
+  cereal: 180,
+  pasta: 730,
+};
+
+// Checked before the department default, longest match first
+const SHELF_LIFE_KEYWORDS = [
+  ['ground beef', 2],
+  ['sour cream', 21],
+  ['cream cheese', 21],
+  ['berries', 4],
+  ['banana', 5],
+  ['lettuce', 5],
+  ['potato', 30],
+  ['onion', 30],
+  ['apple', 30],
+  ['yogurt', 14],
+  ['cheese', 28],
+  ['butter', 60],
+  ['eggs', 28],
+  ['egg', 28],
+  ['milk', 7],
+  ['bread', 5],
+  ['rice', 730],
+  ['flour', 240],
+  ['sugar', 730],
+];
+
+const toDateString = (date) => new Date(date).toISOString().slice(0, 10);
+
+// ── Household members ───────────────────────────────────────
+
+const householdUserIds = async (userId) => {
+  const result = await query(
+    `SELECT CASE WHEN inviter_id = $1 THEN invitee_id ELSE inviter_id END AS member_id
+     FROM family_links
+     WHERE (inviter_id = $1 OR invitee_id = $1) AND status = 'accepted'`,
+    [userId]
+  );
+  return [userId, ...result.rows.map(row => row.member_id).filter(id => id !== userId)];
+};
+
+// ── Expiry estimate ─────────────────────────────────────────
+// Returns { expiresAt: 'YYYY-MM-DD', estimated } or { expiresAt: null }.
+
+const estimateExpiry = ({ name, department, purchasedAt = new Date(), expiresAt = null }) => {
+  if (expiresAt) {
+    const parsed = new Date(expiresAt);
+    if (!Number.isNaN(parsed.getTime())) return { expiresAt: toDateString(parsed), estimated: false };
+  }
+
+  const lowerName = String(name || '').toLowerCase();
+  const keyword = SHELF_LIFE_KEYWORDS.find(([word]) => lowerName.includes(word));
+  const dept = String(department || detectDepartment(lowerName)).toLowerCase();
+  const days = keyword ? keyword[1] : SHELF_LIFE_DAYS[dept];
+
+  if (!days) return { expiresAt: null, estimated: false };
+  return {
+    expiresAt: toDateString(new Date(new Date(purchasedAt).getTime() + days * DAY_MS)),
+    estimated: true,
+  };
+};
+
+// ── Format a pantry row ─────────────────────────────────────
+
+const daysUntil = (date) => {
+  if (!date) return null;
+  const today = new Date(toDateString(new Date()));
+  return Math.round((new Date(toDateString(date)) - today) / DAY_MS);
+};
+
+const formatPantryItem = (row) => {
+  const daysUntilExpiry = daysUntil(row.expires_at);
+  return {
+    id: row.id,
+    userId: row.user_id,
+    ownerName: row.owner_name || null,
+    name: row.name,
+    brand: row.brand || null,
+    barcode: row.barcode || null,
+    productId: row.product_id || null,
+    department: row.department,
+    quantity: parseFloat(row.quantity),
+    unit: row.unit || null,
+    purchasedAt: row.purchased_at,
+    expiresAt: row.expires_at,
+    expiryEstimated: row.expiry_estimated,
+    daysUntilExpiry,
+    isExpired: daysUntilExpiry !== null && daysUntilExpiry < 0,
+    status: row.status,
+    source: row.source,
+    listItemId: row.list_item_id || null,
+    tripId: row.trip_id || null,
+    notes: row.notes || '',
+    discardReason: row.discard_reason || null,
+    finishedAt: row.finished_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+};
+
+// ── Client quantities ───────────────────────────────────────
+// A number, or a string like "2", "0.5" or "1 1/2". Returns the
+// value, or null when it isn't a quantity of zero or more —
+// parseQuantity would turn "0" and "abc" into 1.
+
+const QUANTITY_PATTERN = /^\s*(\d*\.?\d+|(\d+\s+)?\d+\/[1-9]\d*)\s*$/;
+
+const parsePantryQuantity = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+  if (typeof value !== 'string' || !QUANTITY_PATTERN.test(value)) return null;
+  return value.includes('/') ? parseQuantity(value) : parseFloat(value);
+};
+
+// ── Add an item ─────────────────────────────────────────────
+// entry: { name, brand, barcode, productId, department, quantity,
+//          unit, purchasedAt, expiresAt, notes, source, tripId }
+
+const addPantryItem = async (userId, entry, client = null) => {
+  const db = client || { query };
+  const purchasedAt = entry.purchasedAt ? new Date(entry.purchasedAt) : new Date();
+  const department = entry.department || detectDepartment(entry.name);
+  const expiry = estimateExpiry({ ...entry, department, purchasedAt });
+
+  const result = await db.query(
+    `INSERT INTO pantry_items
+       (user_id, name, normalized_name, brand, barcode, product_id, department, quantity, unit,
+        purchased_at, expires_at, expiry_estimated, source, trip_id, notes)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+     RETURNING *`,
+    [
+      userId, entry.name.trim(), normalizeItemName(entry.name), entry.brand || null, entry.barcode || null,
+      entry.productId || null, department, parseQuantity(entry.quantity) || 1, entry.unit || null,
+      toDateString(purchasedAt), expiry.expiresAt, expiry.estimated, entry.source || 'manual',
+      entry.tripId || null, entry.notes || null,
+    ]
+  );
+  return result.rows[0];
+};
+
+// ── Stock a checked-off list item ───────────────────────────
+// Idempotent per list item: checking, unchecking and re-checking
+// leaves one pantry row. A completed trip stamps trip_id on it.
+
+const stockFromListItem = async (ownerId, item, { tripId = null, quantity = null } = {}, client = null) => {
+  const db = client || { query };
+  const department = item.department || detectDepartment(item.name);
+  const expiry = estimateExpiry({ name: item.name, department });
+
+  await db.query(
+    `INSERT INTO pantry_items
+       (user_id, name, normalized_name, brand, barcode, department, quantity, unit,
+        expires_at, expiry_estimated, source, list_item_id, trip_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+     ON CONFLICT (list_item_id) WHERE list_item_id IS NOT NULL DO UPDATE SET
+       quantity = EXCLUDED.quantity,
+       trip_id = COALESCE(EXCLUDED.trip_id, pantry_items.trip_id),
+       source = CASE WHEN EXCLUDED.trip_id IS NOT NULL THEN 'trip' ELSE pantry_items.source END,
+       updated_at = NOW()
+     WHERE pantry_items.status = 'available'`,
+    [
+      ownerId, item.name, normalizeItemName(item.name), item.brand || null, item.barcode || null,
+      department, quantity ?? (parseFloat(item.quantity) || 1), item.unit || null,
+      expiry.expiresAt, expiry.estimated, tripId ? 'trip' : 'list', item.id, tripId,
+    ]
+  );
+};
+
+// Unchecking before the trip is recorded takes the item back out
+const unstockListItem = async (itemId, client = null) => {
+  const db = client || { query };
+  await db.query(
+    `DELETE FROM pantry_items
+     WHERE list_item_id = $1 AND status = 'available' AND trip_id IS NULL`,
+    [itemId]
+  );
+};
+
+// Keep the pantry in step with a list item's checked state.
+// Best-effort outside a transaction, like checkBudgetAlert.
+const syncPantryForItem = async (ownerId, item, client = null) => {
+  try {
+    if (item.checked) {
+      await stockFromListItem(ownerId, item, {}, client);
+    } else {
+      await unstockListItem(item.id, client);
+    }
+  } catch (error) {
+    if (client) throw error;
+    console.error('Pantry sync error:', error.message);
+  }
+};
+
+// ── Does the household already have enough? ─────────────────
+// Returns null, or a warning describing what's in the pantry.
+
+const checkPantryStock = async (ownerId, { name, barcode, quantity, unit }) => {
+  try {
+    const members = await householdUserIds(ownerId);
+    const result = await query(
+      `SELECT * FROM pantry_items
+       WHERE user_id = ANY($1) AND status = 'available' AND quantity > 0
+         AND (expires_at IS NULL OR expires_at >= CURRENT_DATE)
+         AND (normalized_name = $2 OR ($3::text IS NOT NULL AND barcode = $3))
+       ORDER BY expires_at NULLS LAST`,
+      [members, normalizeItemName(name), barcode || null]
+    );
+    if (result.rows.length === 0) return null;
+
+    const wanted = parseQuantity(quantity) || 1;
+    let have = 0;
+    let comparable = true;
+    for (const row of result.rows) {
+      const converted = convertQuantity(parseFloat(row.quantity), row.unit, unit);
+      if (converted === null) {
+        comparable = false;
+        continue;
+      }
+      have += converted;
+    }
+
+    if (comparable && have < wanted) return null;
+
+    const displayUnit = unit ? normalizeUnit(unit) : null;
+    return {
+      inPantry: comparable ? Math.round(have * 1000) / 1000 : null,
+      unit: comparable ? displayUnit : null,
+      hasEnough: comparable,
+      items: result.rows.map(formatPantryItem),
+      message: comparable
+        ? `Your pantry already has ${Math.round(have * 1000) / 1000}${displayUnit && displayUnit !== 'each' ? ` ${displayUnit}` : ''} of ${name}`
+        : `Your pantry already has some ${name}`,
+    };
+  } catch (error) {
+    console.error('Pantry stock check error:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  SHELF_LIFE_DAYS,
+  householdUserIds,
+  estimateExpiry,
+  formatPantryItem,
+  parsePantryQuantity,
+  addPantryItem,
+  stockFromListItem,
+  unstockListItem,
+  syncPantryForItem,
+  checkPantryStock,
+};
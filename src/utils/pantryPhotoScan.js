@@ -0,0 +1,377 @@
+// src/utils/pantryPhotoScan.js
+// ============================================================
+// Pantry Photo Scan — "scan my fridge"
+// ============================================================
+//
+// A photo goes through image recognition (task 'recognize-image')
+// and becomes a pending scan for the user to check:
+//
+//   detections      each recognized item with its confidence, the
+//                   products row it matched, what the pantry already
+//                   has, and the list item it would mark
+//   missingStaples  staples from the user's restock pattern
+//                   (utils/restock.js) that weren't in the photo and
+//                   aren't in the pantry
+//
+// Confidence decides how a detection is offered:
+//
+//   >= AUTO_SELECT_CONFIDENCE  'likely'   — preselected
+//   >= minConfidence           'review'   — shown, not selected
+//   below                      'rejected' — listed for reference
+//
+// Confirming writes the chosen items to the pantry (source 'photo')
+// and marks matching list items have_at_home, in one transaction.
+// ─────────────────────────────────────────────────────────────
+
+const { query, transaction } = require('../models/db');
+const { detectDepartment } = require('./helpers');
+const { normalizeItemName } = require('./ingredientMerge');
+const {
+  householdUserIds,
+  formatPantryItem,
+  parsePantryQuantity,
+  addPantryItem,
+  checkPantryStock,
+} = require('./pantry');
+const { RESTOCK_DUE_URGENCY, loadRestockPattern, restockReason } = require('./restock');
+const { recordListEvent } = require('./listHistory');
+const { publishListEvent } = require('./listEvents');
+const { formatSyncItem } = require('./listSync');
+const { getListAccess, hasListRole } = require('../middleware/listAccess');
+
+const DEFAULT_MIN_CONFIDENCE = 0.5;
+const AUTO_SELECT_CONFIDENCE = 0.8;
+const PHOTO_SCAN_TTL_HOURS = 24;
+const MAX_DETECTIONS = 40;
+const STAPLES_CHECKED = 50;
+
+const PHOTO_SCAN_PROMPT = 'List every grocery item you can see in this photo of a fridge, freezer or pantry, one entry per distinct item. Use plain product names ("whole milk", "cheddar cheese", "eggs"), with the brand only when the label is readable. Respond in JSON: {"products": [{"name": "Product", "confidence": 0.95, "department": "Store department"}]}';
+
+// ── Matching ────────────────────────────────────────────────
+// Two names are the same item when one's normalized words contain
+// the other's: "Whole Milk" is milk, "Large Eggs" are eggs.
+
+const sameItem = (a, b) => {
+  const left = ` ${normalizeItemName(a)} `;
+  const right = ` ${normalizeItemName(b)} `;
+  if (!left.trim() || !right.trim()) return false;
+  return left.includes(right) || right.includes(left);
+};
+
+// Canonical products row for a recognized name: an exact name match,
+// else the shortest name containing it. Returns null when none.
+const matchProduct = async (name) => {
+  const result = await query(
+    `SELECT id, barcode, name, brand, category
+     FROM products
+     WHERE LOWER(name) = $1 OR LOWER(name) LIKE $2
+     ORDER BY LOWER(name) = $1 DESC, LENGTH(name), updated_at DESC
+     LIMIT 1`,
+    [name.trim().toLowerCase(), `%${name.trim().toLowerCase()}%`]
+  );
+  const row = result.rows[0];
+  return row ? { id: row.id, barcode: row.barcode, name: row.name, brand: row.brand || null, category: row.category } : null;
+};
+
+// ── Detections ──────────────────────────────────────────────
+// products: the recognize-image answer. listItems: unchecked items
+// of the scan's list ({ id, name }), or [].
+// Returns [{ index, name, confidence, department, status, selected,
+//            product, inPantry, listItem }]
+
+const confidenceStatus = (confidence, minConfidence) => {
+  if (confidence >= AUTO_SELECT_CONFIDENCE) return 'likely';
+  if (confidence >= minConfidence) return 'review';
+  return 'rejected';
+};
+
+const buildDetections = async (userId, products, { minConfidence, listItems }) => {
+  // One entry per item, at its best confidence
+  const unique = new Map();
+  for (const product of products) {
+    const key = normalizeItemName(product.name);
+    if (!key) continue;
+    // A missing confidence is treated as "check it"
+    const confidence = typeof product.confidence === 'number' ? product.confidence : minConfidence;
+    if (!unique.has(key) || unique.get(key).confidence < confidence) {
+      unique.set(key, { ...product, name: product.name.trim(), confidence });
+    }
+  }
+
+  const detections = [];
+  for (const product of [...unique.values()].slice(0, MAX_DETECTIONS)) {
+    const status = confidenceStatus(product.confidence, minConfidence);
+    const match = await matchProduct(product.name);
+    const stock = await checkPantryStock(userId, { name: product.name, barcode: match?.barcode });
+    const listItem = listItems.find(item => sameItem(item.name, product.name)) || null;
+
+    detections.push({
+      name: product.name,
+      confidence: Math.round(product.confidence * 100) / 100,
+      department: (product.department || match?.category || detectDepartment(product.name)).toLowerCase(),
+      status,
+      selected: status === 'likely',
+      product: match,
+      inPantry: stock ? stock.message : null,
+      listItem: listItem ? { id: listItem.id, name: listItem.name } : null,
+    });
+  }
+  return detections.sort((a, b) => b.confidence - a.confidence).map((detection, index) => ({ index, ...detection }));
+};
+
+// ── Missing staples ─────────────────────────────────────────
+// Staples neither seen in the photo (above the threshold) nor
+// available in the household pantry. Due ones come first.
+
+const findMissingStaples = async (userId, detections, listItems) => {
+  const staples = await loadRestockPattern(userId, { limit: STAPLES_CHECKED });
+  if (staples.length === 0) return [];
+
+  const members = await householdUserIds(userId);
+  const pantry = await query(
+    `SELECT DISTINCT name FROM pantry_items
+     WHERE user_id = ANY($1) AND status = 'available' AND quantity > 0
+       AND (expires_at IS NULL OR expires_at >= CURRENT_DATE)`,
+    [members]
+  );
+  const haveNames = [
+    ...detections.filter(detection => detection.status !== 'rejected').map(detection => detection.name),
+    ...pantry.rows.map(row => row.name),
+  ];
+
+  return staples
+    .filter(staple => !haveNames.some(name => sameItem(name, staple.name)))
+    .map(staple => ({
+      name: staple.name,
+      department: staple.department || 'grocery',
+      urgency: Math.round(staple.urgency * 100) / 100,
+      due: staple.urgency >= RESTOCK_DUE_URGENCY,
+      avgDaysBetween: staple.avgDaysBetween,
+      daysSinceLast: staple.daysSinceLast,
+      reason: restockReason(staple),
+      onList: listItems.some(item => sameItem(item.name, staple.name)),
+    }))
+    .sort((a, b) => Number(b.due) - Number(a.due) || b.urgency - a.urgency);
+};
+
+// ── Create a scan ───────────────────────────────────────────
+// list: the shopping_lists row to mark items on, or null.
+
+const formatPhotoScan = (row) => ({
+  id: row.id,
+  listId: row.list_id || null,
+  minConfidence: parseFloat(row.min_confidence),
+  detections: row.detections || [],
+  missingStaples: row.missing_staples || [],
+  status: row.status,
+  result: row.result || null,
+  expiresAt: row.expires_at,
+  createdAt: row.created_at,
+  resolvedAt: row.resolved_at,
+});
+
+const createPhotoScan = async (userId, products, { list = null, minConfidence = DEFAULT_MIN_CONFIDENCE } = {}) => {
+  const listItems = list
+    ? (await query('SELECT id, name FROM list_items WHERE list_id = $1 AND NOT checked', [list.id])).rows
+    : [];
+
+  const detections = await buildDetections(userId, products, { minConfidence, listItems });
+  const missingStaples = await findMissingStaples(userId, detections, listItems);
+
+  const result = await query(
+    `INSERT INTO pantry_photo_scans (user_id, list_id, min_confidence, detections, missing_staples, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [
+      userId, list ? list.id : null, minConfidence, JSON.stringify(detections), JSON.stringify(missingStaples),
+      new Date(Date.now() + PHOTO_SCAN_TTL_HOURS * 60 * 60 * 1000),
+    ]
+  );
+  return formatPhotoScan(result.rows[0]);
+};
+
+const findPhotoScan = async (scanId, userId) => {
+  const result = await query(
+    'SELECT * FROM pantry_photo_scans WHERE id = $1 AND user_id = $2',
+    [scanId, userId]
+  );
+  return result.rows[0] ? formatPhotoScan(result.rows[0]) : null;
+};
+
+// ── Confirm ─────────────────────────────────────────────────
+// choices: {
+//   items        [{ index, name?, quantity?, unit?, expiresAt? }] —
+//                which detections are right, with corrections;
+//                omitted: the preselected ('likely') ones
+//   listItemIds  list items to mark have_at_home; omitted: the
+//                list items the confirmed detections matched
+// }
+// Returns { scan, pantryItems, markedItems } or { status, error }.
+
+const unavailableScan = async (scanId, userId) => {
+  const scan = await findPhotoScan(scanId, userId);
+  if (!scan) return { status: 404, error: 'Scan not found' };
+  if (scan.status === 'pending') return { status: 410, error: 'This scan has expired — take a new photo' };
+  return { status: 409, error: `This scan is already ${scan.status}` };
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Only these can be corrected; the product match, department and
+// the rest stay as the scan recorded them
+const applyCorrections = (detection, { name, quantity, unit, expiresAt }) => ({
+  ...detection,
+  name: String(name || detection.name).trim(),
+  quantity: quantity == null ? undefined : parsePantryQuantity(quantity),
+  unit,
+  expiresAt,
+});
+
+// Returns an error message for a correction the pantry would
+// reject, or null
+const correctionError = ({ quantity, expiresAt }, index) => {
+  if (quantity != null && !(parsePantryQuantity(quantity) > 0)) {
+    return `items[${index}].quantity must be a number greater than zero`;
+  }
+  if (expiresAt != null && Number.isNaN(new Date(expiresAt).getTime())) {
+    return `items[${index}].expiresAt must be a date`;
+  }
+  return null;
+};
+
+const resolveChoices = (scan, { items, listItemIds }) => {
+  const chosen = Array.isArray(items)
+    ? items.map(choice => {
+      const detection = scan.detections[parseInt(choice?.index)];
+      return detection ? applyCorrections(detection, choice) : null;
+    })
+    : scan.detections.filter(detection => detection.selected);
+
+  if (chosen.some(choice => !choice)) return { error: 'items must refer to detections of this scan by index' };
+
+  const invalid = Array.isArray(items) && items.map(correctionError).find(Boolean);
+  if (invalid) return { error: invalid };
+
+  if (listItemIds != null
+    && (!Array.isArray(listItemIds) || !listItemIds.every(id => UUID_PATTERN.test(String(id))))) {
+    return { error: 'listItemIds must be an array of list item ids' };
+  }
+
+  const marked = Array.isArray(listItemIds)
+    ? listItemIds.map(String)
+    : chosen.map(choice => choice.listItem?.id).filter(Boolean);
+
+  return { chosen, marked: [...new Set(marked)] };
+};
+
+const confirmPhotoScan = async (scanId, userId, choices = {}) => {
+  const scan = await findPhotoScan(scanId, userId);
+  if (!scan) return { status: 404, error: 'Scan not found' };
+
+  const resolved = resolveChoices(scan, choices);
+  if (resolved.error) return { status: 400, error: resolved.error };
+  if (resolved.marked.length > 0 && !scan.listId) {
+    return { status: 400, error: 'This scan has no list to mark items on' };
+  }
+
+  // Claim it first so a double tap can't stock the pantry twice
+  const claimed = await query(
+    `UPDATE pantry_photo_scans SET status = 'confirmed'
+     WHERE id = $1 AND user_id = $2 AND status = 'pending' AND expires_at > NOW()
+     RETURNING id`,
+    [scanId, userId]
+  );
+  if (claimed.rows.length === 0) return unavailableScan(scanId, userId);
+
+  let saved;
+  try {
+    saved = await transaction(async (client) => {
+      const pantryItems = [];
+      for (const choice of resolved.chosen) {
+        pantryItems.push(await addPantryItem(userId, {
+          name: choice.name,
+          brand: choice.product?.brand || null,
+          barcode: choice.product?.barcode || null,
+          productId: choice.product?.id || null,
+          department: choice.department,
+          quantity: choice.quantity,
+          unit: choice.unit,
+          expiresAt: choice.expiresAt,
+          source: 'photo',
+        }, client));
+      }
+
+      const markedItems = [];
+      if (resolved.marked.length > 0) {
+        const access = await getListAccess(scan.listId, userId, client);
+        if (!hasListRole(access, 'editor')) {
+          throw Object.assign(new Error('No edit access to the scan\'s list'), { status: 403 });
+        }
+
+        const previous = await client.query(
+          'SELECT * FROM list_items WHERE list_id = $1 AND id = ANY($2::uuid[]) AND NOT have_at_home',
+          [scan.listId, resolved.marked]
+        );
+        for (const row of previous.rows) {
+          const updated = await client.query(
+            'UPDATE list_items SET have_at_home = TRUE, updated_at = NOW() WHERE id = $1 RETURNING *',
+            [row.id]
+          );
+          await recordListEvent({
+            listId: scan.listId, itemId: row.id, actorId: userId, action: 'item_updated',
+            before: row, after: updated.rows[0], source: 'photo_scan',
+          }, client);
+          markedItems.push(updated.rows[0]);
+        }
+      }
+
+      const result = {
+        pantryItemIds: pantryItems.map(item => item.id),
+        markedItemIds: markedItems.map(item => item.id),
+      };
+      const updated = await client.query(
+        `UPDATE pantry_photo_scans SET status = 'completed', result = $1, resolved_at = NOW()
+         WHERE id = $2
+         RETURNING *`,
+        [JSON.stringify(result), scanId]
+      );
+      return { scan: updated.rows[0], pantryItems, markedItems };
+    });
+  } catch (error) {
+    // Give the scan back so the user can try again
+    await query("UPDATE pantry_photo_scans SET status = 'pending' WHERE id = $1", [scanId]);
+    if (error.status) return { status: error.status, error: error.message };
+    throw error;
+  }
+
+  for (const item of saved.markedItems) {
+    publishListEvent(scan.listId, 'item_updated', { actorId: userId, item: formatSyncItem(item) });
+  }
+
+  return {
+    scan: formatPhotoScan(saved.scan),
+    pantryItems: saved.pantryItems.map(formatPantryItem),
+    markedItems: saved.markedItems.map(formatSyncItem),
+  };
+};
+
+const dismissPhotoScan = async (scanId, userId) => {
+  const dismissed = await query(
+    `UPDATE pantry_photo_scans SET status = 'dismissed', resolved_at = NOW()
+     WHERE id = $1 AND user_id = $2 AND status = 'pending'
+     RETURNING *`,
+    [scanId, userId]
+  );
+  if (dismissed.rows.length === 0) return unavailableScan(scanId, userId);
+  return { scan: formatPhotoScan(dismissed.rows[0]) };
+};
+
+module.exports = {
+  DEFAULT_MIN_CONFIDENCE,
+  AUTO_SELECT_CONFIDENCE,
+  PHOTO_SCAN_PROMPT,
+  createPhotoScan,
+  findPhotoScan,
+  confirmPhotoScan,
+  dismissPhotoScan,
+};
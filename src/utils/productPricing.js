@@ -0,0 +1,169 @@
+// src/utils/productPricing.js
+// ============================================================
+// Priced Product Search — products + store_prices + market_prices
+// ============================================================
+//
+// Shared by GET /api/products/brand-options and the list budget
+// swap suggestions. Price precedence for each product:
+//   market (nearby scan, when lat/lng given) → this store →
+//   any other store (most recent) → products.price
+// ─────────────────────────────────────────────────────────────
+
+const { query } = require('../models/db');
+
+// Market prices within 50 miles count as local
+const MARKET_RADIUS_KM = 80.5;
+
+const formatPricedProduct = (row) => ({
+  id: row.id,
+  name: row.name,
+  brand: row.brand || null,
+  category: row.category,
+  barcode: row.barcode,
+  imageUrl: row.image_url,
+  price: parseFloat(row.price) || 0,
+  regularPrice: row.regular_price ? parseFloat(row.regular_price) : null,
+  unitPrice: row.unit_price ? parseFloat(row.unit_price) : null,
+  priceSource: row.price_source,
+});
+
+// ── Search products with their best known price ─────────────
+
+const searchPricedProducts = async ({ q, storeId = null, limit = 20 }) => {
+  const words = q.trim().toLowerCase().split(/\s+/).filter(w => w.length >= 2);
+  const searchTerm = `%${q.trim().toLowerCase()}%`;
+
+  let queryText, params;
+
+  if (storeId) {
+    // Prefer prices from the specified store, fall back to any store
+    queryText = `
+      SELECT DISTINCT ON (p.id)
+        p.id, p.name, p.brand, p.category, p.barcode, p.image_url,
+        COALESCE(sp_store.price, sp_any.price, p.price) AS price,
+        COALESCE(sp_store.regular_price, sp_any.regular_price) AS regular_price,
+        COALESCE(sp_store.unit_price, sp_any.unit_price) AS unit_price,
+        CASE
+          WHEN sp_store.price IS NOT NULL THEN 'store'
+          WHEN sp_any.price IS NOT NULL THEN 'other_store'
+          ELSE 'product'
+        END AS price_source
+      FROM products p
+      LEFT JOIN store_prices sp_store
+        ON sp_store.barcode = p.barcode AND sp_store.store_id = $2
+      LEFT JOIN LATERAL (
+        SELECT price, regular_price, unit_price
+        FROM store_prices
+        WHERE barcode = p.barcode AND store_id != $2
+        ORDER BY updated_at DESC
+        LIMIT 1
+      ) sp_any ON true
+      WHERE LOWER(p.name) LIKE $1
+        OR LOWER(p.brand) LIKE $1
+        OR LOWER(p.category) LIKE $1
+      ORDER BY p.id, sp_store.price NULLS LAST
+      LIMIT $3
+    `;
+    params = [searchTerm, storeId, parseInt(limit)];
+  } else {
+    queryText = `
+      SELECT DISTINCT ON (p.id)
+        p.id, p.name, p.brand, p.category, p.barcode, p.image_url,
+        COALESCE(sp.price, p.price) AS price,
+        sp.regular_price,
+        sp.unit_price,
+        CASE WHEN sp.price IS NOT NULL THEN 'store' ELSE 'product' END AS price_source
+      FROM products p
+      LEFT JOIN LATERAL (
+        SELECT price, regular_price, unit_price
+        FROM store_prices
+        WHERE barcode = p.barcode
+        ORDER BY updated_at DESC
+        LIMIT 1
+      ) sp ON true
+      WHERE LOWER(p.name) LIKE $1
+        OR LOWER(p.brand) LIKE $1
+        OR LOWER(p.category) LIKE $1
+      ORDER BY p.id
+      LIMIT $2
+    `;
+    params = [searchTerm, parseInt(limit)];
+  }
+
+  let result = await query(queryText, params);
+
+  // If few results, try matching individual words
+  if (result.rows.length < 3 && words.length > 0) {
+    try {
+      const wordConditions = words.map((_, i) => `(LOWER(p.name) LIKE $${i + 1} OR LOWER(p.brand) LIKE $${i + 1} OR LOWER(p.category) LIKE $${i + 1})`).join(' OR ');
+      const wordResult = await query(
+        `SELECT DISTINCT p.id, p.name, p.brand, p.category, p.barcode, p.image_url, p.price,
+           NULL as regular_price, NULL as unit_price, 'product' as price_source
+         FROM products p
+         WHERE ${wordConditions}
+         LIMIT 20`,
+        words.map(w => `%${w}%`)
+      );
+      const existingIds = new Set(result.rows.map(r => r.id));
+      const newRows = wordResult.rows.filter(r => !existingIds.has(r.id));
+      result = { rows: [...result.rows, ...newRows] };
+    } catch (wordErr) {
+      console.error('Word search fallback error:', wordErr.message);
+    }
+  }
+
+  return result.rows.map(formatPricedProduct);
+};
+
+// ── Overlay nearby market prices ────────────────────────────
+
+const overlayMarketPrices = async (options, lat, lng) => {
+  if (!lat || !lng || options.length === 0) return options;
+
+  try {
+    const barcodes = options.filter(o => o.barcode).map(o => o.barcode);
+    if (barcodes.length === 0) return options;
+
+    const mpResult = await query(
+      `SELECT DISTINCT ON (barcode) barcode, price, unit_price, regular_price
+       FROM market_prices
+       WHERE barcode = ANY($1)
+         AND (6371 * acos(
+           cos(radians($2)) * cos(radians(latitude)) *
+           cos(radians(longitude) - radians($3)) +
+           sin(radians($2)) * sin(radians(latitude))
+         )) < $4
+       ORDER BY barcode, (6371 * acos(
+           cos(radians($2)) * cos(radians(latitude)) *
+           cos(radians(longitude) - radians($3)) +
+           sin(radians($2)) * sin(radians(latitude))
+         ))`,
+      [barcodes, parseFloat(lat), parseFloat(lng), MARKET_RADIUS_KM]
+    );
+    const marketMap = {};
+    mpResult.rows.forEach(mp => { marketMap[mp.barcode] = mp; });
+
+    return options.map(opt => {
+      const mp = opt.barcode ? marketMap[opt.barcode] : null;
+      if (mp) {
+        return {
+          ...opt,
+          price: parseFloat(mp.price) || opt.price,
+          unitPrice: mp.unit_price ? parseFloat(mp.unit_price) : opt.unitPrice,
+          regularPrice: mp.regular_price ? parseFloat(mp.regular_price) : opt.regularPrice,
+          priceSource: 'market',
+        };
+      }
+      return opt;
+    });
+  } catch (mpErr) {
+    console.error('Market price overlay error:', mpErr.message);
+    return options;
+  }
+};
+
+module.exports = {
+  MARKET_RADIUS_KM,
+  searchPricedProducts,
+  overlayMarketPrices,
+};
@@ -0,0 +1,58 @@
+// src/utils/recipes.js
+// ============================================================
+// Recipes — create and save to a user's collection
+// ============================================================
+//
+// Shared by /api/recipes, the AI assistant's save_recipe tool and
+// saved AI meal plans. Recipes are readable by everyone;
+// saved_recipes is per user. Pass a transaction client to run
+// inside one.
+// ─────────────────────────────────────────────────────────────
+
+const { query } = require('../models/db');
+
+// ── Save to a user's recipes ────────────────────────────────
+
+const saveRecipeForUser = async (userId, recipeId, client = null) => {
+  const db = client || { query };
+  await db.query(
+    'INSERT INTO saved_recipes (user_id, recipe_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+    [userId, recipeId]
+  );
+};
+
+// ── Create ──────────────────────────────────────────────────
+// fields: { title, description, category, difficulty, time, servings,
+//           imageUrl, ingredients, instructions, nutrition, isAIGenerated }
+// The new recipe is saved to its creator's recipes. Returns the row.
+
+const createRecipe = async (userId, {
+  title, description, category, difficulty, time, servings,
+  imageUrl, ingredients, instructions, nutrition, isAIGenerated = false,
+}, client = null) => {
+  const db = client || { query };
+  const result = await db.query(
+    `INSERT INTO recipes (
+      title, description, category, difficulty, time, servings,
+      image_url, ingredients, instructions, nutrition,
+      is_ai_generated, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    RETURNING *`,
+    [
+      title, description, category, difficulty || 'Easy', time,
+      servings || 4, imageUrl, JSON.stringify(ingredients || []),
+      JSON.stringify(instructions || []), JSON.stringify(nutrition),
+      isAIGenerated, userId
+    ]
+  );
+
+  // Auto-save to user's recipes
+  await saveRecipeForUser(userId, result.rows[0].id, client);
+
+  return result.rows[0];
+};
+
+module.exports = {
+  saveRecipeForUser,
+  createRecipe,
+};
@@ -0,0 +1,74 @@
+// src/utils/restock.js
+// ============================================================
+// Restock — the user's buying rhythm, from their list history
+// ============================================================
+//
+// Anything added to the user's lists at least twice is a staple.
+// Its urgency is days since it was last added over the average gap
+// between adds: above 1 it's overdue, from RESTOCK_DUE_URGENCY it's
+// due soon.
+//
+// Used by /api/ai/smart-suggestions and pantry photo scans.
+// ─────────────────────────────────────────────────────────────
+
+const { query } = require('../models/db');
+
+const RESTOCK_DUE_URGENCY = 0.6;
+const DEFAULT_AVG_DAYS = 14;
+
+// ── Staples ─────────────────────────────────────────────────
+// Returns [{ name, department, barcode, timesAdded, avgDaysBetween,
+//            daysSinceLast, urgency }], most overdue first.
+
+const loadRestockPattern = async (userId, { limit = 8 } = {}) => {
+  const result = await query(
+    `SELECT
+       li.name,
+       li.department,
+       li.barcode,
+       COUNT(*) as times_added,
+       MAX(li.created_at) as last_added,
+       MIN(li.created_at) as first_added,
+       ROUND(EXTRACT(EPOCH FROM (MAX(li.created_at) - MIN(li.created_at))) /
+         NULLIF(COUNT(*) - 1, 0) / 86400) as avg_days_between,
+       ROUND(EXTRACT(EPOCH FROM (NOW() - MAX(li.created_at))) / 86400) as days_since_last
+     FROM list_items li
+     JOIN shopping_lists sl ON li.list_id = sl.id
+     WHERE sl.user_id = $1
+       AND li.name IS NOT NULL
+       AND li.name != ''
+     GROUP BY LOWER(li.name), li.name, li.department, li.barcode
+     HAVING COUNT(*) >= 2
+     ORDER BY
+       ROUND(EXTRACT(EPOCH FROM (NOW() - MAX(li.created_at))) / 86400) /
+         NULLIF(ROUND(EXTRACT(EPOCH FROM (MAX(li.created_at) - MIN(li.created_at))) /
+         NULLIF(COUNT(*) - 1, 0) / 86400), 0) DESC NULLS LAST,
+       COUNT(*) DESC
+     LIMIT $2`,
+    [userId, limit]
+  );
+
+  return result.rows.map(row => {
+    const avgDaysBetween = parseInt(row.avg_days_between) || DEFAULT_AVG_DAYS;
+    const daysSinceLast = parseInt(row.days_since_last) || 0;
+    return {
+      name: row.name,
+      department: row.department,
+      barcode: row.barcode || null,
+      timesAdded: parseInt(row.times_added),
+      avgDaysBetween,
+      daysSinceLast,
+      urgency: daysSinceLast / avgDaysBetween,
+    };
+  });
+};
+
+const restockReason = ({ avgDaysBetween, daysSinceLast }) => (daysSinceLast > avgDaysBetween
+  ? `You buy this every ~${avgDaysBetween} days — last added ${daysSinceLast} days ago`
+  : `Usually every ~${avgDaysBetween} days — due soon`);
+
+module.exports = {
+  RESTOCK_DUE_URGENCY,
+  loadRestockPattern,
+  restockReason,
+};
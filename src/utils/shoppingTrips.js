@@ -0,0 +1,237 @@
+// src/utils/shoppingTrips.js
+// ============================================================
+// Shopping Trips — complete a list into a detailed trip record
+// ============================================================
+//
+// Completing a list copies its checked items into shopping_trip_items
+// with the list price (estimated) and what was paid (actual), then
+// optionally archives the list and rolls the unchecked items into a
+// new one. Paid prices for barcoded items update store_prices, and
+// the bought items land in the list owner's pantry.
+// ─────────────────────────────────────────────────────────────
+
+const { recordListEvent } = require('./listHistory');
+const { instantiateTemplate } = require('./listTemplates');
+const { stockFromListItem } = require('./pantry');
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// ── Parse the paid prices from a request body ───────────────
+// items: [{ itemId, actualPrice, quantity? }] → Map(itemId → entry)
+// Returns { prices } or { error }.
+
+const parseActualPrices = (items) => {
+  const prices = new Map();
+  if (items === undefined || items === null) return { prices };
+  if (!Array.isArray(items)) return { error: 'items must be an array' };
+
+  for (const entry of items) {
+    if (!entry || !entry.itemId) return { error: 'Each item needs an itemId' };
+
+    const actualPrice = entry.actualPrice !== undefined && entry.actualPrice !== null
+      ? parseFloat(entry.actualPrice)
+      : null;
+    if (actualPrice !== null && (Number.isNaN(actualPrice) || actualPrice < 0)) {
+      return { error: 'actualPrice must be a non-negative number' };
+    }
+
+    const quantity = entry.quantity !== undefined && entry.quantity !== null
+      ? parseFloat(entry.quantity)
+      : null;
+    if (quantity !== null && (Number.isNaN(quantity) || quantity <= 0)) {
+      return { error: 'quantity must be a positive number' };
+    }
+
+    prices.set(entry.itemId, { actualPrice, quantity });
+  }
+
+  return { prices };
+};
+
+// ── Format a trip and its lines ─────────────────────────────
+
+const formatTripItem = (row) => {
+  const quantity = parseFloat(row.quantity) || 1;
+  const estimatedPrice = parseFloat(row.estimated_price) || 0;
+  const actualPrice = parseFloat(row.actual_price) || 0;
+  return {
+    id: row.id,
+    listItemId: row.list_item_id,
+    name: row.name,
+    brand: row.brand || null,
+    barcode: row.barcode || null,
+    department: row.department,
+    unit: row.unit || null,
+    quantity,
+    estimatedPrice,
+    actualPrice,
+    estimatedTotal: roundCents(estimatedPrice * quantity),
+    actualTotal: roundCents(actualPrice * quantity),
+    difference: roundCents((actualPrice - estimatedPrice) * quantity),
+  };
+};
+
+const formatTrip = (trip, lines = null) => {
+  const total = parseFloat(trip.total) || 0;
+  const estimatedTotal = trip.estimated_total !== null && trip.estimated_total !== undefined
+    ? parseFloat(trip.estimated_total)
+    : null;
+  return {
+    id: trip.id,
+    listId: trip.list_id || null,
+    rolloverListId: trip.rollover_list_id || null,
+    storeId: trip.store_id,
+    storeName: trip.store_name,
+    storeAddress: trip.address,
+    total,
+    estimatedTotal,
+    difference: estimatedTotal !== null ? roundCents(total - estimatedTotal) : null,
+    itemCount: trip.item_count,
+    note: trip.note,
+    date: trip.trip_date,
+    ...(lines ? { items: lines.map(formatTripItem) } : {}),
+  };
+};
+
+// ── Record paid prices for barcoded items ───────────────────
+// Same upsert as a barcode scan: the paid price becomes this
+// store's current price.
+
+const recordPaidPrices = async (client, storeId, lines, userId) => {
+  if (!storeId) return 0;
+
+  let recorded = 0;
+  for (const line of lines) {
+    const price = parseFloat(line.actual_price);
+    if (!line.barcode || !(price > 0)) continue;
+
+    await client.query(
+      `INSERT INTO store_prices (store_id, barcode, price, source, scanned_by)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (store_id, barcode) DO UPDATE SET
+         price = $3,
+         source = $4,
+         scanned_by = $5,
+         updated_at = NOW()`,
+      [storeId, line.barcode, price, 'trip_receipt', userId]
+    );
+    recorded++;
+  }
+  return recorded;
+};
+
+// ── Complete a list ─────────────────────────────────────────
+// Runs inside a transaction. list is the shopping_lists row.
+// Returns null when nothing is checked.
+
+const completeList = async (client, list, {
+  userId,
+  store,
+  note = null,
+  total = null,
+  prices = new Map(),
+  archive = false,
+  rollOver = false,
+  rollOverName = null,
+}) => {
+  const itemsResult = await client.query(
+    'SELECT * FROM list_items WHERE list_id = $1 ORDER BY department, created_at FOR UPDATE',
+    [list.id]
+  );
+  const checked = itemsResult.rows.filter(item => item.checked);
+  const unchecked = itemsResult.rows.filter(item => !item.checked);
+  if (checked.length === 0) return null;
+
+  const planned = checked.map(item => {
+    const paid = prices.get(item.id) || {};
+    const estimatedPrice = parseFloat(item.price) || 0;
+    return {
+      item,
+      quantity: paid.quantity ?? (parseFloat(item.quantity) || 1),
+      estimatedPrice,
+      actualPrice: paid.actualPrice ?? estimatedPrice,
+    };
+  });
+
+  const estimatedTotal = roundCents(planned.reduce((sum, line) => sum + line.estimatedPrice * line.quantity, 0));
+  const actualTotal = total !== null
+    ? roundCents(total)
+    : roundCents(planned.reduce((sum, line) => sum + line.actualPrice * line.quantity, 0));
+
+  const tripResult = await client.query(
+    `INSERT INTO shopping_trips (user_id, store_id, store_name, total, estimated_total, item_count, note, list_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [userId, store.id, store.name, actualTotal, estimatedTotal, checked.length, note, list.id]
+  );
+  let trip = tripResult.rows[0];
+
+  const lines = [];
+  for (const line of planned) {
+    const inserted = await client.query(
+      `INSERT INTO shopping_trip_items
+         (trip_id, list_item_id, name, brand, barcode, department, unit, quantity, estimated_price, actual_price)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        trip.id, line.item.id, line.item.name, line.item.brand, line.item.barcode, line.item.department,
+        line.item.unit, line.quantity, line.estimatedPrice, line.actualPrice,
+      ]
+    );
+    lines.push(inserted.rows[0]);
+
+    await stockFromListItem(list.user_id, line.item, { tripId: trip.id, quantity: line.quantity }, client);
+  }
+
+  const pricesRecorded = await recordPaidPrices(client, store.id, lines, userId);
+
+  let rollover = null;
+  if (rollOver && unchecked.length > 0) {
+    rollover = await instantiateTemplate(
+      client,
+      { id: null, name: rollOverName || `${list.name} (continued)`, items: [] },
+      { userId: list.user_id, carryOverFromListId: list.id, source: 'trip_rollover' }
+    );
+
+    const updated = await client.query(
+      'UPDATE shopping_trips SET rollover_list_id = $1 WHERE id = $2 RETURNING *',
+      [rollover.list.id, trip.id]
+    );
+    trip = updated.rows[0];
+  }
+
+  let updatedList = list;
+  if (archive && list.is_active) {
+    const archived = await client.query(
+      'UPDATE shopping_lists SET is_active = false, updated_at = NOW() WHERE id = $1 RETURNING *',
+      [list.id]
+    );
+    updatedList = archived.rows[0];
+  }
+
+  await recordListEvent({
+    listId: list.id,
+    actorId: userId,
+    action: updatedList !== list ? 'list_updated' : 'list_completed',
+    before: list,
+    after: { ...updatedList, trip_id: trip.id },
+    source: 'trip',
+  }, client);
+
+  return {
+    trip,
+    lines,
+    list: updatedList,
+    archived: updatedList !== list,
+    rolloverList: rollover ? rollover.list : null,
+    carriedOver: rollover ? rollover.carriedOver : 0,
+    pricesRecorded,
+  };
+};
+
+module.exports = {
+  parseActualPrices,
+  formatTrip,
+  formatTripItem,
+  completeList,
+};
@@ -0,0 +1,35 @@
+// src/utils/sse.js
+// ============================================================
+// Server-Sent Events Helpers
+// ============================================================
+
+// ── Open an SSE stream on a response ────────────────────────
+
+const openEventStream = (res) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering (Render / nginx)
+  });
+  res.flushHeaders();
+};
+
+// ── Write a single named event ──────────────────────────────
+
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// ── Keep idle connections alive through proxies ─────────────
+
+const startHeartbeat = (res, intervalMs = 25000) => {
+  const timer = setInterval(() => res.write(': ping\n\n'), intervalMs);
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  openEventStream,
+  writeEvent,
+  startHeartbeat,
+};
@@ -0,0 +1,97 @@
+// src/utils/substitutions.js
+// ============================================================
+// Item Substitutions — propose / approve / reject replacements
+// ============================================================
+
+const { recordListEvent } = require('./listHistory');
+
+// ── Format a substitution row ───────────────────────────────
+
+const formatSubstitution = (row) => ({
+  id: row.id,
+  listId: row.list_id,
+  itemId: row.item_id,
+  proposedBy: row.proposed_by,
+  proposedByName: row.proposed_by_name || null,
+  productId: row.product_id,
+  barcode: row.barcode,
+  name: row.name,
+  brand: row.brand,
+  price: row.price !== null ? parseFloat(row.price) : null,
+  quantity: row.quantity !== null ? parseFloat(row.quantity) : null,
+  note: row.note,
+  status: row.status,
+  autoApproved: row.auto_approved,
+  originalItem: row.original_item,
+  decidedBy: row.decided_by,
+  decidedAt: row.decided_at,
+  decisionNote: row.decision_note,
+  createdAt: row.created_at,
+});
+
+// ── Is the proposal cheaper than the line it replaces? ──────
+// Compares line totals so a bigger pack at a higher price but
+// smaller quantity is judged fairly.
+
+const isCheaperSubstitution = (substitution, item) => {
+  const currentPrice = parseFloat(item.price) || 0;
+  const proposedPrice = substitution.price !== null ? parseFloat(substitution.price) : null;
+  if (!currentPrice || proposedPrice === null || Number.isNaN(proposedPrice)) return false;
+
+  const currentQuantity = parseFloat(item.quantity) || 1;
+  const proposedQuantity = substitution.quantity !== null ? parseFloat(substitution.quantity) : currentQuantity;
+  return proposedPrice * proposedQuantity < currentPrice * currentQuantity;
+};
+
+// ── Replace the line with an approved substitution ──────────
+// Runs inside a transaction. The original line is kept on the
+// substitution row and as an undoable 'item_substituted' event.
+
+const applySubstitution = async (client, substitution, item, actorId, { auto = false, note = null } = {}) => {
+  const updated = await client.query(
+    `UPDATE list_items SET
+       name = $1,
+       brand = $2,
+       barcode = $3,
+       price = COALESCE($4, price),
+       quantity = COALESCE($5, quantity),
+       updated_at = NOW()
+     WHERE id = $6
+     RETURNING *`,
+    [
+      substitution.name, substitution.brand, substitution.barcode,
+      substitution.price, substitution.quantity, item.id,
+    ]
+  );
+
+  const decided = await client.query(
+    `UPDATE list_item_substitutions SET
+       status = 'approved',
+       auto_approved = $1,
+       original_item = $2,
+       decided_by = $3,
+       decided_at = NOW(),
+       decision_note = $4
+     WHERE id = $5
+     RETURNING *`,
+    [auto, JSON.stringify(item), auto ? null : actorId, note, substitution.id]
+  );
+
+  await recordListEvent({
+    listId: item.list_id,
+    itemId: item.id,
+    actorId,
+    action: 'item_substituted',
+    before: item,
+    after: updated.rows[0],
+    source: auto ? 'auto_substitution' : 'substitution',
+  }, client);
+
+  return { item: updated.rows[0], substitution: decided.rows[0] };
+};
+
+module.exports = {
+  formatSubstitution,
+  isCheaperSubstitution,
+  applySubstitution,
+};
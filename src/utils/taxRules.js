@@ -0,0 +1,230 @@
+// src/utils/taxRules.js
+// ============================================================
+// Sales Tax Rules — per store / region / department
+// ============================================================
+//
+// Resolution order for each list item (see 009_tax_rules.sql):
+//   1. A department rule (exempt / reduced_rate / rate) from the
+//      most specific scope that has one
+//   2. Otherwise the base rate from the most specific scope
+//   3. Otherwise DEFAULT_TAX_RATE
+// Scopes, most specific first: store → ZIP → state → country → '*'.
+// Deposits come from the most specific scope with deposit rules.
+// ─────────────────────────────────────────────────────────────
+
+const { query } = require('../models/db');
+const { detectDepartment } = require('./helpers');
+
+const DEFAULT_TAX_RATE = parseFloat(process.env.DEFAULT_TAX_RATE) || 0.0875;
+
+const US_STATES = [
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA',
+  'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM',
+  'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA',
+  'WV', 'WI', 'WY', 'PR',
+];
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// ── Region from a store address ─────────────────────────────
+// "123 Main St, San Francisco, CA 94110" → US-CA-94110
+
+const regionFromAddress = (address) => {
+  if (!address) return null;
+  const match = String(address).toUpperCase().match(/\b([A-Z]{2})\.?\s+(\d{5})(?:-\d{4})?\b/)
+    || String(address).toUpperCase().match(/,\s*([A-Z]{2})\s*(?:,\s*(?:US|USA|UNITED STATES))?\s*$/);
+  if (!match || !US_STATES.includes(match[1])) return null;
+  return match[2] ? `US-${match[1]}-${match[2]}` : `US-${match[1]}`;
+};
+
+// ── Region from coordinates (tax_regions boxes) ─────────────
+
+const regionFromCoordinates = async (latitude, longitude) => {
+  if (latitude === null || latitude === undefined || longitude === null || longitude === undefined) {
+    return null;
+  }
+  const result = await query(
+    `SELECT code FROM tax_regions
+     WHERE $1 BETWEEN min_lat AND max_lat AND $2 BETWEEN min_lng AND max_lng
+     ORDER BY (max_lat - min_lat) * (max_lng - min_lng)
+     LIMIT 1`,
+    [latitude, longitude]
+  );
+  return result.rows[0]?.code || null;
+};
+
+// ── Expand a region code into its scope chain ───────────────
+// US-CA-94110 → ['US-CA-94110', 'US-CA', 'US', '*']
+
+const regionChain = (regionCode) => {
+  const chain = [];
+  if (regionCode) {
+    const parts = regionCode.split('-');
+    for (let i = parts.length; i > 0; i--) {
+      chain.push(parts.slice(0, i).join('-'));
+    }
+  }
+  chain.push('*');
+  return chain;
+};
+
+// ── Load the rules that can apply to a store ────────────────
+// storeId is optional; without one only region '*' applies.
+
+const loadTaxRules = async (storeId = null) => {
+  let store = null;
+  let region = null;
+
+  if (storeId) {
+    const storeResult = await query(
+      'SELECT id, name, address, latitude, longitude, tax_region FROM stores WHERE id = $1',
+      [storeId]
+    );
+    store = storeResult.rows[0] || null;
+    if (!store) return null;
+
+    region = store.tax_region
+      || regionFromAddress(store.address)
+      || await regionFromCoordinates(store.latitude, store.longitude);
+  }
+
+  const scopes = regionChain(region);
+  const rulesResult = await query(
+    `SELECT * FROM tax_rules
+     WHERE is_active = true AND (store_id = $1 OR (store_id IS NULL AND region_code = ANY($2)))`,
+    [store ? store.id : null, scopes]
+  );
+
+  // Group by scope, most specific first
+  const scopeKeys = [...(store ? [`store:${store.id}`] : []), ...scopes];
+  const byScope = new Map(scopeKeys.map(key => [key, []]));
+  for (const rule of rulesResult.rows) {
+    const key = rule.store_id ? `store:${rule.store_id}` : rule.region_code;
+    if (byScope.has(key)) byScope.get(key).push(rule);
+  }
+
+  return { store, region, scopes: [...byScope.entries()].map(([scope, rules]) => ({ scope, rules })) };
+};
+
+// ── Rule lookups ────────────────────────────────────────────
+
+const sameDepartment = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+
+const findRule = (ruleset, predicate) => {
+  for (const { rules } of ruleset.scopes) {
+    const rule = rules.find(predicate);
+    if (rule) return rule;
+  }
+  return null;
+};
+
+const depositRulesFor = (ruleset) => {
+  for (const { rules } of ruleset.scopes) {
+    const deposits = rules.filter(rule => rule.rule_type === 'deposit');
+    if (deposits.length > 0) return deposits;
+  }
+  return [];
+};
+
+const depositMatches = (rule, item, department) => {
+  const keywords = rule.match_keywords || [];
+  const name = String(item.name || '').toLowerCase();
+  const keywordMatch = keywords.some(keyword => name.includes(keyword.toLowerCase()));
+  if (rule.department && keywords.length > 0) {
+    return sameDepartment(rule.department, department) && keywordMatch;
+  }
+  return rule.department ? sameDepartment(rule.department, department) : keywordMatch;
+};
+
+const describeRule = (rule) => (rule ? {
+  id: rule.id,
+  type: rule.rule_type,
+  scope: rule.store_id ? 'store' : rule.region_code,
+  department: rule.department,
+  description: rule.description,
+} : null);
+
+// ── Tax for one item ────────────────────────────────────────
+
+const taxForItem = (item, ruleset) => {
+  const department = item.department || detectDepartment(item.name || '');
+  const unitPrice = parseFloat(item.price) || 0;
+  const quantity = parseFloat(item.quantity) || 1;
+  const lineTotal = unitPrice * quantity;
+
+  const departmentRule = findRule(ruleset, rule =>
+    rule.department && rule.rule_type !== 'deposit' && sameDepartment(rule.department, department));
+  const baseRule = findRule(ruleset, rule => rule.rule_type === 'rate' && !rule.department);
+
+  const appliedRule = departmentRule || baseRule;
+  let taxRate = DEFAULT_TAX_RATE;
+  if (appliedRule) {
+    taxRate = appliedRule.rule_type === 'exempt' ? 0 : parseFloat(appliedRule.rate) || 0;
+  }
+
+  // Deposits are charged per container; weighed or measured items count once
+  const containers = !item.unit || /^(each|ea|ct|count|bottle|bottles|can|cans)$/i.test(item.unit)
+    ? quantity
+    : 1;
+  const deposits = depositRulesFor(ruleset)
+    .filter(rule => depositMatches(rule, item, department))
+    .map(rule => ({
+      ruleId: rule.id,
+      description: rule.description || 'Container deposit',
+      amount: roundCents(parseFloat(rule.amount) * containers),
+    }));
+
+  return {
+    itemId: item.id,
+    name: item.name,
+    department,
+    quantity,
+    unitPrice,
+    lineTotal: roundCents(lineTotal),
+    taxable: taxRate > 0,
+    taxRate,
+    tax: roundCents(lineTotal * taxRate),
+    taxRule: describeRule(appliedRule),
+    deposits,
+    deposit: roundCents(deposits.reduce((sum, deposit) => sum + deposit.amount, 0)),
+  };
+};
+
+// ── Tax for a whole list ────────────────────────────────────
+
+const calculateListTax = (items, ruleset) => {
+  const lines = items.map(item => taxForItem(item, ruleset));
+
+  const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+  const tax = lines.reduce((sum, line) => sum + line.tax, 0);
+  const deposits = lines.reduce((sum, line) => sum + line.deposit, 0);
+
+  const byRate = new Map();
+  for (const line of lines) {
+    const entry = byRate.get(line.taxRate) || { taxRate: line.taxRate, taxableAmount: 0, tax: 0, itemCount: 0 };
+    entry.taxableAmount += line.lineTotal;
+    entry.tax += line.tax;
+    entry.itemCount++;
+    byRate.set(line.taxRate, entry);
+  }
+
+  return {
+    subtotal: roundCents(subtotal),
+    tax: roundCents(tax),
+    deposits: roundCents(deposits),
+    total: roundCents(subtotal + tax + deposits),
+    taxByRate: [...byRate.values()]
+      .sort((a, b) => b.taxRate - a.taxRate)
+      .map(entry => ({ ...entry, taxableAmount: roundCents(entry.taxableAmount), tax: roundCents(entry.tax) })),
+    lines,
+  };
+};
+
+module.exports = {
+  DEFAULT_TAX_RATE,
+  regionFromAddress,
+  regionChain,
+  loadTaxRules,
+  taxForItem,
+  calculateListTax,
+};